@@ -16,7 +16,12 @@ const path = require('path');
 
 // Database configuration
 const { connectDB } = require('./src/config/database');
+const { Appointment } = require('./src/models');
 const { initializeGemini } = require('./src/config/gemini');
+const { getClinicTimezone } = require('./src/config/clinic');
+const { AuthService, ScheduleService, FaqService, IntentService, WaitlistService, ReminderService, WebhookService, JobService } = require('./src/services');
+const { getReminderLeadMinutes } = require('./src/config/notifications');
+const { WAITLIST, REMINDERS, WEBHOOKS } = require('./src/config/constants');
 
 // Routes
 const routes = require('./src/routes');
@@ -135,11 +140,21 @@ app.get('/', (req, res) => {
     message: 'Veterinary Chatbot SDK API',
     version: '2.0.0',
     mode: 'Rule-based (No AI API required)',
+    timezone: getClinicTimezone(),
     endpoints: {
       health: 'GET /api/health',
+      auth: {
+        login: 'POST /api/auth/login',
+        logout: 'POST /api/auth/logout',
+        me: 'GET /api/auth/me',
+        users: 'GET /api/auth/users',
+        createUser: 'POST /api/auth/users',
+        updateUser: 'PATCH /api/auth/users/:id',
+      },
       chat: {
         init: 'POST /api/chat/init',
         message: 'POST /api/chat/message',
+        stream: 'GET /api/chat/stream/:sessionId (Server-Sent Events)',
         history: 'GET /api/chat/history/:sessionId',
         reset: 'DELETE /api/chat/session/:sessionId',
       },
@@ -150,18 +165,112 @@ app.get('/', (req, res) => {
         availableSlots: 'GET /api/appointments/available-slots/:date',
         create: 'POST /api/appointments',
         bySession: 'GET /api/appointments/session/:sessionId',
-        // Admin endpoints
+        calendarFile: 'GET /api/appointments/:id/ics?token=<token>',
+        // Staff endpoints (Authorization: Bearer <token>)
         list: 'GET /api/appointments',
+        export: 'GET /api/appointments/export?format=csv|xlsx',
+        import: 'POST /api/appointments/import?dryRun=true',
         stats: 'GET /api/appointments/stats',
         today: 'GET /api/appointments/today',
         upcoming: 'GET /api/appointments/upcoming',
         byDate: 'GET /api/appointments/date/:date',
         byId: 'GET /api/appointments/:id',
+        reminders: 'GET /api/appointments/:id/reminders',
         update: 'PUT /api/appointments/:id',
         updateStatus: 'PATCH /api/appointments/:id/status',
         cancel: 'PATCH /api/appointments/:id/cancel',
         delete: 'DELETE /api/appointments/:id',
       },
+      providers: {
+        list: 'GET /api/providers',
+        byId: 'GET /api/providers/:id',
+        calendar: 'GET /api/providers/:id/calendar',
+        create: 'POST /api/providers',
+        update: 'PUT /api/providers/:id',
+        deactivate: 'DELETE /api/providers/:id',
+      },
+      schedule: {
+        get: 'GET /api/schedule',
+        day: 'GET /api/schedule/day/:date',
+        exceptions: 'GET /api/schedule/exceptions',
+        updateWeekly: 'PUT /api/schedule/weekly',
+        updateDay: 'PUT /api/schedule/weekly/:dayOfWeek',
+        createException: 'POST /api/schedule/exceptions',
+        updateException: 'PUT /api/schedule/exceptions/:id',
+        deleteException: 'DELETE /api/schedule/exceptions/:id',
+      },
+      waitlist: {
+        list: 'GET /api/waitlist',
+        join: 'POST /api/waitlist',
+        byId: 'GET /api/waitlist/:id',
+        accept: 'POST /api/waitlist/:id/accept',
+        decline: 'POST /api/waitlist/:id/decline',
+        leave: 'DELETE /api/waitlist/:id',
+      },
+      owners: {
+        list: 'GET /api/owners',
+        create: 'POST /api/owners',
+        byId: 'GET /api/owners/:id',
+        update: 'PUT /api/owners/:id',
+        addPet: 'POST /api/owners/:id/pets',
+        updatePet: 'PUT /api/owners/:id/pets/:petId',
+        merge: 'POST /api/owners/merge',
+        mergePets: 'POST /api/owners/:id/pets/merge',
+        deduplicate: 'POST /api/owners/deduplicate',
+        vaccinations: 'GET /api/owners/:id/pets/:petId/vaccinations',
+        addVaccination: 'POST /api/owners/:id/pets/:petId/vaccinations',
+        updateVaccination: 'PUT /api/owners/:id/pets/:petId/vaccinations/:vaccinationId',
+        deleteVaccination: 'DELETE /api/owners/:id/pets/:petId/vaccinations/:vaccinationId',
+        timeline: 'GET /api/owners/:id/pets/:petId/timeline',
+      },
+      visits: {
+        list: 'GET /api/visits',
+        create: 'POST /api/visits',
+        byId: 'GET /api/visits/:id',
+        update: 'PUT /api/visits/:id',
+        delete: 'DELETE /api/visits/:id',
+      },
+      webhooks: {
+        events: 'GET /api/webhooks/events',
+        list: 'GET /api/webhooks',
+        create: 'POST /api/webhooks',
+        byId: 'GET /api/webhooks/:id',
+        update: 'PUT /api/webhooks/:id',
+        delete: 'DELETE /api/webhooks/:id',
+        deliveries: 'GET /api/webhooks/deliveries',
+        deadLetters: 'GET /api/webhooks/dead-letters',
+        delivery: 'GET /api/webhooks/deliveries/:deliveryId',
+        redeliver: 'POST /api/webhooks/deliveries/:deliveryId/redeliver',
+      },
+      faqs: {
+        list: 'GET /api/faqs',
+        create: 'POST /api/faqs',
+        byId: 'GET /api/faqs/:id',
+        update: 'PUT /api/faqs/:id',
+        delete: 'DELETE /api/faqs/:id',
+        restore: 'POST /api/faqs/:id/restore',
+      },
+      intents: {
+        list: 'GET /api/intents',
+        debug: 'POST /api/intents/debug',
+      },
+      handoffs: {
+        queue: 'GET /api/handoffs?status=waiting',
+        get: 'GET /api/handoffs/:sessionId',
+        claim: 'POST /api/handoffs/:sessionId/claim',
+        reply: 'POST /api/handoffs/:sessionId/messages',
+        close: 'POST /api/handoffs/:sessionId/close',
+      },
+      realtime: {
+        ticket: 'POST /api/realtime/tickets',
+        events: 'GET /api/realtime/events?events=appointment.*&ticket=<ticket>',
+      },
+      calendar: {
+        feed: 'GET /api/calendar/feeds/:token/calendar.ics',
+        feeds: 'GET /api/calendar/feeds',
+        createFeed: 'POST /api/calendar/feeds',
+        deleteFeed: 'DELETE /api/calendar/feeds/:id',
+      },
     },
     sdk: {
       script: '/chatbot.js',
@@ -192,9 +301,37 @@ app.use(errorHandler);
 
 const startServer = async () => {
   try {
+    // Fail fast on a misconfigured clinic timezone
+    const timezone = getClinicTimezone();
+
     // Connect to MongoDB
     await connectDB();
     
+    // Create the first admin account if configured
+    await AuthService.ensureBootstrapAdmin();
+    
+    // Appointments are found by the digits of their phone number
+    await Appointment.backfillPhoneKeys();
+    
+    // Seed default opening hours and load the clinic schedule
+    await ScheduleService.initialize();
+    
+    // Seed the default FAQs on first start and load the knowledge base
+    await FaqService.initialize();
+    
+    // Add intents from the plugin directory, if one is configured (a missing directory stops startup)
+    const intentPluginDir = process.env.INTENT_PLUGIN_DIR;
+    const intentPlugins = intentPluginDir
+      ? await IntentService.loadPlugins(path.resolve(intentPluginDir))
+      : { loaded: [], errors: [] };
+    
+    // Background jobs: pass on lapsed waitlist offers, send appointment reminders and webhook deliveries
+    const reminderLeadMinutes = getReminderLeadMinutes();
+    JobService.register('waitlist-offers', WAITLIST.SWEEP_INTERVAL_SECONDS, () => WaitlistService.processExpiredOffers());
+    JobService.register('appointment-reminders', REMINDERS.POLL_INTERVAL_SECONDS, () => ReminderService.processReminders());
+    JobService.register('webhook-deliveries', WEBHOOKS.POLL_INTERVAL_SECONDS, () => WebhookService.processDeliveries());
+    JobService.start();
+    
     // Initialize rule-based chatbot (no AI API required)
     initializeGemini();
     
@@ -210,6 +347,9 @@ const startServer = async () => {
       console.log('═══════════════════════════════════════════════');
       console.log(`  Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log('  Mode: Rule-based (No AI API required)');
+      console.log(`  Clinic timezone: ${timezone}`);
+      console.log(`  Intents: ${IntentService.getHandlers().length} (${intentPlugins.loaded.length} from plugins${intentPlugins.errors.length > 0 ? `, ${intentPlugins.errors.length} failed to load` : ''})`);
+      console.log(`  Reminders: ${reminderLeadMinutes.map(minutes => `${minutes / 60}h`).join(', ') || 'off'} before appointments`);
       console.log('═══════════════════════════════════════════════');
     });
   } catch (error) {
@@ -236,6 +376,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  JobService.stop();
   const { disconnectDB } = require('./src/config/database');
   await disconnectDB();
   process.exit(0);
@@ -9,9 +9,11 @@
  * <script>
  *   window.VetChatbotConfig = {
  *     userId: "user_123",
+ *     userHash: "...", // HMAC-SHA256 of userId, computed on your server
  *     userName: "John Doe",
  *     petName: "Buddy",
- *     source: "marketing-website"
+ *     source: "marketing-website",
+ *     realtime: true // Set to false to always use plain HTTP requests
  *   };
  * </script>
  * <script src="https://your-domain.com/chatbot.js"></script>
@@ -25,6 +27,7 @@
     API_BASE_URL: window.VetChatbotConfig?.apiUrl || window.location.origin,
     WIDGET_ID: 'vet-chatbot-widget',
     STORAGE_KEY: 'vet_chatbot_session',
+    REPLY_TIMEOUT_MS: 30000,
   };
 
   // Get user configuration (if provided)
@@ -33,6 +36,11 @@
   // Session management
   let sessionId = null;
 
+  // Realtime stream (Server-Sent Events); plain HTTP is used whenever it is not connected
+  let eventSource = null;
+  let streamReady = false;
+  const pendingReplies = new Map();
+
   // Generate unique session ID
   function generateSessionId() {
     return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -215,6 +223,55 @@
       border: 1px solid #fcc;
     }
 
+    .vet-chatbot-message.agent {
+      background: #eef9f1;
+      color: #333;
+      border-bottom-left-radius: 4px;
+      align-self: flex-start;
+      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+    }
+
+    .vet-chatbot-message-author {
+      display: block;
+      font-size: 12px;
+      font-weight: 600;
+      color: #2f855a;
+      margin-bottom: 2px;
+    }
+
+    .vet-chatbot-message.system {
+      align-self: center;
+      background: none;
+      color: #777;
+      font-size: 12px;
+      padding: 4px 8px;
+      text-align: center;
+    }
+
+    .vet-chatbot-quick-replies {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      align-self: flex-start;
+      max-width: 85%;
+    }
+
+    .vet-chatbot-quick-reply {
+      padding: 6px 12px;
+      border: 1px solid #667eea;
+      border-radius: 16px;
+      background: white;
+      color: #667eea;
+      font-size: 13px;
+      cursor: pointer;
+      transition: background 0.2s, color 0.2s;
+    }
+
+    .vet-chatbot-quick-reply:hover {
+      background: #667eea;
+      color: white;
+    }
+
     .vet-chatbot-typing {
       display: flex;
       gap: 4px;
@@ -353,18 +410,52 @@
     return widget;
   }
 
-  // Add message to chat
-  function addMessage(content, type = 'bot') {
+  // Add message to chat (author labels messages from clinic staff)
+  function addMessage(content, type = 'bot', author = null) {
     const messagesContainer = document.getElementById('vet-chatbot-messages');
     const messageEl = document.createElement('div');
     messageEl.className = `vet-chatbot-message ${type}`;
-    messageEl.textContent = content;
+    if (author) {
+      const authorEl = document.createElement('span');
+      authorEl.className = 'vet-chatbot-message-author';
+      authorEl.textContent = author;
+      messageEl.appendChild(authorEl);
+    }
+    messageEl.appendChild(document.createTextNode(content));
     messagesContainer.appendChild(messageEl);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
+  // Show suggested answers as buttons under the bot's message; picking one sends its value
+  function showQuickReplies(quickReplies, onPick) {
+    clearQuickReplies();
+    if (!quickReplies || quickReplies.length === 0) return;
+
+    const messagesContainer = document.getElementById('vet-chatbot-messages');
+    const repliesEl = document.createElement('div');
+    repliesEl.className = 'vet-chatbot-quick-replies';
+    repliesEl.id = 'vet-chatbot-quick-replies';
+    quickReplies.forEach(option => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'vet-chatbot-quick-reply';
+      button.textContent = option.label;
+      button.addEventListener('click', () => onPick(option));
+      repliesEl.appendChild(button);
+    });
+    messagesContainer.appendChild(repliesEl);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  // Remove suggested answers once the user has replied
+  function clearQuickReplies() {
+    const repliesEl = document.getElementById('vet-chatbot-quick-replies');
+    if (repliesEl) repliesEl.remove();
+  }
+
   // Show typing indicator
   function showTyping() {
+    if (document.getElementById('vet-chatbot-typing')) return;
     const messagesContainer = document.getElementById('vet-chatbot-messages');
     const typingEl = document.createElement('div');
     typingEl.className = 'vet-chatbot-typing';
@@ -380,8 +471,92 @@
     if (typingEl) typingEl.remove();
   }
 
-  // Send message to API
+  // Generate an ID that matches a streamed reply to its message
+  function generateRequestId() {
+    return 'req_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  // Wait for the streamed reply to a message
+  function waitForReply(requestId) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingReplies.delete(requestId);
+        reject(new Error('Timed out waiting for a reply'));
+      }, CONFIG.REPLY_TIMEOUT_MS);
+
+      pendingReplies.set(requestId, {
+        resolve: (response) => { clearTimeout(timer); resolve(response); },
+        reject: (error) => { clearTimeout(timer); reject(error); },
+      });
+    });
+  }
+
+  // Open the session's event stream for replies, typing indicators and pushed messages
+  function connectStream() {
+    if (userConfig.realtime === false || typeof window.EventSource === 'undefined' || eventSource) {
+      return;
+    }
+
+    eventSource = new EventSource(`${CONFIG.API_BASE_URL}/api/chat/stream/${encodeURIComponent(getSessionId())}`);
+
+    eventSource.addEventListener('ready', () => {
+      streamReady = true;
+    });
+
+    // EventSource reconnects by itself; until then messages go over plain HTTP
+    eventSource.addEventListener('error', () => {
+      streamReady = false;
+    });
+
+    eventSource.addEventListener('typing', (e) => {
+      const data = JSON.parse(e.data);
+      if (data.active) {
+        showTyping();
+      } else if (pendingReplies.size === 0) {
+        hideTyping();
+      }
+    });
+
+    eventSource.addEventListener('message', (e) => {
+      const data = JSON.parse(e.data);
+      const pending = data.requestId && pendingReplies.get(data.requestId);
+      if (pending) {
+        pendingReplies.delete(data.requestId);
+        pending.resolve(data);
+      } else if (data.role === 'agent') {
+        // A clinic staff member who has taken over the chat
+        hideTyping();
+        addMessage(data.response, 'agent', data.agentName);
+      } else {
+        // Pushed by the server (confirmations, reminders, waitlist offers...)
+        addMessage(data.response, 'bot');
+      }
+    });
+
+    // A staff member joined or left the chat
+    eventSource.addEventListener('handoff', (e) => {
+      const data = JSON.parse(e.data);
+      if (data.message) addMessage(data.message, 'system');
+    });
+
+    eventSource.addEventListener('reply-error', (e) => {
+      const data = JSON.parse(e.data);
+      const pending = data.requestId && pendingReplies.get(data.requestId);
+      if (pending) {
+        pendingReplies.delete(data.requestId);
+        pending.reject(new Error(data.error));
+      }
+    });
+  }
+
+  // Send message to API and resolve with { response, quickReplies }
+  // With the stream connected the reply arrives as a stream event, otherwise in the HTTP response
   async function sendMessage(message) {
+    const requestId = streamReady ? generateRequestId() : null;
+    // Listen before sending: the reply can arrive before the HTTP response does
+    const reply = requestId ? waitForReply(requestId) : null;
+    if (reply) reply.catch(() => {});
+
     try {
       const response = await fetch(`${CONFIG.API_BASE_URL}/api/chat/message`, {
         method: 'POST',
@@ -393,22 +568,28 @@
           sessionId: getSessionId(),
           context: {
             userId: userConfig.userId,
+            userHash: userConfig.userHash,
             userName: userConfig.userName,
             petName: userConfig.petName,
             source: userConfig.source,
             customData: userConfig.customData,
           },
+          stream: Boolean(requestId),
+          requestId,
         }),
       });
 
       const data = await response.json();
       
-      if (data.success) {
-        return data.data.response;
-      } else {
+      if (!data.success) {
         throw new Error(data.error || 'Failed to get response');
       }
+      const result = requestId && data.data.streamed ? await reply : data.data;
+      // The server answered directly (e.g. the stream had just dropped)
+      if (requestId) pendingReplies.delete(requestId);
+      return { response: result.response, quickReplies: result.quickReplies || [] };
     } catch (error) {
+      if (requestId) pendingReplies.delete(requestId);
       console.error('Chatbot API error:', error);
       throw error;
     }
@@ -426,6 +607,7 @@
           sessionId: getSessionId(),
           context: {
             userId: userConfig.userId,
+            userHash: userConfig.userHash,
             userName: userConfig.userName,
             petName: userConfig.petName,
             source: userConfig.source,
@@ -453,7 +635,11 @@
       
       if (data.success && data.data.messages.length > 0) {
         data.data.messages.forEach(msg => {
-          addMessage(msg.content, msg.role === 'user' ? 'user' : 'bot');
+          if (msg.role === 'agent') {
+            addMessage(msg.content, 'agent', msg.agentName);
+          } else {
+            addMessage(msg.content, msg.role === 'user' || msg.role === 'system' ? msg.role : 'bot');
+          }
         });
       } else {
         await initializeChat();
@@ -490,6 +676,7 @@
       if (isOpen && !isInitialized) {
         isInitialized = true;
         loadHistory();
+        connectStream();
       }
       
       if (isOpen) {
@@ -497,25 +684,30 @@
       }
     }
 
-    // Handle send
-    async function handleSend() {
-      const message = input.value.trim();
-      if (!message) return;
+    // Handle send (a picked quick reply shows its label and sends its value)
+    async function handleSend(quickReply = null) {
+      const message = quickReply ? quickReply.value : input.value.trim();
+      if (!message || sendBtn.disabled) return;
 
       // Clear input and disable button
-      input.value = '';
+      if (!quickReply) input.value = '';
       sendBtn.disabled = true;
+      clearQuickReplies();
 
       // Add user message
-      addMessage(message, 'user');
+      addMessage(quickReply ? quickReply.label : message, 'user');
 
       // Show typing indicator
       showTyping();
 
       try {
-        const response = await sendMessage(message);
+        const { response, quickReplies } = await sendMessage(message);
         hideTyping();
-        addMessage(response, 'bot');
+        // No reply while a staff member has the chat; theirs arrive over the stream
+        if (response) {
+          addMessage(response, 'bot');
+          showQuickReplies(quickReplies, handleSend);
+        }
       } catch (error) {
         hideTyping();
         addMessage("Sorry, I couldn't process your request. Please try again.", 'error');
@@ -528,7 +720,7 @@
     // Event listeners
     toggleBtn.addEventListener('click', toggleChat);
     closeBtn.addEventListener('click', toggleChat);
-    sendBtn.addEventListener('click', handleSend);
+    sendBtn.addEventListener('click', () => handleSend());
     input.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') handleSend();
     });
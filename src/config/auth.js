@@ -0,0 +1,44 @@
+/**
+ * Authentication Configuration
+ * JWT settings for staff authentication, and the secret that vouches for chat SDK users
+ */
+
+const DEFAULT_DEV_SECRET = 'dev-only-insecure-jwt-secret';
+
+/**
+ * Get the secret used to sign staff tokens
+ * A secret must be configured in production
+ */
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    return DEFAULT_DEV_SECRET;
+  }
+
+  return secret;
+};
+
+/**
+ * Get token lifetime (any value accepted by jsonwebtoken, e.g. "8h", "1d")
+ */
+const getJwtExpiresIn = () => {
+  return process.env.JWT_EXPIRES_IN || '8h';
+};
+
+/**
+ * Get the secret websites sign their SDK userIds with (userHash = HMAC-SHA256 of the userId)
+ * Without one, no userId sent to the chat is trusted
+ */
+const getChatIdentitySecret = () => {
+  return process.env.CHAT_IDENTITY_SECRET || null;
+};
+
+module.exports = {
+  getJwtSecret,
+  getJwtExpiresIn,
+  getChatIdentitySecret,
+};
@@ -0,0 +1,29 @@
+/**
+ * Clinic Configuration
+ * Timezone the clinic operates in (all dates and times are interpreted in it)
+ */
+
+let cachedTimezone = null;
+
+/**
+ * Get the clinic's IANA timezone (e.g. "Asia/Kolkata", "America/Los_Angeles")
+ * Defaults to the server's timezone; throws if CLINIC_TIMEZONE is not a valid IANA name
+ */
+const getClinicTimezone = () => {
+  const timeZone = process.env.CLINIC_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  if (timeZone !== cachedTimezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+      throw new Error(`CLINIC_TIMEZONE "${timeZone}" is not a valid IANA timezone`);
+    }
+    cachedTimezone = timeZone;
+  }
+
+  return cachedTimezone;
+};
+
+module.exports = {
+  getClinicTimezone,
+};
@@ -9,10 +9,51 @@ module.exports = {
     IDLE: 'idle',
     COLLECTING_OWNER_NAME: 'collecting_owner_name',
     COLLECTING_PET_NAME: 'collecting_pet_name',
+    SELECTING_PET: 'selecting_pet',
     COLLECTING_PHONE: 'collecting_phone',
     COLLECTING_DATE_TIME: 'collecting_date_time',
     CONFIRMING: 'confirming',
     COMPLETED: 'completed',
+    // Managing existing appointments
+    COLLECTING_LOOKUP_PHONE: 'collecting_lookup_phone',
+    VERIFYING_LOOKUP_PET: 'verifying_lookup_pet',
+    SELECTING_APPOINTMENT: 'selecting_appointment',
+    COLLECTING_NEW_DATE_TIME: 'collecting_new_date_time',
+    CONFIRMING_RESCHEDULE: 'confirming_reschedule',
+    CONFIRMING_CANCELLATION: 'confirming_cancellation',
+    // Answering a waitlist slot offer
+    CONFIRMING_WAITLIST_OFFER: 'confirming_waitlist_offer',
+    // Looking up a pet's vaccinations
+    COLLECTING_VACCINATION_OWNER_NAME: 'collecting_vaccination_owner_name',
+    COLLECTING_VACCINATION_PHONE: 'collecting_vaccination_phone',
+    SELECTING_VACCINATION_PET: 'selecting_vaccination_pet',
+    CONFIRMING_VACCINATION_BOOKING: 'confirming_vaccination_booking',
+    // Filling in a form (DialogueService) whose fields have no state of their own
+    FILLING_FORM: 'filling_form',
+    CONFIRMING_FORM: 'confirming_form',
+  },
+
+  // Forms the chatbot fills in with the owner (see DialogueService)
+  DIALOGUE_FORMS: {
+    BOOKING: 'booking',
+    PET_REGISTRATION: 'pet_registration',
+    CALLBACK: 'callback',
+  },
+
+  // Phrases that start the pet registration and callback forms
+  FORM_KEYWORDS: {
+    PET_REGISTRATION: [
+      'register my pet', 'register a pet', 'register my dog', 'register my cat', 'register a new pet',
+      'add my pet', 'add a pet', 'add a new pet', 'add my new pet',
+    ],
+    CALLBACK: ['call me back', 'callback', 'call back', 'give me a call', 'ring me', 'phone me'],
+  },
+
+  // Actions on existing appointments from the chat
+  MANAGE_ACTIONS: {
+    LOOKUP: 'lookup',
+    RESCHEDULE: 'reschedule',
+    CANCEL: 'cancel',
   },
 
   // Message types
@@ -20,6 +61,38 @@ module.exports = {
     USER: 'user',
     BOT: 'bot',
     SYSTEM: 'system',
+    AGENT: 'agent',
+  },
+
+  // Handing a chat over to clinic staff ('none' until the first request; 'closed' once an agent is done)
+  HANDOFF_STATUS: {
+    NONE: 'none',
+    WAITING: 'waiting',
+    ACTIVE: 'active',
+    CLOSED: 'closed',
+  },
+
+  // Why a chat was handed over
+  HANDOFF_REASONS: {
+    REQUESTED: 'requested', // The owner asked for a person
+    EMERGENCY: 'emergency', // The message mentioned an emergency
+    UNRESOLVED: 'unresolved', // The bot could not answer several messages in a row
+  },
+
+  // Human handoff configuration
+  HANDOFF: {
+    REQUEST_KEYWORDS: [
+      'speak to a human', 'talk to a human', 'speak to a person', 'talk to a person', 'real person', 'live agent',
+      'human agent', 'speak to someone', 'talk to someone', 'speak with someone', 'talk with someone',
+      'speak to staff', 'talk to staff', 'receptionist', 'customer service',
+    ],
+    EMERGENCY_KEYWORDS: [
+      'emergency', 'bleeding', 'poison', 'seizure', 'not breathing', "can't breathe", 'cant breathe',
+      'collapsed', 'unconscious', 'hit by a car', 'choking',
+    ],
+    UNRESOLVED_LIMIT: 2, // Messages in a row the bot cannot answer before the chat is handed over
+    MAX_MESSAGE_LENGTH: 2000, // Longest agent reply
+    QUEUE_PREVIEW_MESSAGES: 3, // Latest messages shown with each conversation in the queue
   },
 
   // Appointment status
@@ -31,6 +104,138 @@ module.exports = {
     NO_SHOW: 'no-show',
   },
 
+  // Waitlist entry status
+  WAITLIST_STATUS: {
+    WAITING: 'waiting',
+    OFFERED: 'offered',
+    BOOKED: 'booked',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled',
+  },
+
+  // Waitlist configuration
+  WAITLIST: {
+    OFFER_MINUTES: 30, // How long an offered slot is held for the owner
+    MAX_RANGE_DAYS: 30, // Longest date range one entry may cover
+    SWEEP_INTERVAL_SECONDS: 60, // How often lapsed offers are passed on
+  },
+
+  // Appointment reminder delivery status
+  REMINDER_STATUS: {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+  },
+
+  // Appointment reminder configuration
+  REMINDERS: {
+    LEAD_MINUTES: [24 * 60, 2 * 60], // Send reminders this long before the appointment (REMINDER_LEAD_TIMES overrides)
+    POLL_INTERVAL_SECONDS: 60, // How often due reminders are looked for
+    MAX_ATTEMPTS: 3, // Delivery attempts before a reminder is marked failed
+    RETRY_DELAY_MINUTES: 5, // Wait before the first retry (doubles after each failed attempt)
+    CLAIM_MINUTES: 5, // How long one server owns a reminder while sending it
+    // Message templates by lead time in minutes ({{placeholders}} are filled from the appointment)
+    TEMPLATES: {
+      1440: 'Hi {{ownerName}}, this is a reminder that {{petName}} has a {{serviceName}} appointment {{day}}, {{date}} at {{time}}{{providerText}}. Reply or call us if you need to reschedule.',
+      default: 'Hi {{ownerName}}, just a reminder that {{petName}} has a {{serviceName}} appointment {{timeUntil}}, at {{time}}{{providerText}}. See you soon!',
+    },
+  },
+
+  // Notifications sent when an appointment is booked, confirmed, moved or cancelled
+  BOOKING_NOTIFICATIONS: {
+    // Subject (email only) and text per event ({{placeholders}} are filled from the appointment)
+    TEMPLATES: {
+      created: {
+        subject: 'Appointment request received for {{petName}}',
+        text: 'Hi {{ownerName}}, we have received your request for a {{serviceName}} appointment for {{petName}} {{when}}{{providerText}}. We will confirm it shortly.',
+      },
+      confirmed: {
+        subject: "{{petName}}'s appointment is confirmed",
+        text: "Hi {{ownerName}}, {{petName}}'s {{serviceName}} appointment {{when}}{{providerText}} is confirmed. See you then!",
+      },
+      rescheduled: {
+        subject: "{{petName}}'s appointment has moved",
+        text: "Hi {{ownerName}}, {{petName}}'s {{serviceName}} appointment has been moved to {{date}} at {{time}}{{providerText}}. Reply or call us if the new time doesn't work for you.",
+      },
+      cancelled: {
+        subject: "{{petName}}'s appointment has been cancelled",
+        text: "Hi {{ownerName}}, {{petName}}'s {{serviceName}} appointment {{when}} has been cancelled. Get in touch whenever you'd like to book again.",
+      },
+    },
+  },
+
+  // Events webhook subscriptions can receive
+  WEBHOOK_EVENTS: {
+    APPOINTMENT_CREATED: 'appointment.created',
+    APPOINTMENT_STATUS_CHANGED: 'appointment.status_changed',
+    APPOINTMENT_RESCHEDULED: 'appointment.rescheduled',
+    APPOINTMENT_CANCELLED: 'appointment.cancelled',
+    CONVERSATION_STARTED: 'conversation.started',
+    HANDOFF_REQUESTED: 'handoff.requested',
+    HANDOFF_CLAIMED: 'handoff.claimed',
+    HANDOFF_MESSAGE: 'handoff.message',
+    HANDOFF_CLOSED: 'handoff.closed',
+    CALLBACK_REQUESTED: 'callback.requested',
+  },
+
+  // Webhook delivery status ('dead' deliveries have used up their retries and form the dead-letter list)
+  WEBHOOK_DELIVERY_STATUS: {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    DEAD: 'dead',
+  },
+
+  // Webhook delivery configuration
+  WEBHOOKS: {
+    POLL_INTERVAL_SECONDS: 15, // How often due deliveries and retries are looked for
+    MAX_ATTEMPTS: 8, // Delivery attempts before a delivery is dead-lettered
+    RETRY_DELAY_SECONDS: 30, // Wait before the first retry (doubles after each failed attempt)
+    TIMEOUT_MS: 10000, // How long a subscriber has to respond
+    CLAIM_SECONDS: 60, // How long one server owns a delivery while sending it
+    MIN_SECRET_LENGTH: 16,
+  },
+
+  // iCalendar files and subscription feeds
+  CALENDAR: {
+    PRODUCT_ID: '-//Veterinary Chatbot//Appointments//EN',
+    UID_DOMAIN: 'vet-chatbot', // Event UIDs are appointment-<id>@UID_DOMAIN, so updates replace the same entry
+    FEED_PAST_DAYS: 30, // How far back feeds go
+    FEED_FUTURE_DAYS: 180, // How far ahead feeds go
+    REFRESH_MINUTES: 15, // How often calendar apps are asked to refresh a feed
+  },
+
+  // Server-Sent Events for the chat widget and staff dashboards
+  REALTIME: {
+    HEARTBEAT_SECONDS: 25, // Comment lines that keep idle connections open through proxies
+    RETRY_MS: 3000, // How soon EventSource reconnects after a drop
+    MAX_CLIENTS: 1000, // Open streams per server
+    TICKET_SECONDS: 60, // Lifetime of a staff stream ticket
+    DEFAULT_STAFF_EVENTS: ['appointment.*'],
+  },
+
+  // Appointment export and bulk import
+  APPOINTMENT_EXPORT_FORMATS: ['csv', 'xlsx'],
+  APPOINTMENT_IMPORT: {
+    MAX_ROWS: 1000, // Rows per upload
+    MAX_BODY_SIZE: '2mb', // Largest CSV accepted
+    SOURCE: 'import', // context.source of imported appointments
+  },
+
+  // Staff user roles
+  USER_ROLES: {
+    RECEPTIONIST: 'receptionist',
+    VET: 'vet',
+    ADMIN: 'admin',
+  },
+
+  // Provider (clinician) roles
+  PROVIDER_ROLES: {
+    VET: 'vet',
+    GROOMER: 'groomer',
+    TECH: 'tech',
+  },
+
   // Service types
   SERVICE_TYPES: {
     CHECKUP: 'checkup',
@@ -58,17 +263,69 @@ module.exports = {
   // Pet types
   PET_TYPES: ['dog', 'cat', 'bird', 'rabbit', 'hamster', 'fish', 'reptile', 'other'],
 
+  // Pet sex
+  PET_SEX: ['male', 'female', 'unknown'],
+
+  // Where a vaccine stands for a pet
+  VACCINATION_STATUS: {
+    OVERDUE: 'overdue',
+    DUE_SOON: 'due_soon',
+    UP_TO_DATE: 'up_to_date',
+    NO_RECORD: 'no_record', // Never given here and the pet's age is unknown
+  },
+
+  // Vaccination tracking configuration
+  VACCINATIONS: {
+    DUE_SOON_DAYS: 30, // Vaccines due within this many days count as coming up
+  },
+
+  // Vaccination schedules by species
+  // firstDoseWeeks: age of the first dose; boosterMonths: gap after the first dose;
+  // intervalMonths: gap after later doses. core vaccines are expected for every pet of the
+  // species, the others only once a pet has had them.
+  VACCINE_SCHEDULES: {
+    dog: [
+      { id: 'rabies', name: 'Rabies', core: true, firstDoseWeeks: 12, boosterMonths: 12, intervalMonths: 36, aliases: ['rabies'] },
+      { id: 'dhpp', name: 'DHPP (distemper, hepatitis, parvovirus, parainfluenza)', core: true, firstDoseWeeks: 8, boosterMonths: 12, intervalMonths: 36, aliases: ['dhpp', 'dapp', 'da2pp', 'distemper', 'parvo', 'parvovirus', 'hepatitis', 'adenovirus'] },
+      { id: 'leptospirosis', name: 'Leptospirosis', core: false, firstDoseWeeks: 12, boosterMonths: 12, intervalMonths: 12, aliases: ['leptospirosis', 'lepto'] },
+      { id: 'bordetella', name: 'Bordetella (kennel cough)', core: false, firstDoseWeeks: 8, boosterMonths: 12, intervalMonths: 12, aliases: ['bordetella', 'kennel cough'] },
+    ],
+    cat: [
+      { id: 'rabies', name: 'Rabies', core: true, firstDoseWeeks: 12, boosterMonths: 12, intervalMonths: 36, aliases: ['rabies'] },
+      { id: 'fvrcp', name: 'FVRCP (feline distemper)', core: true, firstDoseWeeks: 8, boosterMonths: 12, intervalMonths: 36, aliases: ['fvrcp', 'feline distemper', 'distemper', 'panleukopenia', 'calicivirus', 'rhinotracheitis'] },
+      { id: 'felv', name: 'FeLV (feline leukemia)', core: false, firstDoseWeeks: 8, boosterMonths: 12, intervalMonths: 12, aliases: ['felv', 'feline leukemia', 'leukemia'] },
+    ],
+  },
+
   // Time slots configuration
   TIME_SLOTS: {
-    START_HOUR: 9,  // 9 AM
-    END_HOUR: 18,   // 6 PM
     SLOT_DURATION: 30, // 30 minutes
-    BREAK_START: 13, // 1 PM
-    BREAK_END: 14,   // 2 PM
+    HOLD_MINUTES: 5, // How long a slot is held while a chat booking is being confirmed
   },
 
-  // Days of operation (0 = Sunday, 6 = Saturday)
-  OPERATING_DAYS: [1, 2, 3, 4, 5, 6], // Monday to Saturday
+  // Open times offered as quick replies while booking in the chat
+  CHAT_BOOKING: {
+    SUGGESTIONS: 4, // How many open times to offer
+    SEARCH_DAYS: 14, // How far ahead to look for them
+    MIN_NOTICE_MINUTES: 30, // How soon a same-day appointment may start
+  },
+
+  // Weekly hours used until an admin edits the schedule (0 = Sunday, 6 = Saturday)
+  DEFAULT_WEEKLY_HOURS: [
+    { dayOfWeek: 0, isOpen: false },
+    { dayOfWeek: 1, isOpen: true, start: '09:00', end: '18:00', breakStart: '13:00', breakEnd: '14:00' },
+    { dayOfWeek: 2, isOpen: true, start: '09:00', end: '18:00', breakStart: '13:00', breakEnd: '14:00' },
+    { dayOfWeek: 3, isOpen: true, start: '09:00', end: '18:00', breakStart: '13:00', breakEnd: '14:00' },
+    { dayOfWeek: 4, isOpen: true, start: '09:00', end: '18:00', breakStart: '13:00', breakEnd: '14:00' },
+    { dayOfWeek: 5, isOpen: true, start: '09:00', end: '18:00', breakStart: '13:00', breakEnd: '14:00' },
+    { dayOfWeek: 6, isOpen: true, start: '09:00', end: '14:00' },
+  ],
+
+  // Date-specific schedule changes
+  SCHEDULE_EXCEPTION_TYPES: {
+    CLOSED: 'closed',
+    SPECIAL_HOURS: 'special_hours',
+  },
 
   // Validation patterns
   VALIDATION: {
@@ -76,24 +333,96 @@ module.exports = {
     EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
     NAME_MIN_LENGTH: 2,
     NAME_MAX_LENGTH: 100,
+    PASSWORD_MIN_LENGTH: 8,
   },
 
   // API Response messages
   MESSAGES: {
     WELCOME: "Hello! 🐾 I'm your veterinary assistant. I can help you with pet care questions or book a vet appointment. How can I help you today?",
     APPOINTMENT_START: "I'd be happy to help you book an appointment! Let me collect some information. What is the pet owner's name?",
+    APPOINTMENT_START_WITH_PROVIDER: (providerName) => `I'd be happy to help you book an appointment with ${providerName}! Let me collect some information. What is the pet owner's name?`,
     ASK_PET_NAME: "Great! And what is your pet's name?",
     ASK_PHONE: "Perfect! What phone number can we reach you at?",
+    ASK_WHICH_PET: (ownerName, petNames) => `Welcome back, ${ownerName}! Is this appointment for ${petNames}? (Or tell me the name of another pet.)`,
     ASK_DATE_TIME: "Almost done! When would you like to schedule the appointment? (Please provide your preferred date and time, e.g., 'January 30, 2026 at 2:00 PM' or 'tomorrow at 3pm')",
-    CONFIRM_BOOKING: (details) => `Please confirm your appointment details:\n\n👤 Owner: ${details.ownerName}\n🐾 Pet: ${details.petName}\n📞 Phone: ${details.phone}\n📅 Date/Time: ${details.preferredDateTime}\n\nReply "yes" to confirm or "no" to start over.`,
+    ASK_TIME_FOR_DATE: (dateLabel) => `Almost done! What time would suit you on ${dateLabel}? (e.g., '10am' or '3:30 PM')`,
+    ASK_DATE_FOR_TIME: (time) => `Almost done! Which day would you like to come in at ${time}? (e.g., 'tomorrow' or 'January 30, 2026')`,
+    CONFIRM_BOOKING: (details) => `Please confirm your appointment details:\n\n👤 Owner: ${details.ownerName}\n🐾 Pet: ${details.petName}${details.petType ? ` (${details.petType})` : ''}\n📞 Phone: ${details.phone}${details.email ? `\n✉️ Email: ${details.email}` : ''}${details.serviceName ? `\n🩹 Service: ${details.serviceName}` : ''}\n📅 Date/Time: ${details.preferredDateTime}${details.providerName ? `\n🩺 With: ${details.providerName}` : ''}\n\nReply "yes" to confirm, "no" to cancel, or tell me what to change (e.g. "change the phone to 555-123-0000").`,
     BOOKING_SUCCESS: "✅ Your appointment has been booked successfully! You'll receive a confirmation soon. Is there anything else I can help you with?",
     BOOKING_CANCELLED: "No problem! The booking has been cancelled. Feel free to start over whenever you're ready. Is there anything else I can help with?",
     NON_VET_RESPONSE: "I apologize, but I can only help with veterinary and pet-related questions. Is there anything about your pet's health, care, or scheduling a vet appointment that I can assist you with?",
     ERROR_RESPONSE: "I'm sorry, I encountered an issue processing your request. Please try again or ask a different question.",
     INVALID_PHONE: "That doesn't look like a valid phone number. Please enter a valid phone number (e.g., +1234567890 or 123-456-7890).",
     INVALID_NAME: "Please enter a valid name (at least 2 characters).",
+    INVALID_PET_NAME: "Please enter your pet's name.",
+    WHICH_PET_AGAIN: (petNames) => `Which pet is the appointment for? Reply with ${petNames}, or another pet's name.`,
+    CONFIRM_BOOKING_AGAIN: 'Please reply "yes" to confirm or "no" to cancel the booking, or tell me what to change (e.g. "change the date to Thursday").',
+    SLOT_UNAVAILABLE: "Sorry, that time isn't available. Please choose another date or time (e.g., 'tomorrow at 11am').",
+    DATE_NOT_UNDERSTOOD: "Sorry, I couldn't work out which day you mean.",
+    ASK_TIME_ON_DAY: (dateLabel) => `What time on ${dateLabel} would suit you?`,
+    TIME_PASSED: 'That time has already passed.',
+    RUNS_PAST_CLOSING: 'That appointment would run past our break or closing time.',
+    SLOT_TAKEN: (slotLabel) => `Sorry, ${slotLabel} is already booked.`,
+    SUGGEST_SLOTS: (reason, choices) => `${reason} The nearest open times are ${choices}. Pick one, or tell me another date and time.`,
+    NO_OPEN_SLOTS: (reason, days) => `${reason} I couldn't find an open time in the next ${days} days, so please call the clinic and we'll fit you in.`,
+    JOIN_WAITLIST_OPTION: 'Join the waitlist',
+    MANAGE_ASK_PHONE: "I couldn't find any upcoming appointments for this chat. What phone number was the appointment booked under?",
+    MANAGE_ASK_PET_NAME: "Thanks! To make sure it's you, what is the name of the pet the appointment is for?",
+    MANAGE_NONE_FOUND: "I couldn't find any upcoming appointments for those details. If you think this is a mistake, please call the clinic. Is there anything else I can help with?",
+    MANAGE_EXITED: "No problem, I've left your appointment unchanged. Is there anything else I can help with?",
+    MANAGE_LIST: (items) => `Here are your upcoming appointments:\n\n${items.join('\n')}\n\nYou can say "reschedule" or "cancel my appointment" if you need to change anything.`,
+    MANAGE_SELECT: (action, items) => `Which appointment would you like to ${action}?\n\n${items.join('\n')}\n\nReply with the number or your pet's name.`,
+    MANAGE_INVALID_SELECTION: "Sorry, I didn't catch which one. Please reply with the number shown next to the appointment.",
+    CONFIRM_CANCELLATION: (summary) => `Are you sure you want to cancel this appointment?\n\n${summary}\n\nReply "yes" to cancel it or "no" to keep it.`,
+    CANCELLATION_SUCCESS: (summary) => `✅ Your appointment has been cancelled:\n\n${summary}\n\nIs there anything else I can help you with?`,
+    ASK_NEW_DATE_TIME: (summary) => `Your current appointment is:\n\n${summary}\n\nWhen would you like to move it to? (e.g., 'Friday at 3pm' or 'February 5 at 10:00 AM')`,
+    INVALID_NEW_DATE_TIME: "I couldn't understand that date. Please give a day and, optionally, a time (e.g., 'next Monday at 11am').",
+    CONFIRM_RESCHEDULE: (from, to) => `Please confirm the change:\n\n❌ From: ${from}\n✅ To: ${to}\n\nReply "yes" to confirm or "no" to keep your current time.`,
+    RESCHEDULE_SUCCESS: (summary) => `✅ Your appointment has been rescheduled:\n\n${summary}\n\nIs there anything else I can help you with?`,
+    DAY_FULLY_BOOKED: (dateLabel) => `Sorry, ${dateLabel} is fully booked. Reply "waitlist" to join the waitlist for that day and we'll offer you the first slot that opens up, or choose another date or time.`,
+    WAITLIST_JOINED: (dateLabel) => `✅ You're on the waitlist for ${dateLabel}. If a slot opens up we'll hold it for you and let you know here. Is there anything else I can help you with?`,
+    WAITLIST_OFFER: (details) => `🎉 Good news! A ${details.serviceName} slot for ${details.petName} has opened up on ${details.dateLabel} at ${details.timeLabel}. We're holding it for you for ${details.minutes} minutes.\n\nReply "yes" to book it or "no" to pass.`,
+    WAITLIST_OFFER_BOOKED: (summary) => `✅ Your appointment has been booked:\n\n${summary}\n\nIs there anything else I can help you with?`,
+    WAITLIST_OFFER_DECLINED: "No problem, we've passed that slot on and kept you on the waitlist. Is there anything else I can help you with?",
+    WAITLIST_OFFER_CLOSED: "That slot is no longer on offer. Is there anything else I can help you with?",
+    WAITLIST_OFFER_EXPIRED: (when) => `The slot we held for you on ${when} has been passed on, but you're still on the waitlist.`,
+    VACCINATION_ASK_NAME: "I can check your pet's vaccination records. First, what name are your pets registered under?",
+    VACCINATION_ASK_PHONE: "Thanks! And what phone number is on your account?",
+    VACCINATION_OWNER_NOT_FOUND: "Sorry, I couldn't find a pet profile for those details. Vaccination records are created after your pet's first visit with us. Would you like to book one? Just say 'book appointment'!",
+    VACCINATION_NO_PETS: "I found your account, but there are no pets on it yet. Would you like to book an appointment? Just say 'book appointment'!",
+    VACCINATION_WHICH_PET: (petNames) => `Which pet would you like me to check: ${petNames}?`,
+    VACCINATION_OFFER_BOOKING: (petName) => `Would you like to book a vaccination appointment for ${petName}? Reply "yes" to pick a time or "no" if not.`,
+    VACCINATION_BOOKING_DECLINED: "No problem! Is there anything else I can help you with?",
+    HANDOFF_REQUESTED: "Of course! I've asked a member of our team to join this chat. They'll reply here as soon as they're free, and I'm happy to help in the meantime.",
+    HANDOFF_EMERGENCY: "🚨 **If your pet is having trouble breathing, is bleeding heavily, is having a seizure or may have been poisoned, please call the clinic or your nearest emergency vet right now.**\n\nI've also alerted our team, and someone will join this chat as soon as possible.",
+    HANDOFF_UNRESOLVED: "Sorry, I'm not able to help with that one. I've asked a member of our team to join this chat, and they'll reply here as soon as they're free.",
+    HANDOFF_PENDING: "A member of our team has already been asked to join and will reply here shortly.",
+    HANDOFF_AGENT_JOINED: (agentName) => `${agentName} from the clinic has joined the chat.`,
+    HANDOFF_CLOSED: "Our team member has left the chat. I'm back to help. Is there anything else I can do for you?",
+    ASK_SLOT_DATE: "What date works for you? (e.g., 'tomorrow' or 'March 3')",
+    ASK_SLOT_TIME: "What time works for you? (e.g., '10am' or 'in the afternoon')",
+    ASK_SLOT_SPECIES: "What kind of pet is it? (e.g., dog, cat, rabbit or bird)",
+    REGISTER_PET_START: "Happy to add your pet to our records! First, what is the pet owner's name?",
+    ASK_PET_TYPE: (petName) => `What kind of pet is ${petName}? (e.g., dog, cat, rabbit or bird)`,
+    INVALID_PET_TYPE: "Sorry, I didn't catch that. Is your pet a dog, cat, bird, rabbit, hamster, fish, reptile or other?",
+    ASK_PET_BREED: (petName) => `What breed is ${petName}? (Reply "skip" if you're not sure.)`,
+    CONFIRM_PET_REGISTRATION: (details) => `Please confirm your pet's details:\n\n👤 Owner: ${details.ownerName}\n📞 Phone: ${details.phone}\n🐾 Pet: ${details.petName} (${details.petType}${details.breed ? `, ${details.breed}` : ''})\n\nReply "yes" to save or "no" to cancel.`,
+    PET_REGISTERED: (petName) => `✅ ${petName} has been added to your profile. Is there anything else I can help you with?`,
+    PET_REGISTRATION_FAILED: "There was an issue saving your pet's details. Please try again.",
+    CALLBACK_START: "Of course, we can give you a call. What name should we ask for?",
+    ASK_CALLBACK_REASON: 'What would you like to talk about? (Reply "skip" to leave it for the call.)',
+    ASK_CALLBACK_TIME: "When is a good time to call? (e.g., 'weekday mornings' or 'after 5pm'; reply \"skip\" for any time)",
+    CONFIRM_CALLBACK: (details) => `Please confirm your callback request:\n\n👤 Name: ${details.ownerName}\n📞 Phone: ${details.phone}${details.reason ? `\n💬 About: ${details.reason}` : ''}\n🕒 When: ${details.callbackTime || 'Any time'}\n\nReply "yes" to send it or "no" to cancel.`,
+    CALLBACK_REQUESTED: "✅ Thanks! We've passed your request on and a member of our team will call you back. Is there anything else I can help you with?",
+    CALLBACK_FAILED: "There was an issue sending your callback request. Please try again.",
+    FORM_CONFIRM_AGAIN: 'Please reply "yes" to confirm or "no" to cancel, or tell me what to change (e.g. "change the phone to 555-123-0000").',
+    FORM_UPDATED: (summary) => `Done, I've updated that. ${summary}`,
+    FORM_GONE_BACK: (question) => `No problem, let's go back. ${question}`,
+    FORM_NOTHING_TO_GO_BACK: (question) => `That's the first question, so there's nothing to go back to. ${question}`,
+    FORM_CANCELLED: "No problem, I've cancelled that. Is there anything else I can help with?",
+    FAQ_DID_YOU_MEAN: (titles) => `I have a few answers that might help. Did you mean:\n\n${titles.map(title => `• ${title}`).join('\n')}\n\nJust ask about the one you need.`,
     DEFAULT_RESPONSE: "I'm here to help you with pet care questions and appointment booking. Would you like to:\n\n1. 📅 Book an appointment - just say 'book appointment'\n2. ❓ Ask a pet care question\n3. ℹ️ Get help - say 'help'\n\nWhat would you like to do?",
-    HELP_MESSAGE: "Here's what I can help you with:\n\n📅 **Book an Appointment**\nSay 'book', 'appointment', or 'schedule' to start booking.\n\n🐾 **Pet Care Questions**\nAsk about vaccinations, diet, grooming, or general pet care.\n\n❌ **Cancel**\nSay 'cancel' or 'stop' to cancel the current action.\n\nHow can I assist you today?",
+    HELP_MESSAGE: "Here's what I can help you with:\n\n📅 **Book an Appointment**\nSay 'book', 'appointment', or 'schedule' to start booking.\n\n🐾 **Pet Care Questions**\nAsk about vaccinations, diet, grooming, or general pet care.\n\n🔁 **Manage an Appointment**\nSay 'when is my appointment', 'reschedule my appointment', or 'cancel my appointment'.\n\n💉 **Vaccinations**\nAsk 'when is Buddy due for rabies?' or 'is Luna up to date on her shots?'\n\n🐶 **Register a Pet**\nSay 'register my pet' to add a pet to your profile.\n\n📞 **Request a Callback**\nSay 'call me back' and a member of our team will phone you.\n\n❌ **Cancel**\nSay 'cancel' or 'stop' to cancel the current action.\n\nHow can I assist you today?",
   },
 
   // Intent detection keywords for appointment booking
@@ -133,47 +462,92 @@ module.exports = {
     'yo',
   ],
 
-  // FAQ responses for common pet care questions
+  // Answer generators FAQs can use instead of a fixed response
+  FAQ_GENERATORS: {
+    CLINIC_HOURS: 'clinic_hours',
+  },
+
+  // FAQ knowledge base limits
+  FAQ: {
+    MAX_TERMS: 50, // Keywords or synonyms per FAQ
+    MAX_TERM_LENGTH: 50,
+    MAX_RESPONSE_LENGTH: 5000,
+  },
+
+  // Ranked FAQ retrieval (see utils/textSearch and AIService.searchFAQ)
+  FAQ_SEARCH: {
+    // How much a matching word counts in each part of an FAQ
+    FIELD_WEIGHTS: { terms: 3, title: 2, response: 1 },
+    PHRASE_BOOST: 0.5, // Extra weight when a multi-word keyword appears as a whole
+    CONFIDENCE_SCALE: 6, // Score that counts as 50% confidence
+    MIN_CONFIDENCE: 0.3, // Below this the bot gives its default reply
+    SUGGESTION_RATIO: 0.8, // Answers scoring within this share of the best are offered as "did you mean"
+    MAX_SUGGESTIONS: 3,
+  },
+
+  // Default FAQs, seeded into the database on first start and edited through /api/faqs after that
   FAQ_RESPONSES: [
     {
+      id: 'vaccinations',
+      title: 'Pet Vaccinations',
       keywords: ['vaccination', 'vaccine', 'vaccinate', 'shots', 'immunization'],
-      response: "🐾 **Pet Vaccinations**\n\nVaccinations are essential for your pet's health! Here's what you should know:\n\n**For Dogs:**\n- Core vaccines: Rabies, Distemper, Parvovirus, Adenovirus\n- Usually start at 6-8 weeks old\n- Boosters needed annually\n\n**For Cats:**\n- Core vaccines: Rabies, Feline Distemper (FVRCP)\n- Usually start at 6-8 weeks old\n\nWould you like to book an appointment for vaccinations? Just say 'book appointment'!",
+      response: "🐾 **Pet Vaccinations**\n\nVaccinations are essential for your pet's health! Here's what you should know:\n\n**For Dogs:**\n- Core vaccines: Rabies, Distemper, Parvovirus, Adenovirus\n- Usually start at 6-8 weeks old\n- Boosters needed annually\n\n**For Cats:**\n- Core vaccines: Rabies, Feline Distemper (FVRCP)\n- Usually start at 6-8 weeks old\n\nAlready a patient? Ask me 'when is Buddy due for rabies?' (with your pet's name) to check their records.\n\nWould you like to book an appointment for vaccinations? Just say 'book appointment'!",
     },
     {
+      id: 'diet',
+      title: 'Pet Diet & Nutrition',
       keywords: ['diet', 'food', 'feed', 'eating', 'nutrition', 'hungry'],
       response: "🍽️ **Pet Diet & Nutrition**\n\n**General Tips:**\n- Feed age-appropriate food (puppy/kitten, adult, senior)\n- Measure portions to prevent obesity\n- Fresh water always available\n- Avoid: chocolate, grapes, onions, garlic\n\n**Feeding Schedule:**\n- Puppies: 3-4 times daily\n- Adult dogs: 2 times daily\n- Cats: 2-3 times daily\n\nIf you have concerns about your pet's diet, consider booking a consultation!",
     },
     {
+      id: 'grooming',
+      title: 'Pet Grooming Tips',
       keywords: ['grooming', 'bath', 'brush', 'nail', 'fur', 'hair', 'shed'],
       response: "✨ **Pet Grooming Tips**\n\n**Regular Care:**\n- Brush regularly (daily for long-haired breeds)\n- Bath every 4-6 weeks or as needed\n- Trim nails every 2-4 weeks\n- Clean ears weekly\n- Brush teeth regularly\n\n**Watch For:**\n- Mats or tangles\n- Skin irritation\n- Excessive shedding\n\nNeed a grooming appointment? Say 'book appointment'!",
     },
     {
-      keywords: ['sick', 'ill', 'symptom', 'vomit', 'diarrhea', 'not eating', 'lethargic'],
+      id: 'health-concerns',
+      title: 'Pet Health Concerns',
+      keywords: ['sick', 'ill', 'symptom', 'vomit', 'diarrhea', 'not eating', 'lethargic', 'hair loss', 'losing hair', 'falling out', 'limping', 'coughing'],
       response: "⚠️ **Pet Health Concerns**\n\n**Warning Signs to Watch For:**\n- Loss of appetite for more than 24 hours\n- Vomiting or diarrhea\n- Lethargy or weakness\n- Difficulty breathing\n- Excessive thirst or urination\n\n**Important:** If your pet shows severe symptoms, please seek immediate veterinary care.\n\nWould you like to book an appointment? Just say 'book appointment'!",
     },
     {
+      id: 'parasites',
+      title: 'Parasite Prevention',
       keywords: ['flea', 'tick', 'parasite', 'worm', 'deworming'],
       response: "🐛 **Parasite Prevention**\n\n**Common Parasites:**\n- Fleas and ticks\n- Heartworms\n- Intestinal worms\n\n**Prevention Tips:**\n- Use monthly preventatives\n- Keep your yard clean\n- Regular vet check-ups\n- Wash bedding frequently\n\nNeed parasite prevention products or a check-up? Book an appointment!",
     },
     {
+      id: 'training',
+      title: 'Pet Training & Behavior',
       keywords: ['training', 'behavior', 'obedience', 'bite', 'bark', 'aggressive'],
       response: "🎓 **Pet Training & Behavior**\n\n**Basic Tips:**\n- Start training early\n- Use positive reinforcement\n- Be consistent with commands\n- Keep training sessions short (5-10 minutes)\n- Socialize your pet early\n\n**Common Issues:**\n- Excessive barking - address underlying cause\n- Biting - redirect to appropriate toys\n- Anxiety - create a safe space\n\nFor behavioral concerns, a vet consultation can help rule out medical issues!",
     },
     {
+      id: 'emergency',
+      title: 'Pet Emergency',
       keywords: ['emergency', 'urgent', 'poison', 'accident', 'injury', 'bleeding'],
       response: "🚨 **Pet Emergency**\n\n**If this is an emergency, please contact your nearest emergency vet clinic immediately!**\n\n**Emergency Signs:**\n- Difficulty breathing\n- Severe bleeding\n- Suspected poisoning\n- Seizures\n- Inability to walk\n- Severe vomiting/diarrhea\n\n**First Aid Tips:**\n- Stay calm\n- Keep your pet warm and quiet\n- Don't give human medications\n- Transport safely to the vet\n\nFor non-emergency appointments, say 'book appointment'.",
     },
     {
+      id: 'spay-neuter',
+      title: 'Spaying & Neutering',
       keywords: ['spay', 'neuter', 'sterilize', 'fix'],
       response: "✂️ **Spaying & Neutering**\n\n**Benefits:**\n- Prevents unwanted litters\n- Reduces risk of certain cancers\n- Can reduce behavioral issues\n- Helps pets live longer, healthier lives\n\n**When to Do It:**\n- Dogs: 6-9 months (varies by breed)\n- Cats: Around 4-6 months\n\nWould you like to schedule a consultation? Say 'book appointment'!",
     },
     {
+      id: 'dental',
+      title: 'Pet Dental Care',
       keywords: ['dental', 'teeth', 'breath', 'mouth'],
       response: "🦷 **Pet Dental Care**\n\n**Dental Health Tips:**\n- Brush teeth regularly (daily is ideal)\n- Use pet-safe toothpaste\n- Provide dental chews\n- Regular dental check-ups\n\n**Warning Signs:**\n- Bad breath\n- Red or swollen gums\n- Difficulty eating\n- Loose teeth\n\nDental problems can affect overall health. Book a dental check-up today!",
     },
     {
-      keywords: ['hours', 'open', 'timing', 'when', 'available'],
-      response: "🕐 **Our Hours**\n\nWe're here to help your pets!\n\n**Clinic Hours:**\n- Monday - Friday: 9:00 AM - 6:00 PM\n- Saturday: 9:00 AM - 2:00 PM\n- Sunday: Closed (Emergency only)\n\nWould you like to book an appointment? Just say 'book appointment'!",
+      // Answer is built from the clinic schedule (see ScheduleService.getHoursAnswer)
+      id: 'hours',
+      title: 'Opening Hours',
+      keywords: ['hours', 'open', 'opening hours', 'closing time', 'timing', 'available'],
+      response: null,
+      generator: 'clinic_hours',
     },
   ],
 };
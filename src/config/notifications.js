@@ -0,0 +1,114 @@
+/**
+ * Notification Configuration
+ * Reminder lead times, reminder and booking channels, the notification log file and the email/SMS transports
+ */
+
+const { REMINDERS } = require('./constants');
+
+const DURATION_REGEX = /^(\d+)\s*(m|min|h|d)?$/i;
+const UNIT_MINUTES = { m: 1, min: 1, h: 60, d: 24 * 60 };
+
+/**
+ * Parse a lead time such as "24h", "90m", "1d" or "120" (minutes)
+ */
+const parseLeadTime = (value) => {
+  const match = String(value).trim().match(DURATION_REGEX);
+  if (!match) {
+    return null;
+  }
+  const minutes = parseInt(match[1], 10) * UNIT_MINUTES[(match[2] || 'm').toLowerCase()];
+  return minutes > 0 ? minutes : null;
+};
+
+/**
+ * Get the reminder lead times in minutes, longest first
+ * REMINDER_LEAD_TIMES is a comma-separated list (e.g. "24h,2h"); throws on an invalid entry
+ */
+const getReminderLeadMinutes = () => {
+  const configured = process.env.REMINDER_LEAD_TIMES;
+  if (!configured) {
+    return [...REMINDERS.LEAD_MINUTES].sort((a, b) => b - a);
+  }
+
+  const leadMinutes = configured.split(',').filter(value => value.trim()).map(value => {
+    const minutes = parseLeadTime(value);
+    if (minutes === null) {
+      throw new Error(`REMINDER_LEAD_TIMES entry "${value.trim()}" is not a valid duration (e.g. 24h, 90m)`);
+    }
+    return minutes;
+  });
+
+  return [...new Set(leadMinutes)].sort((a, b) => b - a);
+};
+
+/**
+ * Get the notifier channels reminders are sent through (null = every registered channel)
+ */
+const getReminderChannels = () => {
+  const configured = process.env.REMINDER_CHANNELS;
+  if (!configured) {
+    return null;
+  }
+  return configured.split(',').map(name => name.trim()).filter(Boolean);
+};
+
+/**
+ * Get the file the file channel appends notifications to (null = file channel disabled)
+ */
+const getNotificationLogFile = () => {
+  return process.env.NOTIFICATION_LOG_FILE || null;
+};
+
+/**
+ * Get the notifier channels booking notifications are sent through (null = every registered channel)
+ */
+const getBookingNotificationChannels = () => {
+  const configured = process.env.BOOKING_NOTIFICATION_CHANNELS;
+  if (!configured) {
+    return null;
+  }
+  return configured.split(',').map(name => name.trim()).filter(Boolean);
+};
+
+/**
+ * Get the SMTP settings for the email channel (null = email channel disabled)
+ * SMTP_SECURE=true connects over TLS (port 465); otherwise STARTTLS is used when the server offers it
+ */
+const getSmtpConfig = () => {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 25),
+    secure,
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from: process.env.SMTP_FROM || `clinic@${process.env.SMTP_HOST}`,
+  };
+};
+
+/**
+ * Get the HTTP gateway settings for the SMS channel (null = SMS channel disabled)
+ */
+const getSmsGatewayConfig = () => {
+  if (!process.env.SMS_GATEWAY_URL) {
+    return null;
+  }
+  return {
+    url: process.env.SMS_GATEWAY_URL,
+    apiKey: process.env.SMS_GATEWAY_API_KEY || null,
+    from: process.env.SMS_FROM || null,
+  };
+};
+
+module.exports = {
+  parseLeadTime,
+  getReminderLeadMinutes,
+  getReminderChannels,
+  getBookingNotificationChannels,
+  getNotificationLogFile,
+  getSmtpConfig,
+  getSmsGatewayConfig,
+};
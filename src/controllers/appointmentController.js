@@ -3,8 +3,16 @@
  * Handles appointment-related HTTP requests
  */
 
-const { AppointmentService } = require('../services');
-const { SERVICES, PET_TYPES, APPOINTMENT_STATUS } = require('../config/constants');
+const { AppointmentService, ReminderService, VisitService, CalendarService, AppointmentImportExportService } = require('../services');
+const { SERVICES, PET_TYPES, APPOINTMENT_STATUS, USER_ROLES, APPOINTMENT_EXPORT_FORMATS } = require('../config/constants');
+const { toDateKey } = require('../utils/timezoneUtils');
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
 
 class AppointmentController {
   /**
@@ -60,13 +68,130 @@ class AppointmentController {
     }
   }
 
+  /**
+   * GET /api/appointments/export
+   * Download the appointments matching the list filters as CSV or XLSX
+   */
+  static async exportAppointments(req, res) {
+    try {
+      const {
+        format = 'csv',
+        status,
+        date,
+        startDate,
+        endDate,
+        search,
+        sortBy = 'scheduledDate',
+        sortOrder = 'asc',
+      } = req.query;
+
+      if (!APPOINTMENT_EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid format. Must be one of: ${APPOINTMENT_EXPORT_FORMATS.join(', ')}`,
+        });
+      }
+
+      res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+      res.set('Content-Disposition', `attachment; filename="appointments-${toDateKey(new Date())}.${format}"`);
+
+      const result = await AppointmentImportExportService.exportAppointments({
+        status: status || null,
+        date: date || null,
+        startDate: startDate || null,
+        endDate: endDate || null,
+        search: search || null,
+        sortBy,
+        sortOrder,
+      }, { format, output: res });
+
+      if (!result.success) {
+        // Part of the file may already be on its way; cut it off so it is not mistaken for a whole export
+        if (res.headersSent) {
+          return res.destroy();
+        }
+        res.removeHeader('Content-Disposition');
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+    } catch (error) {
+      console.error('Export appointments error:', error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/appointments/import
+   * Bulk-import appointments from a CSV, with a per-row report
+   */
+  static async importAppointments(req, res) {
+    try {
+      // The CSV is the raw body (text/csv), or the csv field of a JSON body
+      const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+      if (!csv || typeof csv !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Send the CSV as a text/csv body or as the csv field of a JSON body',
+        });
+      }
+
+      const result = await AppointmentImportExportService.importAppointments(csv, {
+        dryRun: req.query.dryRun === 'true',
+        notifyOwner: req.query.notify === 'true',
+      });
+
+      if (!result.success) {
+        return res.status(result.code ? 400 : 500).json({
+          success: false,
+          error: result.error,
+          missingColumns: result.missingColumns || [],
+        });
+      }
+
+      return res.status(result.dryRun ? 200 : 201).json({
+        success: true,
+        data: {
+          dryRun: result.dryRun,
+          summary: result.summary,
+          rows: result.results,
+        },
+        message: result.dryRun
+          ? `Dry run: ${result.summary.valid} of ${result.summary.rows} rows can be imported`
+          : `Imported ${result.summary.imported} of ${result.summary.rows} rows`,
+      });
+    } catch (error) {
+      console.error('Import appointments error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
   /**
    * GET /api/appointments/today
    * Get today's appointments
    */
   static async getTodaysAppointments(req, res) {
     try {
-      const result = await AppointmentService.getTodaysAppointments();
+      const { providerId } = req.query;
+
+      if (providerId && !OBJECT_ID_REGEX.test(providerId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid provider ID format',
+        });
+      }
+
+      const result = await AppointmentService.getTodaysAppointments(providerId || null);
 
       if (!result.success) {
         return res.status(500).json({
@@ -132,11 +257,23 @@ class AppointmentController {
         });
       }
 
-      const result = await AppointmentService.getAppointmentsByDate(date);
+      const { providerId } = req.query;
+
+      if (providerId && !OBJECT_ID_REGEX.test(providerId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid provider ID format',
+        });
+      }
+
+      const result = await AppointmentService.getAppointmentsByDate(date, providerId || null);
 
       return res.status(200).json({
         success: true,
-        data: result.appointments || [],
+        data: (result.appointments || []).map(appointment => ({
+          ...appointment.toObject(),
+          calendarUrl: CalendarService.getAppointmentCalendarPath(appointment),
+        })),
       });
     } catch (error) {
       console.error('Get appointments by date error:', error);
@@ -162,7 +299,23 @@ class AppointmentController {
         });
       }
 
-      const result = await AppointmentService.getAvailableSlots(date);
+      const { service, providerId } = req.query;
+
+      if (service && !SERVICES.some(s => s.id === service)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid service. Must be one of: ${SERVICES.map(s => s.id).join(', ')}`,
+        });
+      }
+
+      if (providerId && !OBJECT_ID_REGEX.test(providerId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid provider ID format',
+        });
+      }
+
+      const result = await AppointmentService.getAvailableSlots(date, service || null, providerId || null);
 
       if (!result.success) {
         return res.status(400).json({
@@ -190,9 +343,23 @@ class AppointmentController {
    */
   static async getAvailableDates(req, res) {
     try {
-      const { days = 14 } = req.query;
+      const { days = 14, service, providerId } = req.query;
+
+      if (service && !SERVICES.some(s => s.id === service)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid service. Must be one of: ${SERVICES.map(s => s.id).join(', ')}`,
+        });
+      }
+
+      if (providerId && !OBJECT_ID_REGEX.test(providerId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid provider ID format',
+        });
+      }
 
-      const result = await AppointmentService.getAvailableDates(parseInt(days, 10));
+      const result = await AppointmentService.getAvailableDates(parseInt(days, 10), service || null, providerId || null);
 
       if (!result.success) {
         return res.status(500).json({
@@ -274,6 +441,34 @@ class AppointmentController {
     }
   }
 
+  /**
+   * GET /api/appointments/:id/reminders
+   * Get the reminders and delivery attempts for an appointment
+   */
+  static async getReminders(req, res) {
+    try {
+      const result = await ReminderService.getReminders(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.code === 'INVALID_ID' ? 400 : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.reminders,
+      });
+    } catch (error) {
+      console.error('Get reminders error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
   /**
    * GET /api/appointments/session/:sessionId
    * Get appointments by session ID
@@ -319,6 +514,8 @@ class AppointmentController {
         service,
         scheduledDate,
         scheduledTimeSlot,
+        providerId,
+        petId,
         reason,
         notes,
         userId,
@@ -333,6 +530,9 @@ class AppointmentController {
         });
       }
 
+      // Anyone can book, but only staff may say whose pet or account the booking is for
+      const isStaff = Boolean(req.user);
+
       const result = await AppointmentService.createDirectAppointment({
         ownerName,
         petName,
@@ -342,9 +542,11 @@ class AppointmentController {
         service,
         scheduledDate,
         scheduledTimeSlot,
+        providerId,
+        petId: isStaff ? petId : null,
         reason,
         notes,
-        userId,
+        userId: isStaff ? userId : null,
         source,
       });
 
@@ -368,7 +570,10 @@ class AppointmentController {
 
       return res.status(201).json({
         success: true,
-        data: result.appointment,
+        data: {
+          ...result.appointment.toObject(),
+          calendarUrl: CalendarService.getAppointmentCalendarPath(result.appointment),
+        },
         message: 'Appointment created successfully',
       });
     } catch (error) {
@@ -436,7 +641,7 @@ class AppointmentController {
   static async updateStatus(req, res) {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, visitRecord } = req.body;
 
       if (!id) {
         return res.status(400).json({
@@ -453,18 +658,56 @@ class AppointmentController {
         });
       }
 
+      // A visit record can be filed along with completing the appointment (vets and admins only)
+      if (visitRecord !== undefined) {
+        if (status !== APPOINTMENT_STATUS.COMPLETED) {
+          return res.status(400).json({
+            success: false,
+            error: 'A visit record can only be added when completing an appointment',
+          });
+        }
+        if (![USER_ROLES.VET, USER_ROLES.ADMIN].includes(req.user.role)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Only vets and admins can add visit records',
+          });
+        }
+        const errors = VisitService.validateVisitData(visitRecord || {});
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+            errors,
+          });
+        }
+      }
+
       const result = await AppointmentService.updateStatus(id, status);
 
       if (!result.success) {
-        return res.status(404).json({
+        return res.status(result.slotTaken ? 409 : 404).json({
           success: false,
           error: result.error,
         });
       }
 
+      let record = null;
+      if (visitRecord !== undefined) {
+        const recordResult = await VisitService.createVisitRecord(id, visitRecord || {}, req.user);
+        if (!recordResult.success) {
+          return res.status(recordResult.code === 'DUPLICATE_RECORD' ? 409 : 400).json({
+            success: false,
+            error: `Appointment completed, but the visit record was not saved: ${recordResult.error}`,
+            data: result.appointment,
+          });
+        }
+        record = recordResult.record;
+      }
+
       return res.status(200).json({
         success: true,
         data: result.appointment,
+        ...(record ? { visitRecord: record } : {}),
         message: `Appointment status updated to ${status}`,
       });
     } catch (error) {
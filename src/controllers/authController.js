@@ -0,0 +1,185 @@
+/**
+ * Auth Controller
+ * Handles staff login/logout and user management HTTP requests
+ */
+
+const { AuthService } = require('../services');
+
+class AuthController {
+  /**
+   * POST /api/auth/login
+   * Log in and receive a token
+   */
+  static async login(req, res) {
+    try {
+      const { email, password } = req.body;
+
+      const result = await AuthService.login(email, password);
+
+      if (!result.success) {
+        let statusCode = 401;
+        if (result.code === 'MISSING_CREDENTIALS') {
+          statusCode = 400;
+        } else if (result.code === 'ACCOUNT_DISABLED') {
+          statusCode = 403;
+        } else if (!result.code) {
+          statusCode = 500;
+        }
+
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          token: result.token,
+          expiresIn: result.expiresIn,
+          user: result.user,
+        },
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/auth/logout
+   * Revoke all tokens of the current user
+   */
+  static async logout(req, res) {
+    try {
+      const result = await AuthService.logout(req.user._id);
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Logged out successfully',
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/auth/me
+   * Get the current user
+   */
+  static async getMe(req, res) {
+    return res.status(200).json({
+      success: true,
+      data: req.user,
+    });
+  }
+
+  /**
+   * GET /api/auth/users
+   * Get all staff users
+   */
+  static async getUsers(req, res) {
+    try {
+      const result = await AuthService.getAllUsers();
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.users,
+      });
+    } catch (error) {
+      console.error('Get users error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/auth/users
+   * Create a staff user
+   */
+  static async createUser(req, res) {
+    try {
+      const { name, email, password, role } = req.body;
+
+      const result = await AuthService.createUser({ name, email, password, role });
+
+      if (!result.success) {
+        return res.status(result.code === 'DUPLICATE_EMAIL' ? 409 : 400).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result.user,
+        message: 'User created successfully',
+      });
+    } catch (error) {
+      console.error('Create user error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/auth/users/:id
+   * Update a staff user
+   */
+  static async updateUser(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, password, role, isActive } = req.body;
+
+      const result = await AuthService.updateUser(id, { name, password, role, isActive });
+
+      if (!result.success) {
+        return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.user,
+        message: 'User updated successfully',
+      });
+    } catch (error) {
+      console.error('Update user error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = AuthController;
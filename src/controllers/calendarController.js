@@ -0,0 +1,174 @@
+/**
+ * Calendar Controller
+ * Handles iCalendar file and subscription feed HTTP requests
+ */
+
+const { CalendarService } = require('../services');
+
+/**
+ * Map a calendar service failure to an HTTP status
+ */
+const getErrorStatus = (result) => {
+  if (result.code === 'NOT_FOUND' || result.code === 'PROVIDER_NOT_FOUND') return 404;
+  if (result.code === 'FORBIDDEN') return 403;
+  if (result.code === 'NOT_SCHEDULED') return 409;
+  return 400;
+};
+
+/**
+ * Send a built calendar as a .ics download
+ */
+const sendCalendar = (res, result) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+  res.set('Cache-Control', 'no-cache');
+  return res.status(200).send(result.content);
+};
+
+class CalendarController {
+  /**
+   * GET /api/appointments/:id/ics
+   * Download one appointment as a calendar file
+   */
+  static async getAppointmentCalendar(req, res) {
+    try {
+      const result = await CalendarService.getAppointmentCalendar(req.params.id, {
+        token: req.query.token || null,
+        user: req.user || null,
+      });
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return sendCalendar(res, result);
+    } catch (error) {
+      console.error('Get appointment calendar error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/calendar/feeds/:token/calendar.ics
+   * Subscription feed for calendar apps
+   */
+  static async getFeedCalendar(req, res) {
+    try {
+      const result = await CalendarService.getFeedCalendar(req.params.token);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return sendCalendar(res, result);
+    } catch (error) {
+      console.error('Get calendar feed error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/calendar/feeds
+   * List calendar feeds
+   */
+  static async getFeeds(req, res) {
+    try {
+      const result = await CalendarService.getFeeds(req.user);
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.feeds,
+      });
+    } catch (error) {
+      console.error('Get calendar feeds error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/calendar/feeds
+   * Create a calendar feed (the response is the only time its URL is shown)
+   */
+  static async createFeed(req, res) {
+    try {
+      const { name, providerId } = req.body;
+      const result = await CalendarService.createFeed({ name, providerId }, req.user);
+
+      if (!result.success) {
+        return res.status((result.code || result.validationErrors) ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          ...result.feed.toObject(),
+          tokenHash: undefined,
+          url: `${req.protocol}://${req.get('host')}${result.path}`,
+        },
+        message: 'Calendar feed created. Add the URL to your calendar app; it is not shown again.',
+      });
+    } catch (error) {
+      console.error('Create calendar feed error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/calendar/feeds/:id
+   * Delete a calendar feed (its URL stops working)
+   */
+  static async deleteFeed(req, res) {
+    try {
+      const result = await CalendarService.deleteFeed(req.params.id, req.user);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Calendar feed deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete calendar feed error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = CalendarController;
@@ -4,7 +4,7 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const { ChatService, ConversationService } = require('../services');
+const { ChatService, ConversationService, RealtimeService } = require('../services');
 
 class ChatController {
   /**
@@ -13,7 +13,7 @@ class ChatController {
    */
   static async sendMessage(req, res) {
     try {
-      const { message, sessionId, context } = req.body;
+      const { message, sessionId, context, stream, requestId } = req.body;
 
       // Validate message
       if (!message || typeof message !== 'string' || message.trim().length === 0) {
@@ -26,6 +26,19 @@ class ChatController {
       // Generate session ID if not provided
       const activeSessionId = sessionId || uuidv4();
 
+      // With the session's event stream open, answer straight away and send the reply over the stream
+      if (stream && RealtimeService.hasSubscribers(RealtimeService.sessionChannel(activeSessionId))) {
+        res.status(202).json({
+          success: true,
+          data: {
+            sessionId: activeSessionId,
+            requestId: requestId || null,
+            streamed: true,
+          },
+        });
+        return ChatController.streamReply(activeSessionId, message.trim(), context || {}, requestId || null);
+      }
+
       // Process the message
       const result = await ChatService.processMessage(
         activeSessionId,
@@ -40,7 +53,11 @@ class ChatController {
           sessionId: activeSessionId,
           isBookingFlow: result.isBookingFlow || false,
           isBookingComplete: result.isBookingComplete || false,
+          isManageFlow: result.isManageFlow || false,
+          form: result.form || null,
+          quickReplies: result.quickReplies || [],
           appointmentId: result.appointmentId || null,
+          handoffStatus: result.handoffStatus || null,
         },
       });
     } catch (error) {
@@ -52,6 +69,70 @@ class ChatController {
     }
   }
 
+  /**
+   * Process a message and publish the typing indicator and reply to the session's stream
+   */
+  static async streamReply(sessionId, message, context, requestId) {
+    RealtimeService.publishToSession(sessionId, 'typing', { active: true });
+    try {
+      const result = await ChatService.processMessage(sessionId, message, context);
+
+      if (!result.success) {
+        RealtimeService.publishToSession(sessionId, 'reply-error', { requestId, error: result.response || 'Could not process the message' });
+        return;
+      }
+
+      RealtimeService.publishToSession(sessionId, 'message', {
+        requestId,
+        response: result.response,
+        isBookingFlow: result.isBookingFlow || false,
+        isBookingComplete: result.isBookingComplete || false,
+        isManageFlow: result.isManageFlow || false,
+        form: result.form || null,
+        quickReplies: result.quickReplies || [],
+        appointmentId: result.appointmentId || null,
+        handoffStatus: result.handoffStatus || null,
+      });
+    } catch (error) {
+      console.error('Stream reply error:', error);
+      RealtimeService.publishToSession(sessionId, 'reply-error', { requestId, error: 'Internal server error' });
+    } finally {
+      RealtimeService.publishToSession(sessionId, 'typing', { active: false });
+    }
+  }
+
+  /**
+   * GET /api/chat/stream/:sessionId
+   * Open the session's event stream (bot replies, typing indicators and pushed messages)
+   */
+  static async streamSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      if (!sessionId || sessionId.length < 10) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid session ID format',
+        });
+      }
+
+      const result = RealtimeService.open(res, RealtimeService.sessionChannel(sessionId));
+
+      if (!result.success) {
+        return res.status(503).json({
+          success: false,
+          error: result.error,
+        });
+      }
+    } catch (error) {
+      console.error('Chat stream error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
   /**
    * POST /api/chat/init
    * Initialize a new chat session
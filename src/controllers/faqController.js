@@ -0,0 +1,227 @@
+/**
+ * FAQ Controller
+ * Handles FAQ knowledge base HTTP requests
+ */
+
+const { FaqService } = require('../services');
+
+/**
+ * Map an FAQ service failure to an HTTP status
+ */
+const getErrorStatus = (result) => {
+  if (result.code === 'NOT_FOUND' || result.code === 'VERSION_NOT_FOUND') return 404;
+  if (result.code === 'DUPLICATE_KEY') return 409;
+  return 400;
+};
+
+/**
+ * Pick the FAQ fields that can be set through the API
+ */
+const pickFaqFields = (body) => {
+  const { key, title, keywords, synonyms, response, speciesResponses, generator, enabled, order } = body;
+  return { key, title, keywords, synonyms, response, speciesResponses, generator, enabled, order };
+};
+
+class FaqController {
+  /**
+   * GET /api/faqs
+   * List FAQs sorted by order
+   */
+  static async getFaqs(req, res) {
+    try {
+      const { enabled, search, page = 1, limit = 50 } = req.query;
+
+      if (enabled !== undefined && !['true', 'false'].includes(enabled)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid enabled filter. Use true or false.',
+        });
+      }
+
+      const result = await FaqService.getFaqs({
+        enabled: enabled === undefined ? null : enabled === 'true',
+        search: search ? String(search).trim() : null,
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100),
+      });
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          faqs: result.faqs,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get FAQs error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/faqs/:id
+   * Get an FAQ with its version history
+   */
+  static async getFaq(req, res) {
+    try {
+      const result = await FaqService.getFaq(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.faq,
+      });
+    } catch (error) {
+      console.error('Get FAQ error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/faqs
+   * Create an FAQ
+   */
+  static async createFaq(req, res) {
+    try {
+      const result = await FaqService.createFaq(pickFaqFields(req.body), req.user);
+
+      if (!result.success) {
+        return res.status(result.code || result.validationErrors ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result.faq,
+        message: 'FAQ created successfully',
+      });
+    } catch (error) {
+      console.error('Create FAQ error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/faqs/:id
+   * Update an FAQ (saved as a new version)
+   */
+  static async updateFaq(req, res) {
+    try {
+      const result = await FaqService.updateFaq(req.params.id, pickFaqFields(req.body), req.user);
+
+      if (!result.success) {
+        return res.status(result.code || result.validationErrors ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.faq,
+        updatedFields: result.changedFields,
+        message: result.changedFields.length > 0 ? 'FAQ updated successfully' : 'No changes to save',
+      });
+    } catch (error) {
+      console.error('Update FAQ error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/faqs/:id
+   * Delete an FAQ (kept with its history)
+   */
+  static async deleteFaq(req, res) {
+    try {
+      const result = await FaqService.deleteFaq(req.params.id, req.user);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'FAQ deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete FAQ error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/faqs/:id/restore
+   * Bring back an earlier version of an FAQ
+   */
+  static async restoreVersion(req, res) {
+    try {
+      const version = Number(req.body.version);
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Version must be a positive whole number',
+        });
+      }
+
+      const result = await FaqService.restoreVersion(req.params.id, version, req.user);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.faq,
+        updatedFields: result.changedFields,
+        message: result.changedFields.length > 0 ? `Version ${version} restored` : `The FAQ already matches version ${version}`,
+      });
+    } catch (error) {
+      console.error('Restore FAQ version error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = FaqController;
@@ -0,0 +1,180 @@
+/**
+ * Handoff Controller
+ * Handles the staff side of chats handed over from the bot
+ */
+
+const { HandoffService } = require('../services');
+const { HANDOFF_STATUS } = require('../config/constants');
+
+/**
+ * Map a handoff service failure to an HTTP status
+ */
+const getErrorStatus = (result) => {
+  if (result.code === 'NOT_FOUND') return 404;
+  if (result.code === 'FORBIDDEN') return 403;
+  if (['ALREADY_CLAIMED', 'NOT_WAITING', 'NOT_ACTIVE', 'NOT_OPEN', 'CONFLICT'].includes(result.code)) return 409;
+  return 400;
+};
+
+class HandoffController {
+  /**
+   * GET /api/handoffs
+   * List handed-over conversations (the waiting queue by default)
+   */
+  static async getQueue(req, res) {
+    try {
+      const { status = HANDOFF_STATUS.WAITING, page = 1, limit = 20 } = req.query;
+      const statuses = Object.values(HANDOFF_STATUS).filter(value => value !== HANDOFF_STATUS.NONE);
+
+      if (!statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Must be one of: ${statuses.join(', ')}`,
+        });
+      }
+
+      const result = await HandoffService.getQueue({
+        status,
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+      });
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          conversations: result.conversations,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get handoff queue error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/handoffs/:sessionId
+   * Get a conversation with its full transcript
+   */
+  static async getHandoff(req, res) {
+    try {
+      const result = await HandoffService.getHandoff(req.params.sessionId);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.conversation,
+      });
+    } catch (error) {
+      console.error('Get handoff error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/handoffs/:sessionId/claim
+   * Take a waiting conversation; the bot pauses until it is closed
+   */
+  static async claimHandoff(req, res) {
+    try {
+      const result = await HandoffService.claimHandoff(req.params.sessionId, req.user);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.conversation,
+        message: 'Conversation claimed',
+      });
+    } catch (error) {
+      console.error('Claim handoff error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/handoffs/:sessionId/messages
+   * Reply to the owner as the agent
+   */
+  static async sendMessage(req, res) {
+    try {
+      const result = await HandoffService.sendAgentMessage(req.params.sessionId, req.body.message, req.user);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result.message,
+      });
+    } catch (error) {
+      console.error('Send agent message error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/handoffs/:sessionId/close
+   * Hand the conversation back to the bot
+   */
+  static async closeHandoff(req, res) {
+    try {
+      const result = await HandoffService.closeHandoff(req.params.sessionId, req.user);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.conversation,
+        message: 'Conversation handed back to the bot',
+      });
+    } catch (error) {
+      console.error('Close handoff error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = HandoffController;
@@ -2,8 +2,34 @@
 
 const ChatController = require('./chatController');
 const AppointmentController = require('./appointmentController');
+const AuthController = require('./authController');
+const ProviderController = require('./providerController');
+const ScheduleController = require('./scheduleController');
+const WaitlistController = require('./waitlistController');
+const OwnerController = require('./ownerController');
+const VaccinationController = require('./vaccinationController');
+const VisitController = require('./visitController');
+const WebhookController = require('./webhookController');
+const CalendarController = require('./calendarController');
+const RealtimeController = require('./realtimeController');
+const HandoffController = require('./handoffController');
+const FaqController = require('./faqController');
+const IntentController = require('./intentController');
 
 module.exports = {
   ChatController,
   AppointmentController,
+  AuthController,
+  ProviderController,
+  ScheduleController,
+  WaitlistController,
+  OwnerController,
+  VaccinationController,
+  VisitController,
+  WebhookController,
+  CalendarController,
+  RealtimeController,
+  HandoffController,
+  FaqController,
+  IntentController,
 };
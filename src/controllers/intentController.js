@@ -0,0 +1,75 @@
+/**
+ * Intent Controller
+ * Handles requests for inspecting the chatbot's intent registry
+ */
+
+const { IntentService } = require('../services');
+
+class IntentController {
+  /**
+   * GET /api/intents
+   * List the registered intent handlers and slots
+   */
+  static async getIntents(req, res) {
+    try {
+      return res.status(200).json({
+        success: true,
+        data: {
+          handlers: IntentService.getHandlers(),
+          slots: IntentService.getSlots(),
+        },
+      });
+    } catch (error) {
+      console.error('Get intents error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/intents/debug
+   * Show which handlers match a message, their scores and reasons, and where it would go
+   */
+  static async debugMessage(req, res) {
+    try {
+      const { message, sessionId } = req.body;
+
+      if (!message || typeof message !== 'string' || message.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Message is required',
+        });
+      }
+      if (sessionId !== undefined && sessionId !== null && typeof sessionId !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Session ID must be a string',
+        });
+      }
+
+      const result = await IntentService.explain(message.trim(), { sessionId: sessionId || null });
+
+      if (!result.success) {
+        return res.status(result.code === 'NOT_FOUND' ? 404 : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.explanation,
+      });
+    } catch (error) {
+      console.error('Debug intent error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = IntentController;
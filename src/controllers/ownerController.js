@@ -0,0 +1,318 @@
+/**
+ * Owner Controller
+ * Handles owner and pet profile HTTP requests
+ */
+
+const { OwnerService } = require('../services');
+
+/**
+ * Map an owner service failure to an HTTP status
+ */
+const getErrorStatus = (result) => {
+  if (result.code === 'NOT_FOUND') return 404;
+  if (result.code === 'DUPLICATE_OWNER') return 409;
+  return 400;
+};
+
+class OwnerController {
+  /**
+   * GET /api/owners
+   * List owners with their pets
+   */
+  static async getOwners(req, res) {
+    try {
+      const { search, page = 1, limit = 20 } = req.query;
+
+      const result = await OwnerService.getOwners({
+        search: search || null,
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+      });
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          owners: result.owners,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get owners error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/owners/:id
+   * Get an owner with pets and recent appointments
+   */
+  static async getOwner(req, res) {
+    try {
+      const result = await OwnerService.getOwner(req.params.id);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          owner: result.owner,
+          appointments: result.appointments,
+        },
+      });
+    } catch (error) {
+      console.error('Get owner error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/owners
+   * Create an owner
+   */
+  static async createOwner(req, res) {
+    try {
+      const { name, phone, email, userId, notes } = req.body;
+
+      const result = await OwnerService.createOwner({ name, phone, email, userId, notes });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+          existingId: result.existingId,
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result.owner,
+        message: 'Owner created successfully',
+      });
+    } catch (error) {
+      console.error('Create owner error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/owners/:id
+   * Update an owner
+   */
+  static async updateOwner(req, res) {
+    try {
+      const { name, phone, email, userId, notes } = req.body;
+
+      const result = await OwnerService.updateOwner(req.params.id, { name, phone, email, userId, notes });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.owner,
+        message: 'Owner updated successfully',
+      });
+    } catch (error) {
+      console.error('Update owner error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/owners/:id/pets
+   * Add a pet to an owner
+   */
+  static async addPet(req, res) {
+    try {
+      const { name, species, breed, birthdate, weight, sex, neutered, allergies, notes } = req.body;
+
+      const result = await OwnerService.addPet(req.params.id, {
+        name, species, breed, birthdate, weight, sex, neutered, allergies, notes,
+      });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result.pet,
+        message: 'Pet added successfully',
+      });
+    } catch (error) {
+      console.error('Add pet error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/owners/:id/pets/:petId
+   * Update a pet
+   */
+  static async updatePet(req, res) {
+    try {
+      const { name, species, breed, birthdate, weight, sex, neutered, allergies, notes } = req.body;
+
+      const result = await OwnerService.updatePet(req.params.id, req.params.petId, {
+        name, species, breed, birthdate, weight, sex, neutered, allergies, notes,
+      });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.pet,
+        message: 'Pet updated successfully',
+      });
+    } catch (error) {
+      console.error('Update pet error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/owners/merge
+   * Merge duplicate owners into one
+   */
+  static async mergeOwners(req, res) {
+    try {
+      const { targetId, sourceIds } = req.body;
+
+      const result = await OwnerService.mergeOwners(targetId, sourceIds);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.owner,
+        mergedOwners: result.mergedOwners,
+        mergedPets: result.mergedPets,
+        message: 'Owners merged successfully',
+      });
+    } catch (error) {
+      console.error('Merge owners error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/owners/:id/pets/merge
+   * Merge duplicate pets of one owner
+   */
+  static async mergePets(req, res) {
+    try {
+      const { targetId, sourceIds } = req.body;
+
+      const result = await OwnerService.mergePets(req.params.id, targetId, sourceIds);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.pet,
+        mergedPets: result.mergedPets,
+        message: 'Pets merged successfully',
+      });
+    } catch (error) {
+      console.error('Merge pets error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/owners/deduplicate
+   * Link existing appointments to profiles and merge duplicates
+   */
+  static async deduplicate(req, res) {
+    try {
+      const result = await OwnerService.deduplicate();
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          linkedAppointments: result.linkedAppointments,
+          mergedOwners: result.mergedOwners,
+          mergedPets: result.mergedPets,
+        },
+        message: 'Owner profiles cleaned up successfully',
+      });
+    } catch (error) {
+      console.error('Deduplicate owners error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = OwnerController;
@@ -0,0 +1,213 @@
+/**
+ * Provider Controller
+ * Handles provider (vet, groomer, tech) HTTP requests
+ */
+
+const { ProviderService } = require('../services');
+const { SERVICES } = require('../config/constants');
+
+class ProviderController {
+  /**
+   * GET /api/providers
+   * List active providers
+   */
+  static async getProviders(req, res) {
+    try {
+      const { service } = req.query;
+
+      if (service && !SERVICES.some(s => s.id === service)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid service. Must be one of: ${SERVICES.map(s => s.id).join(', ')}`,
+        });
+      }
+
+      const result = await ProviderService.getProviders(service || null);
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.providers,
+      });
+    } catch (error) {
+      console.error('Get providers error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/providers/:id
+   * Get provider by ID
+   */
+  static async getProvider(req, res) {
+    try {
+      const result = await ProviderService.getProvider(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.code === 'INVALID_ID' ? 400 : 404).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.provider,
+      });
+    } catch (error) {
+      console.error('Get provider error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/providers/:id/calendar
+   * Get a provider's appointments and working hours for a date
+   */
+  static async getCalendar(req, res) {
+    try {
+      const { date } = req.query;
+
+      if (date && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date',
+        });
+      }
+
+      const result = await ProviderService.getProviderCalendar(req.params.id, date || new Date());
+
+      if (!result.success) {
+        return res.status(result.code === 'INVALID_ID' ? 400 : 404).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          provider: result.provider,
+          date: result.date,
+          workingWindows: result.workingWindows,
+          appointments: result.appointments,
+        },
+      });
+    } catch (error) {
+      console.error('Get provider calendar error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/providers
+   * Create a provider
+   */
+  static async createProvider(req, res) {
+    try {
+      const { name, title, role, services, workingHours, userId } = req.body;
+
+      const result = await ProviderService.createProvider({ name, title, role, services, workingHours, userId });
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result.provider,
+        message: 'Provider created successfully',
+      });
+    } catch (error) {
+      console.error('Create provider error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/providers/:id
+   * Update a provider
+   */
+  static async updateProvider(req, res) {
+    try {
+      const { name, title, role, services, workingHours, userId, isActive } = req.body;
+
+      const result = await ProviderService.updateProvider(req.params.id, {
+        name, title, role, services, workingHours, userId, isActive,
+      });
+
+      if (!result.success) {
+        return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.provider,
+        message: 'Provider updated successfully',
+      });
+    } catch (error) {
+      console.error('Update provider error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/providers/:id
+   * Deactivate a provider (kept for appointment history)
+   */
+  static async deactivateProvider(req, res) {
+    try {
+      const result = await ProviderService.deactivateProvider(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.provider,
+        message: 'Provider deactivated successfully',
+      });
+    } catch (error) {
+      console.error('Deactivate provider error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = ProviderController;
@@ -0,0 +1,69 @@
+/**
+ * Realtime Controller
+ * Handles staff event stream HTTP requests
+ */
+
+const { AuthService, RealtimeService, WebhookService } = require('../services');
+const { REALTIME } = require('../config/constants');
+
+class RealtimeController {
+  /**
+   * POST /api/realtime/tickets
+   * Issue a short-lived ticket for opening an event stream with EventSource
+   */
+  static async createTicket(req, res) {
+    try {
+      return res.status(201).json({
+        success: true,
+        data: {
+          ticket: AuthService.generateStreamTicket(req.user),
+          expiresIn: REALTIME.TICKET_SECONDS,
+        },
+      });
+    } catch (error) {
+      console.error('Create stream ticket error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/realtime/events
+   * Stream live appointment and conversation events
+   */
+  static async streamEvents(req, res) {
+    try {
+      const patterns = req.query.events
+        ? String(req.query.events).split(',').map(pattern => pattern.trim()).filter(Boolean)
+        : REALTIME.DEFAULT_STAFF_EVENTS;
+
+      const events = WebhookService.getEvents();
+      const unknown = patterns.filter(pattern => !events.some(event => RealtimeService.matchesEvents([pattern], event)));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown events: ${unknown.join(', ')}. Must match one of: ${events.join(', ')}`,
+        });
+      }
+
+      const result = RealtimeService.openStaffStream(res, patterns);
+
+      if (!result.success) {
+        return res.status(503).json({
+          success: false,
+          error: result.error,
+        });
+      }
+    } catch (error) {
+      console.error('Staff event stream error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = RealtimeController;
@@ -0,0 +1,296 @@
+/**
+ * Schedule Controller
+ * Handles clinic hours, closures and special hours HTTP requests
+ */
+
+const { ScheduleService } = require('../services');
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Map a schedule service failure to an HTTP status
+ */
+const getErrorStatus = (result) => {
+  if (result.code === 'NOT_FOUND') return 404;
+  if (result.code === 'DUPLICATE_DATE') return 409;
+  return 400;
+};
+
+class ScheduleController {
+  /**
+   * GET /api/schedule
+   * Get weekly hours and upcoming closures/special hours
+   */
+  static async getSchedule(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      if ((from && !DATE_KEY_REGEX.test(from)) || (to && !DATE_KEY_REGEX.test(to))) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must use YYYY-MM-DD format',
+        });
+      }
+
+      const result = await ScheduleService.getSchedule({ from, to });
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          weeklyHours: result.weeklyHours,
+          exceptions: result.exceptions,
+        },
+      });
+    } catch (error) {
+      console.error('Get schedule error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/schedule/day/:date
+   * Get the hours that apply on one date
+   */
+  static async getDay(req, res) {
+    try {
+      const { date } = req.params;
+
+      if (!DATE_KEY_REGEX.test(date) || isNaN(new Date(date).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date. Use YYYY-MM-DD format.',
+        });
+      }
+
+      const result = await ScheduleService.getDay(date);
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.day,
+      });
+    } catch (error) {
+      console.error('Get day schedule error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/schedule/weekly
+   * Set the hours of one or more weekdays
+   */
+  static async updateWeeklyHours(req, res) {
+    try {
+      const result = await ScheduleService.updateWeeklyHours(req.body.weeklyHours);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          weeklyHours: result.weeklyHours,
+          exceptions: result.exceptions,
+        },
+        message: 'Weekly hours updated successfully',
+      });
+    } catch (error) {
+      console.error('Update weekly hours error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/schedule/weekly/:dayOfWeek
+   * Set the hours of one weekday
+   */
+  static async updateDayHours(req, res) {
+    try {
+      const { isOpen, start, end, breakStart, breakEnd } = req.body;
+      const dayOfWeek = Number(req.params.dayOfWeek);
+
+      const result = await ScheduleService.updateWeeklyHours([{ dayOfWeek, isOpen, start, end, breakStart, breakEnd }]);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.weeklyHours.find(hours => hours.dayOfWeek === dayOfWeek),
+        message: 'Hours updated successfully',
+      });
+    } catch (error) {
+      console.error('Update day hours error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/schedule/exceptions
+   * List closures and special hours
+   */
+  static async getExceptions(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      if ((from && !DATE_KEY_REGEX.test(from)) || (to && !DATE_KEY_REGEX.test(to))) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must use YYYY-MM-DD format',
+        });
+      }
+
+      const result = await ScheduleService.getExceptions({ from, to });
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.exceptions,
+      });
+    } catch (error) {
+      console.error('Get schedule exceptions error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/schedule/exceptions
+   * Add a closure or special hours for a date
+   */
+  static async createException(req, res) {
+    try {
+      const { date, type, name, start, end, breakStart, breakEnd } = req.body;
+
+      const result = await ScheduleService.createException({ date, type, name, start, end, breakStart, breakEnd });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result.exception,
+        affectedAppointments: result.affectedAppointments,
+        message: 'Schedule change created successfully',
+      });
+    } catch (error) {
+      console.error('Create schedule exception error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/schedule/exceptions/:id
+   * Update a closure or special hours entry
+   */
+  static async updateException(req, res) {
+    try {
+      const { date, type, name, start, end, breakStart, breakEnd } = req.body;
+
+      const result = await ScheduleService.updateException(req.params.id, { date, type, name, start, end, breakStart, breakEnd });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.exception,
+        affectedAppointments: result.affectedAppointments,
+        message: 'Schedule change updated successfully',
+      });
+    } catch (error) {
+      console.error('Update schedule exception error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/schedule/exceptions/:id
+   * Remove a closure or special hours entry
+   */
+  static async deleteException(req, res) {
+    try {
+      const result = await ScheduleService.deleteException(req.params.id);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.exception,
+        message: 'Schedule change deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete schedule exception error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = ScheduleController;
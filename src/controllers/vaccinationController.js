@@ -0,0 +1,159 @@
+/**
+ * Vaccination Controller
+ * Handles pet vaccination record HTTP requests
+ */
+
+const { VaccinationService } = require('../services');
+
+/**
+ * Map a vaccination service failure to an HTTP status
+ */
+const getErrorStatus = (result) => {
+  if (result.code === 'NOT_FOUND') return 404;
+  return 400;
+};
+
+/**
+ * Pick the vaccination fields that can be set through the API
+ */
+const pickVaccinationFields = (body) => {
+  const { vaccine, dateGiven, lotNumber, nextDueDate, appointmentId, notes } = body;
+  return { vaccine, dateGiven, lotNumber, nextDueDate, appointmentId, notes };
+};
+
+class VaccinationController {
+  /**
+   * GET /api/owners/:id/pets/:petId/vaccinations
+   * Get a pet's vaccination records and what is overdue or coming up
+   */
+  static async getVaccinations(req, res) {
+    try {
+      const result = await VaccinationService.getVaccinations(req.params.id, req.params.petId);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          pet: result.pet,
+          vaccinations: result.vaccinations,
+          schedule: result.schedule,
+        },
+      });
+    } catch (error) {
+      console.error('Get vaccinations error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/owners/:id/pets/:petId/vaccinations
+   * Record a vaccine given to a pet
+   */
+  static async addVaccination(req, res) {
+    try {
+      const result = await VaccinationService.addVaccination(
+        req.params.id,
+        req.params.petId,
+        pickVaccinationFields(req.body)
+      );
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result.vaccination,
+        message: 'Vaccination recorded successfully',
+      });
+    } catch (error) {
+      console.error('Add vaccination error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/owners/:id/pets/:petId/vaccinations/:vaccinationId
+   * Update a vaccination record
+   */
+  static async updateVaccination(req, res) {
+    try {
+      const result = await VaccinationService.updateVaccination(
+        req.params.id,
+        req.params.petId,
+        req.params.vaccinationId,
+        pickVaccinationFields(req.body)
+      );
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.vaccination,
+        message: 'Vaccination updated successfully',
+      });
+    } catch (error) {
+      console.error('Update vaccination error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/owners/:id/pets/:petId/vaccinations/:vaccinationId
+   * Delete a vaccination record entered by mistake
+   */
+  static async deleteVaccination(req, res) {
+    try {
+      const result = await VaccinationService.deleteVaccination(
+        req.params.id,
+        req.params.petId,
+        req.params.vaccinationId
+      );
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Vaccination deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete vaccination error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = VaccinationController;
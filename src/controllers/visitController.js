@@ -0,0 +1,217 @@
+/**
+ * Visit Controller
+ * Handles visit record and pet timeline HTTP requests
+ */
+
+const { VisitService } = require('../services');
+
+/**
+ * Map a visit service failure to an HTTP status
+ */
+const getErrorStatus = (result) => {
+  if (result.code === 'NOT_FOUND') return 404;
+  if (result.code === 'NOT_COMPLETED' || result.code === 'DUPLICATE_RECORD') return 409;
+  return 400;
+};
+
+/**
+ * Pick the visit record fields that can be set through the API
+ */
+const pickVisitFields = (body) => {
+  const { visitDate, vitals, diagnosis, treatments, prescriptions, followUp, attachments, notes } = body;
+  return { visitDate, vitals, diagnosis, treatments, prescriptions, followUp, attachments, notes };
+};
+
+class VisitController {
+  /**
+   * GET /api/visits
+   * List visit records
+   */
+  static async getVisitRecords(req, res) {
+    try {
+      const { petId, ownerId, providerId, from, to, page = 1, limit = 20 } = req.query;
+
+      const result = await VisitService.getVisitRecords({
+        petId: petId || null,
+        ownerId: ownerId || null,
+        providerId: providerId || null,
+        from: from || null,
+        to: to || null,
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+      });
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          records: result.records,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get visit records error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/visits/:id
+   * Get a visit record with its edit history
+   */
+  static async getVisitRecord(req, res) {
+    try {
+      const result = await VisitService.getVisitRecord(req.params.id);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.record,
+      });
+    } catch (error) {
+      console.error('Get visit record error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/visits
+   * Create the visit record for a completed appointment
+   */
+  static async createVisitRecord(req, res) {
+    try {
+      const result = await VisitService.createVisitRecord(req.body.appointmentId, pickVisitFields(req.body), req.user);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+          existingId: result.existingId,
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result.record,
+        message: 'Visit record created successfully',
+      });
+    } catch (error) {
+      console.error('Create visit record error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/visits/:id
+   * Update a visit record
+   */
+  static async updateVisitRecord(req, res) {
+    try {
+      const result = await VisitService.updateVisitRecord(req.params.id, pickVisitFields(req.body), req.user);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.record,
+        updatedFields: result.changedFields,
+        message: result.changedFields.length > 0 ? 'Visit record updated successfully' : 'No changes to save',
+      });
+    } catch (error) {
+      console.error('Update visit record error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/visits/:id
+   * Delete a visit record (kept for the audit)
+   */
+  static async deleteVisitRecord(req, res) {
+    try {
+      const result = await VisitService.deleteVisitRecord(req.params.id, req.user);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Visit record deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete visit record error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/owners/:id/pets/:petId/timeline
+   * Get a pet's appointments and visit records in one timeline
+   */
+  static async getPetTimeline(req, res) {
+    try {
+      const result = await VisitService.getPetTimeline(req.params.id, req.params.petId);
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          pet: result.pet,
+          timeline: result.timeline,
+        },
+      });
+    } catch (error) {
+      console.error('Get pet timeline error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = VisitController;
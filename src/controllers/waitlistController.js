@@ -0,0 +1,244 @@
+/**
+ * Waitlist Controller
+ * Handles waitlist-related HTTP requests
+ */
+
+const { WaitlistService } = require('../services');
+const { WAITLIST_STATUS } = require('../config/constants');
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Map a waitlist service failure to an HTTP status
+ */
+const getErrorStatus = (result) => {
+  if (result.code === 'NOT_FOUND') return 404;
+  if (result.code === 'ALREADY_WAITLISTED') return 409;
+  if (['NO_ACTIVE_OFFER', 'OFFER_EXPIRED', 'NOT_ACTIVE', 'SLOT_TAKEN', 'DUPLICATE_BOOKING'].includes(result.code)) return 409;
+  return 400;
+};
+
+/**
+ * Read the owner's token from the query string or body
+ */
+const getToken = (req) => req.query.token || req.body?.token || null;
+
+class WaitlistController {
+  /**
+   * POST /api/waitlist
+   * Join the waitlist for a date range
+   */
+  static async joinWaitlist(req, res) {
+    try {
+      const { ownerName, petName, petType, phone, email, service, providerId, dateFrom, dateTo } = req.body;
+
+      const result = await WaitlistService.joinWaitlist({
+        ownerName,
+        petName,
+        petType,
+        phone,
+        email,
+        service,
+        providerId,
+        dateFrom,
+        dateTo,
+      });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          entry: result.entry,
+          token: result.token,
+        },
+        message: 'Added to the waitlist. Keep the token to view, accept or leave your entry.',
+      });
+    } catch (error) {
+      console.error('Join waitlist error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/waitlist
+   * List waitlist entries for staff
+   */
+  static async getEntries(req, res) {
+    try {
+      const { page = 1, limit = 20, status, date } = req.query;
+
+      if (status && !Object.values(WAITLIST_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Must be one of: ${Object.values(WAITLIST_STATUS).join(', ')}`,
+        });
+      }
+
+      if (date && (!DATE_KEY_REGEX.test(date) || isNaN(new Date(date).getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date. Use YYYY-MM-DD format.',
+        });
+      }
+
+      const result = await WaitlistService.getEntries({
+        status: status || null,
+        date: date || null,
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+      });
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          entries: result.entries,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get waitlist error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/waitlist/:id
+   * Get a waitlist entry (owner token required)
+   */
+  static async getEntry(req, res) {
+    try {
+      const result = await WaitlistService.getEntry(req.params.id, { token: getToken(req) });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.entry,
+      });
+    } catch (error) {
+      console.error('Get waitlist entry error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/waitlist/:id/accept
+   * Book the slot on offer
+   */
+  static async acceptOffer(req, res) {
+    try {
+      const result = await WaitlistService.acceptOffer(req.params.id, { token: getToken(req) });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          entry: result.entry,
+          appointment: result.appointment,
+        },
+        message: 'Appointment booked successfully',
+      });
+    } catch (error) {
+      console.error('Accept waitlist offer error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/waitlist/:id/decline
+   * Pass on the slot on offer and keep waiting
+   */
+  static async declineOffer(req, res) {
+    try {
+      const result = await WaitlistService.declineOffer(req.params.id, { token: getToken(req) });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.entry,
+        message: 'Offer declined. You are still on the waitlist.',
+      });
+    } catch (error) {
+      console.error('Decline waitlist offer error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/waitlist/:id
+   * Leave the waitlist
+   */
+  static async leaveWaitlist(req, res) {
+    try {
+      const result = await WaitlistService.leaveWaitlist(req.params.id, { token: getToken(req) });
+
+      if (!result.success) {
+        return res.status(getErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.entry,
+        message: 'Removed from the waitlist',
+      });
+    } catch (error) {
+      console.error('Leave waitlist error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = WaitlistController;
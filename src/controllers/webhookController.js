@@ -0,0 +1,303 @@
+/**
+ * Webhook Controller
+ * Handles webhook subscription and delivery HTTP requests
+ */
+
+const { WebhookService } = require('../services');
+const { WEBHOOK_DELIVERY_STATUS } = require('../config/constants');
+
+/**
+ * Map a webhook service failure to an HTTP status
+ */
+const getErrorStatus = (result) => {
+  if (result.code === 'NOT_FOUND') return 404;
+  if (result.code === 'ALREADY_PENDING' || result.code === 'WEBHOOK_INACTIVE') return 409;
+  return 400;
+};
+
+/**
+ * Pick the subscription fields that can be set through the API
+ */
+const pickSubscriptionFields = (body) => {
+  const { url, events, secret, description, active } = body;
+  return { url, events, secret, description, active };
+};
+
+/**
+ * Read the delivery list filters and pagination from a query string
+ */
+const getDeliveryQuery = (query) => {
+  const { subscriptionId, status, event, page = 1, limit = 20 } = query;
+  return {
+    subscriptionId: subscriptionId || null,
+    status: status || null,
+    event: event || null,
+    page: Math.max(parseInt(page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+  };
+};
+
+class WebhookController {
+  /**
+   * GET /api/webhooks/events
+   * List the events webhooks can subscribe to
+   */
+  static async getEvents(req, res) {
+    return res.status(200).json({
+      success: true,
+      data: WebhookService.getEvents(),
+    });
+  }
+
+  /**
+   * GET /api/webhooks
+   * List webhook subscriptions
+   */
+  static async getSubscriptions(req, res) {
+    try {
+      const result = await WebhookService.getSubscriptions();
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.subscriptions,
+      });
+    } catch (error) {
+      console.error('Get webhooks error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/webhooks/:id
+   * Get a webhook subscription
+   */
+  static async getSubscription(req, res) {
+    try {
+      const result = await WebhookService.getSubscription(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.subscription,
+      });
+    } catch (error) {
+      console.error('Get webhook error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/webhooks
+   * Create a webhook subscription (the response is the only time a generated secret is shown)
+   */
+  static async createSubscription(req, res) {
+    try {
+      const result = await WebhookService.createSubscription(pickSubscriptionFields(req.body), req.user);
+
+      if (!result.success) {
+        return res.status(result.validationErrors ? 400 : 500).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: { ...result.subscription.toObject(), secret: result.secret },
+        message: 'Webhook created successfully. Store the secret now; it is not shown again.',
+      });
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * PUT /api/webhooks/:id
+   * Update a webhook subscription
+   */
+  static async updateSubscription(req, res) {
+    try {
+      const result = await WebhookService.updateSubscription(req.params.id, pickSubscriptionFields(req.body));
+
+      if (!result.success) {
+        return res.status((result.code || result.validationErrors) ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+          errors: result.validationErrors || [],
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.subscription,
+        message: 'Webhook updated successfully',
+      });
+    } catch (error) {
+      console.error('Update webhook error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/webhooks/:id
+   * Delete a webhook subscription and its deliveries
+   */
+  static async deleteSubscription(req, res) {
+    try {
+      const result = await WebhookService.deleteSubscription(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Webhook deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/webhooks/deliveries
+   * List webhook deliveries
+   */
+  static async getDeliveries(req, res) {
+    return WebhookController.listDeliveries(res, getDeliveryQuery(req.query));
+  }
+
+  /**
+   * GET /api/webhooks/dead-letters
+   * List deliveries that used up their retries
+   */
+  static async getDeadLetters(req, res) {
+    return WebhookController.listDeliveries(res, {
+      ...getDeliveryQuery(req.query),
+      status: WEBHOOK_DELIVERY_STATUS.DEAD,
+    });
+  }
+
+  /**
+   * Send a page of deliveries matching the filters
+   */
+  static async listDeliveries(res, filters) {
+    try {
+      const result = await WebhookService.getDeliveries(filters);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          deliveries: result.deliveries,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get webhook deliveries error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * GET /api/webhooks/deliveries/:deliveryId
+   * Get a delivery with its attempts
+   */
+  static async getDelivery(req, res) {
+    try {
+      const result = await WebhookService.getDelivery(req.params.deliveryId);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result.delivery,
+      });
+    } catch (error) {
+      console.error('Get webhook delivery error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * POST /api/webhooks/deliveries/:deliveryId/redeliver
+   * Queue a delivery to be sent again
+   */
+  static async redeliver(req, res) {
+    try {
+      const result = await WebhookService.redeliver(req.params.deliveryId);
+
+      if (!result.success) {
+        return res.status(result.code ? getErrorStatus(result) : 500).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        data: result.delivery,
+        message: 'Delivery queued to be sent again',
+      });
+    } catch (error) {
+      console.error('Redeliver webhook error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = WebhookController;
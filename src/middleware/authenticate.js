@@ -0,0 +1,45 @@
+/**
+ * Authenticate Middleware
+ * Verifies the staff Bearer token and attaches the user to the request
+ */
+
+const AuthService = require('../services/authService');
+
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+    });
+  }
+
+  try {
+    const payload = AuthService.verifyToken(token);
+    // Stream tickets only open event streams (see authenticateStream)
+    if (AuthService.isStreamTicket(payload)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+    const user = await AuthService.getUserFromToken(payload);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired. Please log in again.',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    // JWT errors are mapped to 401 by the error handler
+    next(error);
+  }
+};
+
+module.exports = authenticate;
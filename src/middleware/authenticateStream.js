@@ -0,0 +1,35 @@
+/**
+ * Authenticate Stream Middleware
+ * Verifies the staff user of an event stream from a ?ticket= stream ticket (for EventSource,
+ * which cannot send headers) or, when there is no ticket, from the usual Bearer token
+ */
+
+const AuthService = require('../services/authService');
+const authenticate = require('./authenticate');
+
+const authenticateStream = async (req, res, next) => {
+  const { ticket } = req.query;
+  if (!ticket) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const payload = AuthService.verifyToken(ticket);
+    const user = AuthService.isStreamTicket(payload) ? await AuthService.getUserFromToken(payload) : null;
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired stream ticket',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    // JWT errors are mapped to 401 by the error handler
+    next(error);
+  }
+};
+
+module.exports = authenticateStream;
@@ -0,0 +1,24 @@
+/**
+ * Authorize Middleware
+ * Restricts a route to the given staff roles (use after authenticate)
+ */
+
+const authorize = (...allowedRoles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+    });
+  }
+
+  if (allowedRoles.length > 0 && !allowedRoles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to perform this action',
+    });
+  }
+
+  next();
+};
+
+module.exports = authorize;
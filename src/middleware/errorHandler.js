@@ -33,6 +33,13 @@ const errorHandler = (err, req, res, next) => {
   }
 
   // JWT errors
+  if (err.name === 'TokenExpiredError') {
+    return res.status(401).json({
+      success: false,
+      error: 'Token expired',
+    });
+  }
+
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
       success: false,
@@ -6,9 +6,17 @@
 const errorHandler = require('./errorHandler');
 const requestLogger = require('./requestLogger');
 const validateSession = require('./validateSession');
+const authenticate = require('./authenticate');
+const authorize = require('./authorize');
+const optionalAuthenticate = require('./optionalAuthenticate');
+const authenticateStream = require('./authenticateStream');
 
 module.exports = {
   errorHandler,
   requestLogger,
   validateSession,
+  authenticate,
+  authorize,
+  optionalAuthenticate,
+  authenticateStream,
 };
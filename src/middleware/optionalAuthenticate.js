@@ -0,0 +1,15 @@
+/**
+ * Optional Authenticate Middleware
+ * Attaches the staff user when a Bearer token is sent; requests without one continue anonymously
+ */
+
+const authenticate = require('./authenticate');
+
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+module.exports = optionalAuthenticate;
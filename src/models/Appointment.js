@@ -4,6 +4,40 @@
  */
 
 const mongoose = require('mongoose');
+const { TIME_SLOTS } = require('../config/constants');
+const { timeToMinutes, minutesToTime, isIntervalFree } = require('../utils/scheduleUtils');
+const { getClinicDayRange, formatClinicDate } = require('../utils/timezoneUtils');
+
+// One booking notification (created, confirmed, rescheduled or cancelled) and how it was delivered
+const notificationSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['created', 'confirmed', 'rescheduled', 'cancelled'],
+    required: true,
+  },
+  // 'sent' when any channel delivered it, 'failed' when a channel failed and none delivered,
+  // 'skipped' when no channel applied to the owner
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  message: {
+    type: String,
+    default: '',
+  },
+  // Outcome per channel: 'sent', 'skipped' or 'failed'
+  results: [{
+    channel: String,
+    status: String,
+    error: String,
+    _id: false,
+  }],
+}, { _id: false });
 
 const appointmentSchema = new mongoose.Schema({
   // Link to conversation (optional - for chatbot bookings)
@@ -15,6 +49,17 @@ const appointmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Conversation',
   },
+  // Owner and pet profiles (the name fields below keep what was entered at booking)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    default: null,
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    default: null,
+  },
   // Appointment details
   ownerName: {
     type: String,
@@ -40,6 +85,11 @@ const appointmentSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  // Digits of the phone, used to find the appointment however the number is formatted
+  phoneKey: {
+    type: String,
+    default: null,
+  },
   email: {
     type: String,
     trim: true,
@@ -51,7 +101,7 @@ const appointmentSchema = new mongoose.Schema({
     enum: ['checkup', 'vaccination', 'grooming', 'dental', 'surgery', 'emergency', 'consultation', 'other'],
     default: 'checkup',
   },
-  // Scheduled date and time (parsed)
+  // Scheduled date (clinic-local midnight) and time (clinic-local "HH:MM")
   scheduledDate: {
     type: Date,
     index: true,
@@ -64,6 +114,12 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Assigned provider (vet, groomer or tech)
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    default: null,
+  },
   // Duration in minutes
   duration: {
     type: Number,
@@ -95,6 +151,16 @@ const appointmentSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Booking notifications sent to the owner, oldest first
+  notifications: {
+    type: [notificationSchema],
+    default: [],
+  },
+  // iCalendar SEQUENCE: raised on every change calendar apps need to pick up
+  calendarSequence: {
+    type: Number,
+    default: 0,
+  },
 }, {
   timestamps: true,
 });
@@ -103,12 +169,33 @@ const appointmentSchema = new mongoose.Schema({
 appointmentSchema.index({ createdAt: -1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ phone: 1 });
+appointmentSchema.index({ phoneKey: 1 });
 appointmentSchema.index({ 'context.userId': 1 });
 appointmentSchema.index({ scheduledDate: 1, scheduledTimeSlot: 1 });
+appointmentSchema.index({ provider: 1, scheduledDate: 1 });
+appointmentSchema.index({ owner: 1 });
+appointmentSchema.index({ pet: 1 });
+
+// Fields shown in calendar entries; changing one raises calendarSequence
+const CALENDAR_FIELDS = ['scheduledDate', 'scheduledTimeSlot', 'duration', 'status', 'service', 'provider', 'petName', 'ownerName', 'reason'];
+
+// Keep the phone key in step with the phone, however the appointment was created or edited
+appointmentSchema.pre('save', function() {
+  if (this.isModified('phone') || !this.phoneKey) {
+    this.phoneKey = this.constructor.toPhoneKey(this.phone);
+  }
+});
+
+// Calendar apps only replace an existing entry when its SEQUENCE goes up
+appointmentSchema.pre('save', function() {
+  if (!this.isNew && CALENDAR_FIELDS.some(field => this.isModified(field))) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
+  }
+});
 
 // Virtual for formatted date
 appointmentSchema.virtual('formattedCreatedAt').get(function() {
-  return this.createdAt.toLocaleDateString('en-US', {
+  return formatClinicDate(this.createdAt, {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
@@ -119,7 +206,7 @@ appointmentSchema.virtual('formattedCreatedAt').get(function() {
 // Virtual for formatted scheduled date
 appointmentSchema.virtual('formattedScheduledDate').get(function() {
   if (!this.scheduledDate) return this.preferredDateTime;
-  return this.scheduledDate.toLocaleDateString('en-US', {
+  return formatClinicDate(this.scheduledDate, {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
@@ -132,74 +219,107 @@ appointmentSchema.statics.getByStatus = function(status) {
   return this.find({ status }).sort({ scheduledDate: 1, scheduledTimeSlot: 1 });
 };
 
-// Static method to get today's appointments
-appointmentSchema.statics.getTodaysAppointments = function() {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  
-  return this.find({
-    scheduledDate: { $gte: today, $lt: tomorrow },
-    status: { $nin: ['cancelled', 'no-show'] },
-  }).sort({ scheduledTimeSlot: 1 });
+// Static method to get today's appointments, optionally for one provider
+appointmentSchema.statics.getTodaysAppointments = function(providerId = null) {
+  return this.getByDate(new Date(), providerId);
 };
 
-// Static method to get appointments for a specific date
-appointmentSchema.statics.getByDate = function(date) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(startOfDay);
-  endOfDay.setDate(endOfDay.getDate() + 1);
+// Static method to get appointments for a specific date, optionally for one provider
+appointmentSchema.statics.getByDate = function(date, providerId = null) {
+  const { start: startOfDay, end: endOfDay } = getClinicDayRange(date);
   
-  return this.find({
+  const query = {
     scheduledDate: { $gte: startOfDay, $lt: endOfDay },
     status: { $nin: ['cancelled', 'no-show'] },
-  }).sort({ scheduledTimeSlot: 1 });
+  };
+  if (providerId) {
+    query.provider = providerId;
+  }
+  
+  return this.find(query)
+    .populate('provider', 'name title role')
+    .sort({ scheduledTimeSlot: 1 });
 };
 
-// Static method to check if a slot is available
-appointmentSchema.statics.isSlotAvailable = async function(date, timeSlot) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(startOfDay);
-  endOfDay.setDate(endOfDay.getDate() + 1);
+// Static method to get booked time intervals for a date (minutes since midnight)
+appointmentSchema.statics.getBookedIntervals = async function(date, excludeId = null) {
+  const { start: startOfDay, end: endOfDay } = getClinicDayRange(date);
   
-  const existingAppointment = await this.findOne({
+  const query = {
     scheduledDate: { $gte: startOfDay, $lt: endOfDay },
-    scheduledTimeSlot: timeSlot,
+    scheduledTimeSlot: { $ne: null },
     status: { $nin: ['cancelled', 'no-show'] },
-  });
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  
+  const appointments = await this.find(query).select('scheduledTimeSlot duration provider');
   
-  return !existingAppointment;
+  return appointments.map(apt => {
+    const start = timeToMinutes(apt.scheduledTimeSlot);
+    return {
+      start,
+      end: start + (apt.duration || TIME_SLOTS.SLOT_DURATION),
+      appointmentId: apt._id,
+      providerId: apt.provider || null,
+    };
+  });
+};
+
+// Static method to check if a time range is available
+appointmentSchema.statics.isSlotAvailable = async function(date, timeSlot, duration = TIME_SLOTS.SLOT_DURATION, excludeId = null) {
+  const bookedIntervals = await this.getBookedIntervals(date, excludeId);
+  return isIntervalFree(timeToMinutes(timeSlot), duration, bookedIntervals);
 };
 
 // Static method to get booked slots for a date
+// Every slot a booking covers is returned (a 2-hour surgery at 10:00 blocks 10:00-11:30)
 appointmentSchema.statics.getBookedSlots = async function(date) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(startOfDay);
-  endOfDay.setDate(endOfDay.getDate() + 1);
+  const bookedIntervals = await this.getBookedIntervals(date);
+  const { SLOT_DURATION } = TIME_SLOTS;
+  const slots = new Set();
   
-  const appointments = await this.find({
-    scheduledDate: { $gte: startOfDay, $lt: endOfDay },
-    status: { $nin: ['cancelled', 'no-show'] },
-  }).select('scheduledTimeSlot');
+  bookedIntervals.forEach(interval => {
+    const firstSlot = Math.floor(interval.start / SLOT_DURATION) * SLOT_DURATION;
+    for (let minutes = firstSlot; minutes < interval.end; minutes += SLOT_DURATION) {
+      slots.add(minutesToTime(minutes));
+    }
+  });
   
-  return appointments.map(apt => apt.scheduledTimeSlot);
+  return [...slots].sort();
 };
 
 // Static method to get upcoming appointments
 appointmentSchema.statics.getUpcoming = function(limit = 10) {
-  const now = new Date();
+  const { start: today } = getClinicDayRange();
   return this.find({
-    scheduledDate: { $gte: now },
+    scheduledDate: { $gte: today },
     status: { $nin: ['cancelled', 'no-show', 'completed'] },
   })
     .sort({ scheduledDate: 1, scheduledTimeSlot: 1 })
     .limit(limit);
 };
 
+// Static method to get the digits of a phone number
+appointmentSchema.statics.toPhoneKey = function(phone) {
+  return String(phone || '').replace(/\D/g, '');
+};
+
+// Static method to give appointments saved before phone keys existed their key
+appointmentSchema.statics.backfillPhoneKeys = async function() {
+  const appointments = await this.find({ phoneKey: null }).select('phone');
+  if (appointments.length === 0) return 0;
+
+  await this.bulkWrite(appointments.map(appointment => ({
+    updateOne: {
+      filter: { _id: appointment._id },
+      update: { $set: { phoneKey: this.toPhoneKey(appointment.phone) } },
+    },
+  })));
+  return appointments.length;
+};
+
 const Appointment = mongoose.model('Appointment', appointmentSchema);
 
 module.exports = Appointment;
@@ -0,0 +1,46 @@
+/**
+ * Calendar Feed Model
+ * A token-protected iCalendar subscription for the whole clinic or one provider
+ */
+
+const mongoose = require('mongoose');
+
+const calendarFeedSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Feed name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  // Provider whose appointments the feed shows (null = every appointment in the clinic)
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    default: null,
+  },
+  // SHA-256 of the feed token; the token itself is only shown when the feed is created
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+calendarFeedSchema.index({ createdBy: 1 });
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
@@ -0,0 +1,44 @@
+/**
+ * ClinicHours Model
+ * Regular weekly opening hours, one document per weekday
+ */
+
+const mongoose = require('mongoose');
+
+const clinicHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number, // 0 = Sunday, 6 = Saturday
+    required: true,
+    min: 0,
+    max: 6,
+    unique: true,
+  },
+  isOpen: {
+    type: Boolean,
+    default: true,
+  },
+  // Opening and closing time "HH:MM" (ignored when closed)
+  start: {
+    type: String,
+    default: null,
+  },
+  end: {
+    type: String,
+    default: null,
+  },
+  // Optional midday break "HH:MM"
+  breakStart: {
+    type: String,
+    default: null,
+  },
+  breakEnd: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+const ClinicHours = mongoose.model('ClinicHours', clinicHoursSchema);
+
+module.exports = ClinicHours;
@@ -9,13 +9,19 @@ const mongoose = require('mongoose');
 const messageSchema = new mongoose.Schema({
   role: {
     type: String,
-    enum: ['user', 'bot', 'system'],
+    enum: ['user', 'bot', 'system', 'agent'],
     required: true,
   },
   content: {
     type: String,
     required: true,
   },
+  // Staff member who wrote an agent message
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  agentName: String,
   timestamp: {
     type: Date,
     default: Date.now,
@@ -57,14 +63,75 @@ const conversationSchema = new mongoose.Schema({
   bookingState: {
     status: {
       type: String,
-      enum: ['idle', 'collecting_owner_name', 'collecting_pet_name', 'collecting_phone', 'collecting_date_time', 'confirming', 'completed'],
+      enum: [
+        'idle', 'collecting_owner_name', 'collecting_pet_name', 'collecting_phone', 'collecting_date_time', 'confirming', 'completed',
+        'collecting_lookup_phone', 'verifying_lookup_pet', 'selecting_appointment', 'collecting_new_date_time', 'confirming_reschedule', 'confirming_cancellation',
+        'confirming_waitlist_offer', 'selecting_pet',
+        'collecting_vaccination_owner_name', 'collecting_vaccination_phone', 'selecting_vaccination_pet', 'confirming_vaccination_booking',
+        'filling_form', 'confirming_form',
+      ],
       default: 'idle',
     },
+    // Values collected so far. Forms (see DialogueService) decide which keys are used; the common ones:
+    // - form, field: the form being filled in and the field being asked
+    // - ownerName, petName, petType, phone, preferredDateTime: booking details
+    // - ownerId, petId: returning owner and the pet they picked
+    // - providerId, providerName: requested provider (e.g. "Dr. Patel")
+    // - heldProviderId: provider whose calendar holds the slot while confirming
+    // - action, appointmentId, candidateIds, lookupPhone, newScheduledDate, newTimeSlot: managing an
+    //   existing appointment
+    // - waitlistDate: fully booked day the user can join the waitlist for ("YYYY-MM-DD")
+    // - waitlistEntryId: waitlist entry whose slot offer is being answered
+    // - service: service being booked when it isn't a checkup (e.g. "vaccination")
+    // - vaccinationQuery: vaccination question waiting for the owner to be identified
     tempData: {
-      ownerName: String,
-      petName: String,
-      phone: String,
-      preferredDateTime: String,
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({}),
+    },
+    // Questions of the form in progress that were already answered, most recent last, as
+    // { status, tempData } when each was asked, so the owner can go back
+    history: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+  },
+  // Handing the chat over to staff; the bot stays quiet while an agent has it
+  handoff: {
+    status: {
+      type: String,
+      enum: ['none', 'waiting', 'active', 'closed'],
+      default: 'none',
+    },
+    reason: {
+      type: String,
+      enum: ['requested', 'emergency', 'unresolved', null],
+      default: null,
+    },
+    // Emergencies go to the front of the queue
+    urgent: {
+      type: Boolean,
+      default: false,
+    },
+    requestedAt: {
+      type: Date,
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    agentName: {
+      type: String,
+      default: null,
     },
   },
   // Messages array
@@ -86,18 +153,23 @@ const conversationSchema = new mongoose.Schema({
 conversationSchema.index({ createdAt: -1 });
 conversationSchema.index({ 'context.userId': 1 });
 conversationSchema.index({ lastActivityAt: -1 });
+conversationSchema.index({ 'handoff.status': 1, 'handoff.urgent': -1, 'handoff.requestedAt': 1 });
 
-// Instance method to add a message
-conversationSchema.methods.addMessage = function(role, content) {
-  this.messages.push({ role, content, timestamp: new Date() });
+// Instance method to add a message (details holds the agent and agentName of agent messages)
+conversationSchema.methods.addMessage = function(role, content, details = {}) {
+  this.messages.push({ role, content, ...details, timestamp: new Date() });
   this.lastActivityAt = new Date();
   return this.save();
 };
 
 // Instance method to update booking state
-conversationSchema.methods.updateBookingState = function(status, tempData = {}) {
+// tempData is merged into the stored values unless replace is set; history is only changed when given
+conversationSchema.methods.updateBookingState = function(status, tempData = {}, { replace = false, history } = {}) {
   this.bookingState.status = status;
-  this.bookingState.tempData = { ...this.bookingState.tempData, ...tempData };
+  this.bookingState.tempData = replace ? tempData : { ...this.bookingState.tempData, ...tempData };
+  if (history) {
+    this.bookingState.history = history;
+  }
   return this.save();
 };
 
@@ -117,6 +189,8 @@ conversationSchema.statics.findOrCreateSession = async function(sessionId, conte
       },
     });
     await conversation.save();
+    // Lets callers tell a new session from a returning one (not saved)
+    conversation.$locals.created = true;
   }
   
   return conversation;
@@ -0,0 +1,131 @@
+/**
+ * FAQ Model
+ * Chatbot answers to common questions, editable by clinic admins
+ */
+
+const mongoose = require('mongoose');
+
+// Answer for one species, used instead of the general response when the owner mentions it
+const speciesResponseSchema = new mongoose.Schema({
+  species: {
+    type: String,
+    enum: ['dog', 'cat', 'bird', 'rabbit', 'hamster', 'fish', 'reptile', 'other'],
+    required: true,
+  },
+  response: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+// One entry per version: who made it and the content as it was saved
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'restored'],
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Name at the time of the edit, so the history reads the same if the account changes
+  userName: {
+    type: String,
+    default: null,
+  },
+  // Fields changed by this version
+  changedFields: {
+    type: [String],
+    default: [],
+  },
+  // Version whose content a restore brought back
+  restoredFrom: {
+    type: Number,
+    default: null,
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+}, { _id: false });
+
+const faqSchema = new mongoose.Schema({
+  // Stable identifier (e.g. "vaccinations"); seeded FAQs use the ids from FAQ_RESPONSES
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Words and phrases that bring up this answer
+  keywords: {
+    type: [String],
+    default: [],
+  },
+  // Other ways owners say the same thing (misspellings, slang, regional terms)
+  synonyms: {
+    type: [String],
+    default: [],
+  },
+  response: {
+    type: String,
+    default: '',
+  },
+  speciesResponses: {
+    type: [speciesResponseSchema],
+    default: [],
+  },
+  // Answer built by the server instead of response (clinic_hours: the current opening hours)
+  generator: {
+    type: String,
+    enum: ['clinic_hours', null],
+    default: null,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  // Sort order in lists; between equally good matches the lower order answers
+  order: {
+    type: Number,
+    default: 0,
+  },
+  version: {
+    type: Number,
+    default: 1,
+  },
+  // Deleted FAQs are kept for their history and never matched
+  deleted: {
+    type: Boolean,
+    default: false,
+  },
+  history: {
+    type: [versionSchema],
+    default: [],
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+faqSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { deleted: false } });
+faqSchema.index({ deleted: 1, order: 1 });
+
+const Faq = mongoose.model('Faq', faqSchema);
+
+module.exports = Faq;
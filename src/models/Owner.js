@@ -0,0 +1,67 @@
+/**
+ * Owner Model
+ * Pet owners (clients), recognised again by phone number or SDK userId
+ */
+
+const mongoose = require('mongoose');
+
+const ownerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 100,
+  },
+  // Phone as the owner gave it
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Digits of the phone, used to match the owner however the number is formatted
+  phoneKey: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+  },
+  // User ID passed by the host website through the SDK
+  userId: {
+    type: String,
+    default: null,
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+ownerSchema.index({ phoneKey: 1 });
+ownerSchema.index({ userId: 1 }, { sparse: true });
+ownerSchema.index({ name: 1 });
+
+// Pets belonging to the owner (populate('pets'))
+ownerSchema.virtual('pets', {
+  ref: 'Pet',
+  localField: '_id',
+  foreignField: 'owner',
+});
+
+// Static method to get the digits of a phone number
+ownerSchema.statics.toPhoneKey = function(phone) {
+  return String(phone || '').replace(/\D/g, '');
+};
+
+const Owner = mongoose.model('Owner', ownerSchema);
+
+module.exports = Owner;
@@ -0,0 +1,69 @@
+/**
+ * Pet Model
+ * Pet profiles belonging to an owner
+ */
+
+const mongoose = require('mongoose');
+
+const petSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 1,
+    maxlength: 50,
+  },
+  species: {
+    type: String,
+    enum: ['dog', 'cat', 'bird', 'rabbit', 'hamster', 'fish', 'reptile', 'other'],
+    default: 'other',
+  },
+  breed: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: '',
+  },
+  birthdate: {
+    type: Date,
+    default: null,
+  },
+  // Weight in kilograms
+  weight: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  sex: {
+    type: String,
+    enum: ['male', 'female', 'unknown'],
+    default: 'unknown',
+  },
+  // Spayed/neutered (null = not known)
+  neutered: {
+    type: Boolean,
+    default: null,
+  },
+  allergies: {
+    type: [String],
+    default: [],
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+petSchema.index({ owner: 1, name: 1 });
+
+const Pet = mongoose.model('Pet', petSchema);
+
+module.exports = Pet;
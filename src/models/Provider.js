@@ -0,0 +1,96 @@
+/**
+ * Provider Model
+ * Stores clinicians (vets, groomers, techs) with the services they offer and their working hours
+ */
+
+const mongoose = require('mongoose');
+
+// Working hours for one weekday
+const workingHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number, // 0 = Sunday, 6 = Saturday
+    required: true,
+    min: 0,
+    max: 6,
+  },
+  start: {
+    type: String, // "HH:MM"
+    required: true,
+  },
+  end: {
+    type: String, // "HH:MM"
+    required: true,
+  },
+  breakStart: {
+    type: String,
+    default: null,
+  },
+  breakEnd: {
+    type: String,
+    default: null,
+  },
+}, { _id: false });
+
+const providerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 100,
+  },
+  // e.g. "Dr."
+  title: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  role: {
+    type: String,
+    enum: ['vet', 'groomer', 'tech'],
+    default: 'vet',
+  },
+  // Service IDs this provider can perform (empty = all services)
+  services: [{
+    type: String,
+    enum: ['checkup', 'vaccination', 'grooming', 'dental', 'surgery', 'emergency', 'consultation', 'other'],
+  }],
+  // Weekly working hours (empty = clinic hours)
+  workingHours: [workingHoursSchema],
+  // Optional link to a staff login
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+providerSchema.index({ isActive: 1, role: 1 });
+providerSchema.index({ services: 1 });
+
+// Virtual for display name (e.g. "Dr. Anita Patel")
+providerSchema.virtual('displayName').get(function() {
+  return this.title ? `${this.title} ${this.name}` : this.name;
+});
+
+// Static method to get active providers, optionally limited to a service
+providerSchema.statics.getActive = function(service = null) {
+  const query = { isActive: true };
+  if (service) {
+    query.$or = [{ services: service }, { services: { $size: 0 } }];
+  }
+  return this.find(query).sort({ name: 1 });
+};
+
+const Provider = mongoose.model('Provider', providerSchema);
+
+module.exports = Provider;
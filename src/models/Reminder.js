@@ -0,0 +1,86 @@
+/**
+ * Reminder Model
+ * One reminder per appointment, lead time and appointment start, with its delivery attempts
+ */
+
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  // Server that made the attempt
+  instanceId: String,
+  // Outcome per channel: 'sent', 'skipped' or 'failed'
+  results: [{
+    channel: String,
+    status: String,
+    error: String,
+    _id: false,
+  }],
+}, { _id: false });
+
+const reminderSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true,
+  },
+  // How long before the appointment the reminder is due
+  leadMinutes: {
+    type: Number,
+    required: true,
+  },
+  // Appointment start the reminder was created for (a rescheduled appointment gets new reminders)
+  scheduledFor: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'cancelled'],
+    default: 'pending',
+  },
+  message: {
+    type: String,
+    default: '',
+  },
+  // Channels that have delivered the reminder (retries skip them)
+  deliveredChannels: {
+    type: [String],
+    default: [],
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: [],
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // A server sending the reminder owns it until claimedUntil (so only one server sends it)
+  claimedBy: {
+    type: String,
+    default: null,
+  },
+  claimedUntil: {
+    type: Date,
+    default: null,
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+// The unique index means each reminder is created once, however many servers look for it
+reminderSchema.index({ appointment: 1, leadMinutes: 1, scheduledFor: 1 }, { unique: true });
+reminderSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+module.exports = Reminder;
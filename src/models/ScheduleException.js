@@ -0,0 +1,61 @@
+/**
+ * ScheduleException Model
+ * Date-specific changes to the weekly hours: closures (holidays) and one-off special hours
+ */
+
+const mongoose = require('mongoose');
+
+const scheduleExceptionSchema = new mongoose.Schema({
+  // Clinic-local date "YYYY-MM-DD"
+  date: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    enum: ['closed', 'special_hours'],
+    required: true,
+  },
+  // e.g. "Christmas Day" or "Staff training"
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: '',
+  },
+  // Hours for special_hours days "HH:MM"
+  start: {
+    type: String,
+    default: null,
+  },
+  end: {
+    type: String,
+    default: null,
+  },
+  breakStart: {
+    type: String,
+    default: null,
+  },
+  breakEnd: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Static method to get exceptions in a date range ("YYYY-MM-DD" keys sort chronologically)
+scheduleExceptionSchema.statics.getInRange = function(from = null, to = null) {
+  const query = {};
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to) query.date.$lte = to;
+  }
+  return this.find(query).sort({ date: 1 });
+};
+
+const ScheduleException = mongoose.model('ScheduleException', scheduleExceptionSchema);
+
+module.exports = ScheduleException;
@@ -0,0 +1,53 @@
+/**
+ * SlotLock Model
+ * One document per calendar block; the unique index makes reserving a slot atomic
+ */
+
+const mongoose = require('mongoose');
+
+const slotLockSchema = new mongoose.Schema({
+  // Calendar the block belongs to (provider ID, or "clinic" when no providers are configured)
+  resource: {
+    type: String,
+    required: true,
+  },
+  // Clinic-local date "YYYY-MM-DD"
+  date: {
+    type: String,
+    required: true,
+  },
+  // Block start "HH:MM"
+  slot: {
+    type: String,
+    required: true,
+  },
+  // Who took the block (e.g. "appointment:<id>" or "session:<sessionId>")
+  holder: {
+    type: String,
+    required: true,
+  },
+  // Set once the block belongs to a saved appointment
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null,
+  },
+  // Short-lived holds expire; appointment locks do not
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+slotLockSchema.index({ resource: 1, date: 1, slot: 1 }, { unique: true });
+slotLockSchema.index({ appointmentId: 1 });
+slotLockSchema.index({ holder: 1 });
+// Expired holds are removed by MongoDB (documents without expiresAt are kept)
+slotLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SlotLock = mongoose.model('SlotLock', slotLockSchema);
+
+module.exports = SlotLock;
@@ -0,0 +1,85 @@
+/**
+ * User Model
+ * Stores clinic staff accounts (receptionists, vets, clinic admins)
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 100,
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  // Hashed password (never returned by default)
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false,
+  },
+  role: {
+    type: String,
+    enum: ['receptionist', 'vet', 'admin'],
+    default: 'receptionist',
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Incremented on logout/password change to invalidate issued tokens
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+userSchema.index({ role: 1 });
+
+// Hash password before saving
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+});
+
+// Instance method to compare a candidate password
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Strip sensitive fields from JSON output
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.password;
+  delete user.tokenVersion;
+  delete user.__v;
+  return user;
+};
+
+// Static method to find user with password for login
+userSchema.statics.findByEmailWithPassword = function(email) {
+  return this.findOne({ email: String(email).toLowerCase().trim() }).select('+password');
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
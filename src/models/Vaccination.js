@@ -0,0 +1,56 @@
+/**
+ * Vaccination Model
+ * Vaccines given to a pet and when each is next due
+ */
+
+const mongoose = require('mongoose');
+
+const vaccinationSchema = new mongoose.Schema({
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true,
+  },
+  // Schedule vaccine ID (e.g. 'rabies', 'dhpp'), or the vaccine name as given when it has no schedule
+  vaccine: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 100,
+  },
+  dateGiven: {
+    type: Date,
+    required: true,
+  },
+  lotNumber: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: '',
+  },
+  // Set by staff, or worked out from the species schedule when the record is saved
+  nextDueDate: {
+    type: Date,
+    default: null,
+  },
+  // Visit the vaccine was given at (optional)
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null,
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+vaccinationSchema.index({ pet: 1, vaccine: 1, dateGiven: -1 });
+
+const Vaccination = mongoose.model('Vaccination', vaccinationSchema);
+
+module.exports = Vaccination;
@@ -0,0 +1,185 @@
+/**
+ * Visit Record Model
+ * Clinical record of a completed appointment, with an audit of every edit
+ */
+
+const mongoose = require('mongoose');
+
+const treatmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+}, { _id: false });
+
+const prescriptionSchema = new mongoose.Schema({
+  medication: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  dose: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  frequency: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  durationDays: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  instructions: {
+    type: String,
+    default: '',
+  },
+}, { _id: false });
+
+// File details only; the file itself lives wherever url points
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  contentType: {
+    type: String,
+    default: '',
+  },
+  // Size in bytes
+  size: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  url: {
+    type: String,
+    default: '',
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+}, { _id: false });
+
+// One entry per create, edit or delete
+const auditEntrySchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted'],
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Name at the time of the edit, so the audit reads the same if the account changes
+  userName: {
+    type: String,
+    default: null,
+  },
+  // Changed fields with their old and new values
+  changes: [{
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+    _id: false,
+  }],
+}, { _id: false });
+
+const visitRecordSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true,
+  },
+  // Copied from the appointment so records can be listed by pet, owner or provider
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    default: null,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    default: null,
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    default: null,
+  },
+  // When the visit took place (defaults to the appointment start)
+  visitDate: {
+    type: Date,
+    required: true,
+  },
+  vitals: {
+    weightKg: { type: Number, min: 0, default: null },
+    temperatureC: { type: Number, default: null },
+    heartRate: { type: Number, min: 0, default: null }, // beats per minute
+    respiratoryRate: { type: Number, min: 0, default: null }, // breaths per minute
+    bodyConditionScore: { type: Number, min: 1, max: 9, default: null }, // 1-9 scale
+  },
+  diagnosis: {
+    type: String,
+    default: '',
+  },
+  treatments: {
+    type: [treatmentSchema],
+    default: [],
+  },
+  prescriptions: {
+    type: [prescriptionSchema],
+    default: [],
+  },
+  followUp: {
+    recommended: { type: Boolean, default: false },
+    inDays: { type: Number, min: 0, default: null },
+    reason: { type: String, default: '' },
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: [],
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+  // Deleted records are kept for the audit and hidden from lists
+  deleted: {
+    type: Boolean,
+    default: false,
+  },
+  history: {
+    type: [auditEntrySchema],
+    default: [],
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+visitRecordSchema.index({ appointment: 1 }, { unique: true, partialFilterExpression: { deleted: false } });
+visitRecordSchema.index({ pet: 1, visitDate: -1 });
+visitRecordSchema.index({ owner: 1, visitDate: -1 });
+
+const VisitRecord = mongoose.model('VisitRecord', visitRecordSchema);
+
+module.exports = VisitRecord;
@@ -0,0 +1,124 @@
+/**
+ * WaitlistEntry Model
+ * Owners waiting for a slot to open up on fully booked days
+ */
+
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  ownerName: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 100,
+  },
+  petName: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 1,
+    maxlength: 100,
+  },
+  petType: {
+    type: String,
+    enum: ['dog', 'cat', 'bird', 'rabbit', 'hamster', 'fish', 'reptile', 'other'],
+    default: 'other',
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  service: {
+    type: String,
+    enum: ['checkup', 'vaccination', 'grooming', 'dental', 'surgery', 'emergency', 'consultation', 'other'],
+    default: 'checkup',
+  },
+  // Requested provider (null = anyone offering the service)
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    default: null,
+  },
+  // Clinic-local days the owner can come in (inclusive, stored as clinic-local midnight)
+  dateFrom: {
+    type: Date,
+    required: true,
+  },
+  dateTo: {
+    type: Date,
+    required: true,
+  },
+  // Chat session that joined the waitlist (offers are posted into that conversation)
+  sessionId: {
+    type: String,
+    default: null,
+  },
+  // Secret handed to the owner for viewing, accepting or leaving via the API
+  token: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting',
+  },
+  // Slot currently held for the owner
+  offer: {
+    date: Date,
+    timeSlot: String,
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Provider',
+    },
+    expiresAt: Date,
+  },
+  // Slots the owner declined or let lapse, so they are not offered again
+  passedOffers: [{
+    date: String, // "YYYY-MM-DD"
+    timeSlot: String,
+    _id: false,
+  }],
+  // Appointment created from an accepted offer
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+waitlistEntrySchema.index({ status: 1, dateFrom: 1, dateTo: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+waitlistEntrySchema.index({ phone: 1, status: 1 });
+
+// Never expose the owner's token
+waitlistEntrySchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  delete entry.token;
+  delete entry.__v;
+  return entry;
+};
+
+// Static method to get entries waiting for a slot on a date, first come first served
+waitlistEntrySchema.statics.getWaitingForDate = function(date) {
+  return this.find({
+    status: 'waiting',
+    dateFrom: { $lte: date },
+    dateTo: { $gte: date },
+  }).sort({ createdAt: 1 });
+};
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
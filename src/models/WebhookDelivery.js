@@ -0,0 +1,85 @@
+/**
+ * Webhook Delivery Model
+ * One event sent to one subscription, with its delivery attempts
+ */
+
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  // Server that made the attempt
+  instanceId: String,
+  // HTTP status the subscriber answered with (null when it could not be reached)
+  statusCode: {
+    type: Number,
+    default: null,
+  },
+  error: String,
+  durationMs: Number,
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+  },
+  // Shared by the deliveries of one event, so subscribers can drop duplicates
+  eventId: {
+    type: String,
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  // Request body sent to the subscriber: { id, event, createdAt, data }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'dead'],
+    default: 'pending',
+  },
+  // Attempts since the delivery was created or last redelivered (every attempt stays in attempts)
+  attemptCount: {
+    type: Number,
+    default: 0,
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: [],
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // A server sending the delivery owns it until claimedUntil (so only one server sends it)
+  claimedBy: {
+    type: String,
+    default: null,
+  },
+  claimedUntil: {
+    type: Date,
+    default: null,
+  },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
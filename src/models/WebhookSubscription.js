@@ -0,0 +1,49 @@
+/**
+ * Webhook Subscription Model
+ * An external URL that receives signed event notifications
+ */
+
+const mongoose = require('mongoose');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+  },
+  // Shared secret used to sign each delivery (never returned in lists)
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // Events to receive; empty means every event
+  events: {
+    type: [String],
+    default: [],
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Inactive subscriptions receive nothing
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+webhookSubscriptionSchema.index({ active: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
@@ -5,8 +5,38 @@
 
 const Conversation = require('./Conversation');
 const Appointment = require('./Appointment');
+const User = require('./User');
+const Provider = require('./Provider');
+const SlotLock = require('./SlotLock');
+const ClinicHours = require('./ClinicHours');
+const ScheduleException = require('./ScheduleException');
+const WaitlistEntry = require('./WaitlistEntry');
+const Reminder = require('./Reminder');
+const Owner = require('./Owner');
+const Pet = require('./Pet');
+const Vaccination = require('./Vaccination');
+const VisitRecord = require('./VisitRecord');
+const WebhookSubscription = require('./WebhookSubscription');
+const WebhookDelivery = require('./WebhookDelivery');
+const CalendarFeed = require('./CalendarFeed');
+const Faq = require('./Faq');
 
 module.exports = {
   Conversation,
   Appointment,
+  User,
+  Provider,
+  SlotLock,
+  ClinicHours,
+  ScheduleException,
+  WaitlistEntry,
+  Reminder,
+  Owner,
+  Pet,
+  Vaccination,
+  VisitRecord,
+  WebhookSubscription,
+  WebhookDelivery,
+  CalendarFeed,
+  Faq,
 };
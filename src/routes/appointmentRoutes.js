@@ -5,7 +5,12 @@
 
 const express = require('express');
 const router = express.Router();
-const { AppointmentController } = require('../controllers');
+const { AppointmentController, CalendarController } = require('../controllers');
+const { authenticate, authorize, optionalAuthenticate } = require('../middleware');
+const { USER_ROLES, APPOINTMENT_IMPORT } = require('../config/constants');
+
+const { RECEPTIONIST, VET, ADMIN } = USER_ROLES;
+const ALL_STAFF = [RECEPTIONIST, VET, ADMIN];
 
 // ==========================================
 // Public Routes (for booking)
@@ -23,6 +28,8 @@ router.get('/services', AppointmentController.getServices);
  * @desc    Get available dates for the next N days
  * @access  Public
  * @query   days - Number of days to look ahead (default: 14)
+ * @query   service - Service ID; only count start times where the service fits (optional)
+ * @query   providerId - Only count start times where this provider is free (optional)
  */
 router.get('/available-dates', AppointmentController.getAvailableDates);
 
@@ -30,16 +37,18 @@ router.get('/available-dates', AppointmentController.getAvailableDates);
  * @route   GET /api/appointments/available-slots/:date
  * @desc    Get available time slots for a specific date
  * @access  Public
+ * @query   service - Service ID; only return start times where the whole service fits (optional)
+ * @query   providerId - Only consider this provider's calendar (optional)
  */
 router.get('/available-slots/:date', AppointmentController.getAvailableSlots);
 
 /**
  * @route   POST /api/appointments
  * @desc    Create a new appointment
- * @access  Public
- * @body    { ownerName, petName, petType?, phone, email?, service?, scheduledDate, scheduledTimeSlot, reason?, notes? }
+ * @access  Public (petId and userId are only used for staff)
+ * @body    { ownerName, petName, petType?, phone, email?, service?, scheduledDate, scheduledTimeSlot, providerId?, petId?, userId?, reason?, notes? }
  */
-router.post('/', AppointmentController.createAppointment);
+router.post('/', optionalAuthenticate, AppointmentController.createAppointment);
 
 /**
  * @route   GET /api/appointments/session/:sessionId
@@ -48,83 +57,128 @@ router.post('/', AppointmentController.createAppointment);
  */
 router.get('/session/:sessionId', AppointmentController.getBySession);
 
+/**
+ * @route   GET /api/appointments/:id/ics
+ * @desc    Download an appointment as an iCalendar (.ics) file
+ * @access  Public with the appointment's calendar token, or Staff
+ * @query   token - Calendar token (from calendarUrl in the booking response); not needed with a staff token
+ */
+router.get('/:id/ics', optionalAuthenticate, CalendarController.getAppointmentCalendar);
+
 // ==========================================
 // Admin Routes (for management)
+// All routes below require a staff token
 // ==========================================
 
+router.use(authenticate);
+
 /**
  * @route   GET /api/appointments/stats
  * @desc    Get appointment statistics
  * @access  Admin
  */
-router.get('/stats', AppointmentController.getStats);
+router.get('/stats', authorize(ADMIN), AppointmentController.getStats);
+
+/**
+ * @route   GET /api/appointments/export
+ * @desc    Download appointments as CSV or XLSX (streamed, not paginated)
+ * @access  Staff (receptionist, vet, admin)
+ * @query   format - csv (default) or xlsx
+ * @query   status, date, startDate, endDate, search, sortBy, sortOrder - Same filters as the list
+ */
+router.get('/export', authorize(...ALL_STAFF), AppointmentController.exportAppointments);
+
+/**
+ * @route   POST /api/appointments/import
+ * @desc    Bulk-import appointments from a CSV; returns a per-row report
+ * @access  Receptionist, Admin
+ * @query   dryRun - true to only validate and check availability (optional)
+ * @query   notify - true to send owners the usual booking notification (optional)
+ * @body    CSV text (Content-Type: text/csv), or { csv } as JSON
+ */
+router.post(
+  '/import',
+  authorize(RECEPTIONIST, ADMIN),
+  express.text({ type: ['text/csv', 'text/plain'], limit: APPOINTMENT_IMPORT.MAX_BODY_SIZE }),
+  AppointmentController.importAppointments
+);
 
 /**
  * @route   GET /api/appointments/today
  * @desc    Get today's appointments
- * @access  Admin
+ * @access  Staff (receptionist, vet, admin)
+ * @query   providerId - Only this provider's appointments (optional)
  */
-router.get('/today', AppointmentController.getTodaysAppointments);
+router.get('/today', authorize(...ALL_STAFF), AppointmentController.getTodaysAppointments);
 
 /**
  * @route   GET /api/appointments/upcoming
  * @desc    Get upcoming appointments
- * @access  Admin
+ * @access  Staff (receptionist, vet, admin)
  * @query   limit - Number of appointments to return (default: 10)
  */
-router.get('/upcoming', AppointmentController.getUpcomingAppointments);
+router.get('/upcoming', authorize(...ALL_STAFF), AppointmentController.getUpcomingAppointments);
 
 /**
  * @route   GET /api/appointments/date/:date
  * @desc    Get appointments for a specific date
- * @access  Admin
+ * @access  Staff (receptionist, vet, admin)
+ * @query   providerId - Only this provider's appointments (optional)
  */
-router.get('/date/:date', AppointmentController.getByDate);
+router.get('/date/:date', authorize(...ALL_STAFF), AppointmentController.getByDate);
 
 /**
  * @route   GET /api/appointments
  * @desc    Get all appointments with filters
- * @access  Admin
+ * @access  Staff (receptionist, vet, admin)
  * @query   page, limit, status, date, startDate, endDate, search, sortBy, sortOrder
  */
-router.get('/', AppointmentController.getAllAppointments);
+router.get('/', authorize(...ALL_STAFF), AppointmentController.getAllAppointments);
 
 /**
  * @route   GET /api/appointments/:id
  * @desc    Get appointment by ID
- * @access  Admin
+ * @access  Staff (receptionist, vet, admin)
  */
-router.get('/:id', AppointmentController.getAppointment);
+router.get('/:id', authorize(...ALL_STAFF), AppointmentController.getAppointment);
+
+/**
+ * @route   GET /api/appointments/:id/reminders
+ * @desc    Get reminders sent for an appointment, with every delivery attempt
+ * @access  Staff (receptionist, vet, admin)
+ */
+router.get('/:id/reminders', authorize(...ALL_STAFF), AppointmentController.getReminders);
 
 /**
  * @route   PUT /api/appointments/:id
  * @desc    Update an appointment
- * @access  Admin
- * @body    { ownerName?, petName?, petType?, phone?, email?, service?, scheduledDate?, scheduledTimeSlot?, reason?, notes?, status? }
+ * @access  Receptionist, Admin
+ * @body    { ownerName?, petName?, petType?, phone?, email?, service?, scheduledDate?, scheduledTimeSlot?, providerId?, petId?, reason?, notes?, status? }
  */
-router.put('/:id', AppointmentController.updateAppointment);
+router.put('/:id', authorize(RECEPTIONIST, ADMIN), AppointmentController.updateAppointment);
 
 /**
  * @route   PATCH /api/appointments/:id/status
  * @desc    Update appointment status
- * @access  Admin
- * @body    { status: 'pending' | 'confirmed' | 'cancelled' | 'completed' | 'no-show' }
+ * @access  Staff (receptionist, vet, admin)
+ * @body    { status: 'pending' | 'confirmed' | 'cancelled' | 'completed' | 'no-show', visitRecord? }
+ *          visitRecord (vets and admins, with status 'completed') files the visit record in the same call
  */
-router.patch('/:id/status', AppointmentController.updateStatus);
+router.patch('/:id/status', authorize(...ALL_STAFF), AppointmentController.updateStatus);
 
 /**
  * @route   PATCH /api/appointments/:id/cancel
  * @desc    Cancel an appointment
- * @access  Admin/User
+ * @access  Receptionist, Admin
  * @body    { reason?: string }
  */
-router.patch('/:id/cancel', AppointmentController.cancelAppointment);
+router.patch('/:id/cancel', authorize(RECEPTIONIST, ADMIN), AppointmentController.cancelAppointment);
 
 /**
  * @route   DELETE /api/appointments/:id
  * @desc    Delete an appointment permanently
  * @access  Admin
  */
-router.delete('/:id', AppointmentController.deleteAppointment);
+router.delete('/:id', authorize(ADMIN), AppointmentController.deleteAppointment);
 
 module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Auth Routes
+ * API endpoints for staff authentication and user management
+ */
+
+const express = require('express');
+const router = express.Router();
+const { AuthController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in with email and password and receive a token
+ * @access  Public
+ * @body    { email, password }
+ */
+router.post('/login', AuthController.login);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out (revokes all tokens issued to the user)
+ * @access  Staff
+ */
+router.post('/logout', authenticate, AuthController.logout);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the currently authenticated user
+ * @access  Staff
+ */
+router.get('/me', authenticate, AuthController.getMe);
+
+/**
+ * @route   GET /api/auth/users
+ * @desc    List staff users
+ * @access  Admin
+ */
+router.get('/users', authenticate, authorize(USER_ROLES.ADMIN), AuthController.getUsers);
+
+/**
+ * @route   POST /api/auth/users
+ * @desc    Create a staff user
+ * @access  Admin
+ * @body    { name, email, password, role: 'receptionist' | 'vet' | 'admin' }
+ */
+router.post('/users', authenticate, authorize(USER_ROLES.ADMIN), AuthController.createUser);
+
+/**
+ * @route   PATCH /api/auth/users/:id
+ * @desc    Update a staff user (name, password, role, isActive)
+ * @access  Admin
+ */
+router.patch('/users/:id', authenticate, authorize(USER_ROLES.ADMIN), AuthController.updateUser);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * Calendar Routes
+ * API endpoints for iCalendar subscription feeds
+ */
+
+const express = require('express');
+const router = express.Router();
+const { CalendarController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { RECEPTIONIST, VET, ADMIN } = USER_ROLES;
+const ALL_STAFF = [RECEPTIONIST, VET, ADMIN];
+
+// ==========================================
+// Public Routes (for calendar apps)
+// ==========================================
+
+/**
+ * @route   GET /api/calendar/feeds/:token/calendar.ics
+ * @desc    Subscription feed of appointments (the token in the URL is the credential)
+ * @access  Public with a feed token
+ */
+router.get('/feeds/:token/calendar.ics', CalendarController.getFeedCalendar);
+
+// ==========================================
+// Staff Routes
+// ==========================================
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/calendar/feeds
+ * @desc    List calendar feeds (admins see every feed, other staff their own)
+ * @access  Staff (receptionist, vet, admin)
+ */
+router.get('/feeds', authorize(...ALL_STAFF), CalendarController.getFeeds);
+
+/**
+ * @route   POST /api/calendar/feeds
+ * @desc    Create a calendar feed; the response holds its subscription URL, which is not shown again
+ * @access  Staff (receptionist, vet, admin)
+ * @body    { name, providerId? } - Omit providerId for a feed of the whole clinic
+ */
+router.post('/feeds', authorize(...ALL_STAFF), CalendarController.createFeed);
+
+/**
+ * @route   DELETE /api/calendar/feeds/:id
+ * @desc    Delete a calendar feed (its URL stops working)
+ * @access  Staff (own feeds), Admin (any feed)
+ */
+router.delete('/feeds/:id', authorize(...ALL_STAFF), CalendarController.deleteFeed);
+
+module.exports = router;
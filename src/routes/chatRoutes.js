@@ -19,9 +19,20 @@ router.post('/init', validateSession, ChatController.initSession);
  * @route   POST /api/chat/message
  * @desc    Send a message and get AI response
  * @access  Public
+ * @body    { message, sessionId?, context?, stream?, requestId? }
+ *          With stream: true and the session's stream open, responds 202 and sends the reply over the stream.
+ *          While a staff member has the chat (handoffStatus: active) the bot does not reply and response is null.
+ *          quickReplies lists suggested answers ({ label, value }, e.g. open appointment times); send value as the next message.
  */
 router.post('/message', validateSession, ChatController.sendMessage);
 
+/**
+ * @route   GET /api/chat/stream/:sessionId
+ * @desc    Event stream (SSE) of bot replies, typing indicators and server-pushed messages
+ * @access  Public
+ */
+router.get('/stream/:sessionId', ChatController.streamSession);
+
 /**
  * @route   GET /api/chat/history/:sessionId
  * @desc    Get conversation history
@@ -0,0 +1,65 @@
+/**
+ * FAQ Routes
+ * API endpoints for managing the chatbot's FAQ knowledge base
+ */
+
+const express = require('express');
+const router = express.Router();
+const { FaqController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { ADMIN } = USER_ROLES;
+
+// All FAQ routes are for clinic admins
+router.use(authenticate, authorize(ADMIN));
+
+/**
+ * @route   GET /api/faqs
+ * @desc    List FAQs sorted by order
+ * @access  Admin
+ * @query   enabled - true | false (optional)
+ * @query   search - Text to look for in the key, title, keywords, synonyms or response (optional)
+ * @query   page, limit - Pagination (optional)
+ */
+router.get('/', FaqController.getFaqs);
+
+/**
+ * @route   POST /api/faqs
+ * @desc    Create an FAQ; the bot uses it straight away
+ * @access  Admin
+ * @body    { key, title?, keywords, synonyms?, response, speciesResponses?: [{ species, response }], generator?, enabled?, order? }
+ */
+router.post('/', FaqController.createFaq);
+
+/**
+ * @route   GET /api/faqs/:id
+ * @desc    Get an FAQ with its version history
+ * @access  Admin
+ */
+router.get('/:id', FaqController.getFaq);
+
+/**
+ * @route   PUT /api/faqs/:id
+ * @desc    Update an FAQ (saved as a new version)
+ * @access  Admin
+ * @body    Any of { key, title, keywords, synonyms, response, speciesResponses, generator, enabled, order }
+ */
+router.put('/:id', FaqController.updateFaq);
+
+/**
+ * @route   DELETE /api/faqs/:id
+ * @desc    Delete an FAQ (hidden, but kept with its history)
+ * @access  Admin
+ */
+router.delete('/:id', FaqController.deleteFaq);
+
+/**
+ * @route   POST /api/faqs/:id/restore
+ * @desc    Bring back the content of an earlier version (saved as a new version)
+ * @access  Admin
+ * @body    { version }
+ */
+router.post('/:id/restore', FaqController.restoreVersion);
+
+module.exports = router;
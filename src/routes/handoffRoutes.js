@@ -0,0 +1,57 @@
+/**
+ * Handoff Routes
+ * API endpoints for staff taking over chats from the bot
+ */
+
+const express = require('express');
+const router = express.Router();
+const { HandoffController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { RECEPTIONIST, VET, ADMIN } = USER_ROLES;
+const ALL_STAFF = [RECEPTIONIST, VET, ADMIN];
+
+// All handoff routes require a staff token
+router.use(authenticate);
+
+/**
+ * @route   GET /api/handoffs
+ * @desc    List handed-over conversations with their latest messages
+ *          (waiting: emergencies first, then oldest first; others: most recent first)
+ * @access  Staff (receptionist, vet, admin)
+ * @query   status - waiting | active | closed (default: waiting)
+ * @query   page, limit - Pagination (optional)
+ */
+router.get('/', authorize(...ALL_STAFF), HandoffController.getQueue);
+
+/**
+ * @route   GET /api/handoffs/:sessionId
+ * @desc    Get a conversation with its full transcript
+ * @access  Staff (receptionist, vet, admin)
+ */
+router.get('/:sessionId', authorize(...ALL_STAFF), HandoffController.getHandoff);
+
+/**
+ * @route   POST /api/handoffs/:sessionId/claim
+ * @desc    Take a waiting conversation; the bot pauses while you have it
+ * @access  Staff (receptionist, vet, admin)
+ */
+router.post('/:sessionId/claim', authorize(...ALL_STAFF), HandoffController.claimHandoff);
+
+/**
+ * @route   POST /api/handoffs/:sessionId/messages
+ * @desc    Reply to the owner (only the staff member who claimed the conversation)
+ * @access  Staff (receptionist, vet, admin)
+ * @body    { message }
+ */
+router.post('/:sessionId/messages', authorize(...ALL_STAFF), HandoffController.sendMessage);
+
+/**
+ * @route   POST /api/handoffs/:sessionId/close
+ * @desc    Hand the conversation back to the bot
+ * @access  The claiming staff member or an admin; any staff member while it is waiting
+ */
+router.post('/:sessionId/close', authorize(...ALL_STAFF), HandoffController.closeHandoff);
+
+module.exports = router;
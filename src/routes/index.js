@@ -7,6 +7,18 @@ const express = require('express');
 const router = express.Router();
 const chatRoutes = require('./chatRoutes');
 const appointmentRoutes = require('./appointmentRoutes');
+const authRoutes = require('./authRoutes');
+const providerRoutes = require('./providerRoutes');
+const scheduleRoutes = require('./scheduleRoutes');
+const waitlistRoutes = require('./waitlistRoutes');
+const ownerRoutes = require('./ownerRoutes');
+const visitRoutes = require('./visitRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const calendarRoutes = require('./calendarRoutes');
+const realtimeRoutes = require('./realtimeRoutes');
+const handoffRoutes = require('./handoffRoutes');
+const faqRoutes = require('./faqRoutes');
+const intentRoutes = require('./intentRoutes');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -19,7 +31,19 @@ router.get('/health', (req, res) => {
 });
 
 // Mount routes
+router.use('/auth', authRoutes);
 router.use('/chat', chatRoutes);
 router.use('/appointments', appointmentRoutes);
+router.use('/providers', providerRoutes);
+router.use('/schedule', scheduleRoutes);
+router.use('/waitlist', waitlistRoutes);
+router.use('/owners', ownerRoutes);
+router.use('/visits', visitRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/calendar', calendarRoutes);
+router.use('/realtime', realtimeRoutes);
+router.use('/handoffs', handoffRoutes);
+router.use('/faqs', faqRoutes);
+router.use('/intents', intentRoutes);
 
 module.exports = router;
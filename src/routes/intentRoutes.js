@@ -0,0 +1,32 @@
+/**
+ * Intent Routes
+ * API endpoints for inspecting how the chatbot understands messages
+ */
+
+const express = require('express');
+const router = express.Router();
+const { IntentController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { ADMIN } = USER_ROLES;
+
+// Intent routes are for clinic admins
+router.use(authenticate, authorize(ADMIN));
+
+/**
+ * @route   GET /api/intents
+ * @desc    List the registered intent handlers (highest priority first) and slots
+ * @access  Admin
+ */
+router.get('/', IntentController.getIntents);
+
+/**
+ * @route   POST /api/intents/debug
+ * @desc    Score a message against every handler and show where it would be routed (nothing is sent)
+ * @access  Admin
+ * @body    { message, sessionId? } - With a sessionId the chat's current flow is taken into account
+ */
+router.post('/debug', IntentController.debugMessage);
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * Owner Routes
+ * API endpoints for owner and pet profiles
+ */
+
+const express = require('express');
+const router = express.Router();
+const { OwnerController, VaccinationController, VisitController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { RECEPTIONIST, VET, ADMIN } = USER_ROLES;
+const ALL_STAFF = [RECEPTIONIST, VET, ADMIN];
+
+// All owner routes require a staff token
+router.use(authenticate);
+
+/**
+ * @route   GET /api/owners
+ * @desc    List owners with their pets
+ * @access  Staff (receptionist, vet, admin)
+ * @query   search - Name, phone or email (optional)
+ * @query   page, limit - Pagination (optional)
+ */
+router.get('/', authorize(...ALL_STAFF), OwnerController.getOwners);
+
+/**
+ * @route   POST /api/owners
+ * @desc    Create an owner
+ * @access  Receptionist, Admin
+ * @body    { name, phone, email?, userId?, notes? }
+ */
+router.post('/', authorize(RECEPTIONIST, ADMIN), OwnerController.createOwner);
+
+/**
+ * @route   POST /api/owners/merge
+ * @desc    Merge duplicate owners; pets and appointments move to the target
+ * @access  Receptionist, Admin
+ * @body    { targetId, sourceIds: [ownerId] }
+ */
+router.post('/merge', authorize(RECEPTIONIST, ADMIN), OwnerController.mergeOwners);
+
+/**
+ * @route   POST /api/owners/deduplicate
+ * @desc    Link appointments booked before profiles existed and merge owners sharing a phone
+ *          and pets sharing a name
+ * @access  Admin
+ */
+router.post('/deduplicate', authorize(ADMIN), OwnerController.deduplicate);
+
+/**
+ * @route   GET /api/owners/:id
+ * @desc    Get an owner with pets and recent appointments
+ * @access  Staff (receptionist, vet, admin)
+ */
+router.get('/:id', authorize(...ALL_STAFF), OwnerController.getOwner);
+
+/**
+ * @route   PUT /api/owners/:id
+ * @desc    Update an owner
+ * @access  Receptionist, Admin
+ * @body    { name?, phone?, email?, userId?, notes? }
+ */
+router.put('/:id', authorize(RECEPTIONIST, ADMIN), OwnerController.updateOwner);
+
+/**
+ * @route   POST /api/owners/:id/pets
+ * @desc    Add a pet
+ * @access  Staff (receptionist, vet, admin)
+ * @body    { name, species?, breed?, birthdate?, weight?, sex?, neutered?, allergies?, notes? }
+ */
+router.post('/:id/pets', authorize(...ALL_STAFF), OwnerController.addPet);
+
+/**
+ * @route   POST /api/owners/:id/pets/merge
+ * @desc    Merge duplicate pets of this owner
+ * @access  Receptionist, Admin
+ * @body    { targetId, sourceIds: [petId] }
+ */
+router.post('/:id/pets/merge', authorize(RECEPTIONIST, ADMIN), OwnerController.mergePets);
+
+/**
+ * @route   PUT /api/owners/:id/pets/:petId
+ * @desc    Update a pet
+ * @access  Staff (receptionist, vet, admin)
+ * @body    { name?, species?, breed?, birthdate?, weight?, sex?, neutered?, allergies?, notes? }
+ */
+router.put('/:id/pets/:petId', authorize(...ALL_STAFF), OwnerController.updatePet);
+
+/**
+ * @route   GET /api/owners/:id/pets/:petId/timeline
+ * @desc    Get a pet's appointments and visit records in one timeline, newest first
+ * @access  Staff (receptionist, vet, admin)
+ */
+router.get('/:id/pets/:petId/timeline', authorize(...ALL_STAFF), VisitController.getPetTimeline);
+
+/**
+ * @route   GET /api/owners/:id/pets/:petId/vaccinations
+ * @desc    Get a pet's vaccination records and what is overdue or coming up
+ * @access  Staff (receptionist, vet, admin)
+ */
+router.get('/:id/pets/:petId/vaccinations', authorize(...ALL_STAFF), VaccinationController.getVaccinations);
+
+/**
+ * @route   POST /api/owners/:id/pets/:petId/vaccinations
+ * @desc    Record a vaccine given (nextDueDate is worked out from the schedule when left out)
+ * @access  Staff (receptionist, vet, admin)
+ * @body    { vaccine, dateGiven, lotNumber?, nextDueDate?, appointmentId?, notes? }
+ */
+router.post('/:id/pets/:petId/vaccinations', authorize(...ALL_STAFF), VaccinationController.addVaccination);
+
+/**
+ * @route   PUT /api/owners/:id/pets/:petId/vaccinations/:vaccinationId
+ * @desc    Update a vaccination record
+ * @access  Staff (receptionist, vet, admin)
+ * @body    { vaccine?, dateGiven?, lotNumber?, nextDueDate?, appointmentId?, notes? }
+ */
+router.put('/:id/pets/:petId/vaccinations/:vaccinationId', authorize(...ALL_STAFF), VaccinationController.updateVaccination);
+
+/**
+ * @route   DELETE /api/owners/:id/pets/:petId/vaccinations/:vaccinationId
+ * @desc    Delete a vaccination record entered by mistake
+ * @access  Vet, Admin
+ */
+router.delete('/:id/pets/:petId/vaccinations/:vaccinationId', authorize(VET, ADMIN), VaccinationController.deleteVaccination);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * Provider Routes
+ * API endpoints for vets, groomers and techs and their calendars
+ */
+
+const express = require('express');
+const router = express.Router();
+const { ProviderController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { RECEPTIONIST, VET, ADMIN } = USER_ROLES;
+
+/**
+ * @route   GET /api/providers
+ * @desc    List active providers
+ * @access  Public
+ * @query   service - Only providers offering this service (optional)
+ */
+router.get('/', ProviderController.getProviders);
+
+/**
+ * @route   GET /api/providers/:id
+ * @desc    Get a provider
+ * @access  Public
+ */
+router.get('/:id', ProviderController.getProvider);
+
+/**
+ * @route   GET /api/providers/:id/calendar
+ * @desc    Get a provider's appointments and working hours for a date
+ * @access  Staff (receptionist, vet, admin)
+ * @query   date - YYYY-MM-DD (default: today)
+ */
+router.get('/:id/calendar', authenticate, authorize(RECEPTIONIST, VET, ADMIN), ProviderController.getCalendar);
+
+/**
+ * @route   POST /api/providers
+ * @desc    Create a provider
+ * @access  Admin
+ * @body    { name, title?, role?: 'vet' | 'groomer' | 'tech', services?: string[], workingHours?: [{ dayOfWeek, start, end, breakStart?, breakEnd? }], userId? }
+ */
+router.post('/', authenticate, authorize(ADMIN), ProviderController.createProvider);
+
+/**
+ * @route   PUT /api/providers/:id
+ * @desc    Update a provider
+ * @access  Admin
+ */
+router.put('/:id', authenticate, authorize(ADMIN), ProviderController.updateProvider);
+
+/**
+ * @route   DELETE /api/providers/:id
+ * @desc    Deactivate a provider (past appointments keep the reference)
+ * @access  Admin
+ */
+router.delete('/:id', authenticate, authorize(ADMIN), ProviderController.deactivateProvider);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Realtime Routes
+ * API endpoints for live staff event streams (Server-Sent Events)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { RealtimeController } = require('../controllers');
+const { authenticate, authenticateStream, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { RECEPTIONIST, VET, ADMIN } = USER_ROLES;
+const ALL_STAFF = [RECEPTIONIST, VET, ADMIN];
+
+/**
+ * @route   POST /api/realtime/tickets
+ * @desc    Get a short-lived ticket for opening an event stream with EventSource
+ * @access  Staff (receptionist, vet, admin)
+ */
+router.post('/tickets', authenticate, authorize(...ALL_STAFF), RealtimeController.createTicket);
+
+/**
+ * @route   GET /api/realtime/events
+ * @desc    Stream live appointment.* (and optionally conversation.started and handoff.*) events
+ * @access  Staff, with ?ticket= or a Bearer token
+ * @query   events - Comma-separated events or patterns (default: appointment.*)
+ * @query   ticket - Stream ticket from POST /api/realtime/tickets (optional with a Bearer token)
+ */
+router.get('/events', authenticateStream, authorize(...ALL_STAFF), RealtimeController.streamEvents);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+/**
+ * Schedule Routes
+ * API endpoints for clinic opening hours, closures and special hours
+ */
+
+const express = require('express');
+const router = express.Router();
+const { ScheduleController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { ADMIN } = USER_ROLES;
+
+/**
+ * @route   GET /api/schedule
+ * @desc    Get weekly hours and closures/special hours (default: from today on)
+ * @access  Public
+ * @query   from - YYYY-MM-DD (optional)
+ * @query   to - YYYY-MM-DD (optional)
+ */
+router.get('/', ScheduleController.getSchedule);
+
+/**
+ * @route   GET /api/schedule/day/:date
+ * @desc    Get the hours that apply on a date (YYYY-MM-DD)
+ * @access  Public
+ */
+router.get('/day/:date', ScheduleController.getDay);
+
+/**
+ * @route   GET /api/schedule/exceptions
+ * @desc    List closures and special hours
+ * @access  Public
+ * @query   from - YYYY-MM-DD (optional)
+ * @query   to - YYYY-MM-DD (optional)
+ */
+router.get('/exceptions', ScheduleController.getExceptions);
+
+/**
+ * @route   PUT /api/schedule/weekly
+ * @desc    Set the hours of one or more weekdays
+ * @access  Admin
+ * @body    { weeklyHours: [{ dayOfWeek, isOpen, start?, end?, breakStart?, breakEnd? }] }
+ */
+router.put('/weekly', authenticate, authorize(ADMIN), ScheduleController.updateWeeklyHours);
+
+/**
+ * @route   PUT /api/schedule/weekly/:dayOfWeek
+ * @desc    Set the hours of one weekday (0 = Sunday, 6 = Saturday)
+ * @access  Admin
+ * @body    { isOpen, start?, end?, breakStart?, breakEnd? }
+ */
+router.put('/weekly/:dayOfWeek', authenticate, authorize(ADMIN), ScheduleController.updateDayHours);
+
+/**
+ * @route   POST /api/schedule/exceptions
+ * @desc    Add a closure (holiday) or special hours for a date
+ * @access  Admin
+ * @body    { date: 'YYYY-MM-DD', type: 'closed' | 'special_hours', name?, start?, end?, breakStart?, breakEnd? }
+ */
+router.post('/exceptions', authenticate, authorize(ADMIN), ScheduleController.createException);
+
+/**
+ * @route   PUT /api/schedule/exceptions/:id
+ * @desc    Update a closure or special hours entry
+ * @access  Admin
+ */
+router.put('/exceptions/:id', authenticate, authorize(ADMIN), ScheduleController.updateException);
+
+/**
+ * @route   DELETE /api/schedule/exceptions/:id
+ * @desc    Remove a closure or special hours entry (weekly hours apply again)
+ * @access  Admin
+ */
+router.delete('/exceptions/:id', authenticate, authorize(ADMIN), ScheduleController.deleteException);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Visit Routes
+ * API endpoints for clinical visit records
+ */
+
+const express = require('express');
+const router = express.Router();
+const { VisitController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { RECEPTIONIST, VET, ADMIN } = USER_ROLES;
+const ALL_STAFF = [RECEPTIONIST, VET, ADMIN];
+
+// All visit routes require a staff token
+router.use(authenticate);
+
+/**
+ * @route   GET /api/visits
+ * @desc    List visit records, newest first
+ * @access  Staff (receptionist, vet, admin)
+ * @query   petId, ownerId, providerId - Filters (optional)
+ * @query   from, to - Visit date range, YYYY-MM-DD, inclusive (optional)
+ * @query   page, limit - Pagination (optional)
+ */
+router.get('/', authorize(...ALL_STAFF), VisitController.getVisitRecords);
+
+/**
+ * @route   POST /api/visits
+ * @desc    Create the visit record for a completed appointment
+ * @access  Vet, Admin
+ * @body    { appointmentId, visitDate?, vitals?, diagnosis?, treatments?, prescriptions?, followUp?, attachments?, notes? }
+ */
+router.post('/', authorize(VET, ADMIN), VisitController.createVisitRecord);
+
+/**
+ * @route   GET /api/visits/:id
+ * @desc    Get a visit record with its edit history
+ * @access  Staff (receptionist, vet, admin)
+ */
+router.get('/:id', authorize(...ALL_STAFF), VisitController.getVisitRecord);
+
+/**
+ * @route   PUT /api/visits/:id
+ * @desc    Update a visit record (each change is added to its history)
+ * @access  Vet, Admin
+ * @body    { visitDate?, vitals?, diagnosis?, treatments?, prescriptions?, followUp?, attachments?, notes? }
+ */
+router.put('/:id', authorize(VET, ADMIN), VisitController.updateVisitRecord);
+
+/**
+ * @route   DELETE /api/visits/:id
+ * @desc    Delete a visit record (hidden, but kept with its history)
+ * @access  Vet, Admin
+ */
+router.delete('/:id', authorize(VET, ADMIN), VisitController.deleteVisitRecord);
+
+module.exports = router;
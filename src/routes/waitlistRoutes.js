@@ -0,0 +1,64 @@
+/**
+ * Waitlist Routes
+ * API endpoints for waiting on fully booked days
+ */
+
+const express = require('express');
+const router = express.Router();
+const { WaitlistController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+const { RECEPTIONIST, VET, ADMIN } = USER_ROLES;
+
+/**
+ * @route   GET /api/waitlist
+ * @desc    List waitlist entries
+ * @access  Staff
+ * @query   status - waiting | offered | booked | expired | cancelled (optional)
+ * @query   date - Entries covering this date, YYYY-MM-DD (optional)
+ * @query   page, limit - Pagination (optional)
+ */
+router.get('/', authenticate, authorize(RECEPTIONIST, VET, ADMIN), WaitlistController.getEntries);
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Join the waitlist; freed slots are offered first come, first served
+ * @access  Public
+ * @body    { ownerName, petName, petType?, phone, email?, service?, providerId?, dateFrom, dateTo? }
+ */
+router.post('/', WaitlistController.joinWaitlist);
+
+/**
+ * @route   GET /api/waitlist/:id
+ * @desc    Get a waitlist entry and any slot on offer
+ * @access  Public (owner token)
+ * @query   token - Token returned when joining
+ */
+router.get('/:id', WaitlistController.getEntry);
+
+/**
+ * @route   POST /api/waitlist/:id/accept
+ * @desc    Book the slot on offer
+ * @access  Public (owner token)
+ * @body    { token }
+ */
+router.post('/:id/accept', WaitlistController.acceptOffer);
+
+/**
+ * @route   POST /api/waitlist/:id/decline
+ * @desc    Pass on the slot on offer and keep waiting
+ * @access  Public (owner token)
+ * @body    { token }
+ */
+router.post('/:id/decline', WaitlistController.declineOffer);
+
+/**
+ * @route   DELETE /api/waitlist/:id
+ * @desc    Leave the waitlist
+ * @access  Public (owner token)
+ * @query   token - Token returned when joining
+ */
+router.delete('/:id', WaitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+/**
+ * Webhook Routes
+ * API endpoints for webhook subscriptions and deliveries
+ */
+
+const express = require('express');
+const router = express.Router();
+const { WebhookController } = require('../controllers');
+const { authenticate, authorize } = require('../middleware');
+const { USER_ROLES } = require('../config/constants');
+
+// Webhooks are managed by admins only
+router.use(authenticate, authorize(USER_ROLES.ADMIN));
+
+/**
+ * @route   GET /api/webhooks/events
+ * @desc    List the events webhooks can subscribe to
+ * @access  Admin
+ */
+router.get('/events', WebhookController.getEvents);
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    List deliveries, newest first
+ * @access  Admin
+ * @query   subscriptionId, status (pending|delivered|dead), event - Filters (optional)
+ * @query   page, limit - Pagination (optional)
+ */
+router.get('/deliveries', WebhookController.getDeliveries);
+
+/**
+ * @route   GET /api/webhooks/dead-letters
+ * @desc    List deliveries that failed every retry
+ * @access  Admin
+ * @query   subscriptionId, event - Filters (optional)
+ * @query   page, limit - Pagination (optional)
+ */
+router.get('/dead-letters', WebhookController.getDeadLetters);
+
+/**
+ * @route   GET /api/webhooks/deliveries/:deliveryId
+ * @desc    Get a delivery with its attempts
+ * @access  Admin
+ */
+router.get('/deliveries/:deliveryId', WebhookController.getDelivery);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Send a delivery again with a fresh set of retries
+ * @access  Admin
+ */
+router.post('/deliveries/:deliveryId/redeliver', WebhookController.redeliver);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhook subscriptions
+ * @access  Admin
+ */
+router.get('/', WebhookController.getSubscriptions);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook subscription
+ * @access  Admin
+ * @body    { url, events?, secret?, description?, active? }
+ */
+router.post('/', WebhookController.createSubscription);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook subscription
+ * @access  Admin
+ */
+router.get('/:id', WebhookController.getSubscription);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook subscription (setting secret rotates it)
+ * @access  Admin
+ * @body    { url?, events?, secret?, description?, active? }
+ */
+router.put('/:id', WebhookController.updateSubscription);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook subscription and its deliveries
+ * @access  Admin
+ */
+router.delete('/:id', WebhookController.deleteSubscription);
+
+module.exports = router;
@@ -1,33 +1,55 @@
 /**
  * AI Service (Rule-Based)
- * Handles intent detection and response generation without using external AI APIs
- * Uses pattern matching, keyword detection, and state machine logic
+ * Detectors and extractors for understanding messages without external AI APIs
+ * Uses pattern matching and keyword detection; IntentService decides which intent answers
  */
 
-const { MESSAGES, APPOINTMENT_KEYWORDS, GREETING_KEYWORDS, FAQ_RESPONSES } = require('../config/constants');
+const { MESSAGES, APPOINTMENT_KEYWORDS, GREETING_KEYWORDS, FAQ_GENERATORS, FAQ_SEARCH, HANDOFF, HANDOFF_REASONS } = require('../config/constants');
 const { 
   isBookingIntent, 
   extractBookingDetails, 
+  extractBookingEntities,
   fixMisspellings, 
   expandAbbreviations, 
-  normalizeText 
+  normalizeText,
+  detectManageIntent,
 } = require('../utils/appointmentIntentMatcher');
+const { getClinicCalendarToday } = require('../utils/timezoneUtils');
+const { search } = require('../utils/textSearch');
+const ScheduleService = require('./scheduleService');
+const FaqService = require('./faqService');
 
 /**
- * Intent types
+ * A question about when a pet's vaccines are due names a vaccine and asks about timing
+ * ("when is Buddy due for rabies?", "is Luna up to date on her shots?")
  */
-const INTENTS = {
-  BOOK_APPOINTMENT: 'BOOK_APPOINTMENT',
-  GREETING: 'GREETING',
-  FAQ: 'FAQ',
-  PROVIDE_DATE: 'PROVIDE_DATE',
-  PROVIDE_TIME: 'PROVIDE_TIME',
-  CONFIRM_YES: 'CONFIRM_YES',
-  CONFIRM_NO: 'CONFIRM_NO',
-  CANCEL: 'CANCEL',
-  HELP: 'HELP',
-  UNKNOWN: 'UNKNOWN',
-};
+const VACCINE_WORDS_REGEX = /\b(vaccin\w*|shots?|jabs?|boosters?|immuni[sz]ations?|rabies|dhpp|dapp|distemper|parvo\w*|lepto\w*|bordetella|kennel cough|fvrcp|felv|feline leukemia)\b/;
+const VACCINE_TIMING_REGEX = /\b(due|overdue|up to date|up-to-date|next|last|expired?|behind)\b/;
+
+/**
+ * A time worth taking from a longer sentence: "3pm", "10:30", "in the morning" (a bare number
+ * could be a count, a date or part of a phone number)
+ */
+/**
+ * Dates written with numbers ("2026-03-05", "5/3", "March 5", "5th of March"), whose numbers are
+ * not times
+ */
+const NUMERIC_DATE_REGEX = /\b\d{1,4}[-./]\d{1,2}(?:[-./]\d{1,4})?\b|\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?\b(?:,?\s+\d{4})?|\b\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*(?:\s+\d{4})?/gi;
+
+const CLEAR_TIME_REGEX = /\b\d{1,2}(:\d{2})?\s*(am|pm)\b|\b\d{1,2}:\d{2}\b|\b(morning|afternoon|evening|noon|midday)\b/i;
+
+/**
+ * Words that tell which species a question is about, for species-specific FAQ answers
+ */
+const SPECIES_WORDS = [
+  { species: 'dog', regex: /\b(dogs?|pupp(y|ies)|pups?|canine)\b/ },
+  { species: 'cat', regex: /\b(cats?|kittens?|kitty|kitties|feline)\b/ },
+  { species: 'bird', regex: /\b(birds?|parrots?|budgies?|parakeets?|cockatiels?|canar(y|ies))\b/ },
+  { species: 'rabbit', regex: /\b(rabbits?|bunn(y|ies))\b/ },
+  { species: 'hamster', regex: /\b(hamsters?)\b/ },
+  { species: 'fish', regex: /\b(fish|goldfish|aquarium)\b/ },
+  { species: 'reptile', regex: /\b(reptiles?|lizards?|snakes?|turtles?|tortoises?|geckos?|iguanas?)\b/ },
+];
 
 class AIService {
   /**
@@ -44,6 +66,22 @@ class AIService {
     return intentResult.isBooking;
   }
 
+  /**
+   * Check if the message is about an existing appointment
+   * Returns 'lookup', 'reschedule', 'cancel' or null
+   */
+  static detectManageAppointmentIntent(message) {
+    return detectManageIntent(message);
+  }
+
+  /**
+   * Check if the message asks when a pet's vaccinations are due
+   */
+  static detectVaccinationStatusIntent(message) {
+    const lowerMessage = message.toLowerCase();
+    return VACCINE_WORDS_REGEX.test(lowerMessage) && VACCINE_TIMING_REGEX.test(lowerMessage);
+  }
+
   /**
    * Get the last booking intent result with details
    */
@@ -97,63 +135,40 @@ class AIService {
   }
 
   /**
-   * Detect the primary intent from a message
+   * Check if the message needs a person: returns 'emergency', 'requested' or null
    */
-  static detectIntent(message) {
-    const lowerMessage = message.toLowerCase().trim();
-
-    // Check for appointment booking intent first
-    if (this.detectAppointmentIntent(message)) {
-      return INTENTS.BOOK_APPOINTMENT;
-    }
-
-    // Check for cancellation
-    if (this.detectCancelIntent(message)) {
-      return INTENTS.CANCEL;
-    }
-
-    // Check for help
-    if (this.detectHelpIntent(message)) {
-      return INTENTS.HELP;
-    }
-
-    // Check for greeting
-    if (this.detectGreetingIntent(message)) {
-      return INTENTS.GREETING;
-    }
-
-    // Check for confirmation responses
-    if (/^(yes|yeah|yep|sure|ok|okay|confirm|y)$/i.test(lowerMessage)) {
-      return INTENTS.CONFIRM_YES;
-    }
-    if (/^(no|nope|nah|cancel|n)$/i.test(lowerMessage)) {
-      return INTENTS.CONFIRM_NO;
+  static detectHandoffRequest(message) {
+    const lowerMessage = message.toLowerCase().replace(/[’‘]/g, "'");
+    if (HANDOFF.EMERGENCY_KEYWORDS.some(keyword => lowerMessage.includes(keyword))) {
+      return HANDOFF_REASONS.EMERGENCY;
     }
-
-    // Check for date patterns
-    if (this.extractDate(message)) {
-      return INTENTS.PROVIDE_DATE;
-    }
-
-    // Check for time patterns
-    if (this.extractTime(message)) {
-      return INTENTS.PROVIDE_TIME;
+    if (HANDOFF.REQUEST_KEYWORDS.some(keyword => lowerMessage.includes(keyword))) {
+      return HANDOFF_REASONS.REQUESTED;
     }
+    return null;
+  }
 
-    // Check for FAQ matches
-    if (this.matchFAQ(message)) {
-      return INTENTS.FAQ;
+  /**
+   * Count the fallback replies the bot has given in a row, ignoring the user's messages
+   */
+  static countUnresolvedReplies(conversationHistory = []) {
+    let count = 0;
+    for (let i = conversationHistory.length - 1; i >= 0; i--) {
+      const message = conversationHistory[i];
+      if (message.role === 'user') continue;
+      if (message.role !== 'bot' || message.content !== MESSAGES.DEFAULT_RESPONSE) break;
+      count++;
     }
-
-    return INTENTS.UNKNOWN;
+    return count;
   }
 
   /**
    * Extract date from message
+   * Relative dates ("tomorrow", "friday") are based on today's date in the clinic timezone
    */
   static extractDate(message) {
     const lowerMessage = message.toLowerCase();
-    const today = new Date();
+    const today = getClinicCalendarToday();
 
     // Check for relative dates
     if (lowerMessage.includes('today')) {
@@ -262,18 +277,23 @@ class AIService {
 
   /**
    * Extract time from message
+   * A clear time ("2pm", "14:30") wins over a time of day or a bare number, so the day in
+   * "January 30, 2026 at 2:00 PM" is not taken for the time
    */
   static extractTime(message) {
     const lowerMessage = message.toLowerCase();
+    const clearTime = message.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|AM|PM)\b/) || message.match(/\b(\d{1,2}):(\d{2})\b/);
 
     // Check for common time expressions
-    if (lowerMessage.includes('morning')) return '09:00 AM';
-    if (lowerMessage.includes('noon') || lowerMessage.includes('midday')) return '12:00 PM';
-    if (lowerMessage.includes('afternoon')) return '02:00 PM';
-    if (lowerMessage.includes('evening')) return '05:00 PM';
+    if (!clearTime) {
+      if (lowerMessage.includes('morning')) return '09:00 AM';
+      if (lowerMessage.includes('noon') || lowerMessage.includes('midday')) return '12:00 PM';
+      if (lowerMessage.includes('afternoon')) return '02:00 PM';
+      if (lowerMessage.includes('evening')) return '05:00 PM';
+    }
 
-    // Match time patterns like 2pm, 2:30pm, 14:30, 2 pm, 2:30 PM
-    const timeMatch = message.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|AM|PM)?\b/);
+    // Match time patterns like 2pm, 2:30pm, 14:30, 2 pm, 2:30 PM (a bare number only outside a date)
+    const timeMatch = clearTime || message.replace(NUMERIC_DATE_REGEX, ' ').match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|AM|PM)?\b/);
     if (timeMatch) {
       let [, hours, minutes, period] = timeMatch;
       hours = parseInt(hours);
@@ -319,108 +339,100 @@ class AIService {
   }
 
   /**
-   * Match message against FAQ patterns
+   * Extract everything a booking needs from one message
+   * ("Book a dental checkup for my cat Luna tomorrow at 3pm, I'm Priya, 555-123-4567")
+   * Dates and times are looked for after the phone number and email are taken out, so their digits
+   * are not mistaken for either.
+   * @returns {Object} { ownerName, petName, petType, service, phone, email, date, time } with null
+   *   for anything not mentioned; date is YYYY-MM-DD and time like "3:00 PM"
    */
-  static matchFAQ(message) {
+  static extractBookingEntities(message) {
+    const { remainingText, ...entities } = extractBookingEntities(message);
+    const timeMatch = remainingText.match(CLEAR_TIME_REGEX);
+
+    return {
+      ...entities,
+      petType: remainingText ? this.detectSpecies(remainingText) : null,
+      date: remainingText ? this.extractDate(remainingText) : null,
+      time: timeMatch ? this.extractTime(timeMatch[0]) : null,
+    };
+  }
+
+  /**
+   * Detect which species a message is about ('dog', 'cat', ...), or null
+   */
+  static detectSpecies(message) {
     const lowerMessage = message.toLowerCase();
-    
-    for (const faq of FAQ_RESPONSES) {
-      if (faq.keywords.some(keyword => lowerMessage.includes(keyword))) {
-        return faq;
-      }
-    }
-    return null;
+    const match = SPECIES_WORDS.find(({ regex }) => regex.test(lowerMessage));
+    return match ? match.species : null;
   }
 
   /**
-   * Generate response based on intent and context (no AI)
+   * Rank the FAQ knowledge base (see FaqService) against a message
+   * Confidence grows with the score and reaches 50% at FAQ_SEARCH.CONFIDENCE_SCALE; FAQ order
+   * breaks ties
+   * @returns {Array} [{ faq, score, confidence }], best first
    */
-  static async generateResponse(userMessage, conversationHistory = []) {
-    try {
-      const intent = this.detectIntent(userMessage);
-
-      switch (intent) {
-        case INTENTS.BOOK_APPOINTMENT:
-          return {
-            success: true,
-            response: MESSAGES.APPOINTMENT_START,
-            isAppointmentIntent: true,
-          };
-
-        case INTENTS.GREETING:
-          return {
-            success: true,
-            response: MESSAGES.WELCOME,
-            isAppointmentIntent: false,
-          };
-
-        case INTENTS.HELP:
-          return {
-            success: true,
-            response: MESSAGES.HELP_MESSAGE,
-            isAppointmentIntent: false,
-          };
-
-        case INTENTS.CANCEL:
-          return {
-            success: true,
-            response: MESSAGES.BOOKING_CANCELLED,
-            isAppointmentIntent: false,
-          };
-
-        case INTENTS.FAQ:
-          const faq = this.matchFAQ(userMessage);
-          if (faq) {
-            return {
-              success: true,
-              response: faq.response,
-              isAppointmentIntent: false,
-            };
-          }
-          break;
-
-        default:
-          // Try to match FAQ as a fallback
-          const faqMatch = this.matchFAQ(userMessage);
-          if (faqMatch) {
-            return {
-              success: true,
-              response: faqMatch.response,
-              isAppointmentIntent: false,
-            };
-          }
-
-          return {
-            success: true,
-            response: MESSAGES.DEFAULT_RESPONSE,
-            isAppointmentIntent: false,
-          };
-      }
+  static searchFAQ(message) {
+    const faqs = FaqService.getActiveFaqs();
+    const order = new Map(faqs.map((faq, position) => [faq.id, position]));
+
+    return search(FaqService.getSearchIndex(), message, { phraseBoost: FAQ_SEARCH.PHRASE_BOOST })
+      .sort((a, b) => b.score - a.score || order.get(a.id) - order.get(b.id))
+      .map(({ id, score }) => ({
+        faq: faqs[order.get(id)],
+        score,
+        confidence: score / (score + FAQ_SEARCH.CONFIDENCE_SCALE),
+      }));
+  }
+
+  /**
+   * Find the FAQ that best answers a message, or null when none is confident enough
+   * The answer for the species the message mentions (or the given species) is used when the FAQ
+   * has one; generated answers such as the opening hours are built when matched. Other FAQs
+   * scoring close to the best come back as suggestions for a "did you mean" reply
+   */
+  static matchFAQ(message, { species = null } = {}) {
+    const [best, ...others] = this.searchFAQ(message);
+    if (!best || best.confidence < FAQ_SEARCH.MIN_CONFIDENCE) {
+      return null;
+    }
+
+    const suggestions = others
+      .filter(result => result.confidence >= FAQ_SEARCH.MIN_CONFIDENCE
+        && result.score >= best.score * FAQ_SEARCH.SUGGESTION_RATIO)
+      .slice(0, FAQ_SEARCH.MAX_SUGGESTIONS - 1)
+      .map(({ faq, confidence }) => ({ key: faq.key, title: faq.title || faq.key, confidence }));
+
+    return {
+      ...best.faq,
+      response: this.getFaqResponse(best.faq, species || this.detectSpecies(message)),
+      confidence: best.confidence,
+      suggestions,
+    };
+  }
 
-      return {
-        success: true,
-        response: MESSAGES.DEFAULT_RESPONSE,
-        isAppointmentIntent: false,
-      };
-    } catch (error) {
-      console.error('Error generating response:', error);
-      return {
-        success: false,
-        response: MESSAGES.ERROR_RESPONSE,
-        error: error.message,
-      };
+  /**
+   * Get the reply for a matched FAQ: its answer, or a "did you mean" list when other FAQs
+   * scored close to it
+   */
+  static getFaqReply(faq) {
+    if (faq.suggestions.length === 0) {
+      return faq.response;
     }
+    return MESSAGES.FAQ_DID_YOU_MEAN([faq.title || faq.key, ...faq.suggestions.map(suggestion => suggestion.title)]);
   }
 
   /**
-   * Generate a simple response (for backward compatibility)
+   * Get the answer an FAQ gives for a species
    */
-  static async generateSimpleResponse(prompt) {
-    return this.generateResponse(prompt);
+  static getFaqResponse(faq, species = null) {
+    if (faq.generator === FAQ_GENERATORS.CLINIC_HOURS) {
+      return ScheduleService.getHoursAnswer();
+    }
+    const variant = species && faq.speciesResponses.find(item => item.species === species);
+    return variant ? variant.response : faq.response;
   }
 }
 
-// Export intents for use in other modules
-AIService.INTENTS = INTENTS;
-
 module.exports = AIService;
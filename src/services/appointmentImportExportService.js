@@ -0,0 +1,295 @@
+/**
+ * Appointment Import/Export Service
+ * Streams filtered appointment lists as CSV or XLSX and bulk-imports appointments from CSV
+ */
+
+const { Appointment } = require('../models');
+const AppointmentService = require('./appointmentService');
+const ScheduleService = require('./scheduleService');
+const ProviderService = require('./providerService');
+const { SERVICES, APPOINTMENT_IMPORT } = require('../config/constants');
+const { validateDirectAppointment } = require('../utils/appointmentValidator');
+const { parseCsv, createCsvWriter } = require('../utils/csvUtils');
+const { timeToMinutes, isIntervalFree } = require('../utils/scheduleUtils');
+const { createXlsxWriter } = require('../utils/xlsxUtils');
+const { toDateKey, startOfClinicDay, addClinicDays } = require('../utils/timezoneUtils');
+
+// Export columns, in order
+const EXPORT_COLUMNS = [
+  { header: 'Appointment ID', value: a => a._id.toString() },
+  { header: 'Date', value: a => (a.scheduledDate ? toDateKey(a.scheduledDate) : '') },
+  { header: 'Time', value: a => a.scheduledTimeSlot || '' },
+  { header: 'Duration (min)', value: a => a.duration },
+  { header: 'Status', value: a => a.status },
+  { header: 'Service', value: a => a.service },
+  { header: 'Service Name', value: a => (SERVICES.find(s => s.id === a.service) || {}).name || '' },
+  { header: 'Provider', value: a => (a.provider && a.provider.name) || '' },
+  { header: 'Owner Name', value: a => a.ownerName },
+  { header: 'Phone', value: a => a.phone },
+  { header: 'Email', value: a => a.email || '' },
+  { header: 'Pet Name', value: a => a.petName },
+  { header: 'Pet Type', value: a => a.petType },
+  { header: 'Reason', value: a => a.reason || '' },
+  { header: 'Notes', value: a => a.notes || '' },
+  { header: 'Source', value: a => (a.context && a.context.source) || '' },
+  { header: 'Created At', value: a => (a.createdAt ? a.createdAt.toISOString() : '') },
+];
+
+// Import column names, compared in lower case without spaces or punctuation
+// The export's own headers are accepted, so an export can be edited and imported again
+const IMPORT_COLUMNS = {
+  ownerName: ['ownername', 'owner', 'client', 'clientname'],
+  petName: ['petname', 'pet', 'patient', 'patientname'],
+  petType: ['pettype', 'species', 'type'],
+  phone: ['phone', 'phonenumber', 'mobile', 'telephone'],
+  email: ['email', 'emailaddress'],
+  service: ['service', 'servicetype'],
+  scheduledDate: ['scheduleddate', 'date', 'appointmentdate'],
+  scheduledTimeSlot: ['scheduledtimeslot', 'time', 'timeslot', 'appointmenttime', 'starttime'],
+  providerId: ['providerid'],
+  reason: ['reason'],
+  notes: ['notes'],
+};
+
+const REQUIRED_IMPORT_COLUMNS = ['ownerName', 'petName', 'phone', 'scheduledDate', 'scheduledTimeSlot'];
+
+/**
+ * Normalize a header cell for matching
+ */
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map each known field to its column index
+ */
+const mapColumns = (headerRow) => {
+  const normalized = headerRow.map(normalizeHeader);
+  const columns = {};
+  Object.entries(IMPORT_COLUMNS).forEach(([field, names]) => {
+    const index = normalized.findIndex(header => names.includes(header));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  });
+  return columns;
+};
+
+/**
+ * Turn a CSV row into direct booking data
+ * Lower-cases ids and pads times like 9:00 to 09:00; empty cells are left out
+ */
+const toAppointmentData = (row, columns) => {
+  const data = {};
+  Object.entries(columns).forEach(([field, index]) => {
+    const value = (row[index] || '').trim();
+    if (value !== '') {
+      data[field] = value;
+    }
+  });
+
+  if (data.petType) data.petType = data.petType.toLowerCase();
+  if (data.service) data.service = data.service.toLowerCase();
+  if (data.scheduledTimeSlot && /^\d:\d{2}$/.test(data.scheduledTimeSlot)) {
+    data.scheduledTimeSlot = `0${data.scheduledTimeSlot}`;
+  }
+
+  return data;
+};
+
+class AppointmentImportExportService {
+  /**
+   * Write the appointments matching the list filters to a stream as CSV or XLSX
+   * Takes the same filters and sort as AppointmentService.getAllAppointments, without pagination
+   */
+  static async exportAppointments(filters, { format = 'csv', output }) {
+    try {
+      const { query, sort } = AppointmentService.buildListQuery(filters);
+      const writer = format === 'xlsx'
+        ? createXlsxWriter(output, { sheetName: 'Appointments' })
+        : createCsvWriter(output);
+
+      await writer.writeRow(EXPORT_COLUMNS.map(column => column.header));
+
+      let count = 0;
+      const cursor = Appointment.find(query)
+        .sort(sort)
+        .populate('provider', 'name')
+        .lean()
+        .cursor();
+
+      for await (const appointment of cursor) {
+        if (output.destroyed) {
+          await cursor.close();
+          break;
+        }
+        await writer.writeRow(EXPORT_COLUMNS.map(column => column.value(appointment)));
+        count++;
+      }
+
+      if (!output.destroyed) {
+        await writer.finish();
+      }
+      return { success: true, count };
+    } catch (error) {
+      console.error('Error exporting appointments:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Import appointments from CSV text
+   * Every row goes through validateDirectAppointment and gets its own result, so one bad row
+   * does not stop the others. dryRun validates and checks availability without booking anything.
+   * Imported appointments go through the normal booking path (slot locks, duplicate checks,
+   * webhooks); owners are only notified when notifyOwner is true.
+   */
+  static async importAppointments(csvText, { dryRun = false, notifyOwner = false } = {}) {
+    try {
+      const rows = parseCsv(csvText);
+      if (rows.length === 0) {
+        return { success: false, error: 'The CSV file is empty.', code: 'EMPTY_FILE' };
+      }
+
+      const [headerRow, ...dataRows] = rows;
+      const columns = mapColumns(headerRow);
+      const missingColumns = REQUIRED_IMPORT_COLUMNS.filter(field => columns[field] === undefined);
+      if (missingColumns.length > 0) {
+        return {
+          success: false,
+          error: `The CSV is missing required columns: ${missingColumns.join(', ')}`,
+          code: 'MISSING_COLUMNS',
+          missingColumns,
+        };
+      }
+      if (dataRows.length === 0) {
+        return { success: false, error: 'The CSV has a header but no appointments.', code: 'EMPTY_FILE' };
+      }
+      if (dataRows.length > APPOINTMENT_IMPORT.MAX_ROWS) {
+        return {
+          success: false,
+          error: `A file can hold at most ${APPOINTMENT_IMPORT.MAX_ROWS} appointments; this one has ${dataRows.length}.`,
+          code: 'TOO_MANY_ROWS',
+        };
+      }
+
+      await ScheduleService.refreshIfStale();
+
+      const results = [];
+      const batch = { slots: [], bookings: new Map() };
+      for (const row of dataRows) {
+        const data = toAppointmentData(row, columns);
+        results.push(dryRun
+          ? await this.checkRow(data, row.line, batch)
+          : await this.importRow(data, row.line, { notifyOwner }));
+      }
+
+      const summary = dryRun
+        ? { rows: results.length, valid: 0, invalid: 0 }
+        : { rows: results.length, imported: 0, invalid: 0, failed: 0 };
+      results.forEach(result => {
+        summary[result.status]++;
+      });
+
+      return { success: true, dryRun, summary, results };
+    } catch (error) {
+      console.error('Error importing appointments:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate a row and run the booking checks without booking it (dry run)
+   * Rows are checked against what is already booked and against the valid rows before them in
+   * the file (batch: the slots they take, as { dateKey, start, end, providerId, line }, and their
+   * phone and date), so the dry run reports what the real import would
+   */
+  static async checkRow(data, line, batch = { slots: [], bookings: new Map() }) {
+    const errors = validateDirectAppointment(data).getErrors();
+    if (errors.length > 0) {
+      return { line, status: 'invalid', errors };
+    }
+
+    const service = SERVICES.find(s => s.id === (data.service || 'checkup'));
+    const scheduledDate = startOfClinicDay(data.scheduledDate);
+    const conflict = (message, code, field = 'scheduledTimeSlot') => ({
+      line,
+      status: 'invalid',
+      errors: [{ field, message, code }],
+    });
+
+    if (data.providerId) {
+      const providerCheck = await ProviderService.checkBookableProvider(data.providerId, service.id);
+      if (!providerCheck.success) {
+        return conflict(providerCheck.error, providerCheck.code, 'providerId');
+      }
+    }
+
+    const availability = await AppointmentService.findAvailableProvider(scheduledDate, data.scheduledTimeSlot, service.duration, {
+      service: service.id,
+      providerId: data.providerId || null,
+    });
+    if (!availability.available) {
+      return conflict('This time slot is already booked.', 'SLOT_TAKEN');
+    }
+
+    // Take the first calendar that no earlier row has claimed for this time, as the import would
+    const dateKey = toDateKey(scheduledDate);
+    const start = timeToMinutes(data.scheduledTimeSlot);
+    const claims = providerId => batch.slots.filter(slot => slot.dateKey === dateKey && String(slot.providerId) === String(providerId));
+    const providerId = availability.providerIds.find(id => isIntervalFree(start, service.duration, claims(id)));
+    if (providerId === undefined) {
+      const [clash] = claims(availability.providerIds[0]).filter(slot => !isIntervalFree(start, service.duration, [slot]));
+      return {
+        ...conflict(`This time slot is already taken by line ${clash.line} of this file.`, 'SLOT_TAKEN'),
+        conflictsWith: clash.line,
+      };
+    }
+
+    const bookingKey = `${Appointment.toPhoneKey(data.phone)}|${dateKey}`;
+    if (batch.bookings.has(bookingKey)) {
+      const earlierLine = batch.bookings.get(bookingKey);
+      return {
+        ...conflict(`This owner already has an appointment on this date at line ${earlierLine} of this file.`, 'DUPLICATE_BOOKING', 'scheduledDate'),
+        conflictsWith: earlierLine,
+      };
+    }
+
+    const duplicate = await Appointment.exists({
+      phone: data.phone.replace(/[\s\-\.\(\)]/g, ''),
+      scheduledDate: { $gte: scheduledDate, $lt: addClinicDays(scheduledDate, 1) },
+      status: { $nin: ['cancelled', 'no-show'] },
+    });
+    if (duplicate) {
+      return conflict('This owner already has an appointment on this date.', 'DUPLICATE_BOOKING', 'scheduledDate');
+    }
+
+    batch.slots.push({ dateKey, start, end: start + service.duration, providerId, line });
+    batch.bookings.set(bookingKey, line);
+    return { line, status: 'valid' };
+  }
+
+  /**
+   * Validate and book a row
+   */
+  static async importRow(data, line, { notifyOwner = false } = {}) {
+    const errors = validateDirectAppointment(data).getErrors();
+    if (errors.length > 0) {
+      return { line, status: 'invalid', errors };
+    }
+
+    const result = await AppointmentService.createDirectAppointment(
+      { ...data, source: APPOINTMENT_IMPORT.SOURCE },
+      { notifyOwner }
+    );
+    if (!result.success) {
+      return {
+        line,
+        status: 'failed',
+        errors: result.validationErrors || [{ field: null, message: result.error, code: result.code || 'IMPORT_FAILED' }],
+      };
+    }
+
+    return { line, status: 'imported', appointmentId: result.appointment._id };
+  }
+}
+
+module.exports = AppointmentImportExportService;
@@ -0,0 +1,405 @@
+/**
+ * Appointment Management Service
+ * Conversational flows for looking up, rescheduling and cancelling existing appointments
+ */
+
+const AppointmentService = require('./appointmentService');
+const AIService = require('./aiService');
+const { MESSAGES, BOOKING_STATES, MANAGE_ACTIONS } = require('../config/constants');
+const { startOfClinicDay, formatClinicDate } = require('../utils/timezoneUtils');
+
+/**
+ * Booking states that belong to the manage flow
+ */
+const MANAGE_STATES = [
+  BOOKING_STATES.COLLECTING_LOOKUP_PHONE,
+  BOOKING_STATES.VERIFYING_LOOKUP_PET,
+  BOOKING_STATES.SELECTING_APPOINTMENT,
+  BOOKING_STATES.COLLECTING_NEW_DATE_TIME,
+  BOOKING_STATES.CONFIRMING_RESCHEDULE,
+  BOOKING_STATES.CONFIRMING_CANCELLATION,
+];
+
+const YES_REGEX = /^(yes|yeah|yep|sure|ok|okay|confirm|y)\b/i;
+const NO_REGEX = /^(no|nope|nah|n|keep it|never mind|nevermind)\b/i;
+const EXIT_REGEX = /^(stop|quit|exit|never mind|nevermind|forget it)\b/i;
+
+class AppointmentManagementService {
+  /**
+   * Check whether a booking state belongs to the manage flow
+   */
+  static isManageState(status) {
+    return MANAGE_STATES.includes(status);
+  }
+
+  /**
+   * Format an appointment as a one-line summary
+   */
+  static summarize(appointment) {
+    let when = appointment.preferredDateTime;
+
+    if (appointment.scheduledDate) {
+      when = appointment.formattedScheduledDate;
+      if (appointment.scheduledTimeSlot) {
+        const [hours, minutes] = appointment.scheduledTimeSlot.split(':').map(Number);
+        when += ` at ${AppointmentService.formatTimeDisplay(hours, minutes)}`;
+      }
+    }
+
+    return `🐾 ${appointment.petName} - ${when} (${appointment.service})`;
+  }
+
+  /**
+   * Format a proposed date/time (YYYY-MM-DD, HH:MM) for display
+   */
+  static summarizeDateTime(date, timeSlot) {
+    const [hours, minutes] = timeSlot.split(':').map(Number);
+    const dateText = formatClinicDate(startOfClinicDay(date), {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+    return `${dateText} at ${AppointmentService.formatTimeDisplay(hours, minutes)}`;
+  }
+
+  /**
+   * Parse a new date/time for an appointment
+   * Keeps the current time slot when the user only names a day
+   */
+  static parseNewDateTime(message, appointment) {
+    const date = AIService.extractDate(message);
+    if (!date) return null;
+
+    const time = AIService.extractTime(message);
+    let timeSlot = appointment.scheduledTimeSlot || '09:00';
+
+    if (time) {
+      const parsed = AppointmentService.parseDateTimeString(`${date} ${time}`);
+      if (parsed.success) timeSlot = parsed.timeSlot;
+    }
+
+    return { date, timeSlot };
+  }
+
+  /**
+   * Pick the candidate a reply refers to (by list number or pet name)
+   */
+  static matchCandidate(message, candidates) {
+    const lowerMessage = message.toLowerCase();
+
+    const numberMatch = lowerMessage.match(/\b(\d{1,2})\b/);
+    if (numberMatch) {
+      const index = parseInt(numberMatch[1], 10) - 1;
+      if (index >= 0 && index < candidates.length) return [candidates[index]];
+    }
+
+    const ordinals = ['first', 'second', 'third', 'fourth', 'fifth'];
+    const ordinalIndex = ordinals.findIndex(word => lowerMessage.includes(word));
+    if (ordinalIndex >= 0 && ordinalIndex < candidates.length) {
+      return [candidates[ordinalIndex]];
+    }
+
+    return this.matchPetName(message, candidates);
+  }
+
+  /**
+   * Keep the candidates whose pet the message names
+   */
+  static matchPetName(message, candidates) {
+    const lowerMessage = message.toLowerCase();
+    return candidates.filter(apt =>
+      new RegExp(`\\b${apt.petName.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lowerMessage)
+    );
+  }
+
+  /**
+   * Continue with appointments found by phone number alone
+   * The caller must also name the pet before anything is shown or changed; the opening message
+   * may already have done so ("cancel Buddy's appointment, 555-123-4567")
+   */
+  static verifyPhoneMatches(appointments, action, userMessage = '') {
+    const named = userMessage ? this.matchPetName(userMessage, appointments) : [];
+    if (named.length > 0) {
+      return this.handleCandidates(named, action, userMessage);
+    }
+
+    return {
+      nextState: BOOKING_STATES.VERIFYING_LOOKUP_PET,
+      response: MESSAGES.MANAGE_ASK_PET_NAME,
+      tempData: { action, candidateIds: appointments.map(apt => apt._id.toString()) },
+    };
+  }
+
+  /**
+   * Start a manage flow from an idle conversation
+   * Appointments booked in this chat or by the SDK user are the caller's; ones found by a phone
+   * number in the message still need the pet's name
+   */
+  static async startManageFlow(sessionId, userMessage, action, context = {}) {
+    const phoneMatch = userMessage.match(/\+?[\d][\d\s\-\.\(\)]{8,}\d/);
+    const lookupPhone = phoneMatch ? phoneMatch[0] : null;
+
+    const found = await AppointmentService.findActiveAppointmentsForCaller({
+      sessionId,
+      userId: context.userId || null,
+    });
+
+    if (!found.success) {
+      return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.ERROR_RESPONSE, tempData: {} };
+    }
+
+    if (found.appointments.length > 0) {
+      return this.handleCandidates(found.appointments, action, userMessage);
+    }
+
+    if (!lookupPhone) {
+      return {
+        nextState: BOOKING_STATES.COLLECTING_LOOKUP_PHONE,
+        response: MESSAGES.MANAGE_ASK_PHONE,
+        tempData: { action },
+      };
+    }
+
+    const byPhone = await AppointmentService.findActiveAppointmentsForCaller({ phone: lookupPhone });
+    if (!byPhone.success || byPhone.appointments.length === 0) {
+      return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.MANAGE_NONE_FOUND, tempData: {} };
+    }
+
+    return this.verifyPhoneMatches(byPhone.appointments, action, userMessage.replace(phoneMatch[0], ' '));
+  }
+
+  /**
+   * Continue with the appointments found for the caller
+   */
+  static handleCandidates(appointments, action, userMessage = '') {
+    if (action === MANAGE_ACTIONS.LOOKUP) {
+      return {
+        nextState: BOOKING_STATES.IDLE,
+        response: MESSAGES.MANAGE_LIST(appointments.map(apt => this.summarize(apt))),
+        tempData: {},
+      };
+    }
+
+    // Narrow down by pet name if the opening message mentioned one
+    let candidates = appointments;
+    if (candidates.length > 1 && userMessage) {
+      const byPet = this.matchCandidate(userMessage.replace(/\d/g, ''), candidates);
+      if (byPet.length > 0) candidates = byPet;
+    }
+
+    if (candidates.length > 1) {
+      return {
+        nextState: BOOKING_STATES.SELECTING_APPOINTMENT,
+        response: MESSAGES.MANAGE_SELECT(
+          action,
+          candidates.map((apt, i) => `${i + 1}. ${this.summarize(apt)}`)
+        ),
+        tempData: { action, candidateIds: candidates.map(apt => apt._id.toString()) },
+      };
+    }
+
+    return this.handleSelected(candidates[0], action, userMessage);
+  }
+
+  /**
+   * Continue once a single appointment has been chosen
+   */
+  static handleSelected(appointment, action, userMessage = '') {
+    const appointmentId = appointment._id.toString();
+    const summary = this.summarize(appointment);
+
+    if (action === MANAGE_ACTIONS.CANCEL) {
+      return {
+        nextState: BOOKING_STATES.CONFIRMING_CANCELLATION,
+        response: MESSAGES.CONFIRM_CANCELLATION(summary),
+        tempData: { action, appointmentId },
+      };
+    }
+
+    // Reschedule: use the new date/time straight away if the user already gave one
+    const proposed = userMessage ? this.parseNewDateTime(userMessage, appointment) : null;
+    if (proposed) {
+      return {
+        nextState: BOOKING_STATES.CONFIRMING_RESCHEDULE,
+        response: MESSAGES.CONFIRM_RESCHEDULE(summary, this.summarizeDateTime(proposed.date, proposed.timeSlot)),
+        tempData: {
+          action,
+          appointmentId,
+          newScheduledDate: proposed.date,
+          newTimeSlot: proposed.timeSlot,
+        },
+      };
+    }
+
+    return {
+      nextState: BOOKING_STATES.COLLECTING_NEW_DATE_TIME,
+      response: MESSAGES.ASK_NEW_DATE_TIME(summary),
+      tempData: { action, appointmentId },
+    };
+  }
+
+  /**
+   * Process a message while a manage flow is in progress
+   */
+  static async processManageFlow(sessionId, userMessage, currentState) {
+    const { status, tempData } = currentState;
+    const trimmedMessage = userMessage.trim();
+
+    if (EXIT_REGEX.test(trimmedMessage)) {
+      return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.MANAGE_EXITED, tempData: {} };
+    }
+
+    switch (status) {
+      case BOOKING_STATES.COLLECTING_LOOKUP_PHONE: {
+        if (!AppointmentService.isValidPhone(trimmedMessage)) {
+          return { nextState: status, response: MESSAGES.INVALID_PHONE, tempData };
+        }
+
+        const found = await AppointmentService.findActiveAppointmentsForCaller({ phone: trimmedMessage });
+        if (!found.success || found.appointments.length === 0) {
+          return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.MANAGE_NONE_FOUND, tempData: {} };
+        }
+
+        return this.verifyPhoneMatches(found.appointments, tempData.action);
+      }
+
+      case BOOKING_STATES.VERIFYING_LOOKUP_PET: {
+        // A wrong name ends the lookup without saying whether the number had appointments
+        const candidates = await this.loadAppointments(tempData.candidateIds || []);
+        const named = this.matchPetName(trimmedMessage, candidates);
+        if (named.length === 0) {
+          return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.MANAGE_NONE_FOUND, tempData: {} };
+        }
+
+        return this.handleCandidates(named, tempData.action);
+      }
+
+      case BOOKING_STATES.SELECTING_APPOINTMENT: {
+        const candidates = await this.loadAppointments(tempData.candidateIds || []);
+        const matches = this.matchCandidate(trimmedMessage, candidates);
+
+        if (matches.length !== 1) {
+          return { nextState: status, response: MESSAGES.MANAGE_INVALID_SELECTION, tempData };
+        }
+
+        return this.handleSelected(matches[0], tempData.action);
+      }
+
+      case BOOKING_STATES.COLLECTING_NEW_DATE_TIME: {
+        const appointment = await this.loadAppointment(tempData.appointmentId);
+        if (!appointment) {
+          return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.MANAGE_NONE_FOUND, tempData: {} };
+        }
+
+        const proposed = this.parseNewDateTime(trimmedMessage, appointment);
+        if (!proposed) {
+          return { nextState: status, response: MESSAGES.INVALID_NEW_DATE_TIME, tempData };
+        }
+
+        return {
+          nextState: BOOKING_STATES.CONFIRMING_RESCHEDULE,
+          response: MESSAGES.CONFIRM_RESCHEDULE(
+            this.summarize(appointment),
+            this.summarizeDateTime(proposed.date, proposed.timeSlot)
+          ),
+          tempData: { ...tempData, newScheduledDate: proposed.date, newTimeSlot: proposed.timeSlot },
+        };
+      }
+
+      case BOOKING_STATES.CONFIRMING_RESCHEDULE: {
+        if (NO_REGEX.test(trimmedMessage)) {
+          return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.MANAGE_EXITED, tempData: {} };
+        }
+        if (!YES_REGEX.test(trimmedMessage)) {
+          return {
+            nextState: status,
+            response: 'Please reply "yes" to confirm the new time or "no" to keep your current appointment.',
+            tempData,
+          };
+        }
+
+        const result = await AppointmentService.updateAppointment(tempData.appointmentId, {
+          scheduledDate: tempData.newScheduledDate,
+          scheduledTimeSlot: tempData.newTimeSlot,
+        }, { notifyChat: false });
+
+        if (!result.success) {
+          let response = `Sorry, I couldn't move your appointment: ${result.error}`;
+          if (result.suggestedSlots && result.suggestedSlots.length > 0) {
+            response += `\n\nOpen times that day: ${result.suggestedSlots.map(slot => slot.display).join(', ')}`;
+          }
+          response += '\n\nPlease give me another date and time, or say "stop" to keep your current appointment.';
+
+          return {
+            nextState: BOOKING_STATES.COLLECTING_NEW_DATE_TIME,
+            response,
+            tempData: { action: tempData.action, appointmentId: tempData.appointmentId },
+          };
+        }
+
+        return {
+          nextState: BOOKING_STATES.IDLE,
+          response: MESSAGES.RESCHEDULE_SUCCESS(this.summarize(result.appointment)),
+          tempData: {},
+          appointmentId: result.appointment._id,
+        };
+      }
+
+      case BOOKING_STATES.CONFIRMING_CANCELLATION: {
+        if (NO_REGEX.test(trimmedMessage)) {
+          return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.MANAGE_EXITED, tempData: {} };
+        }
+        if (!YES_REGEX.test(trimmedMessage)) {
+          return {
+            nextState: status,
+            response: 'Please reply "yes" to cancel the appointment or "no" to keep it.',
+            tempData,
+          };
+        }
+
+        const result = await AppointmentService.cancelAppointment(tempData.appointmentId, 'Cancelled by owner via chat', {
+          notifyChat: false,
+        });
+
+        if (!result.success) {
+          return {
+            nextState: BOOKING_STATES.IDLE,
+            response: `Sorry, I couldn't cancel that appointment: ${result.error}`,
+            tempData: {},
+          };
+        }
+
+        return {
+          nextState: BOOKING_STATES.IDLE,
+          response: MESSAGES.CANCELLATION_SUCCESS(this.summarize(result.appointment)),
+          tempData: {},
+          appointmentId: result.appointment._id,
+        };
+      }
+
+      default:
+        return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.DEFAULT_RESPONSE, tempData: {} };
+    }
+  }
+
+  /**
+   * Load an appointment that is still active
+   */
+  static async loadAppointment(appointmentId) {
+    const result = await AppointmentService.getAppointment(appointmentId);
+    return result.success ? result.appointment : null;
+  }
+
+  /**
+   * Load several appointments, preserving the given order
+   */
+  static async loadAppointments(appointmentIds) {
+    const appointments = await Promise.all(appointmentIds.map(id => this.loadAppointment(id)));
+    return appointments.filter(Boolean);
+  }
+}
+
+AppointmentManagementService.MANAGE_STATES = MANAGE_STATES;
+
+module.exports = AppointmentManagementService;
@@ -3,9 +3,43 @@
  * Handles appointment booking logic, availability, and persistence
  */
 
-const { Appointment, Conversation } = require('../models');
-const { MESSAGES, BOOKING_STATES, VALIDATION, APPOINTMENT_STATUS, TIME_SLOTS, OPERATING_DAYS, SERVICES } = require('../config/constants');
+const { Appointment, Conversation, Provider, Pet, VisitRecord } = require('../models');
+const { MESSAGES, BOOKING_STATES, VALIDATION, APPOINTMENT_STATUS, TIME_SLOTS, SERVICES, WEBHOOK_EVENTS, CHAT_BOOKING } = require('../config/constants');
 const validator = require('validator');
+const ProviderService = require('./providerService');
+const SlotReservationService = require('./slotReservationService');
+const ScheduleService = require('./scheduleService');
+const OwnerService = require('./ownerService');
+const WebhookService = require('./webhookService');
+const {
+  timeToMinutes,
+  minutesToTime,
+  intervalsOverlap,
+  findContainingWindow,
+  isIntervalFree,
+} = require('../utils/scheduleUtils');
+const {
+  toDateKey,
+  startOfClinicDay,
+  addClinicDays,
+  getClinicDayRange,
+  getClinicDayOfWeek,
+  getClinicMinutes,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatClinicDate,
+} = require('../utils/timezoneUtils');
+const { getClinicTimezone } = require('../config/clinic');
+
+/**
+ * Pick count items spread evenly over a list, keeping the first and last
+ */
+const spreadOut = (list, count) => {
+  if (list.length <= count) return list;
+  if (count === 1) return [list[0]];
+  const indexes = new Set(Array.from({ length: count }, (_, index) => Math.round(index * (list.length - 1) / (count - 1))));
+  return [...indexes].map(index => list[index]);
+};
 
 class AppointmentService {
   /**
@@ -36,28 +70,282 @@ class AppointmentService {
   }
 
   /**
-   * Generate available time slots for a given date
+   * Get the duration (minutes) of a service
    */
-  static generateTimeSlots(date) {
+  static getServiceDuration(serviceId) {
+    const service = SERVICES.find(s => s.id === serviceId);
+    return service ? service.duration : TIME_SLOTS.SLOT_DURATION;
+  }
+
+  /**
+   * Generate start times for a given date from the clinic schedule
+   * Only start times where the whole duration fits before the break or closing time are returned
+   */
+  static generateTimeSlots(date, duration = TIME_SLOTS.SLOT_DURATION) {
     const slots = [];
-    const { START_HOUR, END_HOUR, SLOT_DURATION, BREAK_START, BREAK_END } = TIME_SLOTS;
+    const { SLOT_DURATION } = TIME_SLOTS;
     
-    for (let hour = START_HOUR; hour < END_HOUR; hour++) {
-      // Skip lunch break
-      if (hour >= BREAK_START && hour < BREAK_END) continue;
-      
-      for (let minute = 0; minute < 60; minute += SLOT_DURATION) {
-        const timeString = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
-        const displayTime = this.formatTimeDisplay(hour, minute);
+    ScheduleService.getOperatingWindows(date).forEach(window => {
+      for (let start = window.start; start + duration <= window.end; start += SLOT_DURATION) {
         slots.push({
-          time: timeString,
-          display: displayTime,
+          time: minutesToTime(start),
+          display: this.formatTimeDisplay(Math.floor(start / 60), start % 60),
         });
       }
-    }
+    });
     return slots;
   }
 
+  /**
+   * Work out which start times on a date can take an appointment of the given length
+   * Each active provider offering the service is a separate calendar, so two vets can both
+   * see patients at 10:00. Without any providers the clinic is treated as a single calendar.
+   */
+  static async computeSlotAvailability(date, duration = TIME_SLOTS.SLOT_DURATION, { service = null, providerId = null, excludeId = null, holder = null } = {}) {
+    await ScheduleService.refreshIfStale();
+
+    // Slots held by chats that are confirming a booking count as booked (except the caller's own hold)
+    const bookedIntervals = [
+      ...(await Appointment.getBookedIntervals(date, excludeId)),
+      ...(await SlotReservationService.getHeldIntervals(date, holder)),
+    ];
+    const allSlots = this.generateTimeSlots(date, duration);
+    const hasProviders = await Provider.exists({ isActive: true });
+
+    if (!hasProviders) {
+      return allSlots.map(slot => ({
+        ...slot,
+        available: isIntervalFree(timeToMinutes(slot.time), duration, bookedIntervals),
+        providers: [],
+      }));
+    }
+
+    const providers = await ProviderService.getBookableProviders({ service, providerId });
+    const calendars = providers.map(provider => ({
+      provider,
+      windows: ProviderService.getWorkingWindows(provider, date),
+      bookedIntervals: bookedIntervals.filter(interval =>
+        interval.providerId && interval.providerId.toString() === provider._id.toString()
+      ),
+    }));
+    // Bookings made before providers existed still occupy one provider each
+    const unassignedIntervals = bookedIntervals.filter(interval => !interval.providerId);
+
+    return allSlots.map(slot => {
+      const start = timeToMinutes(slot.time);
+      const freeProviders = calendars
+        .filter(calendar =>
+          findContainingWindow(start, duration, calendar.windows) &&
+          isIntervalFree(start, duration, calendar.bookedIntervals)
+        )
+        .map(calendar => calendar.provider);
+      const unassignedCount = providerId ? 0 : unassignedIntervals
+        .filter(interval => intervalsOverlap(start, start + duration, interval.start, interval.end)).length;
+
+      return {
+        ...slot,
+        available: freeProviders.length > unassignedCount,
+        providers: freeProviders.map(provider => ({ id: provider._id, name: provider.displayName })),
+      };
+    });
+  }
+
+  /**
+   * Get start times on a date where an appointment of the given length is free
+   */
+  static async getOpenSlots(date, duration = TIME_SLOTS.SLOT_DURATION, excludeId = null, options = {}) {
+    const slots = await this.computeSlotAvailability(date, duration, { ...options, excludeId });
+    return slots.filter(slot => slot.available);
+  }
+
+  /**
+   * Find a provider who is free for the whole appointment
+   * providerId limits the search to one provider; preferredProviderId is used when free
+   * Returns providerId null when the clinic has no providers configured, and providerIds
+   * with every free provider (preferred first) as fallbacks for reservation
+   */
+  static async findAvailableProvider(date, timeSlot, duration, { service = null, providerId = null, preferredProviderId = null, excludeId = null, holder = null } = {}) {
+    const slots = await this.computeSlotAvailability(date, duration, { service, providerId, excludeId, holder });
+    const slot = slots.find(s => s.time === timeSlot);
+
+    if (!slot || !slot.available) {
+      return { available: false, providerId: null, providerIds: [] };
+    }
+
+    const providerIds = slot.providers.map(p => p.id);
+    if (preferredProviderId) {
+      const preferredIndex = providerIds.findIndex(id => id.toString() === preferredProviderId.toString());
+      if (preferredIndex > 0) {
+        providerIds.unshift(...providerIds.splice(preferredIndex, 1));
+      }
+    }
+
+    return {
+      available: true,
+      providerId: providerIds.length > 0 ? providerIds[0] : null,
+      providerIds: providerIds.length > 0 ? providerIds : [null],
+    };
+  }
+
+  /**
+   * Check availability and atomically lock the slot on a free provider's calendar
+   * Pass appointmentId to lock for an appointment, or holder to place a short-lived hold
+   */
+  static async reserveSlot(date, timeSlot, duration, { service = null, providerId = null, preferredProviderId = null, excludeId = null, holder = null, appointmentId = null, holdMinutes = null } = {}) {
+    const availability = await this.findAvailableProvider(date, timeSlot, duration, {
+      service,
+      providerId,
+      preferredProviderId,
+      excludeId,
+      holder,
+    });
+
+    if (!availability.available) {
+      return {
+        success: false,
+        error: 'This time slot is already booked. Please choose another time.',
+        code: 'SLOT_TAKEN',
+      };
+    }
+
+    return SlotReservationService.acquireFirst(availability.providerIds, {
+      date,
+      timeSlot,
+      duration,
+      appointmentId,
+      holder,
+      holdMinutes,
+    });
+  }
+
+  /**
+   * Hold the slot a chat user asked for while they confirm the booking
+   * The request must name a day and a time that is open for the whole service. Otherwise code says
+   * why (INVALID_DATE, TIME_REQUIRED, PAST_DATE, CLOSED_DAY, EXCEEDS_HOURS, SLOT_TAKEN), with the
+   * date and timeSlot that were understood. A held slot also comes back with its date and timeSlot.
+   */
+  static async holdRequestedSlot(sessionId, bookingData) {
+    const parsed = this.parseDateTimeString(bookingData.preferredDateTime || '');
+    if (!parsed.success) {
+      return { success: false, code: 'INVALID_DATE' };
+    }
+    const { date, timeSlot } = parsed;
+    if (!parsed.hasTime) {
+      return { success: false, code: 'TIME_REQUIRED', date };
+    }
+
+    const service = bookingData.service || 'checkup';
+    const duration = this.getServiceDuration(service);
+    await ScheduleService.refreshIfStale();
+
+    const today = startOfClinicDay();
+    const tooSoon = date.getTime() === today.getTime()
+      && timeToMinutes(timeSlot) < getClinicMinutes() + CHAT_BOOKING.MIN_NOTICE_MINUTES;
+    if (date < today || tooSoon) {
+      return { success: false, code: 'PAST_DATE', date, timeSlot };
+    }
+    if (!this.isOperatingDay(date)) {
+      return { success: false, code: 'CLOSED_DAY', date, timeSlot };
+    }
+    if (!this.fitsOperatingHours(date, timeSlot, duration)) {
+      return { success: false, code: 'EXCEEDS_HOURS', date, timeSlot };
+    }
+
+    const holder = SlotReservationService.getSessionHolder(sessionId);
+    await SlotReservationService.releaseHolds(holder);
+
+    const reservation = await this.reserveSlot(date, timeSlot, duration, {
+      service,
+      providerId: bookingData.providerId || null,
+      holder,
+    });
+
+    return reservation.success
+      ? { success: true, held: true, providerId: reservation.providerId, date, timeSlot }
+      : { ...reservation, date, timeSlot };
+  }
+
+  /**
+   * Find the open times nearest to a chat request, as quick replies ({ label, value })
+   * Open days within CHAT_BOOKING.SEARCH_DAYS are tried nearest to the requested date (or today)
+   * first. That day offers several times, closest to the requested time (or spread over the day);
+   * other days offer their closest time each.
+   */
+  static async suggestChatSlots(bookingData = {}, { date = null, timeSlot = null } = {}) {
+    const service = bookingData.service || 'checkup';
+    const providerId = bookingData.providerId || null;
+    const todayKey = toDateKey(startOfClinicDay());
+    const anchorKey = date && toDateKey(date) > todayKey ? toDateKey(date) : todayKey;
+    const daysFromAnchor = key => Math.abs(Date.parse(key) - Date.parse(anchorKey));
+    const target = timeSlot ? timeToMinutes(timeSlot) : null;
+    const byDistance = (a, b) => Math.abs(timeToMinutes(a.time) - target) - Math.abs(timeToMinutes(b.time) - target);
+
+    const datesResult = await this.getAvailableDates(CHAT_BOOKING.SEARCH_DAYS, service, providerId);
+    if (!datesResult.success) return [];
+    const openDays = datesResult.dates
+      .filter(day => day.availableSlots > 0)
+      .sort((a, b) => daysFromAnchor(a.date) - daysFromAnchor(b.date));
+
+    const suggestions = [];
+    for (const day of openDays) {
+      const slotsResult = await this.getAvailableSlots(day.date, service, providerId);
+      const slots = (slotsResult.slots || []).filter(slot => slot.available && (day.date !== todayKey
+        || timeToMinutes(slot.time) >= getClinicMinutes() + CHAT_BOOKING.MIN_NOTICE_MINUTES));
+      if (slots.length === 0) continue;
+
+      const wanted = day.date === anchorKey ? CHAT_BOOKING.SUGGESTIONS : 1;
+      let picked;
+      if (target !== null) {
+        picked = [...slots].sort(byDistance).slice(0, wanted).sort((a, b) => a.time.localeCompare(b.time));
+      } else {
+        picked = spreadOut(slots, wanted);
+      }
+      suggestions.push(...picked.map(slot => ({ date: day.date, slot })));
+      if (suggestions.length >= CHAT_BOOKING.SUGGESTIONS) break;
+    }
+
+    return suggestions
+      .slice(0, CHAT_BOOKING.SUGGESTIONS)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.slot.time.localeCompare(b.slot.time))
+      .map(({ date: dateKey, slot }) => ({
+        label: `${formatClinicDate(startOfClinicDay(dateKey), { weekday: 'short', month: 'short', day: 'numeric' })}, ${slot.display}`,
+        value: `${dateKey} at ${slot.display}`,
+      }));
+  }
+
+  /**
+   * Build the chat reply to a requested slot that could not be held (see holdRequestedSlot)
+   * @returns {Object} { response, quickReplies } offering the nearest open times
+   */
+  static async chatSlotAlternatives(bookingData, hold) {
+    const dayLabel = date => formatClinicDate(date, { weekday: 'long', month: 'long', day: 'numeric' });
+    const reasons = {
+      INVALID_DATE: () => MESSAGES.DATE_NOT_UNDERSTOOD,
+      TIME_REQUIRED: () => MESSAGES.ASK_TIME_ON_DAY(dayLabel(hold.date)),
+      PAST_DATE: () => MESSAGES.TIME_PASSED,
+      CLOSED_DAY: () => ScheduleService.getClosedMessage(hold.date),
+      EXCEEDS_HOURS: () => MESSAGES.RUNS_PAST_CLOSING,
+      SLOT_TAKEN: () => MESSAGES.SLOT_TAKEN(`${this.formatTimeDisplay(...hold.timeSlot.split(':').map(Number))} on ${dayLabel(hold.date)}`),
+    };
+    const reason = reasons[hold.code] ? reasons[hold.code]() : MESSAGES.SLOT_UNAVAILABLE;
+
+    const quickReplies = await this.suggestChatSlots(bookingData, { date: hold.date, timeSlot: hold.timeSlot });
+    if (quickReplies.length === 0) {
+      return { response: MESSAGES.NO_OPEN_SLOTS(reason, CHAT_BOOKING.SEARCH_DAYS), quickReplies };
+    }
+    return {
+      response: MESSAGES.SUGGEST_SLOTS(reason, quickReplies.map(option => option.label).join('; ')),
+      quickReplies,
+    };
+  }
+
+  /**
+   * Check that an appointment starting at timeSlot ends before the break or closing time
+   */
+  static fitsOperatingHours(date, timeSlot, duration) {
+    return Boolean(findContainingWindow(timeToMinutes(timeSlot), duration, ScheduleService.getOperatingWindows(date)));
+  }
+
   /**
    * Format time for display (12-hour format)
    */
@@ -68,35 +356,36 @@ class AppointmentService {
   }
 
   /**
-   * Check if a date is a valid operating day
+   * Check if a date is a valid operating day (weekly hours, closures and special hours)
    */
   static isOperatingDay(date) {
-    const dayOfWeek = new Date(date).getDay();
-    return OPERATING_DAYS.includes(dayOfWeek);
+    return ScheduleService.isOperatingDay(date);
   }
 
   /**
    * Get available time slots for a specific date
+   * When a service is given, slots are start times where the whole service fits
+   * When a provider is given, only that provider's calendar is considered
    */
-  static async getAvailableSlots(date) {
+  static async getAvailableSlots(date, service = null, providerId = null) {
     try {
-      const targetDate = new Date(date);
-      targetDate.setHours(0, 0, 0, 0);
+      const targetDate = startOfClinicDay(date);
+      await ScheduleService.refreshIfStale();
       
       // Check if it's an operating day
       if (!this.isOperatingDay(targetDate)) {
         return {
           success: true,
-          date: targetDate.toISOString().split('T')[0],
+          date: toDateKey(targetDate),
+          timezone: getClinicTimezone(),
           isOperatingDay: false,
           slots: [],
-          message: 'The clinic is closed on this day.',
+          message: ScheduleService.getClosedMessage(targetDate),
         };
       }
 
       // Check if date is in the past
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+      const today = startOfClinicDay();
       if (targetDate < today) {
         return {
           success: false,
@@ -104,26 +393,27 @@ class AppointmentService {
         };
       }
 
-      // Get all time slots
-      const allSlots = this.generateTimeSlots(targetDate);
-      
-      // Get booked slots for this date
-      const bookedSlots = await Appointment.getBookedSlots(targetDate);
+      // Get all start times the service fits into, marked with the providers free at each
+      const duration = this.getServiceDuration(service);
+      const availableSlots = await this.computeSlotAvailability(targetDate, duration, { service, providerId });
       
-      // Filter out booked slots
-      const availableSlots = allSlots.map(slot => ({
-        ...slot,
-        available: !bookedSlots.includes(slot.time),
-      }));
+      // Get booked intervals for this date
+      const bookedIntervals = await Appointment.getBookedIntervals(targetDate);
 
       return {
         success: true,
-        date: targetDate.toISOString().split('T')[0],
+        date: toDateKey(targetDate),
+        timezone: getClinicTimezone(),
         isOperatingDay: true,
+        service: service || null,
+        providerId: providerId || null,
+        duration,
         slots: availableSlots,
-        totalSlots: allSlots.length,
+        totalSlots: availableSlots.length,
         availableCount: availableSlots.filter(s => s.available).length,
-        bookedCount: bookedSlots.length,
+        bookedCount: bookedIntervals.length,
+        // Fully booked days can be waitlisted (POST /api/waitlist)
+        canJoinWaitlist: !availableSlots.some(s => s.available),
       };
     } catch (error) {
       console.error('Error getting available slots:', error);
@@ -134,31 +424,29 @@ class AppointmentService {
   /**
    * Get available dates for the next N days
    */
-  static async getAvailableDates(days = 14) {
+  static async getAvailableDates(days = 14, service = null, providerId = null) {
     try {
       const dates = [];
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+      const today = startOfClinicDay();
+      const duration = this.getServiceDuration(service);
+      await ScheduleService.refreshIfStale();
 
       for (let i = 0; i < days; i++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() + i);
+        const date = addClinicDays(today, i);
         
         const isOperating = this.isOperatingDay(date);
-        const bookedSlots = isOperating ? await Appointment.getBookedSlots(date) : [];
-        const totalSlots = isOperating ? this.generateTimeSlots(date).length : 0;
-        const availableCount = totalSlots - bookedSlots.length;
+        const availableCount = isOperating ? (await this.getOpenSlots(date, duration, null, { service, providerId })).length : 0;
 
         dates.push({
-          date: date.toISOString().split('T')[0],
-          dayName: date.toLocaleDateString('en-US', { weekday: 'long' }),
+          date: toDateKey(date),
+          dayName: formatClinicDate(date, { weekday: 'long' }),
           isOperating,
           availableSlots: availableCount,
           isFull: isOperating && availableCount === 0,
         });
       }
 
-      return { success: true, dates };
+      return { success: true, dates, timezone: getClinicTimezone() };
     } catch (error) {
       console.error('Error getting available dates:', error);
       return { success: false, error: error.message };
@@ -188,33 +476,18 @@ class AppointmentService {
         return { success: false, error: 'Could not parse date from the provided text.' };
       }
 
-      // Parse date
-      const parsedDate = new Date(date);
-      parsedDate.setHours(0, 0, 0, 0);
+      // Parse date as a clinic calendar day
+      const parsedDate = startOfClinicDay(date);
 
       // Parse time to slot format
-      let timeSlot = '09:00'; // Default to 9 AM
-      if (time) {
-        const timeMatch = time.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
-        if (timeMatch) {
-          let hours = parseInt(timeMatch[1]);
-          const minutes = parseInt(timeMatch[2]);
-          const period = timeMatch[3]?.toUpperCase();
-          
-          if (period === 'PM' && hours < 12) hours += 12;
-          if (period === 'AM' && hours === 12) hours = 0;
-          
-          // Round to nearest slot
-          const roundedMinutes = Math.round(minutes / TIME_SLOTS.SLOT_DURATION) * TIME_SLOTS.SLOT_DURATION;
-          timeSlot = `${String(hours).padStart(2, '0')}:${String(roundedMinutes % 60).padStart(2, '0')}`;
-        }
-      }
+      const timeSlot = (time && this.toTimeSlot(time)) || '09:00'; // Default to 9 AM
 
       return {
         success: true,
         date: parsedDate,
         timeSlot,
-        formatted: `${parsedDate.toISOString().split('T')[0]} at ${timeSlot}`,
+        hasTime: Boolean(time), // Without one the time defaults to 09:00
+        formatted: `${date} at ${timeSlot}`,
       };
     } catch (error) {
       console.error('Error parsing date/time:', error);
@@ -223,115 +496,115 @@ class AppointmentService {
   }
 
   /**
-   * Process booking flow based on current state
+   * Turn an extracted time ("2:30 PM") into a slot start ("14:30"), rounded to the slot length,
+   * or null
    */
-  static async processBookingFlow(sessionId, userMessage, currentState) {
-    const { status, tempData } = currentState;
-    const trimmedMessage = userMessage.trim();
+  static toTimeSlot(time) {
+    const timeMatch = time.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
+    if (!timeMatch) return null;
 
-    switch (status) {
-      case BOOKING_STATES.IDLE:
-        // Start booking flow
-        return {
-          nextState: BOOKING_STATES.COLLECTING_OWNER_NAME,
-          response: MESSAGES.APPOINTMENT_START,
-          tempData: {},
-        };
+    let hours = parseInt(timeMatch[1]);
+    const minutes = parseInt(timeMatch[2]);
+    const period = timeMatch[3]?.toUpperCase();
 
-      case BOOKING_STATES.COLLECTING_OWNER_NAME:
-        if (!this.isValidName(trimmedMessage)) {
-          return {
-            nextState: status,
-            response: MESSAGES.INVALID_NAME,
-            tempData,
-          };
-        }
-        return {
-          nextState: BOOKING_STATES.COLLECTING_PET_NAME,
-          response: MESSAGES.ASK_PET_NAME,
-          tempData: { ...tempData, ownerName: trimmedMessage },
-        };
+    if (period === 'PM' && hours < 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
 
-      case BOOKING_STATES.COLLECTING_PET_NAME:
-        if (!trimmedMessage || trimmedMessage.length < 1) {
-          return {
-            nextState: status,
-            response: "Please enter your pet's name.",
-            tempData,
-          };
-        }
-        return {
-          nextState: BOOKING_STATES.COLLECTING_PHONE,
-          response: MESSAGES.ASK_PHONE,
-          tempData: { ...tempData, petName: trimmedMessage },
-        };
+    // Round to nearest slot (10:45 becomes 11:00)
+    const roundedMinutes = Math.round((hours * 60 + minutes) / TIME_SLOTS.SLOT_DURATION) * TIME_SLOTS.SLOT_DURATION;
+    return minutesToTime(Math.min(roundedMinutes, 23 * 60 + 59));
+  }
 
-      case BOOKING_STATES.COLLECTING_PHONE:
-        if (!this.isValidPhone(trimmedMessage)) {
-          return {
-            nextState: status,
-            response: MESSAGES.INVALID_PHONE,
-            tempData,
-          };
-        }
-        return {
-          nextState: BOOKING_STATES.COLLECTING_DATE_TIME,
-          response: MESSAGES.ASK_DATE_TIME,
-          tempData: { ...tempData, phone: trimmedMessage },
-        };
+  /**
+   * Get { providerId, providerName } for a provider mentioned in a chat message, or {}
+   */
+  static async extractProviderData(message) {
+    const provider = await ProviderService.findProviderInText(message);
+    if (!provider) return {};
+    return { providerId: provider._id.toString(), providerName: provider.displayName };
+  }
 
-      case BOOKING_STATES.COLLECTING_DATE_TIME:
-        if (!trimmedMessage || trimmedMessage.length < 5) {
-          return {
-            nextState: status,
-            response: "Please provide a valid date and time for your appointment.",
-            tempData,
-          };
-        }
-        const completeData = { ...tempData, preferredDateTime: trimmedMessage };
-        return {
-          nextState: BOOKING_STATES.CONFIRMING,
-          response: MESSAGES.CONFIRM_BOOKING(completeData),
-          tempData: completeData,
-        };
+  /**
+   * Join pet names for a question ("Buddy", "Buddy or Luna", "Buddy, Luna or Max")
+   */
+  static formatPetChoices(pets) {
+    const names = pets.map(pet => pet.name);
+    if (names.length <= 1) {
+      return names.join('');
+    }
+    return `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+  }
 
-      case BOOKING_STATES.CONFIRMING:
-        const lowerMessage = trimmedMessage.toLowerCase();
-        
-        if (lowerMessage === 'yes' || lowerMessage === 'y' || lowerMessage === 'confirm') {
-          return {
-            nextState: BOOKING_STATES.COMPLETED,
-            response: MESSAGES.BOOKING_SUCCESS,
-            tempData,
-            shouldSave: true,
-          };
-        } else if (lowerMessage === 'no' || lowerMessage === 'n' || lowerMessage === 'cancel') {
-          return {
-            nextState: BOOKING_STATES.IDLE,
-            response: MESSAGES.BOOKING_CANCELLED,
-            tempData: {},
-          };
-        } else {
-          return {
-            nextState: status,
-            response: 'Please reply "yes" to confirm or "no" to cancel the booking.',
-            tempData,
-          };
-        }
+  /**
+   * Find the pet a reply refers to, by name or by its position in the list
+   */
+  static matchPet(message, pets) {
+    const text = message.trim().toLowerCase();
+    const position = parseInt(text, 10);
+    if (/^\d+$/.test(text) && position >= 1 && position <= pets.length) {
+      return pets[position - 1];
+    }
 
-      default:
-        return {
-          nextState: BOOKING_STATES.IDLE,
-          response: MESSAGES.APPOINTMENT_START,
-          tempData: {},
-        };
+    return pets.find(pet => {
+      const name = pet.name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^a-z0-9])${name}([^a-z0-9]|$)`, 'i').test(text);
+    }) || null;
+  }
+
+  /**
+   * Get the requested day when it has no room left for the service, or null
+   */
+  static async getFullyBookedDate(bookingData) {
+    const parsed = this.parseDateTimeString(bookingData.preferredDateTime || '');
+    if (!parsed.success || !this.isOperatingDay(parsed.date) || parsed.date < startOfClinicDay()) {
+      return null;
     }
+
+    const service = bookingData.service || 'checkup';
+    const openSlots = await this.getOpenSlots(parsed.date, this.getServiceDuration(service), null, {
+      service,
+      providerId: bookingData.providerId || null,
+    });
+    return openSlots.length === 0 ? startOfClinicDay(parsed.date) : null;
+  }
+
+  /**
+   * Put a chat user on the waitlist for the fully booked day they asked for
+   */
+  static async joinWaitlistFromChat(sessionId, tempData) {
+    const WaitlistService = require('./waitlistService');
+    const result = await WaitlistService.joinWaitlist({
+      ownerName: tempData.ownerName,
+      petName: tempData.petName,
+      phone: tempData.phone,
+      service: tempData.service || 'checkup',
+      providerId: tempData.providerId || null,
+      dateFrom: tempData.waitlistDate,
+      dateTo: tempData.waitlistDate,
+    }, { sessionId });
+
+    if (!result.success) {
+      return {
+        nextState: BOOKING_STATES.IDLE,
+        response: `Sorry, I couldn't add you to the waitlist: ${result.error} Is there anything else I can help you with?`,
+        tempData: {},
+      };
+    }
+
+    return {
+      nextState: BOOKING_STATES.IDLE,
+      response: MESSAGES.WAITLIST_JOINED(formatClinicDate(startOfClinicDay(tempData.waitlistDate), { weekday: 'long', month: 'long', day: 'numeric' })),
+      tempData: {},
+    };
   }
 
   /**
    * Create appointment in database
    */
   static async createAppointment(sessionId, appointmentData) {
+    let appointment = null;
+    let reserved = false;
+
     try {
       let conversation = null;
       
@@ -340,8 +613,8 @@ class AppointmentService {
         conversation = await Conversation.findOne({ sessionId });
       }
 
-      // Parse the date/time if needed
-      let scheduledDate = appointmentData.scheduledDate;
+      // Parse the date/time if needed (a chat booking brings the slot it held)
+      let scheduledDate = appointmentData.scheduledDate ? startOfClinicDay(appointmentData.scheduledDate) : null;
       let scheduledTimeSlot = appointmentData.scheduledTimeSlot;
 
       if (!scheduledDate && appointmentData.preferredDateTime) {
@@ -352,19 +625,21 @@ class AppointmentService {
         }
       }
 
-      // Check slot availability if we have a parsed date/time
+      const duration = appointmentData.duration || this.getServiceDuration(appointmentData.service || 'checkup');
+      const providerId = appointmentData.providerId || null;
+
+      // Check the appointment fits if we have a parsed date/time
       if (scheduledDate && scheduledTimeSlot) {
-        const isAvailable = await Appointment.isSlotAvailable(scheduledDate, scheduledTimeSlot);
-        if (!isAvailable) {
-          return { 
-            success: false, 
-            error: 'This time slot is no longer available. Please choose another time.',
-            slotTaken: true,
+        if (!this.fitsOperatingHours(scheduledDate, scheduledTimeSlot, duration)) {
+          return {
+            success: false,
+            error: 'This appointment would run past our break or closing time. Please choose an earlier time.',
+            code: 'EXCEEDS_HOURS',
           };
         }
       }
 
-      const appointment = new Appointment({
+      appointment = new Appointment({
         sessionId: sessionId || null,
         conversationId: conversation?._id || null,
         ownerName: appointmentData.ownerName,
@@ -376,7 +651,8 @@ class AppointmentService {
         scheduledDate: scheduledDate || null,
         scheduledTimeSlot: scheduledTimeSlot || null,
         preferredDateTime: appointmentData.preferredDateTime,
-        duration: appointmentData.duration || 30,
+        duration,
+        provider: providerId,
         reason: appointmentData.reason || '',
         notes: appointmentData.notes || '',
         context: {
@@ -386,6 +662,31 @@ class AppointmentService {
         status: APPOINTMENT_STATUS.PENDING,
       });
 
+      // Lock the slot for this appointment (taking over the session's hold if it still has one)
+      if (scheduledDate && scheduledTimeSlot) {
+        const reservation = await this.reserveSlot(scheduledDate, scheduledTimeSlot, duration, {
+          service: appointmentData.service || 'checkup',
+          providerId,
+          preferredProviderId: appointmentData.heldProviderId || null,
+          holder: sessionId ? SlotReservationService.getSessionHolder(sessionId) : null,
+          appointmentId: appointment._id,
+        });
+        if (!reservation.success) {
+          return { 
+            success: false, 
+            error: 'This time slot is no longer available. Please choose another time.',
+            code: 'SLOT_TAKEN',
+            slotTaken: true,
+          };
+        }
+        reserved = true;
+        appointment.provider = reservation.providerId;
+      }
+
+      await OwnerService.linkAppointment(appointment, {
+        ownerId: appointmentData.ownerId || null,
+        petId: appointmentData.petId || null,
+      });
       await appointment.save();
 
       // Reset booking state if conversation exists
@@ -397,19 +698,45 @@ class AppointmentService {
         await conversation.save();
       }
 
+      await this.announceChange(appointment, { created: true });
+
       return { success: true, appointment };
     } catch (error) {
       console.error('Error creating appointment:', error);
+      if (reserved) {
+        await SlotReservationService.releaseAppointment(appointment._id);
+      }
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Build the SLOT_TAKEN response with alternative start times where the service still fits
+   */
+  static async slotTakenResponse(date, service, providerId = null) {
+    const availableSlots = (await this.getOpenSlots(date, service.duration, null, { service: service.id, providerId }))
+      .slice(0, 5); // Suggest up to 5 alternatives
+
+    return { 
+      success: false, 
+      error: 'This time slot is already booked. Please choose another time.',
+      code: 'SLOT_TAKEN',
+      slotTaken: true,
+      suggestedSlots: availableSlots,
+    };
+  }
+
   /**
    * Create appointment directly (without chatbot session)
+   * holder books a slot already held for the caller (e.g. a waitlist offer); sessionId links a chat
+   * notifyOwner: false skips the owner's booking notification (webhooks are still sent)
    */
-  static async createDirectAppointment(appointmentData) {
+  static async createDirectAppointment(appointmentData, { holder = null, sessionId = null, notifyOwner = true } = {}) {
+    let reservedAppointmentId = null;
+
     try {
       const { validateDirectAppointment } = require('../utils/appointmentValidator');
+      await ScheduleService.refreshIfStale();
       
       // Comprehensive validation
       const validationResult = validateDirectAppointment(appointmentData);
@@ -417,13 +744,11 @@ class AppointmentService {
         return validationResult.toResponse();
       }
 
-      // Parse the date
-      const scheduledDate = new Date(appointmentData.scheduledDate);
-      scheduledDate.setHours(0, 0, 0, 0);
+      // Parse the date as a clinic calendar day
+      const scheduledDate = startOfClinicDay(appointmentData.scheduledDate);
 
       // Additional check: Ensure date is not in the past
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+      const today = startOfClinicDay();
       if (scheduledDate < today) {
         return { 
           success: false, 
@@ -434,10 +759,9 @@ class AppointmentService {
 
       // Check if it's an operating day
       if (!this.isOperatingDay(scheduledDate)) {
-        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
         return { 
           success: false, 
-          error: `The clinic is closed on ${dayNames[scheduledDate.getDay()]}. We are open Monday to Saturday.`,
+          error: ScheduleService.getClosedMessage(scheduledDate),
           code: 'CLOSED_DAY',
         };
       }
@@ -452,23 +776,16 @@ class AppointmentService {
         };
       }
 
-      // Parse time and validate it's within operating hours
+      // Parse time and validate it's within the day's opening hours
       const [hours, minutes] = timeSlot.split(':').map(Number);
-      const { START_HOUR, END_HOUR, BREAK_START, BREAK_END, SLOT_DURATION } = TIME_SLOTS;
+      const { SLOT_DURATION } = TIME_SLOTS;
 
-      if (hours < START_HOUR || hours >= END_HOUR) {
+      const hoursProblem = ScheduleService.checkStartTime(scheduledDate, timeSlot);
+      if (hoursProblem) {
         return {
           success: false,
-          error: `Appointments are only available between ${START_HOUR}:00 AM and ${END_HOUR - 12}:00 PM.`,
-          code: 'OUTSIDE_HOURS',
-        };
-      }
-
-      if (hours >= BREAK_START && hours < BREAK_END) {
-        return {
-          success: false,
-          error: 'This time slot is during lunch break (1 PM - 2 PM). Please choose another time.',
-          code: 'BREAK_TIME',
+          error: hoursProblem.message,
+          code: hoursProblem.code,
         };
       }
 
@@ -482,8 +799,7 @@ class AppointmentService {
 
       // If booking for today, check if the time hasn't passed
       if (scheduledDate.getTime() === today.getTime()) {
-        const now = new Date();
-        const currentMinutes = now.getHours() * 60 + now.getMinutes();
+        const currentMinutes = getClinicMinutes();
         const appointmentMinutes = hours * 60 + minutes;
         const bufferMinutes = 30; // Must book at least 30 min in advance
 
@@ -496,31 +812,43 @@ class AppointmentService {
         }
       }
 
-      // Check for overlapping/duplicate appointments (slot availability)
-      const isAvailable = await Appointment.isSlotAvailable(scheduledDate, timeSlot);
-      if (!isAvailable) {
-        // Get the booked slots for this date to suggest alternatives
-        const bookedSlots = await Appointment.getBookedSlots(scheduledDate);
-        const allSlots = this.generateTimeSlots(scheduledDate);
-        const availableSlots = allSlots
-          .filter(s => !bookedSlots.includes(s.time))
-          .slice(0, 5); // Suggest up to 5 alternatives
+      // Get service duration
+      const service = SERVICES.find(s => s.id === appointmentData.service) || SERVICES[0];
 
-        return { 
-          success: false, 
-          error: 'This time slot is already booked. Please choose another time.',
-          code: 'SLOT_TAKEN',
-          slotTaken: true,
-          suggestedSlots: availableSlots,
+      // Check the whole appointment fits before the break or closing time
+      if (!this.fitsOperatingHours(scheduledDate, timeSlot, service.duration)) {
+        return {
+          success: false,
+          error: `${service.name} takes ${service.duration} minutes and would run past our break or closing time. Please choose an earlier time.`,
+          code: 'EXCEEDS_HOURS',
         };
       }
 
+      // A requested provider must exist and perform the service
+      const providerId = appointmentData.providerId || null;
+      if (providerId) {
+        const providerCheck = await ProviderService.checkBookableProvider(providerId, service.id);
+        if (!providerCheck.success) {
+          return providerCheck;
+        }
+      }
+
+      // Check for overlapping appointments (a provider must be free for the whole service)
+      const availability = await this.findAvailableProvider(scheduledDate, timeSlot, service.duration, {
+        service: service.id,
+        providerId,
+        holder,
+      });
+      if (!availability.available) {
+        return this.slotTakenResponse(scheduledDate, service, providerId);
+      }
+
       // Check for duplicate appointments (same person, same day)
       const existingAppointment = await Appointment.findOne({
         phone: appointmentData.phone.trim().replace(/[\s\-\.\(\)]/g, ''),
         scheduledDate: { 
           $gte: scheduledDate, 
-          $lt: new Date(scheduledDate.getTime() + 24 * 60 * 60 * 1000) 
+          $lt: addClinicDays(scheduledDate, 1),
         },
         status: { $nin: ['cancelled', 'no-show'] },
       });
@@ -538,10 +866,8 @@ class AppointmentService {
         };
       }
 
-      // Get service duration
-      const service = SERVICES.find(s => s.id === appointmentData.service) || SERVICES[0];
-
       const appointment = new Appointment({
+        sessionId: sessionId || undefined,
         ownerName: appointmentData.ownerName.trim(),
         petName: appointmentData.petName.trim(),
         petType: appointmentData.petType || 'other',
@@ -550,7 +876,7 @@ class AppointmentService {
         service: appointmentData.service || 'checkup',
         scheduledDate,
         scheduledTimeSlot: timeSlot,
-        preferredDateTime: `${scheduledDate.toISOString().split('T')[0]} at ${timeSlot}`,
+        preferredDateTime: `${toDateKey(scheduledDate)} at ${timeSlot}`,
         duration: service.duration,
         reason: appointmentData.reason?.trim() || '',
         notes: appointmentData.notes?.trim() || '',
@@ -561,7 +887,24 @@ class AppointmentService {
         status: APPOINTMENT_STATUS.PENDING,
       });
 
+      // Atomically lock the slot; a concurrent request for the same time fails here
+      const reservation = await SlotReservationService.acquireFirst(availability.providerIds, {
+        date: scheduledDate,
+        timeSlot,
+        duration: service.duration,
+        appointmentId: appointment._id,
+        holder,
+      });
+      if (!reservation.success) {
+        return this.slotTakenResponse(scheduledDate, service, providerId);
+      }
+      reservedAppointmentId = appointment._id;
+      appointment.provider = reservation.providerId;
+
+      await OwnerService.linkAppointment(appointment, { petId: appointmentData.petId || null });
       await appointment.save();
+      await this.announceChange(appointment, { created: true, notifyOwner });
+
       return { 
         success: true, 
         appointment,
@@ -569,6 +912,10 @@ class AppointmentService {
       };
     } catch (error) {
       console.error('Error creating direct appointment:', error);
+
+      if (reservedAppointmentId) {
+        await SlotReservationService.releaseAppointment(reservedAppointmentId);
+      }
       
       // Handle MongoDB duplicate key errors
       if (error.code === 11000) {
@@ -599,10 +946,16 @@ class AppointmentService {
 
   /**
    * Update appointment
+   * notifyChat: false when the owner made the change in the chat (no notice is posted back there)
    */
-  static async updateAppointment(appointmentId, updateData) {
+  static async updateAppointment(appointmentId, updateData, { notifyChat = true } = {}) {
+    let newReservation = null;
+    let previousReservation = null;
+    let reactivatedLocks = false;
+
     try {
       const { validateUpdateAppointment } = require('../utils/appointmentValidator');
+      await ScheduleService.refreshIfStale();
 
       // Validate appointment ID format
       if (!appointmentId || typeof appointmentId !== 'string') {
@@ -631,6 +984,8 @@ class AppointmentService {
           code: 'NOT_FOUND',
         };
       }
+      const previousStatus = appointment.status;
+      const previousStart = this.getStartKey(appointment);
 
       // Check if appointment is already completed or cancelled
       if (appointment.status === 'completed' && !updateData.notes) {
@@ -647,29 +1002,66 @@ class AppointmentService {
         return validationResult.toResponse();
       }
 
-      // If changing date/time, perform additional checks
-      if (updateData.scheduledDate || updateData.scheduledTimeSlot) {
+      // A pet profile to move the appointment to (its owner, name and type follow)
+      let newPet = null;
+      if (updateData.petId) {
+        newPet = /^[0-9a-fA-F]{24}$/.test(String(updateData.petId)) ? await Pet.findById(updateData.petId) : null;
+        if (!newPet) {
+          return {
+            success: false,
+            error: 'Pet not found.',
+            code: 'PET_NOT_FOUND',
+          };
+        }
+      }
+
+      // A new service changes the appointment length unless a duration is given explicitly
+      const currentDuration = appointment.duration || TIME_SLOTS.SLOT_DURATION;
+      const newDuration = updateData.duration
+        || (updateData.service ? this.getServiceDuration(updateData.service) : currentDuration);
+      if (updateData.service && updateData.duration === undefined) {
+        updateData.duration = newDuration;
+      }
+
+      // A requested provider must exist and perform the (new) service
+      const newService = updateData.service || appointment.service;
+      if (updateData.providerId) {
+        const providerCheck = await ProviderService.checkBookableProvider(updateData.providerId, newService);
+        if (!providerCheck.success) {
+          return providerCheck;
+        }
+      }
+      const serviceChanged = Boolean(updateData.service) && updateData.service !== appointment.service;
+      const providerChanged = Boolean(updateData.providerId) &&
+        updateData.providerId.toString() !== (appointment.provider ? appointment.provider.toString() : null);
+      let reassignedProvider = providerChanged ? updateData.providerId : undefined;
+      if (appointment.scheduledDate && appointment.scheduledTimeSlot) {
+        previousReservation = {
+          date: appointment.scheduledDate,
+          timeSlot: appointment.scheduledTimeSlot,
+          duration: currentDuration,
+          providerId: appointment.provider,
+        };
+      }
+
+      // If changing date/time, length or provider, perform additional checks
+      if (updateData.scheduledDate || updateData.scheduledTimeSlot || newDuration !== currentDuration || serviceChanged || providerChanged) {
         const newDate = updateData.scheduledDate 
-          ? new Date(updateData.scheduledDate) 
-          : appointment.scheduledDate;
+          ? startOfClinicDay(updateData.scheduledDate) 
+          : (appointment.scheduledDate ? startOfClinicDay(appointment.scheduledDate) : null);
         const newTimeSlot = updateData.scheduledTimeSlot || appointment.scheduledTimeSlot;
-        
-        if (newDate) {
-          newDate.setHours(0, 0, 0, 0);
-        }
 
         // Check if date or time actually changed
-        const currentDate = appointment.scheduledDate ? new Date(appointment.scheduledDate) : null;
-        if (currentDate) currentDate.setHours(0, 0, 0, 0);
+        const currentDate = appointment.scheduledDate ? startOfClinicDay(appointment.scheduledDate) : null;
         
         const dateChanged = !currentDate || !newDate || 
           currentDate.getTime() !== newDate.getTime();
         const timeChanged = newTimeSlot !== appointment.scheduledTimeSlot;
+        const durationChanged = newDuration !== currentDuration;
         
-        if (dateChanged || timeChanged) {
+        if (dateChanged || timeChanged || durationChanged || serviceChanged || providerChanged) {
           // Check if new date is not in the past
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
+          const today = startOfClinicDay();
           
           if (newDate && newDate < today) {
             return {
@@ -681,10 +1073,9 @@ class AppointmentService {
 
           // Check if operating day
           if (newDate && !this.isOperatingDay(newDate)) {
-            const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
             return { 
               success: false, 
-              error: `The clinic is closed on ${dayNames[newDate.getDay()]}. We are open Monday to Saturday.`,
+              error: ScheduleService.getClosedMessage(newDate),
               code: 'CLOSED_DAY',
             };
           }
@@ -700,21 +1091,14 @@ class AppointmentService {
             }
 
             const [hours, minutes] = newTimeSlot.split(':').map(Number);
-            const { START_HOUR, END_HOUR, BREAK_START, BREAK_END, SLOT_DURATION } = TIME_SLOTS;
+            const { SLOT_DURATION } = TIME_SLOTS;
 
-            if (hours < START_HOUR || hours >= END_HOUR) {
+            const hoursProblem = newDate ? ScheduleService.checkStartTime(newDate, newTimeSlot) : null;
+            if (hoursProblem) {
               return {
                 success: false,
-                error: `Appointments are only available between ${START_HOUR}:00 AM and ${END_HOUR - 12}:00 PM.`,
-                code: 'OUTSIDE_HOURS',
-              };
-            }
-
-            if (hours >= BREAK_START && hours < BREAK_END) {
-              return {
-                success: false,
-                error: 'This time slot is during lunch break (1 PM - 2 PM). Please choose another time.',
-                code: 'BREAK_TIME',
+                error: hoursProblem.message,
+                code: hoursProblem.code,
               };
             }
 
@@ -728,8 +1112,7 @@ class AppointmentService {
 
             // Check for same-day past time
             if (newDate && newDate.getTime() === today.getTime()) {
-              const now = new Date();
-              const currentMinutes = now.getHours() * 60 + now.getMinutes();
+              const currentMinutes = getClinicMinutes();
               const appointmentMinutes = hours * 60 + minutes;
               
               if (appointmentMinutes <= currentMinutes) {
@@ -744,22 +1127,29 @@ class AppointmentService {
           
           // Check for slot availability (excluding current appointment)
           if (newDate && newTimeSlot) {
-            const existingAppointments = await Appointment.find({
-              scheduledDate: { 
-                $gte: newDate, 
-                $lt: new Date(newDate.getTime() + 24 * 60 * 60 * 1000) 
-              },
-              scheduledTimeSlot: newTimeSlot,
-              status: { $nin: ['cancelled', 'no-show'] },
-              _id: { $ne: appointmentId },
+            if (!this.fitsOperatingHours(newDate, newTimeSlot, newDuration)) {
+              return {
+                success: false,
+                error: `This appointment takes ${newDuration} minutes and would run past our break or closing time. Please choose an earlier time.`,
+                code: 'EXCEEDS_HOURS',
+              };
+            }
+
+            // Lock the new slot, keeping the current provider when they are still free
+            const reservation = await this.reserveSlot(newDate, newTimeSlot, newDuration, {
+              service: newService,
+              providerId: updateData.providerId || null,
+              preferredProviderId: appointment.provider,
+              excludeId: appointmentId,
+              appointmentId: appointment._id,
             });
             
-            if (existingAppointments.length > 0) {
+            if (!reservation.success) {
               // Get available alternatives
-              const bookedSlots = await Appointment.getBookedSlots(newDate);
-              const allSlots = this.generateTimeSlots(newDate);
-              const availableSlots = allSlots
-                .filter(s => !bookedSlots.includes(s.time) || s.time === appointment.scheduledTimeSlot)
+              const availableSlots = (await this.getOpenSlots(newDate, newDuration, appointmentId, {
+                service: newService,
+                providerId: updateData.providerId || null,
+              }))
                 .slice(0, 5);
 
               return { 
@@ -770,6 +1160,9 @@ class AppointmentService {
                 suggestedSlots: availableSlots,
               };
             }
+
+            reassignedProvider = reservation.providerId;
+            newReservation = { date: newDate, timeSlot: newTimeSlot, duration: newDuration, providerId: reservation.providerId };
           }
 
           // Update the date/time fields
@@ -779,6 +1172,30 @@ class AppointmentService {
         }
       }
 
+      // Cancelled and no-show appointments give their slot back; reactivating one must win it again
+      // (a new date or time above has already locked its slot)
+      const releasedStatuses = [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW];
+      const wasReleased = releasedStatuses.includes(appointment.status);
+      const reactivating = wasReleased && updateData.status !== undefined && !releasedStatuses.includes(updateData.status);
+      if (reactivating && !newReservation && appointment.scheduledDate && appointment.scheduledTimeSlot) {
+        const reservation = await SlotReservationService.acquire({
+          date: appointment.scheduledDate,
+          timeSlot: appointment.scheduledTimeSlot,
+          duration: newDuration,
+          providerId: reassignedProvider !== undefined ? reassignedProvider : appointment.provider,
+          appointmentId: appointment._id,
+        });
+        if (!reservation.success) {
+          return {
+            success: false,
+            error: 'This appointment\'s time slot has since been booked by someone else.',
+            code: 'SLOT_TAKEN',
+            slotTaken: true,
+          };
+        }
+        reactivatedLocks = true;
+      }
+
       // Update allowed fields
       const allowedFields = [
         'ownerName', 'petName', 'petType', 'phone', 'email',
@@ -799,14 +1216,51 @@ class AppointmentService {
         }
       });
 
+      // Provider is only ever set from the availability check above
+      if (reassignedProvider !== undefined) {
+        appointment.provider = reassignedProvider;
+        updatedFields.push('provider');
+      }
+
+      if (newPet) {
+        appointment.pet = newPet._id;
+        appointment.owner = newPet.owner;
+        appointment.petName = newPet.name;
+        appointment.petType = newPet.species;
+        updatedFields.push('pet');
+      }
+
       // Update preferredDateTime if date/time changed
       if (updateData.scheduledDate || updateData.scheduledTimeSlot) {
         if (appointment.scheduledDate && appointment.scheduledTimeSlot) {
-          appointment.preferredDateTime = `${appointment.scheduledDate.toISOString().split('T')[0]} at ${appointment.scheduledTimeSlot}`;
+          appointment.preferredDateTime = `${toDateKey(appointment.scheduledDate)} at ${appointment.scheduledTimeSlot}`;
         }
+        // The new time gets its own reminders
+        appointment.reminderSent = false;
       }
 
       await appointment.save();
+
+      // The visit record follows the appointment to its new pet
+      if (newPet) {
+        await VisitRecord.updateMany(
+          { appointment: appointment._id },
+          { $set: { pet: appointment.pet, owner: appointment.owner } }
+        );
+      }
+
+      // Free the blocks the appointment no longer covers, or all of them once it is cancelled
+      if (releasedStatuses.includes(appointment.status)) {
+        await SlotReservationService.releaseAppointment(appointment._id);
+        if (!wasReleased) {
+          await this.offerFreedSlot(appointment);
+        }
+      } else if (newReservation) {
+        await SlotReservationService.pruneAppointmentLocks(appointment._id, newReservation);
+      }
+
+      await this.announceChange(appointment, { previousStatus, previousStart, notifyChat });
+
       return { 
         success: true, 
         appointment,
@@ -816,6 +1270,17 @@ class AppointmentService {
     } catch (error) {
       console.error('Error updating appointment:', error);
 
+      // Give back the newly locked slot if the update could not be saved
+      if (reactivatedLocks) {
+        await SlotReservationService.releaseAppointment(appointmentId);
+      } else if (newReservation) {
+        if (previousReservation) {
+          await SlotReservationService.pruneAppointmentLocks(appointmentId, previousReservation);
+        } else {
+          await SlotReservationService.releaseAppointment(appointmentId);
+        }
+      }
+
       // Handle cast errors (invalid ObjectId)
       if (error.name === 'CastError') {
         return {
@@ -845,8 +1310,9 @@ class AppointmentService {
 
   /**
    * Cancel appointment
+   * notifyChat: false when the owner cancelled in the chat (no notice is posted back there)
    */
-  static async cancelAppointment(appointmentId, reason = '') {
+  static async cancelAppointment(appointmentId, reason = '', { notifyChat = true } = {}) {
     try {
       // Validate appointment ID
       if (!appointmentId || !/^[0-9a-fA-F]{24}$/.test(appointmentId)) {
@@ -885,10 +1351,8 @@ class AppointmentService {
 
       // Check if trying to cancel a past appointment
       if (appointment.scheduledDate) {
-        const appointmentDate = new Date(appointment.scheduledDate);
-        appointmentDate.setHours(0, 0, 0, 0);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const appointmentDate = startOfClinicDay(appointment.scheduledDate);
+        const today = startOfClinicDay();
 
         if (appointmentDate < today) {
           return {
@@ -899,6 +1363,7 @@ class AppointmentService {
         }
       }
 
+      const previousStatus = appointment.status;
       appointment.status = 'cancelled';
       if (reason && typeof reason === 'string' && reason.trim()) {
         const trimmedReason = reason.trim();
@@ -915,6 +1380,14 @@ class AppointmentService {
       }
 
       await appointment.save();
+      await SlotReservationService.releaseAppointment(appointment._id);
+      await this.offerFreedSlot(appointment);
+      await this.announceChange(appointment, {
+        previousStatus,
+        previousStart: this.getStartKey(appointment),
+        notifyChat,
+      });
+
       return { 
         success: true, 
         appointment,
@@ -973,6 +1446,7 @@ class AppointmentService {
       }
 
       await Appointment.findByIdAndDelete(appointmentId);
+      await SlotReservationService.releaseAppointment(appointment._id);
 
       return { 
         success: true, 
@@ -1019,6 +1493,54 @@ class AppointmentService {
     }
   }
 
+  /**
+   * Build the query and sort for an appointment list
+   * Shared by the paginated list and exports so both apply the same filters
+   */
+  static buildListQuery({ status = null, date = null, startDate = null, endDate = null, search = null, sortBy = 'scheduledDate', sortOrder = 'asc' } = {}) {
+    const query = {};
+
+    // Filter by status
+    if (status) {
+      query.status = status;
+    }
+
+    // Filter by specific date
+    if (date) {
+      const { start, end } = getClinicDayRange(date);
+      query.scheduledDate = { $gte: start, $lt: end };
+    }
+
+    // Filter by date range
+    if (startDate || endDate) {
+      query.scheduledDate = {};
+      if (startDate) {
+        query.scheduledDate.$gte = startOfClinicDay(startDate);
+      }
+      if (endDate) {
+        query.scheduledDate.$lt = getClinicDayRange(endDate).end;
+      }
+    }
+
+    // Search by name, phone, or pet name
+    if (search) {
+      query.$or = [
+        { ownerName: { $regex: search, $options: 'i' } },
+        { petName: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    // Build sort object
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    if (sortBy === 'scheduledDate') {
+      sort.scheduledTimeSlot = sortOrder === 'desc' ? -1 : 1;
+    }
+
+    return { query, sort };
+  }
+
   /**
    * Get all appointments with filters
    */
@@ -1037,52 +1559,7 @@ class AppointmentService {
       } = options;
 
       const skip = (page - 1) * limit;
-      const query = {};
-
-      // Filter by status
-      if (status) {
-        query.status = status;
-      }
-
-      // Filter by specific date
-      if (date) {
-        const targetDate = new Date(date);
-        targetDate.setHours(0, 0, 0, 0);
-        const nextDay = new Date(targetDate);
-        nextDay.setDate(nextDay.getDate() + 1);
-        query.scheduledDate = { $gte: targetDate, $lt: nextDay };
-      }
-
-      // Filter by date range
-      if (startDate || endDate) {
-        query.scheduledDate = {};
-        if (startDate) {
-          const start = new Date(startDate);
-          start.setHours(0, 0, 0, 0);
-          query.scheduledDate.$gte = start;
-        }
-        if (endDate) {
-          const end = new Date(endDate);
-          end.setHours(23, 59, 59, 999);
-          query.scheduledDate.$lte = end;
-        }
-      }
-
-      // Search by name, phone, or pet name
-      if (search) {
-        query.$or = [
-          { ownerName: { $regex: search, $options: 'i' } },
-          { petName: { $regex: search, $options: 'i' } },
-          { phone: { $regex: search, $options: 'i' } },
-        ];
-      }
-
-      // Build sort object
-      const sort = {};
-      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-      if (sortBy === 'scheduledDate') {
-        sort.scheduledTimeSlot = sortOrder === 'desc' ? -1 : 1;
-      }
+      const { query, sort } = this.buildListQuery({ status, date, startDate, endDate, search, sortBy, sortOrder });
 
       const [appointments, total] = await Promise.all([
         Appointment.find(query)
@@ -1112,9 +1589,9 @@ class AppointmentService {
   /**
    * Get today's appointments
    */
-  static async getTodaysAppointments() {
+  static async getTodaysAppointments(providerId = null) {
     try {
-      const appointments = await Appointment.getTodaysAppointments();
+      const appointments = await Appointment.getTodaysAppointments(providerId);
       return { success: true, appointments };
     } catch (error) {
       console.error('Error getting today\'s appointments:', error);
@@ -1138,9 +1615,9 @@ class AppointmentService {
   /**
    * Get appointments by date
    */
-  static async getAppointmentsByDate(date) {
+  static async getAppointmentsByDate(date, providerId = null) {
     try {
-      const appointments = await Appointment.getByDate(date);
+      const appointments = await Appointment.getByDate(date, providerId);
       return { success: true, appointments };
     } catch (error) {
       console.error('Error getting appointments by date:', error);
@@ -1158,16 +1635,47 @@ class AppointmentService {
         return { success: false, error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` };
       }
 
-      const appointment = await Appointment.findByIdAndUpdate(
-        appointmentId,
-        { status: newStatus },
-        { new: true }
-      );
+      const appointment = await Appointment.findById(appointmentId);
 
       if (!appointment) {
         return { success: false, error: 'Appointment not found' };
       }
 
+      // Cancelled and no-show appointments give their slot back; reactivating one must win it again
+      const releasedStatuses = [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW];
+      const reactivating = releasedStatuses.includes(appointment.status) && !releasedStatuses.includes(newStatus);
+      if (reactivating && appointment.scheduledDate && appointment.scheduledTimeSlot) {
+        const reservation = await SlotReservationService.acquire({
+          date: appointment.scheduledDate,
+          timeSlot: appointment.scheduledTimeSlot,
+          duration: appointment.duration || TIME_SLOTS.SLOT_DURATION,
+          providerId: appointment.provider,
+          appointmentId: appointment._id,
+        });
+        if (!reservation.success) {
+          return {
+            success: false,
+            error: 'This appointment\'s time slot has since been booked by someone else.',
+            code: 'SLOT_TAKEN',
+            slotTaken: true,
+          };
+        }
+      }
+
+      const previousStatus = appointment.status;
+      const wasReleased = releasedStatuses.includes(previousStatus);
+      appointment.status = newStatus;
+      await appointment.save();
+
+      if (releasedStatuses.includes(newStatus)) {
+        await SlotReservationService.releaseAppointment(appointment._id);
+        if (!wasReleased) {
+          await this.offerFreedSlot(appointment);
+        }
+      }
+
+      await this.announceChange(appointment, { previousStatus, previousStart: this.getStartKey(appointment) });
+
       return { success: true, appointment };
     } catch (error) {
       console.error('Error updating appointment status:', error);
@@ -1175,6 +1683,77 @@ class AppointmentService {
     }
   }
 
+  /**
+   * Get the appointment's start as "YYYY-MM-DD HH:MM" (null while it has no scheduled time)
+   */
+  static getStartKey(appointment) {
+    return appointment.scheduledDate && appointment.scheduledTimeSlot
+      ? `${toDateKey(appointment.scheduledDate)} ${appointment.scheduledTimeSlot}`
+      : null;
+  }
+
+  /**
+   * Tell the owner and webhook subscribers that an appointment was booked or changed
+   * previousStatus and previousStart (see getStartKey) describe it before the change;
+   * notifyChat: false when the owner made the change in the chat and has already been told there;
+   * notifyOwner: false sends the webhooks only (e.g. bulk imports)
+   */
+  static async announceChange(appointment, { created = false, previousStatus = null, previousStart = null, notifyChat = true, notifyOwner = true } = {}) {
+    const BookingNotificationService = require('./bookingNotificationService');
+    const skipChannels = notifyChat ? [] : ['chat'];
+    const data = { appointment: WebhookService.formatAppointment(appointment) };
+
+    if (created) {
+      await WebhookService.emit(WEBHOOK_EVENTS.APPOINTMENT_CREATED, data);
+      if (notifyOwner) {
+        await BookingNotificationService.notifyAppointment(appointment, 'created', { skipChannels });
+      }
+      return;
+    }
+
+    const statusChanged = appointment.status !== previousStatus;
+    const startKey = this.getStartKey(appointment);
+    const moved = startKey !== previousStart &&
+      ![APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW].includes(appointment.status);
+
+    if (statusChanged) {
+      await WebhookService.emit(WEBHOOK_EVENTS.APPOINTMENT_STATUS_CHANGED, { ...data, previousStatus });
+      if (appointment.status === APPOINTMENT_STATUS.CANCELLED) {
+        await WebhookService.emit(WEBHOOK_EVENTS.APPOINTMENT_CANCELLED, { ...data, previousStatus });
+      }
+    }
+    if (moved) {
+      const [previousDate = null, previousTimeSlot = null] = previousStart ? previousStart.split(' ') : [];
+      await WebhookService.emit(WEBHOOK_EVENTS.APPOINTMENT_RESCHEDULED, { ...data, previousDate, previousTimeSlot });
+    }
+
+    // Owners hear about confirmations, cancellations and new times
+    if (!notifyOwner) {
+      return;
+    }
+    if (statusChanged && [APPOINTMENT_STATUS.CONFIRMED, APPOINTMENT_STATUS.CANCELLED].includes(appointment.status)) {
+      await BookingNotificationService.notifyAppointment(appointment, appointment.status, { skipChannels });
+    } else if (moved) {
+      await BookingNotificationService.notifyAppointment(appointment, 'rescheduled', { skipChannels });
+    }
+  }
+
+  /**
+   * Offer the slot of a cancelled or no-show appointment to the waitlist
+   */
+  static async offerFreedSlot(appointment) {
+    if (!appointment.scheduledDate || !appointment.scheduledTimeSlot) {
+      return;
+    }
+
+    const WaitlistService = require('./waitlistService');
+    await WaitlistService.handleFreedSlot({
+      date: appointment.scheduledDate,
+      timeSlot: appointment.scheduledTimeSlot,
+      duration: appointment.duration || TIME_SLOTS.SLOT_DURATION,
+    });
+  }
+
   /**
    * Get appointments by session
    */
@@ -1189,23 +1768,61 @@ class AppointmentService {
     }
   }
 
+  /**
+   * Find a caller's upcoming active appointments
+   * Matches by chatbot session, SDK userId or the whole phone number (any that are provided).
+   * Anyone can type a phone number, so a match by phone alone must be confirmed before it is shown
+   * or changed (see AppointmentManagementService).
+   */
+  static async findActiveAppointmentsForCaller({ sessionId = null, userId = null, phone = null } = {}) {
+    try {
+      const identity = [];
+
+      if (sessionId) identity.push({ sessionId });
+      if (userId) identity.push({ 'context.userId': userId });
+      if (phone) {
+        // The whole number must match; formatting is ignored
+        const phoneKey = Appointment.toPhoneKey(phone);
+        if (phoneKey.length >= 10) {
+          identity.push({ phoneKey });
+        }
+      }
+
+      if (identity.length === 0) {
+        return { success: true, appointments: [] };
+      }
+
+      const today = startOfClinicDay();
+
+      const appointments = await Appointment.find({
+        $and: [
+          { $or: identity },
+          { $or: [{ scheduledDate: { $gte: today } }, { scheduledDate: null }] },
+        ],
+        status: { $in: [APPOINTMENT_STATUS.PENDING, APPOINTMENT_STATUS.CONFIRMED] },
+      }).sort({ scheduledDate: 1, scheduledTimeSlot: 1 });
+
+      return { success: true, appointments };
+    } catch (error) {
+      console.error('Error finding caller appointments:', error);
+      return { success: false, error: error.message, appointments: [] };
+    }
+  }
+
   /**
    * Get appointment statistics
    */
   static async getStatistics() {
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
+      const today = startOfClinicDay();
+      const tomorrow = addClinicDays(today, 1);
       
-      const thisWeekStart = new Date(today);
-      thisWeekStart.setDate(thisWeekStart.getDate() - thisWeekStart.getDay());
-      const thisWeekEnd = new Date(thisWeekStart);
-      thisWeekEnd.setDate(thisWeekEnd.getDate() + 7);
+      const thisWeekStart = addClinicDays(today, -getClinicDayOfWeek(today));
+      const thisWeekEnd = addClinicDays(thisWeekStart, 7);
 
-      const thisMonthStart = new Date(today.getFullYear(), today.getMonth(), 1);
-      const thisMonthEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59);
+      const { year, month } = getZonedParts(today);
+      const thisMonthStart = zonedTimeToUtc(year, month, 1);
+      const thisMonthEnd = month === 12 ? zonedTimeToUtc(year + 1, 1, 1) : zonedTimeToUtc(year, month + 1, 1);
 
       const [
         total,
@@ -1227,7 +1844,7 @@ class AppointmentService {
         Appointment.countDocuments({ status: 'no-show' }),
         Appointment.countDocuments({ scheduledDate: { $gte: today, $lt: tomorrow } }),
         Appointment.countDocuments({ scheduledDate: { $gte: thisWeekStart, $lt: thisWeekEnd } }),
-        Appointment.countDocuments({ scheduledDate: { $gte: thisMonthStart, $lte: thisMonthEnd } }),
+        Appointment.countDocuments({ scheduledDate: { $gte: thisMonthStart, $lt: thisMonthEnd } }),
         Appointment.getUpcoming(5),
       ]);
 
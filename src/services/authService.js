@@ -0,0 +1,313 @@
+/**
+ * Auth Service
+ * Handles staff accounts, login/logout and token issuance
+ */
+
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { USER_ROLES, VALIDATION, REALTIME } = require('../config/constants');
+const { getJwtSecret, getJwtExpiresIn } = require('../config/auth');
+
+const STREAM_TICKET_PURPOSE = 'stream';
+
+class AuthService {
+  /**
+   * Issue a signed token for a user
+   */
+  static generateToken(user) {
+    return jwt.sign(
+      {
+        sub: user._id.toString(),
+        role: user.role,
+        tokenVersion: user.tokenVersion,
+      },
+      getJwtSecret(),
+      { expiresIn: getJwtExpiresIn() }
+    );
+  }
+
+  /**
+   * Issue a short-lived ticket for opening a staff event stream
+   * EventSource cannot send an Authorization header, so the ticket goes in the URL instead;
+   * it only opens streams and expires after REALTIME.TICKET_SECONDS
+   */
+  static generateStreamTicket(user) {
+    return jwt.sign(
+      {
+        sub: user._id.toString(),
+        role: user.role,
+        tokenVersion: user.tokenVersion,
+        purpose: STREAM_TICKET_PURPOSE,
+      },
+      getJwtSecret(),
+      { expiresIn: REALTIME.TICKET_SECONDS }
+    );
+  }
+
+  /**
+   * Check whether a verified payload is a stream ticket rather than a staff token
+   */
+  static isStreamTicket(payload) {
+    return payload.purpose === STREAM_TICKET_PURPOSE;
+  }
+
+  /**
+   * Verify a token and return its payload
+   * Throws JsonWebTokenError / TokenExpiredError on invalid tokens
+   */
+  static verifyToken(token) {
+    return jwt.verify(token, getJwtSecret());
+  }
+
+  /**
+   * Validate staff user input
+   */
+  static validateUserData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (name.length < VALIDATION.NAME_MIN_LENGTH || name.length > VALIDATION.NAME_MAX_LENGTH) {
+        errors.push({ field: 'name', message: `Name must be between ${VALIDATION.NAME_MIN_LENGTH} and ${VALIDATION.NAME_MAX_LENGTH} characters`, code: 'INVALID_LENGTH' });
+      }
+    }
+
+    if (!partial || data.email !== undefined) {
+      if (!data.email || !VALIDATION.EMAIL_REGEX.test(String(data.email).trim())) {
+        errors.push({ field: 'email', message: 'A valid email is required', code: 'INVALID_FORMAT' });
+      }
+    }
+
+    if (!partial || data.password !== undefined) {
+      if (!data.password || typeof data.password !== 'string' || data.password.length < VALIDATION.PASSWORD_MIN_LENGTH) {
+        errors.push({ field: 'password', message: `Password must be at least ${VALIDATION.PASSWORD_MIN_LENGTH} characters`, code: 'TOO_SHORT' });
+      }
+    }
+
+    if (data.role !== undefined && !Object.values(USER_ROLES).includes(data.role)) {
+      errors.push({ field: 'role', message: `Role must be one of: ${Object.values(USER_ROLES).join(', ')}`, code: 'INVALID_VALUE' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a staff user
+   */
+  static async createUser(userData) {
+    try {
+      const errors = this.validateUserData(userData);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const existing = await User.findOne({ email: userData.email.toLowerCase().trim() });
+      if (existing) {
+        return {
+          success: false,
+          error: 'A user with this email already exists.',
+          code: 'DUPLICATE_EMAIL',
+        };
+      }
+
+      const user = new User({
+        name: userData.name.trim(),
+        email: userData.email,
+        password: userData.password,
+        role: userData.role || USER_ROLES.RECEPTIONIST,
+      });
+
+      await user.save();
+      return { success: true, user };
+    } catch (error) {
+      console.error('Error creating user:', error);
+
+      if (error.code === 11000) {
+        return {
+          success: false,
+          error: 'A user with this email already exists.',
+          code: 'DUPLICATE_EMAIL',
+        };
+      }
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Log in with email and password
+   */
+  static async login(email, password) {
+    try {
+      if (!email || !password) {
+        return {
+          success: false,
+          error: 'Email and password are required.',
+          code: 'MISSING_CREDENTIALS',
+        };
+      }
+
+      const user = await User.findByEmailWithPassword(email);
+
+      // Same message for unknown email and wrong password
+      if (!user || !(await user.comparePassword(password))) {
+        return {
+          success: false,
+          error: 'Invalid email or password.',
+          code: 'INVALID_CREDENTIALS',
+        };
+      }
+
+      if (!user.isActive) {
+        return {
+          success: false,
+          error: 'This account has been deactivated.',
+          code: 'ACCOUNT_DISABLED',
+        };
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+
+      return {
+        success: true,
+        token: this.generateToken(user),
+        expiresIn: getJwtExpiresIn(),
+        user,
+      };
+    } catch (error) {
+      console.error('Error logging in:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Log out a user by invalidating all previously issued tokens
+   */
+  static async logout(userId) {
+    try {
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $inc: { tokenVersion: 1 } },
+        { new: true }
+      );
+
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error logging out:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Resolve the active user a token belongs to
+   * Returns null if the token has been revoked or the user is inactive
+   */
+  static async getUserFromToken(payload) {
+    const user = await User.findById(payload.sub);
+
+    if (!user || !user.isActive || user.tokenVersion !== payload.tokenVersion) {
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Get all staff users
+   */
+  static async getAllUsers() {
+    try {
+      const users = await User.find().sort({ name: 1 });
+      return { success: true, users };
+    } catch (error) {
+      console.error('Error getting users:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a staff user (name, role, active flag, password)
+   */
+  static async updateUser(userId, updateData) {
+    try {
+      if (!userId || !/^[0-9a-fA-F]{24}$/.test(userId)) {
+        return { success: false, error: 'Invalid user ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validateUserData(updateData, { partial: true });
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'NOT_FOUND' };
+      }
+
+      ['name', 'role', 'isActive'].forEach(field => {
+        if (updateData[field] !== undefined) {
+          user[field] = typeof updateData[field] === 'string' ? updateData[field].trim() : updateData[field];
+        }
+      });
+
+      // Changing password, role or deactivating revokes existing tokens
+      if (updateData.password !== undefined) {
+        user.password = updateData.password;
+      }
+      if (updateData.password !== undefined || updateData.role !== undefined || updateData.isActive === false) {
+        user.tokenVersion += 1;
+      }
+
+      await user.save();
+      return { success: true, user };
+    } catch (error) {
+      console.error('Error updating user:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create the first clinic admin from environment variables
+   * Only runs when no users exist yet
+   */
+  static async ensureBootstrapAdmin() {
+    try {
+      const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+      if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return { success: true, created: false };
+
+      const count = await User.countDocuments();
+      if (count > 0) return { success: true, created: false };
+
+      const result = await this.createUser({
+        name: ADMIN_NAME || 'Clinic Admin',
+        email: ADMIN_EMAIL,
+        password: ADMIN_PASSWORD,
+        role: USER_ROLES.ADMIN,
+      });
+
+      if (result.success) {
+        console.log(`✅ Bootstrap admin created: ${result.user.email}`);
+      }
+
+      return { ...result, created: result.success };
+    } catch (error) {
+      console.error('Error creating bootstrap admin:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,129 @@
+/**
+ * Booking Notification Service
+ * Tells owners when their appointment is booked, confirmed, moved or cancelled
+ *
+ * Messages are rendered from BOOKING_NOTIFICATIONS.TEMPLATES and sent through the notifier channels
+ * (BOOKING_NOTIFICATION_CHANNELS limits which ones). Every send is recorded on the appointment's
+ * notifications list with the outcome per channel. A failed send never undoes the change that
+ * triggered it.
+ */
+
+const { Appointment, Provider } = require('../models');
+const { BOOKING_NOTIFICATIONS, SERVICES } = require('../config/constants');
+const { getBookingNotificationChannels } = require('../config/notifications');
+const AppointmentService = require('./appointmentService');
+const NotifierService = require('./notifierService');
+const { renderTemplate } = require('../utils/templateUtils');
+const { formatClinicDate } = require('../utils/timezoneUtils');
+
+class BookingNotificationService {
+  /**
+   * Get the provider's name, loading it when the appointment only holds the ID
+   */
+  static async getProviderName(appointment) {
+    if (!appointment.provider) {
+      return '';
+    }
+    if (appointment.provider.name) {
+      return appointment.provider.name;
+    }
+    const provider = await Provider.findById(appointment.provider).select('name');
+    return provider ? provider.name : '';
+  }
+
+  /**
+   * Render the subject and text for an event
+   */
+  static renderNotification(appointment, event, providerName = '') {
+    const template = BOOKING_NOTIFICATIONS.TEMPLATES[event];
+    const serviceInfo = SERVICES.find(s => s.id === appointment.service);
+
+    let date = '';
+    let time = '';
+    if (appointment.scheduledDate && appointment.scheduledTimeSlot) {
+      const [hours, minutes] = appointment.scheduledTimeSlot.split(':').map(Number);
+      date = formatClinicDate(appointment.scheduledDate, { weekday: 'long', month: 'long', day: 'numeric' });
+      time = AppointmentService.formatTimeDisplay(hours, minutes);
+    }
+
+    const values = {
+      ownerName: appointment.ownerName,
+      petName: appointment.petName,
+      serviceName: serviceInfo ? serviceInfo.name : appointment.service,
+      date,
+      time,
+      when: date ? `on ${date} at ${time}` : `for ${appointment.preferredDateTime}`,
+      providerName,
+      providerText: providerName ? ` with ${providerName}` : '',
+    };
+
+    return {
+      subject: renderTemplate(template.subject, values),
+      message: renderTemplate(template.text, values),
+    };
+  }
+
+  /**
+   * Get the channels an event is sent through
+   * A new booking is not posted to the chat, where the owner has just been told it was booked
+   */
+  static getChannels(event, skipChannels = []) {
+    const skipped = event === 'created' ? [...skipChannels, 'chat'] : skipChannels;
+    return (getBookingNotificationChannels() || NotifierService.getChannels())
+      .filter(name => !skipped.includes(name));
+  }
+
+  /**
+   * Send the notification for an event and record the outcome on the appointment
+   * skipChannels leaves out channels the owner does not need it on (e.g. 'chat' for a change made in the chat)
+   * Errors are logged rather than returned to the caller, whose own change already succeeded
+   */
+  static async notifyAppointment(appointment, event, { skipChannels = [] } = {}) {
+    try {
+      if (!BOOKING_NOTIFICATIONS.TEMPLATES[event]) {
+        return { success: false, error: `No notification template for "${event}"` };
+      }
+
+      const providerName = await this.getProviderName(appointment);
+      const { subject, message } = this.renderNotification(appointment, event, providerName);
+
+      const { results } = await NotifierService.notify({
+        event: `appointment.${event}`,
+        recipient: {
+          name: appointment.ownerName,
+          phone: appointment.phone,
+          email: appointment.email || null,
+          sessionId: appointment.sessionId || null,
+        },
+        subject,
+        message,
+        data: {
+          appointmentId: appointment._id,
+          date: appointment.scheduledDate,
+          timeSlot: appointment.scheduledTimeSlot,
+          status: appointment.status,
+        },
+      }, { channels: this.getChannels(event, skipChannels) });
+
+      let status = 'skipped';
+      if (results.some(result => result.status === 'sent')) status = 'sent';
+      else if (results.some(result => result.status === 'failed')) status = 'failed';
+
+      const notification = {
+        event,
+        status,
+        at: new Date(),
+        message,
+        results: results.map(({ channel, status: channelStatus, error }) => ({ channel, status: channelStatus, error })),
+      };
+      await Appointment.updateOne({ _id: appointment._id }, { $push: { notifications: notification } });
+
+      return { success: status === 'sent', notification };
+    } catch (error) {
+      console.error(`Error sending ${event} notification for appointment ${appointment._id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = BookingNotificationService;
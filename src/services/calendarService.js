@@ -0,0 +1,277 @@
+/**
+ * Calendar Service
+ * iCalendar (.ics) files for single appointments and subscription feeds for the clinic or a provider
+ *
+ * Every appointment keeps the same UID in every file and feed, and its SEQUENCE (calendarSequence)
+ * goes up whenever it is moved, changed or cancelled, so calendar apps update the entry they
+ * already have instead of adding a second one. Cancelled appointments stay in feeds as
+ * STATUS:CANCELLED so subscribed calendars drop them.
+ */
+
+const crypto = require('crypto');
+const { Appointment, CalendarFeed, Provider } = require('../models');
+const { CALENDAR, SERVICES, APPOINTMENT_STATUS, USER_ROLES } = require('../config/constants');
+const { getJwtSecret } = require('../config/auth');
+const { buildCalendar } = require('../utils/icsUtils');
+const { startOfClinicDay, addClinicDays, getClinicDateTime } = require('../utils/timezoneUtils');
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+// iCalendar STATUS for each appointment status
+const EVENT_STATUS = {
+  [APPOINTMENT_STATUS.PENDING]: 'TENTATIVE',
+  [APPOINTMENT_STATUS.CONFIRMED]: 'CONFIRMED',
+  [APPOINTMENT_STATUS.COMPLETED]: 'CONFIRMED',
+  [APPOINTMENT_STATUS.CANCELLED]: 'CANCELLED',
+  [APPOINTMENT_STATUS.NO_SHOW]: 'CANCELLED',
+};
+
+/**
+ * Hash a feed token for storage and lookup
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class CalendarService {
+  /**
+   * Get the token that lets an owner download their appointment's calendar file
+   * Derived from the appointment ID and the server secret, so nothing has to be stored
+   */
+  static getAppointmentToken(appointmentId) {
+    return crypto.createHmac('sha256', getJwtSecret())
+      .update(`calendar:${appointmentId}`)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  /**
+   * Get the path of an appointment's "add to calendar" file
+   */
+  static getAppointmentCalendarPath(appointment) {
+    const id = appointment._id.toString();
+    return `/api/appointments/${id}/ics?token=${this.getAppointmentToken(id)}`;
+  }
+
+  /**
+   * Check an appointment calendar token in constant time
+   */
+  static isValidAppointmentToken(appointmentId, token) {
+    if (!token || typeof token !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(this.getAppointmentToken(appointmentId));
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Turn an appointment into an event
+   * Staff entries lead with the pet and owner and include contact details; owner entries do not
+   */
+  static toEvent(appointment, { forStaff = false } = {}) {
+    const start = getClinicDateTime(appointment.scheduledDate, appointment.scheduledTimeSlot);
+    const end = new Date(start.getTime() + (appointment.duration || 30) * 60000);
+    const serviceInfo = SERVICES.find(s => s.id === appointment.service);
+    const serviceName = serviceInfo ? serviceInfo.name : appointment.service;
+    const providerName = appointment.provider && appointment.provider.name ? appointment.provider.name : null;
+
+    const details = [];
+    if (forStaff) {
+      details.push(`Owner: ${appointment.ownerName}`, `Phone: ${appointment.phone}`);
+      if (appointment.email) details.push(`Email: ${appointment.email}`);
+      details.push(`Pet: ${appointment.petName} (${appointment.petType})`);
+    }
+    if (providerName) details.push(`With: ${providerName}`);
+    if (appointment.reason) details.push(`Reason: ${appointment.reason}`);
+    details.push(`Status: ${appointment.status}`);
+
+    return {
+      uid: `appointment-${appointment._id}@${CALENDAR.UID_DOMAIN}`,
+      sequence: appointment.calendarSequence || 0,
+      start,
+      end,
+      stamp: appointment.updatedAt || new Date(),
+      lastModified: appointment.updatedAt,
+      summary: forStaff
+        ? `${serviceName}: ${appointment.petName} (${appointment.ownerName})`
+        : `${serviceName} for ${appointment.petName}`,
+      description: details.join('\n'),
+      status: EVENT_STATUS[appointment.status] || 'CONFIRMED',
+    };
+  }
+
+  /**
+   * Build the calendar file for one appointment
+   * Staff can download any appointment; anyone else needs its calendar token
+   */
+  static async getAppointmentCalendar(appointmentId, { token = null, user = null } = {}) {
+    try {
+      if (!appointmentId || !OBJECT_ID_REGEX.test(appointmentId)) {
+        return { success: false, error: 'Invalid appointment ID.', code: 'INVALID_ID' };
+      }
+      if (!user && !this.isValidAppointmentToken(appointmentId, token)) {
+        return { success: false, error: 'A valid calendar token is required.', code: 'FORBIDDEN' };
+      }
+
+      const appointment = await Appointment.findById(appointmentId).populate('provider', 'name');
+      if (!appointment) {
+        return { success: false, error: 'Appointment not found.', code: 'NOT_FOUND' };
+      }
+      if (!appointment.scheduledDate || !appointment.scheduledTimeSlot) {
+        return { success: false, error: 'This appointment does not have a confirmed time yet.', code: 'NOT_SCHEDULED' };
+      }
+
+      return {
+        success: true,
+        filename: `appointment-${appointment._id}.ics`,
+        content: buildCalendar({
+          productId: CALENDAR.PRODUCT_ID,
+          events: [this.toEvent(appointment, { forStaff: Boolean(user) })],
+        }),
+      };
+    } catch (error) {
+      console.error('Error building appointment calendar:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * List calendar feeds (admins see every feed, other staff their own)
+   */
+  static async getFeeds(user) {
+    try {
+      const query = user.role === USER_ROLES.ADMIN ? {} : { createdBy: user._id };
+      const feeds = await CalendarFeed.find(query)
+        .populate('provider', 'name role')
+        .sort({ createdAt: 1 });
+      return { success: true, feeds };
+    } catch (error) {
+      console.error('Error getting calendar feeds:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a feed for the whole clinic, or for one provider when providerId is given
+   * Returns the token, which is only shown here
+   */
+  static async createFeed({ name, providerId = null } = {}, user) {
+    try {
+      const errors = [];
+      if (typeof name !== 'string' || !name.trim()) {
+        errors.push({ field: 'name', message: 'Feed name is required', code: 'REQUIRED' });
+      } else if (name.trim().length > 100) {
+        errors.push({ field: 'name', message: 'Feed name cannot exceed 100 characters', code: 'TOO_LONG' });
+      }
+      if (providerId && !OBJECT_ID_REGEX.test(String(providerId))) {
+        errors.push({ field: 'providerId', message: 'Invalid provider ID', code: 'INVALID_ID' });
+      }
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      if (providerId && !(await Provider.exists({ _id: providerId }))) {
+        return { success: false, error: 'Provider not found.', code: 'PROVIDER_NOT_FOUND' };
+      }
+
+      const token = crypto.randomBytes(24).toString('hex');
+      const feed = await CalendarFeed.create({
+        name: name.trim(),
+        provider: providerId || null,
+        tokenHash: hashToken(token),
+        createdBy: user ? user._id : null,
+      });
+
+      return { success: true, feed, token, path: this.getFeedPath(token) };
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the subscription path for a feed token
+   */
+  static getFeedPath(token) {
+    return `/api/calendar/feeds/${token}/calendar.ics`;
+  }
+
+  /**
+   * Delete a feed (its URL stops working); staff can only delete their own feeds
+   */
+  static async deleteFeed(feedId, user) {
+    try {
+      if (!feedId || !OBJECT_ID_REGEX.test(feedId)) {
+        return { success: false, error: 'Invalid feed ID.', code: 'INVALID_ID' };
+      }
+
+      const feed = await CalendarFeed.findById(feedId);
+      if (!feed) {
+        return { success: false, error: 'Calendar feed not found.', code: 'NOT_FOUND' };
+      }
+      if (user.role !== USER_ROLES.ADMIN && String(feed.createdBy) !== String(user._id)) {
+        return { success: false, error: 'You can only delete your own calendar feeds.', code: 'FORBIDDEN' };
+      }
+
+      await feed.deleteOne();
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting calendar feed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Build a subscription feed from its token
+   * Covers CALENDAR.FEED_PAST_DAYS back to CALENDAR.FEED_FUTURE_DAYS ahead
+   */
+  static async getFeedCalendar(token) {
+    try {
+      if (!token || typeof token !== 'string') {
+        return { success: false, error: 'Calendar feed not found.', code: 'NOT_FOUND' };
+      }
+
+      const feed = await CalendarFeed.findOne({ tokenHash: hashToken(token) });
+      if (!feed) {
+        return { success: false, error: 'Calendar feed not found.', code: 'NOT_FOUND' };
+      }
+
+      const today = startOfClinicDay();
+      const query = {
+        scheduledDate: {
+          $gte: addClinicDays(today, -CALENDAR.FEED_PAST_DAYS),
+          $lt: addClinicDays(today, CALENDAR.FEED_FUTURE_DAYS + 1),
+        },
+        scheduledTimeSlot: { $ne: null },
+      };
+      if (feed.provider) {
+        query.provider = feed.provider;
+      }
+
+      const appointments = await Appointment.find(query)
+        .populate('provider', 'name')
+        .sort({ scheduledDate: 1, scheduledTimeSlot: 1 });
+
+      await CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastAccessedAt: new Date() } });
+
+      return {
+        success: true,
+        filename: 'calendar.ics',
+        content: buildCalendar({
+          productId: CALENDAR.PRODUCT_ID,
+          name: feed.name,
+          refreshMinutes: CALENDAR.REFRESH_MINUTES,
+          events: appointments.map(appointment => this.toEvent(appointment, { forStaff: true })),
+        }),
+      };
+    } catch (error) {
+      console.error('Error building calendar feed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = CalendarService;
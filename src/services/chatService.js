@@ -3,10 +3,21 @@
  * Main orchestration service for chat functionality
  */
 
-const AIService = require('./aiService');
+const IntentService = require('./intentService');
 const ConversationService = require('./conversationService');
-const AppointmentService = require('./appointmentService');
-const { MESSAGES, BOOKING_STATES } = require('../config/constants');
+const DialogueService = require('./dialogueService');
+const AppointmentManagementService = require('./appointmentManagementService');
+const VaccinationService = require('./vaccinationService');
+const WaitlistService = require('./waitlistService');
+const HandoffService = require('./handoffService');
+const { MESSAGES, BOOKING_STATES, DIALOGUE_FORMS, HANDOFF_STATUS, HANDOFF_REASONS } = require('../config/constants');
+
+// Reply when a chat is handed over, by reason
+const HANDOFF_RESPONSES = {
+  [HANDOFF_REASONS.REQUESTED]: MESSAGES.HANDOFF_REQUESTED,
+  [HANDOFF_REASONS.EMERGENCY]: MESSAGES.HANDOFF_EMERGENCY,
+  [HANDOFF_REASONS.UNRESOLVED]: MESSAGES.HANDOFF_UNRESOLVED,
+};
 
 class ChatService {
   /**
@@ -30,79 +41,236 @@ class ChatService {
       // 2. Save user message
       await ConversationService.addMessage(sessionId, 'user', userMessage);
 
-      // 3. Check current booking state
+      // 3. While the chat is handed over staff see the message, and the bot stays quiet once an agent has it
+      const handoffStatus = conversation.handoff.status;
+      if (HandoffService.isOpen(handoffStatus)) {
+        await HandoffService.relayOwnerMessage(conversation, userMessage);
+        if (handoffStatus === HANDOFF_STATUS.ACTIVE) {
+          return {
+            success: true,
+            response: null,
+            sessionId,
+            handoffStatus,
+          };
+        }
+      }
+
+      // 4. Check current booking state
       const bookingStateResult = await ConversationService.getBookingState(sessionId);
       const currentBookingState = bookingStateResult.state;
 
-      // 4. If in booking flow, process booking
-      if (currentBookingState.status !== BOOKING_STATES.IDLE) {
-        return await this.handleBookingFlow(sessionId, userMessage, currentBookingState);
-      }
+      // 5. Work out what the owner wants (see IntentService); during a flow only intents that
+      // interrupt flows are checked, such as emergencies and requests for a person
+      const historyResult = await ConversationService.getHistory(sessionId, 10);
+      const intentContext = {
+        sessionId,
+        conversation,
+        bookingState: currentBookingState,
+        history: historyResult.messages || [],
+        chat: this,
+        reply: (response, extra = {}) => this.reply(sessionId, response, extra),
+      };
+      const inFlow = currentBookingState.status !== BOOKING_STATES.IDLE;
+      const classification = await IntentService.classify(userMessage, intentContext, { interruptsOnly: inFlow });
 
-      // 5. Check for appointment intent (from user message directly)
-      if (AIService.detectAppointmentIntent(userMessage)) {
-        return await this.startBookingFlow(sessionId);
+      // 6. If in a form (such as booking), manage, vaccination or waitlist flow, continue it
+      if (inFlow && !classification.intent) {
+        if (AppointmentManagementService.isManageState(currentBookingState.status)) {
+          return await this.handleManageFlow(sessionId, userMessage, currentBookingState);
+        }
+        if (VaccinationService.isVaccinationState(currentBookingState.status)) {
+          return await this.handleVaccinationFlow(sessionId, userMessage, currentBookingState);
+        }
+        if (WaitlistService.isOfferState(currentBookingState.status)) {
+          return await this.handleWaitlistOffer(sessionId, userMessage, currentBookingState);
+        }
+        return await this.handleFormFlow(sessionId, userMessage, currentBookingState);
       }
 
-      // 6. Get conversation history for AI context
-      const historyResult = await ConversationService.getHistory(sessionId, 10);
-      const conversationHistory = historyResult.messages || [];
+      // 7. Let the intent's handler answer
+      return await IntentService.handle(userMessage, intentContext, classification);
+    } catch (error) {
+      console.error('Error processing message:', error);
+      return {
+        success: false,
+        response: MESSAGES.ERROR_RESPONSE,
+        error: error.message,
+      };
+    }
+  }
 
-      // 7. Generate AI response
-      const aiResult = await AIService.generateResponse(userMessage, conversationHistory);
+  /**
+   * Save a plain bot reply and build the chat result
+   */
+  static async reply(sessionId, response, extra = {}) {
+    await ConversationService.addMessage(sessionId, 'bot', response);
 
-      // 8. Check if AI detected appointment intent
-      if (aiResult.isAppointmentIntent) {
-        return await this.startBookingFlow(sessionId);
-      }
+    return {
+      success: true,
+      response,
+      sessionId,
+      ...extra,
+    };
+  }
 
-      // 9. Save bot response
-      await ConversationService.addMessage(sessionId, 'bot', aiResult.response);
+  /**
+   * Start filling in a form (booking, pet registration, callback request, ...)
+   * The opening message is passed along so details in it are used (e.g. "with Dr. Patel")
+   */
+  static async startForm(sessionId, formName, userMessage = '', context = {}) {
+    try {
+      const flowResult = await DialogueService.startForm(sessionId, formName, userMessage, context);
+      return await this.applyFormResult(sessionId, flowResult);
+    } catch (error) {
+      console.error('Error starting form:', error);
+      return {
+        success: false,
+        response: MESSAGES.ERROR_RESPONSE,
+      };
+    }
+  }
 
+  /**
+   * Handle an answer to the form being filled in
+   */
+  static async handleFormFlow(sessionId, userMessage, currentState) {
+    try {
+      const flowResult = await DialogueService.processForm(sessionId, userMessage, currentState);
+      return await this.applyFormResult(sessionId, flowResult);
+    } catch (error) {
+      console.error('Error handling form:', error);
       return {
-        success: true,
-        response: aiResult.response,
-        sessionId,
+        success: false,
+        response: MESSAGES.ERROR_RESPONSE,
       };
+    }
+  }
+
+  /**
+   * Handle the answer to a waitlist slot offer
+   */
+  static async handleWaitlistOffer(sessionId, userMessage, currentState) {
+    try {
+      const flowResult = await WaitlistService.processOfferReply(sessionId, userMessage, currentState);
+      return await this.applyFormResult(sessionId, flowResult);
     } catch (error) {
-      console.error('Error processing message:', error);
+      console.error('Error handling waitlist offer:', error);
+      return {
+        success: false,
+        response: MESSAGES.ERROR_RESPONSE,
+      };
+    }
+  }
+
+  /**
+   * Persist form state and reply
+   * Form results carry all of their values (answers can be corrected or gone back on), so they
+   * replace the stored ones. A finished form starts the next flow from a clean slate
+   */
+  static async applyFormResult(sessionId, flowResult) {
+    const inProgress = flowResult.nextState !== BOOKING_STATES.IDLE;
+    if (inProgress) {
+      await ConversationService.updateBookingState(
+        sessionId,
+        flowResult.nextState,
+        flowResult.tempData,
+        { replace: true, history: flowResult.history || [] }
+      );
+    } else {
+      await ConversationService.resetBookingState(sessionId);
+    }
+
+    await ConversationService.addMessage(sessionId, 'bot', flowResult.response);
+
+    return {
+      success: flowResult.success !== false,
+      response: flowResult.response,
+      sessionId,
+      form: inProgress ? flowResult.form || null : null,
+      quickReplies: inProgress ? flowResult.quickReplies || [] : [],
+      isBookingFlow: inProgress && flowResult.form === DIALOGUE_FORMS.BOOKING,
+      isBookingComplete: flowResult.isBookingComplete || false,
+      appointmentId: flowResult.appointmentId || null,
+    };
+  }
+
+  /**
+   * Start a flow for an existing appointment (lookup, reschedule, cancel)
+   */
+  static async startManageFlow(sessionId, userMessage, action, context = {}) {
+    try {
+      const flowResult = await AppointmentManagementService.startManageFlow(
+        sessionId,
+        userMessage,
+        action,
+        context
+      );
+
+      return await this.applyManageResult(sessionId, flowResult);
+    } catch (error) {
+      console.error('Error starting manage flow:', error);
       return {
         success: false,
         response: MESSAGES.ERROR_RESPONSE,
-        error: error.message,
       };
     }
   }
 
   /**
-   * Start the appointment booking flow
+   * Handle ongoing manage flow
    */
-  static async startBookingFlow(sessionId) {
+  static async handleManageFlow(sessionId, userMessage, currentState) {
     try {
-      const flowResult = await AppointmentService.processBookingFlow(
+      const flowResult = await AppointmentManagementService.processManageFlow(
         sessionId,
-        '',
-        { status: BOOKING_STATES.IDLE, tempData: {} }
+        userMessage,
+        currentState
       );
 
-      // Update booking state
+      return await this.applyManageResult(sessionId, flowResult);
+    } catch (error) {
+      console.error('Error handling manage flow:', error);
+      return {
+        success: false,
+        response: MESSAGES.ERROR_RESPONSE,
+      };
+    }
+  }
+
+  /**
+   * Persist manage flow state and reply
+   */
+  static async applyManageResult(sessionId, flowResult) {
+    if (flowResult.nextState === BOOKING_STATES.IDLE) {
+      await ConversationService.resetBookingState(sessionId);
+    } else {
       await ConversationService.updateBookingState(
         sessionId,
         flowResult.nextState,
         flowResult.tempData
       );
+    }
 
-      // Save bot response
-      await ConversationService.addMessage(sessionId, 'bot', flowResult.response);
+    await ConversationService.addMessage(sessionId, 'bot', flowResult.response);
 
-      return {
-        success: true,
-        response: flowResult.response,
-        sessionId,
-        isBookingFlow: true,
-      };
+    return {
+      success: true,
+      response: flowResult.response,
+      sessionId,
+      isManageFlow: flowResult.nextState !== BOOKING_STATES.IDLE,
+      appointmentId: flowResult.appointmentId || null,
+    };
+  }
+
+  /**
+   * Start a vaccination lookup ("when is Buddy due for rabies?")
+   */
+  static async startVaccinationLookup(sessionId, userMessage, context = {}) {
+    try {
+      const flowResult = await VaccinationService.startStatusLookup(sessionId, userMessage, context);
+      return await this.applyVaccinationResult(sessionId, flowResult);
     } catch (error) {
-      console.error('Error starting booking flow:', error);
+      console.error('Error starting vaccination lookup:', error);
       return {
         success: false,
         response: MESSAGES.ERROR_RESPONSE,
@@ -111,66 +279,87 @@ class ChatService {
   }
 
   /**
-   * Handle ongoing booking flow
+   * Handle ongoing vaccination lookup
    */
-  static async handleBookingFlow(sessionId, userMessage, currentState) {
+  static async handleVaccinationFlow(sessionId, userMessage, currentState) {
     try {
-      const flowResult = await AppointmentService.processBookingFlow(
+      const flowResult = await VaccinationService.processVaccinationFlow(
         sessionId,
         userMessage,
         currentState
       );
 
-      // If booking should be saved
-      if (flowResult.shouldSave) {
-        const appointmentResult = await AppointmentService.createAppointment(
-          sessionId,
-          flowResult.tempData
-        );
-
-        if (!appointmentResult.success) {
-          await ConversationService.addMessage(
-            sessionId,
-            'bot',
-            'There was an issue saving your appointment. Please try again.'
-          );
-          
-          return {
-            success: false,
-            response: 'There was an issue saving your appointment. Please try again.',
-          };
-        }
-
-        // Reset booking state (already done in createAppointment)
-        await ConversationService.addMessage(sessionId, 'bot', flowResult.response);
+      return await this.applyVaccinationResult(sessionId, flowResult);
+    } catch (error) {
+      console.error('Error handling vaccination flow:', error);
+      return {
+        success: false,
+        response: MESSAGES.ERROR_RESPONSE,
+      };
+    }
+  }
 
-        return {
-          success: true,
-          response: flowResult.response,
-          sessionId,
-          appointmentId: appointmentResult.appointment._id,
-          isBookingComplete: true,
-        };
-      }
+  /**
+   * Persist vaccination lookup state and reply
+   * Accepting the booking offer hands over to the booking form
+   */
+  static async applyVaccinationResult(sessionId, flowResult) {
+    if (flowResult.form) {
+      return this.applyFormResult(sessionId, flowResult);
+    }
 
-      // Update booking state
+    if (flowResult.nextState === BOOKING_STATES.IDLE) {
+      await ConversationService.resetBookingState(sessionId);
+    } else {
       await ConversationService.updateBookingState(
         sessionId,
         flowResult.nextState,
         flowResult.tempData
       );
+    }
+
+    await ConversationService.addMessage(sessionId, 'bot', flowResult.response);
+
+    return {
+      success: true,
+      response: flowResult.response,
+      sessionId,
+      isBookingFlow: false,
+    };
+  }
+
+  /**
+   * Hand the chat over to staff and tell the owner
+   * Any flow in progress is dropped; the bot keeps answering until an agent claims the chat
+   */
+  static async startHandoff(sessionId, reason, currentState) {
+    try {
+      if (currentState && currentState.status !== BOOKING_STATES.IDLE) {
+        await ConversationService.resetBookingState(sessionId);
+      }
+
+      const handoffResult = await HandoffService.requestHandoff(sessionId, reason);
+      if (!handoffResult.success) {
+        return {
+          success: false,
+          response: MESSAGES.ERROR_RESPONSE,
+        };
+      }
 
-      // Save bot response
-      await ConversationService.addMessage(sessionId, 'bot', flowResult.response);
+      // Emergency advice is repeated every time; otherwise the owner only needs telling once
+      const response = handoffResult.created || reason === HANDOFF_REASONS.EMERGENCY
+        ? HANDOFF_RESPONSES[reason]
+        : MESSAGES.HANDOFF_PENDING;
+      await ConversationService.addMessage(sessionId, 'bot', response);
 
       return {
         success: true,
-        response: flowResult.response,
+        response,
         sessionId,
-        isBookingFlow: flowResult.nextState !== BOOKING_STATES.IDLE,
+        handoffStatus: handoffResult.conversation.handoff.status,
       };
     } catch (error) {
-      console.error('Error handling booking flow:', error);
+      console.error('Error starting handoff:', error);
       return {
         success: false,
         response: MESSAGES.ERROR_RESPONSE,
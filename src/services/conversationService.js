@@ -3,16 +3,53 @@
  * Handles conversation management and persistence
  */
 
+const crypto = require('crypto');
 const { Conversation } = require('../models');
-const { MESSAGES, BOOKING_STATES } = require('../config/constants');
+const { MESSAGES, BOOKING_STATES, WEBHOOK_EVENTS } = require('../config/constants');
+const { getChatIdentitySecret } = require('../config/auth');
+const SlotReservationService = require('./slotReservationService');
+const WebhookService = require('./webhookService');
 
 class ConversationService {
+  /**
+   * Get the SDK userId from a chat context if the website signed it, otherwise null
+   * Anyone can send a userId to the chat, so only a matching userHash lets it identify an owner
+   */
+  static getVerifiedUserId(context = {}) {
+    const secret = getChatIdentitySecret();
+    const { userId, userHash } = context;
+    if (!secret || typeof userId !== 'string' || !userId || typeof userHash !== 'string') {
+      return null;
+    }
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(userId).digest('hex'));
+    const given = Buffer.from(userHash.toLowerCase());
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? userId : null;
+  }
+
   /**
    * Get or create a conversation session
+   * The session keeps the userId only when it is verified
    */
   static async getOrCreateSession(sessionId, context = {}) {
     try {
-      const conversation = await Conversation.findOrCreateSession(sessionId, context);
+      const conversation = await Conversation.findOrCreateSession(sessionId, {
+        ...context,
+        userId: this.getVerifiedUserId(context),
+      });
+
+      if (conversation.$locals.created) {
+        await WebhookService.emit(WEBHOOK_EVENTS.CONVERSATION_STARTED, {
+          conversation: {
+            sessionId: conversation.sessionId,
+            userId: conversation.context.userId,
+            userName: conversation.context.userName,
+            petName: conversation.context.petName,
+            source: conversation.context.source,
+            startedAt: conversation.createdAt,
+          },
+        });
+      }
+
       return { success: true, conversation };
     } catch (error) {
       console.error('Error getting/creating session:', error);
@@ -23,7 +60,7 @@ class ConversationService {
   /**
    * Add a message to conversation
    */
-  static async addMessage(sessionId, role, content) {
+  static async addMessage(sessionId, role, content, details = {}) {
     try {
       const conversation = await Conversation.findOne({ sessionId });
       
@@ -31,7 +68,7 @@ class ConversationService {
         return { success: false, error: 'Conversation not found' };
       }
 
-      await conversation.addMessage(role, content);
+      await conversation.addMessage(role, content, details);
       return { success: true, conversation };
     } catch (error) {
       console.error('Error adding message:', error);
@@ -85,8 +122,9 @@ class ConversationService {
 
   /**
    * Update booking state
+   * options: { replace, history } (see Conversation.updateBookingState)
    */
-  static async updateBookingState(sessionId, status, tempData = {}) {
+  static async updateBookingState(sessionId, status, tempData = {}, options = {}) {
     try {
       const conversation = await Conversation.findOne({ sessionId });
       
@@ -94,7 +132,7 @@ class ConversationService {
         return { success: false, error: 'Conversation not found' };
       }
 
-      await conversation.updateBookingState(status, tempData);
+      await conversation.updateBookingState(status, tempData, options);
       return { success: true, state: conversation.bookingState };
     } catch (error) {
       console.error('Error updating booking state:', error);
@@ -116,8 +154,12 @@ class ConversationService {
       conversation.bookingState = {
         status: BOOKING_STATES.IDLE,
         tempData: {},
+        history: [],
       };
       await conversation.save();
+
+      // Give back any slot held while the booking was being confirmed
+      await SlotReservationService.releaseHolds(SlotReservationService.getSessionHolder(sessionId));
       
       return { success: true };
     } catch (error) {
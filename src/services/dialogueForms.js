@@ -0,0 +1,387 @@
+/**
+ * Dialogue Forms
+ * The chatbot's built-in forms, registered with DialogueService when it loads
+ *
+ * Booking keeps the booking states it has always used, so other flows (vaccination lookups) can
+ * hand over to its date and time question. Pet registration and callback requests use the
+ * generic form states.
+ */
+
+const { Conversation } = require('../models');
+const AIService = require('./aiService');
+const AppointmentService = require('./appointmentService');
+const OwnerService = require('./ownerService');
+const WebhookService = require('./webhookService');
+const {
+  validateOwnerName,
+  validatePhone,
+  validatePetName,
+  validatePetType,
+  validatePreferredDateTime,
+  validateTextFields,
+} = require('../utils/appointmentValidator');
+const { MESSAGES, BOOKING_STATES, DIALOGUE_FORMS, WEBHOOK_EVENTS, SERVICES } = require('../config/constants');
+const { toDateKey, formatClinicDate, startOfClinicDay } = require('../utils/timezoneUtils');
+
+/**
+ * Ways of naming the pet's name in a correction ("change my dog's name to Rex")
+ */
+const PET_NAME_ALIASES = ["pet's name", 'pet name', "dog's name", "cat's name", 'pet'];
+
+/**
+ * Add a returning owner's profile to the values, when they have pets on file to choose from
+ */
+const withReturningOwner = async (owner, values) => {
+  if (!owner) return values;
+  const pets = await OwnerService.getPetsForOwner(owner._id);
+  if (pets.length === 0) return values;
+
+  return {
+    ...values,
+    ownerId: owner._id.toString(),
+    ownerName: values.ownerName || owner.name,
+    phone: values.phone || owner.phone,
+  };
+};
+
+/**
+ * Look up the conversation's SDK userId
+ */
+const getUserId = async (sessionId) => {
+  const conversation = await Conversation.findOne({ sessionId }).select('context');
+  return conversation?.context?.userId || null;
+};
+
+/**
+ * Owner name and phone fields shared by the forms
+ * A phone number that belongs to an owner with the same name links their profile
+ */
+const ownerFields = ({ namePrompt, nameState = null, phoneState = null }) => [
+  {
+    name: 'ownerName',
+    state: nameState,
+    prompt: namePrompt,
+    aliases: ['owner name', "owner's name", 'owner', 'name'],
+    validate: validateOwnerName,
+    reask: MESSAGES.INVALID_NAME,
+  },
+  {
+    name: 'phone',
+    state: phoneState,
+    prompt: MESSAGES.ASK_PHONE,
+    aliases: ['phone number', 'phone', 'number', 'mobile', 'cell'],
+    detect: text => AIService.extractBookingEntities(text).phone,
+    validate: validatePhone,
+    reask: MESSAGES.INVALID_PHONE,
+    accept: async (phone, values) => ({
+      values: await withReturningOwner(
+        await OwnerService.findReturningOwner({ phone, name: values.ownerName }),
+        { ...values, phone }
+      ),
+    }),
+  },
+];
+
+const booking = {
+  name: DIALOGUE_FORMS.BOOKING,
+  description: 'Book an appointment',
+
+  // Remember a provider asked for in the opening message; owners known by their SDK userId
+  // only need to pick a pet
+  start: async (message, values, { context }) => {
+    const providerData = await AppointmentService.extractProviderData(message);
+    const returningOwner = context.userId ? await OwnerService.findReturningOwner({ userId: context.userId }) : null;
+    return withReturningOwner(returningOwner, { ...values, ...providerData });
+  },
+
+  // "Book a dental checkup for my cat Luna tomorrow at 3pm, I'm Priya, 555-123-4567" leaves
+  // nothing to ask. A date without a time (or the other way round) is kept to complete the answer
+  // to the date and time question.
+  extract: async (message) => {
+    const { date, time, email, ...details } = AIService.extractBookingEntities(message);
+    return {
+      ...details,
+      email: email && AppointmentService.isValidEmail(email) ? email : null,
+      preferredDateTime: date && time ? `${date} at ${time}` : null,
+      requestedDate: date && !time ? date : null,
+      requestedTime: time && !date ? time : null,
+    };
+  },
+
+  fields: [
+    ...ownerFields({
+      namePrompt: values => (values.providerName
+        ? MESSAGES.APPOINTMENT_START_WITH_PROVIDER(values.providerName)
+        : MESSAGES.APPOINTMENT_START),
+      nameState: BOOKING_STATES.COLLECTING_OWNER_NAME,
+      phoneState: BOOKING_STATES.COLLECTING_PHONE,
+    }),
+    {
+      // Returning owners pick one of their pets by name or number
+      name: 'petId',
+      state: BOOKING_STATES.SELECTING_PET,
+      when: values => Boolean(values.ownerId) && values.petName === undefined,
+      prompt: async (values) => {
+        const pets = await OwnerService.getPetsForOwner(values.ownerId);
+        return MESSAGES.ASK_WHICH_PET(values.ownerName.split(/\s+/)[0], AppointmentService.formatPetChoices(pets));
+      },
+      accept: async (reply, values) => {
+        const pets = await OwnerService.getPetsForOwner(values.ownerId);
+        const pet = AppointmentService.matchPet(reply, pets);
+        if (pet) {
+          return { values: { petId: pet._id.toString(), petName: pet.name, petType: pet.species } };
+        }
+
+        // "another one" asks for the name; a short reply is taken as a new pet's name
+        if (/\b(another|new|other|different)\b/i.test(reply)) {
+          return { values: { petId: null } };
+        }
+        if (reply && reply.length <= 50 && reply.split(/\s+/).length <= 3) {
+          return { values: { petId: null, petName: reply } };
+        }
+        return { reask: MESSAGES.WHICH_PET_AGAIN(AppointmentService.formatPetChoices(pets)) };
+      },
+    },
+    {
+      name: 'petName',
+      state: BOOKING_STATES.COLLECTING_PET_NAME,
+      prompt: MESSAGES.ASK_PET_NAME,
+      aliases: PET_NAME_ALIASES,
+      // A different pet is not the saved pet picked before, and may be another species
+      resets: ['petId', 'petType'],
+      validate: validatePetName,
+      reask: MESSAGES.INVALID_PET_NAME,
+    },
+    {
+      name: 'preferredDateTime',
+      state: BOOKING_STATES.COLLECTING_DATE_TIME,
+      prompt: (values) => {
+        if (values.requestedDate) {
+          return MESSAGES.ASK_TIME_FOR_DATE(formatClinicDate(startOfClinicDay(values.requestedDate), { weekday: 'long', month: 'long', day: 'numeric' }));
+        }
+        return values.requestedTime ? MESSAGES.ASK_DATE_FOR_TIME(values.requestedTime) : MESSAGES.ASK_DATE_TIME;
+      },
+      // The next open times (on the day or around the time already asked for) as buttons
+      quickReplies: values => AppointmentService.suggestChatSlots(values, {
+        date: values.requestedDate ? startOfClinicDay(values.requestedDate) : null,
+        timeSlot: values.requestedTime ? AppointmentService.toTimeSlot(values.requestedTime) : null,
+      }),
+      aliases: ['date and time', 'date/time', 'appointment', 'date', 'time', 'day'],
+      detect: text => (AIService.extractDate(text) || AIService.extractBookingEntities(text).time ? text : null),
+      // "3pm" after saying "tomorrow" up front (or when changing the time of a chosen slot) means
+      // tomorrow at 3pm; "Thursday" keeps the time already given
+      parse: (reply, values) => {
+        const chosen = values.preferredDateTime || '';
+        const date = values.requestedDate || AIService.extractDate(chosen);
+        const time = values.requestedTime || AIService.extractTime(chosen);
+        if (date && !AIService.extractDate(reply) && AIService.extractTime(reply)) {
+          return `${date} at ${reply}`;
+        }
+        if (time && AIService.extractDate(reply) && !AIService.extractTime(reply)) {
+          return `${reply} at ${time}`;
+        }
+        return reply;
+      },
+      validate: validatePreferredDateTime,
+      accept: async (reply, values, { sessionId }) => {
+        // Joining the waitlist for a day we just reported as fully booked
+        if (values.waitlistDate && /\bwait\s*-?list\b/i.test(reply)) {
+          const result = await AppointmentService.joinWaitlistFromChat(sessionId, values);
+          return { end: result.response };
+        }
+
+        const requested = {
+          ...values,
+          ...(await AppointmentService.extractProviderData(reply)),
+          preferredDateTime: reply,
+        };
+
+        // Hold the slot so nobody else can take it while the user confirms; a request that can't be
+        // held is answered with the nearest open times
+        const hold = await AppointmentService.holdRequestedSlot(sessionId, requested);
+        if (!hold.success) {
+          // A day with no room at all can be waitlisted instead
+          const fullyBookedDate = ['TIME_REQUIRED', 'SLOT_TAKEN', 'EXCEEDS_HOURS'].includes(hold.code)
+            && await AppointmentService.getFullyBookedDate(requested);
+          if (fullyBookedDate) {
+            const laterSlots = await AppointmentService.suggestChatSlots(requested, { date: fullyBookedDate, timeSlot: hold.timeSlot });
+            return {
+              reask: MESSAGES.DAY_FULLY_BOOKED(formatClinicDate(fullyBookedDate, { weekday: 'long', month: 'long', day: 'numeric' })),
+              values: { waitlistDate: toDateKey(fullyBookedDate) },
+              quickReplies: [{ label: MESSAGES.JOIN_WAITLIST_OPTION, value: 'waitlist' }, ...laterSlots],
+            };
+          }
+          const { response, quickReplies } = await AppointmentService.chatSlotAlternatives(requested, hold);
+          return { reask: response, quickReplies };
+        }
+
+        // Book exactly the held slot, not whatever the text means by the time the owner confirms
+        return {
+          values: {
+            ...requested,
+            scheduledDate: toDateKey(hold.date),
+            scheduledTimeSlot: hold.timeSlot,
+            heldProviderId: hold.providerId ? hold.providerId.toString() : null,
+            waitlistDate: null,
+            requestedDate: null,
+            requestedTime: null,
+          },
+        };
+      },
+    },
+  ],
+
+  confirm: {
+    state: BOOKING_STATES.CONFIRMING,
+    template: values => MESSAGES.CONFIRM_BOOKING({
+      ...values,
+      serviceName: values.service ? (SERVICES.find(service => service.id === values.service) || {}).name : null,
+    }),
+    again: MESSAGES.CONFIRM_BOOKING_AGAIN,
+    cancelled: MESSAGES.BOOKING_CANCELLED,
+  },
+
+  complete: async (values, { sessionId }) => {
+    const result = await AppointmentService.createAppointment(sessionId, values);
+
+    // Someone else got the slot after all: offer the nearest open times instead
+    if (result.code === 'SLOT_TAKEN' || result.code === 'EXCEEDS_HOURS') {
+      const { response, quickReplies } = await AppointmentService.chatSlotAlternatives(values, {
+        code: result.code,
+        date: startOfClinicDay(values.scheduledDate),
+        timeSlot: values.scheduledTimeSlot,
+      });
+      return {
+        success: false,
+        field: 'preferredDateTime',
+        response,
+        quickReplies,
+        values: { scheduledDate: null, scheduledTimeSlot: null, heldProviderId: null },
+      };
+    }
+    if (!result.success) {
+      return { success: false, response: 'There was an issue saving your appointment. Please try again.' };
+    }
+    return {
+      success: true,
+      response: MESSAGES.BOOKING_SUCCESS,
+      appointmentId: result.appointment._id,
+      isBookingComplete: true,
+    };
+  },
+};
+
+const petRegistration = {
+  name: DIALOGUE_FORMS.PET_REGISTRATION,
+  description: "Add a pet to the owner's profile",
+
+  start: async (message, values, { context }) => {
+    const returningOwner = context.userId ? await OwnerService.findReturningOwner({ userId: context.userId }) : null;
+    if (!returningOwner) return values;
+    return { ...values, ownerId: returningOwner._id.toString(), ownerName: returningOwner.name, phone: returningOwner.phone };
+  },
+
+  fields: [
+    ...ownerFields({ namePrompt: MESSAGES.REGISTER_PET_START }),
+    {
+      name: 'petName',
+      prompt: MESSAGES.ASK_PET_NAME,
+      aliases: PET_NAME_ALIASES,
+      validate: validatePetName,
+      reask: MESSAGES.INVALID_PET_NAME,
+    },
+    {
+      name: 'petType',
+      prompt: values => MESSAGES.ASK_PET_TYPE(values.petName),
+      aliases: ['kind of pet', 'pet type', 'species', 'type', 'kind'],
+      parse: reply => AIService.detectSpecies(reply) || reply.toLowerCase(),
+      validate: petType => (petType ? validatePetType(petType) : [{ field: 'petType', message: 'Pet type is required', code: 'REQUIRED' }]),
+      reask: MESSAGES.INVALID_PET_TYPE,
+    },
+    {
+      name: 'breed',
+      optional: true,
+      prompt: values => MESSAGES.ASK_PET_BREED(values.petName),
+      aliases: ['breed'],
+      validate: breed => OwnerService.validatePetData({ breed }, { partial: true }),
+    },
+  ],
+
+  confirm: {
+    template: MESSAGES.CONFIRM_PET_REGISTRATION,
+  },
+
+  complete: async (values, { sessionId }) => {
+    try {
+      const { pet } = await OwnerService.resolveProfile({
+        ownerId: values.ownerId || null,
+        ownerName: values.ownerName,
+        phone: values.phone,
+        userId: await getUserId(sessionId),
+        petName: values.petName,
+        petType: values.petType,
+      });
+      if (values.breed && !pet.breed) {
+        pet.breed = values.breed;
+        await pet.save();
+      }
+      return { success: true, response: MESSAGES.PET_REGISTERED(pet.name), petId: pet._id };
+    } catch (error) {
+      console.error('Error registering pet from chat:', error);
+      return { success: false, response: MESSAGES.PET_REGISTRATION_FAILED };
+    }
+  },
+};
+
+const callback = {
+  name: DIALOGUE_FORMS.CALLBACK,
+  description: 'Ask for a member of staff to phone the owner',
+
+  fields: [
+    ...ownerFields({ namePrompt: MESSAGES.CALLBACK_START }),
+    {
+      name: 'reason',
+      optional: true,
+      prompt: MESSAGES.ASK_CALLBACK_REASON,
+      aliases: ['reason', 'topic'],
+      validate: reason => validateTextFields(reason, ''),
+    },
+    {
+      name: 'callbackTime',
+      optional: true,
+      prompt: MESSAGES.ASK_CALLBACK_TIME,
+      aliases: ['time to call', 'call time', 'time', 'when'],
+      validate: callbackTime => validateTextFields(callbackTime, '').map(error => ({ ...error, field: 'callbackTime' })),
+      reask: MESSAGES.ASK_CALLBACK_TIME,
+    },
+  ],
+
+  confirm: {
+    template: MESSAGES.CONFIRM_CALLBACK,
+  },
+
+  // Staff get the request on the live event stream and through webhooks
+  complete: async (values, { sessionId }) => {
+    const result = await WebhookService.emit(WEBHOOK_EVENTS.CALLBACK_REQUESTED, {
+      callback: {
+        sessionId,
+        ownerId: values.ownerId || null,
+        ownerName: values.ownerName,
+        phone: values.phone,
+        reason: values.reason || null,
+        callbackTime: values.callbackTime || null,
+        requestedAt: new Date().toISOString(),
+      },
+    });
+    if (!result.success) {
+      return { success: false, response: MESSAGES.CALLBACK_FAILED };
+    }
+    return { success: true, response: MESSAGES.CALLBACK_REQUESTED };
+  },
+};
+
+module.exports = [
+  booking,
+  petRegistration,
+  callback,
+];
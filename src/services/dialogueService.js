@@ -0,0 +1,551 @@
+/**
+ * Dialogue Service
+ * Fills in forms with the owner one question at a time (booking, pet registration, callbacks, ...)
+ *
+ * A form is an object:
+ *   { name, description, fields, start, confirm, complete }
+ * - fields: asked in order, skipping fields that already have a value or whose when(values) is false
+ *   { name, state, prompt, quickReplies, when, optional, parse, validate, reask, accept, aliases,
+ *     detect, resets }
+ *   - name: key the value is stored under in the booking state's tempData
+ *   - state: booking state while the field is asked (defaults to BOOKING_STATES.FILLING_FORM)
+ *   - prompt: question, or (values, session) returning it (possibly async)
+ *   - quickReplies(values, session): async, suggested answers shown with the question as
+ *     [{ label, value }] (value is what is sent back when one is picked)
+ *   - optional: a reply such as "skip" leaves the field empty (null)
+ *   - parse(reply, values): turns the reply into the value (defaults to the trimmed reply)
+ *   - validate(value, values): [{ field, message, code }], e.g. the appointmentValidator functions
+ *   - reask: reply when validation fails, or (errors, values) returning it (defaults to the first
+ *     error's message)
+ *   - accept(value, values, session): async check after validation that returns { values } to
+ *     store (instead of just the value), { reask, values, quickReplies } to ask again, or { end } to
+ *     finish the form with that reply
+ *   - aliases: words that name the field in a correction at the confirmation ("change the phone to
+ *     ..."); detect(text, values) finds the field's new value in a correction that does not name it
+ *     ("actually make it Thursday"), or returns null
+ *   - resets: other values that no longer apply once the field is corrected
+ * - start(message, values, session): async, returns the values to start with (e.g. a returning
+ *   owner's profile)
+ * - extract(message, values, session): async, returns details found in the opening message. Values
+ *   for fields are checked like answers (validate and accept, without parse) and dropped when
+ *   invalid, so only what is still missing is asked; other keys are kept as they are
+ * - confirm: { state, template(values), again, cancelled } shows the collected values for a yes/no
+ *   answer (again: reply to anything else, cancelled: reply to "no"); forms without it complete as
+ *   soon as the last field is filled
+ * - complete(values, session): async, returns { success, response, ...extra } for the chat result;
+ *   on failure the owner stays at the confirmation, unless it names a field to ask again
+ *   ({ success: false, field, response, values, quickReplies }, e.g. a slot taken in the meantime)
+ * session is { sessionId, context } where context is the conversation's SDK context (only set
+ * when a form starts).
+ *
+ * Results have the same { nextState, response, tempData } shape as the other chat flows, plus
+ * quickReplies for the question asked and history: the questions answered so far as { status, tempData } when each was asked, most recent
+ * last, so "go back" can return to them. tempData is complete and replaces the stored one.
+ * The built-in forms (dialogueForms.js) are registered when this module loads.
+ */
+
+const { MESSAGES, BOOKING_STATES } = require('../config/constants');
+const builtIn = require('./dialogueForms');
+
+const forms = new Map();
+
+// Booking state -> { form, field } for forms whose fields have states of their own
+const stateIndex = new Map();
+
+const YES_REGEX = /^(yes|yeah|yep|sure|ok|okay|confirm|y)\b/i;
+const NO_REGEX = /^(no|nope|nah|n|cancel)\b/i;
+const SKIP_REGEX = /^(skip|none|no|nope|n\/a|not sure|unknown|dunno|don'?t know)[.!]*$/i;
+const GO_BACK_REGEX = /^(?:(?:oops|sorry|wait)[,.!]?\s+)?(?:go back|back|previous question|undo)(?:\s+(?:a step|one step|to the (?:last|previous) question))?[.!]*$/i;
+
+// Words before a correction: "no, ...", "actually change ...", "can you make ..."
+const CORRECTION_PREFIX = "^(?:(?:no|actually|sorry|oops|wait|hmm|ok|okay|please|can you|could you)[,.!]?\\s+)*";
+const CORRECTION_VERB = '(?:(?:change|update|set|make|fix|correct|switch)\\s+)?';
+// A new value on its own: "actually make it Thursday", "how about 4pm"
+const UNNAMED_CORRECTION_REGEX = new RegExp(`${CORRECTION_PREFIX}(?:(?:change|switch|move|update|make|set) it (?:to )?|(?:how|what) about |can we do )?`, 'i');
+
+/**
+ * Describe a form for listings (without its functions)
+ */
+const describeForm = (form) => ({
+  name: form.name,
+  description: form.description,
+  fields: form.fields.map(field => ({
+    name: field.name,
+    state: field.state,
+    optional: field.optional,
+  })),
+  confirms: Boolean(form.confirm),
+});
+
+/**
+ * Resolve a static value or a function of the form's values
+ */
+const resolve = (value, ...args) => (typeof value === 'function' ? value(...args) : value);
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Values collected so far, without the form's own bookkeeping
+ */
+const getValues = (tempData = {}) => {
+  const { form, field, ...values } = tempData;
+  return values;
+};
+
+class DialogueService {
+  // ======================
+  // Registry
+  // ======================
+
+  /**
+   * Add (or replace) a form
+   * Throws when the form is incomplete or one of its states belongs to another form
+   */
+  static registerForm(form) {
+    if (!form || typeof form.name !== 'string' || !form.name.trim()) {
+      throw new Error('Form must have a name');
+    }
+    if (!Array.isArray(form.fields) || form.fields.length === 0) {
+      throw new Error(`Form "${form.name}" must have at least one field`);
+    }
+    form.fields.forEach((field) => {
+      if (!field || typeof field.name !== 'string' || !field.prompt) {
+        throw new Error(`Every field of form "${form.name}" must have a name and a prompt`);
+      }
+    });
+    if (typeof form.complete !== 'function') {
+      throw new Error(`Form "${form.name}" must have a complete(values, session) method`);
+    }
+    if (form.confirm && typeof form.confirm.template !== 'function') {
+      throw new Error(`Form "${form.name}" confirm must have a template(values) method`);
+    }
+
+    const states = [
+      ...form.fields.filter(field => field.state).map(field => [field.state, field.name]),
+      ...(form.confirm && form.confirm.state ? [[form.confirm.state, null]] : []),
+    ];
+    const taken = states.find(([state]) => stateIndex.has(state) && stateIndex.get(state).form !== form.name);
+    if (taken) {
+      throw new Error(`Form "${form.name}" uses state "${taken[0]}", which belongs to form "${stateIndex.get(taken[0]).form}"`);
+    }
+
+    this.unregisterForm(form.name);
+    forms.set(form.name, form);
+    states.forEach(([state, field]) => stateIndex.set(state, { form: form.name, field }));
+  }
+
+  /**
+   * Remove a form
+   */
+  static unregisterForm(name) {
+    forms.delete(name);
+    [...stateIndex.entries()]
+      .filter(([, entry]) => entry.form === name)
+      .forEach(([state]) => stateIndex.delete(state));
+  }
+
+  /**
+   * Get a registered form, or null
+   */
+  static getForm(name) {
+    return forms.get(name) || null;
+  }
+
+  /**
+   * Get the registered forms
+   */
+  static getForms() {
+    return [...forms.values()].map(describeForm);
+  }
+
+  /**
+   * Find the form a booking state belongs to, or null
+   */
+  static findForm(state) {
+    if (!state) return null;
+    const tempData = state.tempData || {};
+    if ([BOOKING_STATES.FILLING_FORM, BOOKING_STATES.CONFIRMING_FORM].includes(state.status)) {
+      return forms.get(tempData.form) || null;
+    }
+    const entry = stateIndex.get(state.status);
+    return entry ? forms.get(entry.form) || null : null;
+  }
+
+  /**
+   * Check if the booking state is a form being filled in
+   */
+  static isFormState(state) {
+    return Boolean(this.findForm(state));
+  }
+
+  // ======================
+  // Conversation
+  // ======================
+
+  /**
+   * Start filling in a form
+   * The opening message is passed to the form's start() and extract() so details given up front
+   * are not asked for again. prefill holds values already known (e.g. handed over by another
+   * flow); they are stored as they are and their fields are skipped.
+   */
+  static async startForm(sessionId, formName, userMessage = '', context = {}, prefill = {}) {
+    const form = forms.get(formName);
+    if (!form) {
+      throw new Error(`Unknown form "${formName}"`);
+    }
+
+    const session = { sessionId, context };
+    const message = userMessage.trim();
+    let values = (form.start ? await form.start(message, { ...prefill }, session) : { ...prefill }) || {};
+    const reasks = {};
+
+    const extracted = (form.extract && message ? await form.extract(message, values, session) : {}) || {};
+    const fieldNames = new Set(form.fields.map(field => field.name));
+    Object.entries(extracted)
+      .filter(([name, value]) => !fieldNames.has(name) && values[name] === undefined && value !== null && value !== undefined)
+      .forEach(([name, value]) => { values[name] = value; });
+
+    // Prefill in field order, so each check sees the values before it (as when asked one by one)
+    for (const field of form.fields) {
+      const value = extracted[field.name];
+      if (value === null || value === undefined || values[field.name] !== undefined) continue;
+      if (field.when && !field.when(values)) continue;
+
+      const answer = await this.checkAnswer(field, value, values, session);
+      if (answer.end) {
+        return { nextState: BOOKING_STATES.IDLE, response: answer.end, tempData: {}, form: form.name };
+      }
+      // An invalid value is just asked for; a valid one that was turned down (a taken slot) says why
+      values = { ...values, ...answer.values };
+      if (answer.reask && !answer.errors) reasks[field.name] = answer;
+    }
+
+    // A detail that was turned down is raised straight away, before the questions still to come
+    const turnedDown = form.fields.find(field => reasks[field.name] && values[field.name] === undefined);
+    if (turnedDown) {
+      const { reask, quickReplies } = reasks[turnedDown.name];
+      return this.ask(form, turnedDown, values, reask, quickReplies);
+    }
+    return this.advance(form, values, session);
+  }
+
+  /**
+   * Answer the field (or confirmation) the owner was asked
+   */
+  static async processForm(sessionId, userMessage, currentState) {
+    const form = this.findForm(currentState);
+    if (!form) {
+      return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.DEFAULT_RESPONSE, tempData: {} };
+    }
+
+    const session = { sessionId, context: {} };
+    const tempData = currentState.tempData || {};
+    const history = currentState.history || [];
+    const reply = userMessage.trim();
+
+    if (GO_BACK_REGEX.test(reply)) {
+      return this.goBack(form, currentState, history, session);
+    }
+
+    const result = await this.answer(form, currentState, reply, session);
+    if (result.nextState === BOOKING_STATES.IDLE) {
+      return { ...result, history: [] };
+    }
+
+    // Remember the question that was just answered, so the owner can go back to it
+    const askedField = this.findField(form, currentState);
+    const moved = result.nextState !== currentState.status
+      || (result.tempData.field || null) !== (askedField ? askedField.name : null);
+    return {
+      ...result,
+      history: moved ? [...history, { status: currentState.status, tempData }] : history,
+    };
+  }
+
+  /**
+   * Answer the field or confirmation of the current state
+   */
+  static async answer(form, currentState, reply, session) {
+    const values = getValues(currentState.tempData || {});
+    if (this.isConfirmState(form, currentState.status)) {
+      return this.answerConfirmation(form, reply, values, session);
+    }
+
+    const field = this.findField(form, currentState);
+    if (!field) {
+      return this.advance(form, values, session);
+    }
+    return this.answerField(form, field, reply, values, session);
+  }
+
+  /**
+   * Find the field being asked in a state, or null (e.g. at the confirmation)
+   */
+  static findField(form, state) {
+    const tempData = state.tempData || {};
+    return form.fields.find(item => item.name === tempData.field)
+      || form.fields.find(item => item.state && item.state === state.status)
+      || null;
+  }
+
+  /**
+   * Return to the previous question, with the values as they were when it was asked
+   * At the first question there is nothing to go back to, so it is asked again
+   */
+  static async goBack(form, currentState, history, session) {
+    const previous = history[history.length - 1];
+    const target = previous || { status: currentState.status, tempData: currentState.tempData || {} };
+    const question = await this.question(form, target, session);
+    const field = this.isConfirmState(form, target.status) ? null : this.findField(form, target);
+
+    return {
+      nextState: target.status,
+      response: previous ? MESSAGES.FORM_GONE_BACK(question) : MESSAGES.FORM_NOTHING_TO_GO_BACK(question),
+      tempData: target.tempData,
+      quickReplies: field ? await this.quickReplies(field, getValues(target.tempData), session) : [],
+      history: history.slice(0, -1),
+      form: form.name,
+    };
+  }
+
+  /**
+   * The question asked in a state: a field's prompt or the confirmation summary
+   */
+  static async question(form, state, session) {
+    const values = getValues(state.tempData || {});
+    if (this.isConfirmState(form, state.status)) {
+      return form.confirm.template(values);
+    }
+    const field = this.findField(form, state);
+    return field ? resolve(field.prompt, values, session) : MESSAGES.FORM_CONFIRM_AGAIN;
+  }
+
+  /**
+   * Check if a state is the form's confirmation
+   */
+  static isConfirmState(form, status) {
+    if (!form.confirm) return false;
+    return status === (form.confirm.state || BOOKING_STATES.CONFIRMING_FORM);
+  }
+
+  /**
+   * Parse, validate and store a field's answer, then move on
+   */
+  static async answerField(form, field, reply, values, session) {
+    if (field.optional && SKIP_REGEX.test(reply)) {
+      return this.advance(form, { ...values, [field.name]: null }, session);
+    }
+
+    const value = field.parse ? await field.parse(reply, values) : reply;
+    const answer = await this.checkAnswer(field, value, values, session);
+    if (answer.end) {
+      return { nextState: BOOKING_STATES.IDLE, response: answer.end, tempData: {}, form: form.name };
+    }
+    if (answer.reask) {
+      return this.ask(form, field, { ...values, ...answer.values }, answer.reask, answer.quickReplies);
+    }
+    return this.advance(form, { ...values, ...answer.values }, session);
+  }
+
+  /**
+   * Validate a field's value and run its accept()
+   * @returns {Object} { values } to store, { reask, values, quickReplies, errors } when the field must
+   *   be asked again (errors only when validation failed; values may be empty; quickReplies default to
+   *   the field's own), or { end } when the form is over
+   */
+  static async checkAnswer(field, value, values, session) {
+    const errors = field.validate ? field.validate(value, values) : [];
+    if (errors.length > 0) {
+      const reask = field.reask ? resolve(field.reask, errors, values) : errors[0].message;
+      return { reask, values: {}, quickReplies: await this.quickReplies(field, values, session), errors };
+    }
+
+    if (!field.accept) {
+      return { values: { [field.name]: value } };
+    }
+    const result = await field.accept(value, values, session);
+    if (result.end) return { end: result.end };
+    if (result.reask) {
+      return {
+        reask: result.reask,
+        values: result.values || {},
+        quickReplies: result.quickReplies || await this.quickReplies(field, values, session),
+      };
+    }
+    return { values: result.values };
+  }
+
+  /**
+   * Ask the next field that still needs a value, or confirm/complete the form when none is left
+   */
+  static async advance(form, values, session) {
+    const field = form.fields.find(item => values[item.name] === undefined && (!item.when || item.when(values)));
+    if (field) {
+      const prompt = await resolve(field.prompt, values, session);
+      return this.ask(form, field, values, prompt, await this.quickReplies(field, values, session));
+    }
+
+    if (form.confirm) {
+      return {
+        nextState: form.confirm.state || BOOKING_STATES.CONFIRMING_FORM,
+        response: await form.confirm.template(values),
+        tempData: { ...values, form: form.name, field: null },
+        form: form.name,
+      };
+    }
+
+    return this.complete(form, values, session);
+  }
+
+  /**
+   * Ask (or re-ask) a field
+   */
+  static ask(form, field, values, response, quickReplies = []) {
+    return {
+      nextState: field.state || BOOKING_STATES.FILLING_FORM,
+      response,
+      tempData: { ...values, form: form.name, field: field.name },
+      quickReplies,
+      form: form.name,
+    };
+  }
+
+  /**
+   * Suggested answers to show with a field's question
+   */
+  static async quickReplies(field, values, session) {
+    return field.quickReplies ? (await field.quickReplies(values, session)) || [] : [];
+  }
+
+  /**
+   * Handle the yes/no answer to the form's confirmation
+   */
+  static async answerConfirmation(form, reply, values, session) {
+    // "change the phone to ..." rather than "no" or "ok"
+    const correction = await this.findCorrection(form, reply, values);
+    if (correction) {
+      return this.correctField(form, correction.field, correction.value, values, session);
+    }
+
+    if (YES_REGEX.test(reply)) {
+      return this.complete(form, values, session);
+    }
+
+    if (NO_REGEX.test(reply)) {
+      return {
+        nextState: BOOKING_STATES.IDLE,
+        response: form.confirm.cancelled || MESSAGES.FORM_CANCELLED,
+        tempData: {},
+        form: form.name,
+      };
+    }
+
+    return {
+      nextState: form.confirm.state || BOOKING_STATES.CONFIRMING_FORM,
+      response: form.confirm.again || MESSAGES.FORM_CONFIRM_AGAIN,
+      tempData: { ...values, form: form.name, field: null },
+      form: form.name,
+    };
+  }
+
+  /**
+   * Find the field a reply to the confirmation corrects, and its new value
+   * The field is named by one of its aliases ("change the phone to 555-0000", "my name is Sam"), or
+   * recognised from the value by its detect() ("actually make it Thursday")
+   * @returns {Object|null} { field, value }
+   */
+  static async findCorrection(form, reply, values) {
+    const text = reply.replace(/[’‘]/g, "'");
+    const answered = form.fields.filter(field => values[field.name] !== undefined);
+
+    const aliases = answered
+      .flatMap(field => (field.aliases || []).map(alias => ({ alias, field })))
+      .sort((a, b) => b.alias.length - a.alias.length);
+    for (const { alias, field } of aliases) {
+      const pattern = new RegExp(`${CORRECTION_PREFIX}${CORRECTION_VERB}(?:the\\s+|my\\s+|our\\s+)?${escapeRegex(alias)}(?:\\s+(?:to|is|should be)|\\s*[:=])?\\s+(.+)$`, 'i');
+      const match = text.match(pattern);
+      if (match) {
+        return { field, value: match[1].trim().replace(/[.!]+$/, '') };
+      }
+    }
+
+    const unnamed = text.replace(UNNAMED_CORRECTION_REGEX, '').trim();
+    if (!unnamed) return null;
+    for (const field of answered.filter(item => item.detect)) {
+      const value = await field.detect(unnamed, values);
+      if (value) return { field, value };
+    }
+    return null;
+  }
+
+  /**
+   * Replace one answer and show the updated summary
+   * The new value is parsed, validated and accepted like an answer; when it is not valid, the
+   * field is asked again and the summary follows once it has a value
+   */
+  static async correctField(form, field, value, values, session) {
+    const remaining = { ...values };
+    [field.name, ...(field.resets || [])].forEach((name) => { delete remaining[name]; });
+
+    let answer;
+    if (field.optional && SKIP_REGEX.test(value)) {
+      answer = { values: { [field.name]: null } };
+    } else {
+      // parse() sees the old values, so "Thursday" can keep the time already chosen
+      const parsed = field.parse ? await field.parse(value, values) : value;
+      answer = await this.checkAnswer(field, parsed, remaining, session);
+    }
+
+    if (answer.end) {
+      return { nextState: BOOKING_STATES.IDLE, response: answer.end, tempData: {}, form: form.name };
+    }
+    if (answer.reask) {
+      return this.ask(form, field, { ...remaining, ...answer.values }, answer.reask, answer.quickReplies);
+    }
+
+    const result = await this.advance(form, { ...remaining, ...answer.values }, session);
+    return this.isConfirmState(form, result.nextState)
+      ? { ...result, response: MESSAGES.FORM_UPDATED(result.response) }
+      : result;
+  }
+
+  /**
+   * Hand the collected values to the form
+   * A failed completion keeps the owner at the confirmation so they can try again, or asks the
+   * field it names again
+   */
+  static async complete(form, values, session) {
+    const { success = true, response, ...extra } = await form.complete(values, session);
+
+    const retryField = !success && extra.field ? form.fields.find(item => item.name === extra.field) : null;
+    if (retryField) {
+      const remaining = { ...values, ...extra.values };
+      delete remaining[retryField.name];
+      return { ...this.ask(form, retryField, remaining, response, extra.quickReplies), success: false };
+    }
+
+    if (!success) {
+      return {
+        nextState: form.confirm ? form.confirm.state || BOOKING_STATES.CONFIRMING_FORM : BOOKING_STATES.IDLE,
+        response,
+        tempData: form.confirm ? { ...values, form: form.name, field: null } : {},
+        form: form.name,
+        success: false,
+      };
+    }
+
+    return {
+      nextState: BOOKING_STATES.IDLE,
+      response,
+      tempData: {},
+      form: form.name,
+      completed: true,
+      ...extra,
+    };
+  }
+}
+
+// Built-in forms
+builtIn.forEach(form => DialogueService.registerForm(form));
+
+module.exports = DialogueService;
@@ -0,0 +1,520 @@
+/**
+ * FAQ Service
+ * The chatbot's FAQ knowledge base: admin management and the cached copy the bot answers from
+ *
+ * Enabled FAQs are kept in memory so AIService.matchFAQ can read them synchronously. The cache
+ * starts with the defaults from FAQ_RESPONSES, is loaded at startup, reloaded after every change
+ * made here, and re-read from the database at most once a minute by async callers in case
+ * another instance changed it. A search index over the cached FAQs is built the first time it
+ * is needed after each load. Every change is saved as a new version with a full snapshot,
+ * so an earlier version can be restored.
+ */
+
+const { Faq } = require('../models');
+const { FAQ, FAQ_SEARCH, FAQ_RESPONSES, FAQ_GENERATORS, PET_TYPES } = require('../config/constants');
+const { buildIndex } = require('../utils/textSearch');
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+const KEY_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const CACHE_TTL_MS = 60 * 1000;
+
+// Fields admins can set, in the order they are compared
+const FAQ_FIELDS = ['key', 'title', 'keywords', 'synonyms', 'response', 'speciesResponses', 'generator', 'enabled', 'order'];
+
+/**
+ * Turn a default from FAQ_RESPONSES into FAQ fields
+ */
+const fromDefault = (faq, index) => ({
+  key: faq.id,
+  title: faq.title || '',
+  keywords: faq.keywords,
+  synonyms: faq.synonyms || [],
+  response: faq.response || '',
+  speciesResponses: faq.speciesResponses || [],
+  generator: faq.generator || null,
+  enabled: true,
+  order: index * 10,
+});
+
+/**
+ * Lower-case, trim and de-duplicate keywords or synonyms
+ */
+const normalizeTerms = (terms) => [...new Set(terms.map(term => term.trim().toLowerCase()).filter(Boolean))];
+
+/**
+ * Get the content of an FAQ as plain JSON (what a version snapshot holds)
+ */
+const toSnapshot = (faq) => JSON.parse(JSON.stringify(
+  FAQ_FIELDS.reduce((snapshot, field) => ({ ...snapshot, [field]: faq[field] }), {})
+));
+
+/**
+ * Get an FAQ as the bot reads it
+ */
+const toCacheEntry = (faq) => ({
+  id: faq._id ? faq._id.toString() : faq.key,
+  key: faq.key,
+  title: faq.title,
+  keywords: faq.keywords,
+  synonyms: faq.synonyms,
+  response: faq.response,
+  speciesResponses: faq.speciesResponses,
+  generator: faq.generator,
+  version: faq.version || 1,
+});
+
+// In-memory copy of the enabled FAQs (defaults until the database has been read)
+const cache = {
+  faqs: FAQ_RESPONSES.map(fromDefault).map(toCacheEntry),
+  index: null,
+  loadedAt: 0,
+  loading: null,
+};
+
+class FaqService {
+  // ======================
+  // Cache
+  // ======================
+
+  /**
+   * Seed the defaults into an empty collection and load the FAQs
+   * Called once at startup; FAQs admins have edited or deleted are never re-seeded
+   */
+  static async initialize() {
+    if (await Faq.countDocuments() === 0) {
+      await Faq.bulkWrite(FAQ_RESPONSES.map(fromDefault).map(fields => ({
+        updateOne: {
+          filter: { key: fields.key },
+          update: {
+            $setOnInsert: {
+              ...fields,
+              version: 1,
+              history: [{ version: 1, at: new Date(), action: 'created', changedFields: FAQ_FIELDS, snapshot: fields }],
+            },
+          },
+          upsert: true,
+        },
+      })));
+    }
+    await this.load();
+  }
+
+  /**
+   * Read the enabled FAQs from the database into the cache
+   */
+  static async load() {
+    const faqs = await Faq.find({ deleted: false, enabled: true })
+      .sort({ order: 1, createdAt: 1 })
+      .select('-history')
+      .lean();
+
+    cache.faqs = faqs.map(toCacheEntry);
+    cache.index = null;
+    cache.loadedAt = Date.now();
+  }
+
+  /**
+   * Reload the cache when it is older than a minute
+   * Failures are logged and the previous FAQs are kept
+   */
+  static async refreshIfStale() {
+    if (Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+      return;
+    }
+    if (!cache.loading) {
+      cache.loading = this.load()
+        .catch(error => console.error('Error refreshing FAQs:', error))
+        .finally(() => { cache.loading = null; });
+    }
+    await cache.loading;
+  }
+
+  /**
+   * Reload the cache after a change; the change is saved even if this fails
+   */
+  static async reload() {
+    try {
+      await this.load();
+    } catch (error) {
+      console.error('Error reloading FAQs:', error);
+      cache.loadedAt = 0;
+    }
+  }
+
+  /**
+   * Get the enabled FAQs in the order they are checked
+   */
+  static getActiveFaqs() {
+    return cache.faqs;
+  }
+
+  /**
+   * Get the search index over the enabled FAQs (document ids are FAQ ids)
+   * Keywords and synonyms, the title and the responses (including species answers) are indexed as separate fields
+   */
+  static getSearchIndex() {
+    if (!cache.index) {
+      cache.index = buildIndex(cache.faqs.map(faq => ({
+        id: faq.id,
+        fields: {
+          terms: [...faq.keywords, ...faq.synonyms],
+          title: faq.title,
+          response: [faq.response, ...faq.speciesResponses.map(variant => variant.response)].filter(Boolean).join('\n'),
+        },
+      })), FAQ_SEARCH.FIELD_WEIGHTS);
+    }
+    return cache.index;
+  }
+
+  // ======================
+  // Validation
+  // ======================
+
+  /**
+   * Validate a list of keywords or synonyms
+   */
+  static validateTerms(errors, data, field, { required = false } = {}) {
+    const terms = data[field];
+    if (terms === undefined) {
+      if (required) errors.push({ field, message: `At least one ${field.slice(0, -1)} is required`, code: 'REQUIRED' });
+      return;
+    }
+    if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string')) {
+      errors.push({ field, message: `${field} must be a list of strings`, code: 'INVALID_TYPE' });
+      return;
+    }
+
+    const normalized = normalizeTerms(terms);
+    if (required && normalized.length === 0) {
+      errors.push({ field, message: `At least one ${field.slice(0, -1)} is required`, code: 'REQUIRED' });
+    }
+    if (normalized.length > FAQ.MAX_TERMS) {
+      errors.push({ field, message: `At most ${FAQ.MAX_TERMS} ${field} are allowed`, code: 'TOO_MANY' });
+    }
+    if (normalized.some(term => term.length > FAQ.MAX_TERM_LENGTH)) {
+      errors.push({ field, message: `Each entry must be at most ${FAQ.MAX_TERM_LENGTH} characters`, code: 'TOO_LONG' });
+    }
+  }
+
+  /**
+   * Validate FAQ fields
+   * partial is for updates, where missing fields keep their current value
+   */
+  static validateFaqData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (data.key !== undefined || !partial) {
+      if (typeof data.key !== 'string' || !KEY_REGEX.test(data.key.trim().toLowerCase()) || data.key.trim().length > 50) {
+        errors.push({ field: 'key', message: 'Key must be lower-case letters, numbers and dashes (e.g. "puppy-care"), up to 50 characters', code: 'INVALID_FORMAT' });
+      }
+    }
+
+    if (data.title !== undefined && (typeof data.title !== 'string' || data.title.length > 100)) {
+      errors.push({ field: 'title', message: 'Title must be a string of at most 100 characters', code: 'INVALID_TYPE' });
+    }
+
+    this.validateTerms(errors, data, 'keywords', { required: !partial });
+    this.validateTerms(errors, data, 'synonyms');
+
+    if (data.response !== undefined) {
+      if (typeof data.response !== 'string') {
+        errors.push({ field: 'response', message: 'Response must be a string', code: 'INVALID_TYPE' });
+      } else if (data.response.length > FAQ.MAX_RESPONSE_LENGTH) {
+        errors.push({ field: 'response', message: `Response must be at most ${FAQ.MAX_RESPONSE_LENGTH} characters`, code: 'TOO_LONG' });
+      }
+    }
+
+    if (data.speciesResponses !== undefined) {
+      if (!Array.isArray(data.speciesResponses)) {
+        errors.push({ field: 'speciesResponses', message: 'Species responses must be a list', code: 'INVALID_TYPE' });
+      } else {
+        const seen = new Set();
+        data.speciesResponses.forEach((variant, index) => {
+          const field = `speciesResponses[${index}]`;
+          if (!variant || !PET_TYPES.includes(variant.species)) {
+            errors.push({ field: `${field}.species`, message: `Species must be one of: ${PET_TYPES.join(', ')}`, code: 'INVALID_VALUE' });
+            return;
+          }
+          if (seen.has(variant.species)) {
+            errors.push({ field: `${field}.species`, message: `There is already a response for ${variant.species}`, code: 'DUPLICATE' });
+          }
+          seen.add(variant.species);
+          if (typeof variant.response !== 'string' || !variant.response.trim()) {
+            errors.push({ field: `${field}.response`, message: 'Species responses need a response', code: 'REQUIRED' });
+          } else if (variant.response.length > FAQ.MAX_RESPONSE_LENGTH) {
+            errors.push({ field: `${field}.response`, message: `Response must be at most ${FAQ.MAX_RESPONSE_LENGTH} characters`, code: 'TOO_LONG' });
+          }
+        });
+      }
+    }
+
+    if (data.generator !== undefined && data.generator !== null && !Object.values(FAQ_GENERATORS).includes(data.generator)) {
+      errors.push({ field: 'generator', message: `Generator must be null or one of: ${Object.values(FAQ_GENERATORS).join(', ')}`, code: 'INVALID_VALUE' });
+    }
+
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+      errors.push({ field: 'enabled', message: 'Enabled must be true or false', code: 'INVALID_TYPE' });
+    }
+
+    if (data.order !== undefined && !Number.isInteger(data.order)) {
+      errors.push({ field: 'order', message: 'Order must be a whole number', code: 'INVALID_TYPE' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build a failure result from validation errors
+   */
+  static validationFailure(errors) {
+    return {
+      success: false,
+      error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+      validationErrors: errors,
+    };
+  }
+
+  /**
+   * Copy the given fields onto an FAQ and list the ones that changed
+   */
+  static applyFields(faq, data) {
+    const before = toSnapshot(faq);
+
+    FAQ_FIELDS.forEach(field => {
+      if (data[field] === undefined) return;
+      if (field === 'keywords' || field === 'synonyms') {
+        faq[field] = normalizeTerms(data[field]);
+      } else if (field === 'key') {
+        faq.key = data.key.trim().toLowerCase();
+      } else if (field === 'speciesResponses') {
+        faq.speciesResponses = data.speciesResponses.map(({ species, response }) => ({ species, response: response.trim() }));
+      } else if (field === 'title' || field === 'response') {
+        faq[field] = data[field].trim();
+      } else {
+        faq[field] = data[field];
+      }
+    });
+
+    const after = toSnapshot(faq);
+    return FAQ_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  }
+
+  /**
+   * Add a version to an FAQ's history
+   */
+  static addVersion(faq, action, user, changedFields = [], restoredFrom = null) {
+    faq.version = faq.history.length > 0 ? faq.version + 1 : 1;
+    faq.history.push({
+      version: faq.version,
+      action,
+      user: user ? user._id : null,
+      userName: user ? user.name : null,
+      changedFields,
+      restoredFrom,
+      snapshot: toSnapshot(faq),
+    });
+  }
+
+  /**
+   * Check that an FAQ has something to answer with
+   */
+  static checkAnswer(faq) {
+    if (!faq.generator && !faq.response) {
+      return [{ field: 'response', message: 'A response is required unless a generator is set', code: 'REQUIRED' }];
+    }
+    return [];
+  }
+
+  // ======================
+  // Managing FAQs
+  // ======================
+
+  /**
+   * List FAQs in the order they are checked (without their history)
+   */
+  static async getFaqs({ enabled = null, search = null, page = 1, limit = 50 } = {}) {
+    try {
+      const query = { deleted: false };
+      if (enabled !== null) {
+        query.enabled = enabled;
+      }
+      if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ key: pattern }, { title: pattern }, { keywords: pattern }, { synonyms: pattern }, { response: pattern }];
+      }
+
+      const skip = (page - 1) * limit;
+      const [faqs, total] = await Promise.all([
+        Faq.find(query)
+          .sort({ order: 1, createdAt: 1 })
+          .skip(skip)
+          .limit(limit)
+          .select('-history'),
+        Faq.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        faqs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting FAQs:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get an FAQ with its version history
+   */
+  static async getFaq(faqId) {
+    try {
+      if (!faqId || !OBJECT_ID_REGEX.test(faqId)) {
+        return { success: false, error: 'Invalid FAQ ID.', code: 'INVALID_ID' };
+      }
+
+      const faq = await Faq.findOne({ _id: faqId, deleted: false });
+      if (!faq) {
+        return { success: false, error: 'FAQ not found', code: 'NOT_FOUND' };
+      }
+
+      return { success: true, faq };
+    } catch (error) {
+      console.error('Error getting FAQ:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create an FAQ
+   */
+  static async createFaq(data, user = null) {
+    try {
+      const errors = this.validateFaqData(data);
+      if (errors.length > 0) return this.validationFailure(errors);
+
+      const faq = new Faq();
+      const changedFields = this.applyFields(faq, data);
+      const answerErrors = this.checkAnswer(faq);
+      if (answerErrors.length > 0) return this.validationFailure(answerErrors);
+
+      this.addVersion(faq, 'created', user, changedFields);
+      await faq.save();
+      await this.reload();
+
+      return { success: true, faq };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, error: 'An FAQ with this key already exists.', code: 'DUPLICATE_KEY' };
+      }
+      console.error('Error creating FAQ:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update an FAQ, saving the result as a new version
+   */
+  static async updateFaq(faqId, data, user = null) {
+    try {
+      if (!faqId || !OBJECT_ID_REGEX.test(faqId)) {
+        return { success: false, error: 'Invalid FAQ ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validateFaqData(data, { partial: true });
+      if (errors.length > 0) return this.validationFailure(errors);
+
+      const faq = await Faq.findOne({ _id: faqId, deleted: false });
+      if (!faq) {
+        return { success: false, error: 'FAQ not found', code: 'NOT_FOUND' };
+      }
+
+      const changedFields = this.applyFields(faq, data);
+      const answerErrors = this.checkAnswer(faq);
+      if (answerErrors.length > 0) return this.validationFailure(answerErrors);
+
+      if (changedFields.length > 0) {
+        this.addVersion(faq, 'updated', user, changedFields);
+        await faq.save();
+        await this.reload();
+      }
+
+      return { success: true, faq, changedFields };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, error: 'An FAQ with this key already exists.', code: 'DUPLICATE_KEY' };
+      }
+      console.error('Error updating FAQ:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete an FAQ (kept with its history, never matched again)
+   */
+  static async deleteFaq(faqId, user = null) {
+    try {
+      if (!faqId || !OBJECT_ID_REGEX.test(faqId)) {
+        return { success: false, error: 'Invalid FAQ ID.', code: 'INVALID_ID' };
+      }
+
+      const faq = await Faq.findOne({ _id: faqId, deleted: false });
+      if (!faq) {
+        return { success: false, error: 'FAQ not found', code: 'NOT_FOUND' };
+      }
+
+      faq.deleted = true;
+      this.addVersion(faq, 'deleted', user);
+      await faq.save();
+      await this.reload();
+
+      return { success: true, faq };
+    } catch (error) {
+      console.error('Error deleting FAQ:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Bring back the content of an earlier version, saved as a new version
+   */
+  static async restoreVersion(faqId, version, user = null) {
+    try {
+      if (!faqId || !OBJECT_ID_REGEX.test(faqId)) {
+        return { success: false, error: 'Invalid FAQ ID.', code: 'INVALID_ID' };
+      }
+
+      const faq = await Faq.findOne({ _id: faqId, deleted: false });
+      if (!faq) {
+        return { success: false, error: 'FAQ not found', code: 'NOT_FOUND' };
+      }
+
+      const entry = faq.history.find(item => item.version === version);
+      if (!entry) {
+        return { success: false, error: `Version ${version} not found`, code: 'VERSION_NOT_FOUND' };
+      }
+
+      const changedFields = this.applyFields(faq, entry.snapshot);
+      if (changedFields.length > 0) {
+        this.addVersion(faq, 'restored', user, changedFields, version);
+        await faq.save();
+        await this.reload();
+      }
+
+      return { success: true, faq, changedFields };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, error: 'Another FAQ now uses this version\'s key.', code: 'DUPLICATE_KEY' };
+      }
+      console.error('Error restoring FAQ version:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = FaqService;
@@ -0,0 +1,343 @@
+/**
+ * Handoff Service
+ * Hands chat conversations over from the bot to clinic staff
+ *
+ * A conversation is flagged 'waiting' when the owner asks for a person, mentions an emergency or
+ * the bot cannot answer them. Staff work through the queue, claim a conversation ('active') and
+ * reply as the 'agent' role; the bot stays quiet until the agent closes it. Owner and agent
+ * messages are sent as handoff.* webhook events, which staff dashboards receive over
+ * /api/realtime/events, and agent messages reach the owner's widget over the chat stream.
+ */
+
+const { Conversation } = require('../models');
+const ConversationService = require('./conversationService');
+const RealtimeService = require('./realtimeService');
+const WebhookService = require('./webhookService');
+const {
+  MESSAGES,
+  BOOKING_STATES,
+  HANDOFF,
+  HANDOFF_STATUS,
+  HANDOFF_REASONS,
+  MESSAGE_TYPES,
+  USER_ROLES,
+  WEBHOOK_EVENTS,
+} = require('../config/constants');
+
+// Statuses in which staff are expected to pick up the conversation
+const OPEN_STATUSES = [HANDOFF_STATUS.WAITING, HANDOFF_STATUS.ACTIVE];
+
+/**
+ * Get the part of a conversation webhooks and the queue describe it by
+ */
+const toSummary = (conversation) => ({
+  sessionId: conversation.sessionId,
+  userName: conversation.context.userName,
+  petName: conversation.context.petName,
+  source: conversation.context.source,
+  handoff: {
+    status: conversation.handoff.status,
+    reason: conversation.handoff.reason,
+    urgent: conversation.handoff.urgent,
+    requestedAt: conversation.handoff.requestedAt,
+    claimedAt: conversation.handoff.claimedAt,
+    closedAt: conversation.handoff.closedAt,
+    agentName: conversation.handoff.agentName,
+  },
+});
+
+class HandoffService {
+  /**
+   * Check whether a handoff status means staff should pick up the conversation
+   */
+  static isOpen(status) {
+    return OPEN_STATUSES.includes(status);
+  }
+
+  /**
+   * Flag a conversation as needing a person
+   * A conversation that is already waiting or with an agent stays as it is, except that an
+   * emergency moves it to the front of the queue. created tells a new request from a repeat one.
+   */
+  static async requestHandoff(sessionId, reason) {
+    try {
+      const urgent = reason === HANDOFF_REASONS.EMERGENCY;
+      const conversation = await Conversation.findOneAndUpdate(
+        { sessionId, 'handoff.status': { $nin: OPEN_STATUSES } },
+        {
+          $set: {
+            'handoff.status': HANDOFF_STATUS.WAITING,
+            'handoff.reason': reason,
+            'handoff.urgent': urgent,
+            'handoff.requestedAt': new Date(),
+            'handoff.claimedAt': null,
+            'handoff.closedAt': null,
+            'handoff.agent': null,
+            'handoff.agentName': null,
+          },
+        },
+        { new: true, projection: { messages: 0 } }
+      );
+
+      if (conversation) {
+        await WebhookService.emit(WEBHOOK_EVENTS.HANDOFF_REQUESTED, { conversation: toSummary(conversation) });
+        return { success: true, conversation, created: true };
+      }
+
+      const existing = await Conversation.findOne({ sessionId }).select('-messages');
+      if (!existing) {
+        return { success: false, error: 'Conversation not found', code: 'NOT_FOUND' };
+      }
+
+      if (urgent && !existing.handoff.urgent) {
+        existing.handoff.urgent = true;
+        existing.handoff.reason = HANDOFF_REASONS.EMERGENCY;
+        await existing.save();
+        await WebhookService.emit(WEBHOOK_EVENTS.HANDOFF_REQUESTED, { conversation: toSummary(existing) });
+      }
+
+      return { success: true, conversation: existing, created: false };
+    } catch (error) {
+      console.error('Error requesting handoff:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Let staff see an owner message in a handed-over conversation
+   */
+  static async relayOwnerMessage(conversation, content) {
+    await WebhookService.emit(WEBHOOK_EVENTS.HANDOFF_MESSAGE, {
+      conversation: { sessionId: conversation.sessionId, handoffStatus: conversation.handoff.status },
+      message: { role: MESSAGE_TYPES.USER, content, timestamp: new Date() },
+    });
+  }
+
+  /**
+   * List handed-over conversations with their latest messages
+   * Waiting conversations come emergencies first, then oldest request first; others most recent first
+   */
+  static async getQueue({ status = HANDOFF_STATUS.WAITING, page = 1, limit = 20 } = {}) {
+    try {
+      const query = { 'handoff.status': status };
+      const sort = status === HANDOFF_STATUS.WAITING
+        ? { 'handoff.urgent': -1, 'handoff.requestedAt': 1 }
+        : { lastActivityAt: -1 };
+      const skip = (page - 1) * limit;
+
+      const [conversations, total] = await Promise.all([
+        Conversation.find(query)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .select({
+            sessionId: 1,
+            context: 1,
+            handoff: 1,
+            lastActivityAt: 1,
+            createdAt: 1,
+            messages: { $slice: -HANDOFF.QUEUE_PREVIEW_MESSAGES },
+          }),
+        Conversation.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        conversations,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting handoff queue:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a conversation with its full transcript
+   */
+  static async getHandoff(sessionId) {
+    try {
+      const conversation = await Conversation.findOne({ sessionId });
+      if (!conversation) {
+        return { success: false, error: 'Conversation not found', code: 'NOT_FOUND' };
+      }
+      return { success: true, conversation };
+    } catch (error) {
+      console.error('Error getting handoff:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Take a waiting conversation
+   * Any booking or lookup the bot had in progress is dropped, and the owner is told who joined
+   */
+  static async claimHandoff(sessionId, user) {
+    try {
+      const conversation = await Conversation.findOneAndUpdate(
+        { sessionId, 'handoff.status': HANDOFF_STATUS.WAITING },
+        {
+          $set: {
+            'handoff.status': HANDOFF_STATUS.ACTIVE,
+            'handoff.claimedAt': new Date(),
+            'handoff.agent': user._id,
+            'handoff.agentName': user.name,
+          },
+        },
+        { new: true }
+      );
+
+      if (!conversation) {
+        const existing = await Conversation.findOne({ sessionId });
+        if (!existing) {
+          return { success: false, error: 'Conversation not found', code: 'NOT_FOUND' };
+        }
+        if (existing.handoff.status === HANDOFF_STATUS.ACTIVE) {
+          if (String(existing.handoff.agent) === String(user._id)) {
+            return { success: true, conversation: existing };
+          }
+          return {
+            success: false,
+            error: `${existing.handoff.agentName} is already handling this conversation.`,
+            code: 'ALREADY_CLAIMED',
+          };
+        }
+        return { success: false, error: 'This conversation is not waiting for staff.', code: 'NOT_WAITING' };
+      }
+
+      const notice = MESSAGES.HANDOFF_AGENT_JOINED(user.name);
+      await conversation.addMessage(MESSAGE_TYPES.SYSTEM, notice);
+      if (conversation.bookingState.status !== BOOKING_STATES.IDLE) {
+        await ConversationService.resetBookingState(sessionId);
+      }
+
+      RealtimeService.publishToSession(sessionId, 'handoff', {
+        status: HANDOFF_STATUS.ACTIVE,
+        agentName: user.name,
+        message: notice,
+      });
+      await WebhookService.emit(WEBHOOK_EVENTS.HANDOFF_CLAIMED, { conversation: toSummary(conversation) });
+
+      return { success: true, conversation };
+    } catch (error) {
+      console.error('Error claiming handoff:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Reply to the owner as the agent who claimed the conversation
+   */
+  static async sendAgentMessage(sessionId, content, user) {
+    try {
+      const text = typeof content === 'string' ? content.trim() : '';
+      if (!text) {
+        return { success: false, error: 'Message is required and must be a non-empty string', code: 'INVALID_MESSAGE' };
+      }
+      if (text.length > HANDOFF.MAX_MESSAGE_LENGTH) {
+        return {
+          success: false,
+          error: `Message cannot be longer than ${HANDOFF.MAX_MESSAGE_LENGTH} characters`,
+          code: 'INVALID_MESSAGE',
+        };
+      }
+
+      const conversation = await Conversation.findOne({ sessionId });
+      if (!conversation) {
+        return { success: false, error: 'Conversation not found', code: 'NOT_FOUND' };
+      }
+      if (conversation.handoff.status !== HANDOFF_STATUS.ACTIVE) {
+        return { success: false, error: 'Claim this conversation before replying.', code: 'NOT_ACTIVE' };
+      }
+      if (String(conversation.handoff.agent) !== String(user._id)) {
+        return {
+          success: false,
+          error: `${conversation.handoff.agentName} is handling this conversation.`,
+          code: 'FORBIDDEN',
+        };
+      }
+
+      await conversation.addMessage(MESSAGE_TYPES.AGENT, text, { agent: user._id, agentName: user.name });
+      const message = conversation.messages[conversation.messages.length - 1];
+
+      RealtimeService.publishToSession(sessionId, 'message', {
+        response: text,
+        requestId: null,
+        role: MESSAGE_TYPES.AGENT,
+        agentName: user.name,
+      });
+      await WebhookService.emit(WEBHOOK_EVENTS.HANDOFF_MESSAGE, {
+        conversation: { sessionId, handoffStatus: conversation.handoff.status },
+        message: { role: MESSAGE_TYPES.AGENT, content: text, agentName: user.name, timestamp: message.timestamp },
+      });
+
+      return { success: true, message };
+    } catch (error) {
+      console.error('Error sending agent message:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Hand a conversation back to the bot
+   * The claiming agent or an admin can close an active conversation; any staff member can
+   * close one that is still waiting (e.g. after phoning the owner)
+   */
+  static async closeHandoff(sessionId, user) {
+    try {
+      const existing = await Conversation.findOne({ sessionId }).select('-messages');
+      if (!existing) {
+        return { success: false, error: 'Conversation not found', code: 'NOT_FOUND' };
+      }
+
+      const previousStatus = existing.handoff.status;
+      if (!this.isOpen(previousStatus)) {
+        return { success: false, error: 'This conversation is not handed over to staff.', code: 'NOT_OPEN' };
+      }
+      if (previousStatus === HANDOFF_STATUS.ACTIVE &&
+          String(existing.handoff.agent) !== String(user._id) &&
+          user.role !== USER_ROLES.ADMIN) {
+        return {
+          success: false,
+          error: `${existing.handoff.agentName} is handling this conversation.`,
+          code: 'FORBIDDEN',
+        };
+      }
+
+      // Only close the conversation as it was checked, so a claim in between is not undone
+      const conversation = await Conversation.findOneAndUpdate(
+        { sessionId, 'handoff.status': previousStatus, 'handoff.agent': existing.handoff.agent },
+        { $set: { 'handoff.status': HANDOFF_STATUS.CLOSED, 'handoff.closedAt': new Date() } },
+        { new: true }
+      );
+      if (!conversation) {
+        return { success: false, error: 'The conversation changed while closing it. Please try again.', code: 'CONFLICT' };
+      }
+
+      if (previousStatus === HANDOFF_STATUS.ACTIVE) {
+        await conversation.addMessage(MESSAGE_TYPES.SYSTEM, MESSAGES.HANDOFF_CLOSED);
+        RealtimeService.publishToSession(sessionId, 'handoff', {
+          status: HANDOFF_STATUS.CLOSED,
+          message: MESSAGES.HANDOFF_CLOSED,
+        });
+      }
+
+      await WebhookService.emit(WEBHOOK_EVENTS.HANDOFF_CLOSED, {
+        conversation: toSummary(conversation),
+        closedBy: { id: user._id, name: user.name },
+      });
+
+      return { success: true, conversation };
+    } catch (error) {
+      console.error('Error closing handoff:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = HandoffService;
@@ -7,10 +7,52 @@ const AIService = require('./aiService');
 const ConversationService = require('./conversationService');
 const AppointmentService = require('./appointmentService');
 const ChatService = require('./chatService');
+const AuthService = require('./authService');
+const AppointmentManagementService = require('./appointmentManagementService');
+const ProviderService = require('./providerService');
+const SlotReservationService = require('./slotReservationService');
+const ScheduleService = require('./scheduleService');
+const FaqService = require('./faqService');
+const NotifierService = require('./notifierService');
+const BookingNotificationService = require('./bookingNotificationService');
+const WaitlistService = require('./waitlistService');
+const JobService = require('./jobService');
+const ReminderService = require('./reminderService');
+const OwnerService = require('./ownerService');
+const VaccinationService = require('./vaccinationService');
+const VisitService = require('./visitService');
+const WebhookService = require('./webhookService');
+const CalendarService = require('./calendarService');
+const AppointmentImportExportService = require('./appointmentImportExportService');
+const RealtimeService = require('./realtimeService');
+const HandoffService = require('./handoffService');
+const IntentService = require('./intentService');
+const DialogueService = require('./dialogueService');
 
 module.exports = {
   AIService,
   ConversationService,
   AppointmentService,
   ChatService,
+  AuthService,
+  AppointmentManagementService,
+  ProviderService,
+  SlotReservationService,
+  ScheduleService,
+  FaqService,
+  NotifierService,
+  BookingNotificationService,
+  WaitlistService,
+  JobService,
+  ReminderService,
+  OwnerService,
+  VaccinationService,
+  VisitService,
+  WebhookService,
+  CalendarService,
+  AppointmentImportExportService,
+  RealtimeService,
+  HandoffService,
+  IntentService,
+  DialogueService,
 };
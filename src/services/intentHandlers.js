@@ -0,0 +1,187 @@
+/**
+ * Intent Handlers
+ * The chatbot's built-in intents and slots, registered with IntentService when it loads
+ *
+ * Priorities keep the order the bot has always checked messages in: emergencies and requests for
+ * a person, existing appointments, vaccination lookups, pet registration and callback requests,
+ * new bookings, cancel, help, greetings, yes/no, dates, times, FAQs and finally the fallback reply.
+ * Plugins can slot in between.
+ */
+
+const AIService = require('./aiService');
+const FaqService = require('./faqService');
+const ScheduleService = require('./scheduleService');
+const { MESSAGES, MANAGE_ACTIONS, HANDOFF, HANDOFF_REASONS, DIALOGUE_FORMS, FORM_KEYWORDS } = require('../config/constants');
+
+/**
+ * Matcher that applies when test(message, context) is true, with a fixed reason
+ */
+const whenTrue = (reason, test) => async (message, context) => ((await test(message, context)) ? { score: 1, reason } : null);
+
+/**
+ * Matcher that applies when the message contains one of the keywords, naming the keyword found
+ */
+const containsKeyword = (label, keywords) => (message) => {
+  const lowerMessage = message.toLowerCase().replace(/[’‘]/g, "'");
+  const keyword = keywords.find(item => lowerMessage.includes(item));
+  return keyword ? { score: 1, reason: `${label} "${keyword}"` } : null;
+};
+
+/**
+ * Handler that hands the chat over to staff
+ */
+const handoffHandler = (name, reason, priority, description, keywords) => ({
+  name,
+  description,
+  priority,
+  interruptsFlows: true,
+  matchers: [containsKeyword(`${reason} keyword`, keywords)],
+  respond: (message, context) => context.chat.startHandoff(context.sessionId, reason, context.bookingState),
+});
+
+/**
+ * Handler that starts a flow for an existing appointment
+ */
+const manageHandler = (name, action, description) => ({
+  name,
+  description,
+  priority: 90,
+  matchers: [whenTrue(`${action} phrase`, message => AIService.detectManageAppointmentIntent(message) === action)],
+  respond: (message, context) => context.chat.startManageFlow(context.sessionId, message, action, context.conversation.context),
+});
+
+/**
+ * Handler that starts filling in a form (see DialogueService)
+ */
+const formHandler = (name, form, priority, description, keywords) => ({
+  name,
+  description,
+  priority,
+  matchers: [containsKeyword(`${form} keyword`, keywords)],
+  respond: (message, context) => context.chat.startForm(context.sessionId, form, message, context.conversation.context),
+});
+
+/**
+ * Handler that answers with a fixed message
+ */
+const replyHandler = (name, priority, description, matcher, response) => ({
+  name,
+  description,
+  priority,
+  matchers: [matcher],
+  respond: (message, context) => context.reply(response),
+});
+
+const slots = {
+  date: {
+    extract: message => AIService.extractDate(message),
+    prompt: MESSAGES.ASK_SLOT_DATE,
+  },
+  time: {
+    extract: message => AIService.extractTime(message),
+    prompt: MESSAGES.ASK_SLOT_TIME,
+  },
+  species: {
+    extract: message => AIService.detectSpecies(message),
+    prompt: MESSAGES.ASK_SLOT_SPECIES,
+  },
+};
+
+const handlers = [
+  handoffHandler('EMERGENCY', HANDOFF_REASONS.EMERGENCY, 100,
+    'Emergency: tell the owner to call and alert staff', HANDOFF.EMERGENCY_KEYWORDS),
+  handoffHandler('HUMAN_HANDOFF', HANDOFF_REASONS.REQUESTED, 95,
+    'The owner asks for a person', HANDOFF.REQUEST_KEYWORDS),
+
+  manageHandler('LOOKUP_APPOINTMENT', MANAGE_ACTIONS.LOOKUP, 'Look up an existing appointment'),
+  manageHandler('RESCHEDULE_APPOINTMENT', MANAGE_ACTIONS.RESCHEDULE, 'Move an existing appointment'),
+  manageHandler('CANCEL_APPOINTMENT', MANAGE_ACTIONS.CANCEL, 'Cancel an existing appointment'),
+
+  {
+    name: 'VACCINATION_STATUS',
+    description: "When a pet's vaccinations are due",
+    priority: 85,
+    matchers: [whenTrue('vaccine and timing words', message => AIService.detectVaccinationStatusIntent(message))],
+    respond: (message, context) => context.chat.startVaccinationLookup(context.sessionId, message, context.conversation.context),
+  },
+
+  // Just above bookings, so "book a callback" is a callback request
+  formHandler('REGISTER_PET', DIALOGUE_FORMS.PET_REGISTRATION, 82,
+    "Add a pet to the owner's profile", FORM_KEYWORDS.PET_REGISTRATION),
+  formHandler('REQUEST_CALLBACK', DIALOGUE_FORMS.CALLBACK, 82,
+    'Ask for a member of staff to phone back', FORM_KEYWORDS.CALLBACK),
+
+  {
+    name: 'BOOK_APPOINTMENT',
+    description: 'Book a new appointment',
+    priority: 80,
+    matchers: [(message) => {
+      if (!AIService.detectAppointmentIntent(message)) return null;
+      const { confidence, score, matches } = AIService.getLastBookingIntentResult();
+      const words = [...matches.phrases, ...matches.primaryKeywords, ...matches.actionVerbs];
+      return { score: confidence, reason: `booking score ${score}${words.length > 0 ? ` (${words.join(', ')})` : ''}` };
+    }],
+    respond: (message, context) => context.chat.startForm(context.sessionId, DIALOGUE_FORMS.BOOKING, message, context.conversation.context),
+  },
+
+  replyHandler('CANCEL', 70, 'Stop what the bot is doing',
+    whenTrue('cancel word', message => AIService.detectCancelIntent(message)), MESSAGES.BOOKING_CANCELLED),
+  replyHandler('HELP', 60, 'What the bot can do',
+    whenTrue('help word', message => AIService.detectHelpIntent(message)), MESSAGES.HELP_MESSAGE),
+  replyHandler('GREETING', 50, 'Hello',
+    whenTrue('greeting', message => AIService.detectGreetingIntent(message)), MESSAGES.WELCOME),
+
+  // A yes, no, date or time with nothing to confirm or book gets the menu
+  replyHandler('CONFIRM_YES', 40, 'Yes, outside a flow',
+    whenTrue('yes', message => /^(yes|yeah|yep|sure|ok|okay|confirm|y)$/i.test(message.trim())), MESSAGES.DEFAULT_RESPONSE),
+  replyHandler('CONFIRM_NO', 40, 'No, outside a flow',
+    whenTrue('no', message => /^(no|nope|nah|cancel|n)$/i.test(message.trim())), MESSAGES.DEFAULT_RESPONSE),
+  {
+    ...replyHandler('PROVIDE_DATE', 30, 'A date, outside a flow',
+      (message, context) => (context.slots.date ? { score: 1, reason: `date ${context.slots.date}` } : null), MESSAGES.DEFAULT_RESPONSE),
+    requiredSlots: ['date'],
+  },
+  {
+    ...replyHandler('PROVIDE_TIME', 25, 'A time, outside a flow',
+      (message, context) => (context.slots.time ? { score: 1, reason: `time ${context.slots.time}` } : null), MESSAGES.DEFAULT_RESPONSE),
+    requiredSlots: ['time'],
+  },
+
+  {
+    name: 'FAQ',
+    description: 'Answer from the FAQ knowledge base',
+    priority: 20,
+    matchers: [async (message, context) => {
+      await FaqService.refreshIfStale();
+      const faq = AIService.matchFAQ(message, { species: context.slots.species });
+      return faq && { score: faq.confidence, reason: `FAQ "${faq.key}" (confidence ${faq.confidence.toFixed(2)})` };
+    }],
+    respond: async (message, context) => {
+      await ScheduleService.refreshIfStale();
+      const faq = AIService.matchFAQ(message, { species: context.slots.species });
+      if (!faq) {
+        return context.reply(MESSAGES.DEFAULT_RESPONSE);
+      }
+      return context.reply(AIService.getFaqReply(faq));
+    },
+  },
+
+  {
+    name: 'UNKNOWN',
+    description: 'Fallback menu; hands over to staff when it keeps happening',
+    priority: 0,
+    matchers: [() => ({ score: 1, reason: 'fallback' })],
+    respond: (message, context) => {
+      // Hand over to staff rather than giving the same fallback reply again and again
+      if (AIService.countUnresolvedReplies(context.history) + 1 >= HANDOFF.UNRESOLVED_LIMIT) {
+        return context.chat.startHandoff(context.sessionId, HANDOFF_REASONS.UNRESOLVED, context.bookingState);
+      }
+      return context.reply(MESSAGES.DEFAULT_RESPONSE);
+    },
+  },
+];
+
+module.exports = {
+  slots,
+  handlers,
+};
@@ -0,0 +1,307 @@
+/**
+ * Intent Service
+ * Registry of the intents the chatbot understands; every chat message is routed through it
+ *
+ * An intent handler is an object:
+ *   { name, description, priority, matchers, requiredSlots, slotPrompts, interruptsFlows, respond }
+ * - matchers: functions (message, context), possibly async, that return false/null/0 when they do
+ *   not apply, or a score: true (1), a number up to 1, or { score, reason, slots }
+ * - priority: of the handlers with a matching matcher, the highest priority answers; the best
+ *   score decides between equal priorities
+ * - requiredSlots: slots (see registerSlot) the handler needs. When one is missing the owner is
+ *   asked for it (slotPrompts[slot], or the slot's own prompt) instead of calling respond
+ * - interruptsFlows: also answers while a booking, lookup or other flow is in progress
+ * - respond(message, context): async, returns the chat result. context holds sessionId,
+ *   conversation, bookingState, history, slots, chat (ChatService) and reply(text, extra), which
+ *   saves a plain bot reply and builds the result
+ * The built-in handlers and slots (intentHandlers.js) are registered when this module loads. Others
+ * can be added with register() or loaded from a plugin directory with loadPlugins().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConversationService = require('./conversationService');
+const { MESSAGES, BOOKING_STATES } = require('../config/constants');
+const builtIn = require('./intentHandlers');
+
+const handlers = new Map();
+const slots = new Map();
+
+/**
+ * Turn what a matcher returned into { score, reason, slots }, or null when it does not apply
+ */
+const normalizeMatch = (value, fallbackReason) => {
+  if (!value) return null;
+  if (value === true) return { score: 1, reason: fallbackReason, slots: {} };
+  if (typeof value === 'number') return { score: Math.min(value, 1), reason: fallbackReason, slots: {} };
+  if (!(value.score > 0)) return null;
+  return { score: Math.min(value.score, 1), reason: value.reason || fallbackReason, slots: value.slots || {} };
+};
+
+/**
+ * Describe a handler for listings (without its functions)
+ */
+const describeHandler = (handler) => ({
+  name: handler.name,
+  description: handler.description,
+  priority: handler.priority,
+  requiredSlots: handler.requiredSlots,
+  interruptsFlows: handler.interruptsFlows,
+  source: handler.source,
+});
+
+class IntentService {
+  // ======================
+  // Registry
+  // ======================
+
+  /**
+   * Add (or replace) an intent handler
+   * Throws when the handler is incomplete or needs a slot that is not registered
+   */
+  static register(handler, { source = 'runtime' } = {}) {
+    if (!handler || typeof handler.name !== 'string' || !handler.name.trim()) {
+      throw new Error('Intent handler must have a name');
+    }
+    if (typeof handler.priority !== 'number' || !Number.isFinite(handler.priority)) {
+      throw new Error(`Intent handler "${handler.name}" must have a numeric priority`);
+    }
+    if (!Array.isArray(handler.matchers) || handler.matchers.length === 0
+      || handler.matchers.some(matcher => typeof matcher !== 'function')) {
+      throw new Error(`Intent handler "${handler.name}" must have at least one matcher function`);
+    }
+    if (typeof handler.respond !== 'function') {
+      throw new Error(`Intent handler "${handler.name}" must have a respond(message, context) method`);
+    }
+
+    const requiredSlots = handler.requiredSlots || [];
+    const unknownSlot = requiredSlots.find(name => !slots.has(name));
+    if (unknownSlot) {
+      throw new Error(`Intent handler "${handler.name}" requires unknown slot "${unknownSlot}"`);
+    }
+
+    handlers.set(handler.name, {
+      description: '',
+      slotPrompts: {},
+      interruptsFlows: false,
+      ...handler,
+      requiredSlots,
+      source,
+    });
+  }
+
+  /**
+   * Remove an intent handler
+   */
+  static unregister(name) {
+    handlers.delete(name);
+  }
+
+  /**
+   * Get the registered handlers, highest priority first
+   */
+  static getHandlers() {
+    return [...handlers.values()]
+      .sort((a, b) => b.priority - a.priority)
+      .map(describeHandler);
+  }
+
+  /**
+   * Add (or replace) a slot: a piece of information taken from the message
+   * slot: { extract(message, context) -> value or null, prompt: question asked when it is missing }
+   */
+  static registerSlot(name, slot) {
+    if (!slot || typeof slot.extract !== 'function') {
+      throw new Error(`Slot "${name}" must have an extract(message, context) method`);
+    }
+    slots.set(name, { prompt: null, ...slot });
+  }
+
+  /**
+   * Get the names of the registered slots
+   */
+  static getSlots() {
+    return [...slots.keys()];
+  }
+
+  /**
+   * Load every .js file in a directory as a plugin
+   * A plugin exports a handler, a list of handlers, or a function that is called with
+   * { intents: IntentService } and returns either. A plugin that fails to load is reported
+   * and skipped; the others still load.
+   */
+  static async loadPlugins(directory) {
+    const files = (await fs.promises.readdir(directory))
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    const loaded = [];
+    const errors = [];
+
+    files.forEach((file) => {
+      try {
+        const exported = require(path.join(directory, file));
+        const result = typeof exported === 'function' ? exported({ intents: this }) : exported;
+        const pluginHandlers = Array.isArray(result) ? result : [result];
+        pluginHandlers.forEach(handler => this.register(handler, { source: file }));
+        loaded.push(...pluginHandlers.map(handler => handler.name));
+      } catch (error) {
+        console.error(`Error loading intent plugin ${file}:`, error);
+        errors.push({ file, error: error.message });
+      }
+    });
+
+    return { loaded, errors };
+  }
+
+  // ======================
+  // Routing
+  // ======================
+
+  /**
+   * Score a message against every handler
+   * Slots are extracted first so matchers can use them (context.slots). With interruptsOnly, only
+   * handlers that interrupt flows are tried (a flow is in progress).
+   * @returns {Object} { intent, priority, score, interruptsFlows, slots, missingSlots, results } where
+   *   results lists every handler tried, highest priority first, with its score and the reasons it matched
+   */
+  static async classify(message, context = {}, { interruptsOnly = false } = {}) {
+    const extracted = {};
+    for (const [name, slot] of slots) {
+      try {
+        const value = await slot.extract(message, context);
+        if (value !== null && value !== undefined) extracted[name] = value;
+      } catch (error) {
+        console.error(`Error extracting slot ${name}:`, error);
+      }
+    }
+
+    const candidates = [...handlers.values()]
+      .filter(handler => !interruptsOnly || handler.interruptsFlows)
+      .sort((a, b) => b.priority - a.priority);
+
+    const results = [];
+    for (const handler of candidates) {
+      const matchContext = { ...context, slots: extracted };
+      const reasons = [];
+      const handlerSlots = { ...extracted };
+      let score = 0;
+
+      for (const [index, matcher] of handler.matchers.entries()) {
+        try {
+          const match = normalizeMatch(await matcher(message, matchContext), matcher.name || `matcher ${index + 1}`);
+          if (match) {
+            score = Math.max(score, match.score);
+            reasons.push(match.reason);
+            Object.assign(handlerSlots, match.slots);
+          }
+        } catch (error) {
+          console.error(`Error in intent matcher for ${handler.name}:`, error);
+          reasons.push(`error: ${error.message}`);
+        }
+      }
+
+      results.push({
+        intent: handler.name,
+        priority: handler.priority,
+        score,
+        matched: score > 0,
+        reasons,
+        slots: handlerSlots,
+        missingSlots: handler.requiredSlots.filter(name => handlerSlots[name] === undefined),
+        interruptsFlows: handler.interruptsFlows,
+      });
+    }
+
+    const best = results
+      .filter(result => result.matched)
+      .sort((a, b) => b.priority - a.priority || b.score - a.score)[0];
+
+    return {
+      intent: best ? best.intent : null,
+      priority: best ? best.priority : null,
+      score: best ? best.score : 0,
+      interruptsFlows: best ? best.interruptsFlows : false,
+      slots: best ? best.slots : extracted,
+      missingSlots: best ? best.missingSlots : [],
+      results,
+    };
+  }
+
+  /**
+   * Answer a message with the best matching handler
+   * Pass the result of classify() when the message has already been classified
+   */
+  static async handle(message, context, classification = null) {
+    const result = classification || await this.classify(message, context);
+    const handler = result.intent && handlers.get(result.intent);
+
+    if (!handler) {
+      return context.reply(MESSAGES.DEFAULT_RESPONSE);
+    }
+
+    const [missingSlot] = result.missingSlots;
+    const prompt = missingSlot && (handler.slotPrompts[missingSlot] || (slots.get(missingSlot) || {}).prompt);
+    if (prompt) {
+      return context.reply(prompt, { intent: handler.name, missingSlots: result.missingSlots });
+    }
+
+    return handler.respond(message, { ...context, slots: result.slots, intent: result });
+  }
+
+  /**
+   * Show how a message would be routed, without answering it
+   * Every handler is scored. With a sessionId the chat's flow and history are taken into account:
+   * during a flow the message goes to the flow unless a handler that interrupts flows matches.
+   */
+  static async explain(message, { sessionId = null } = {}) {
+    try {
+      const context = { sessionId };
+      let flow = null;
+
+      if (sessionId) {
+        const conversationResult = await ConversationService.getConversation(sessionId);
+        if (!conversationResult.success) {
+          return { success: false, error: conversationResult.error };
+        }
+        if (!conversationResult.conversation) {
+          return { success: false, error: 'Chat session not found', code: 'NOT_FOUND' };
+        }
+
+        const { conversation } = conversationResult;
+        Object.assign(context, {
+          conversation,
+          bookingState: conversation.bookingState,
+          history: conversation.messages.slice(-10),
+        });
+        flow = conversation.bookingState.status !== BOOKING_STATES.IDLE ? conversation.bookingState.status : null;
+      }
+
+      const classification = await this.classify(message, context);
+      const interrupting = classification.results.find(result => result.matched && result.interruptsFlows);
+      let routedTo = classification.intent;
+      if (flow) {
+        routedTo = interrupting ? interrupting.intent : `flow:${flow}`;
+      }
+
+      return {
+        success: true,
+        explanation: {
+          message,
+          routedTo,
+          flow,
+          ...classification,
+        },
+      };
+    } catch (error) {
+      console.error('Error explaining intent:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Built-in slots and handlers
+Object.entries(builtIn.slots).forEach(([name, slot]) => IntentService.registerSlot(name, slot));
+builtIn.handlers.forEach(handler => IntentService.register(handler, { source: 'built-in' }));
+
+module.exports = IntentService;
@@ -0,0 +1,109 @@
+/**
+ * Job Service
+ * Runs registered background jobs on fixed intervals
+ *
+ * A job never overlaps with itself on one server; jobs that must not run twice across
+ * servers (e.g. sending a reminder) claim their work in the database.
+ */
+
+const jobs = new Map();
+
+class JobService {
+  /**
+   * Register a job that runs every intervalSeconds
+   * handler is an async function; its result is kept as the job's last result
+   */
+  static register(name, intervalSeconds, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Job "${name}" must have a handler function`);
+    }
+    if (!Number.isFinite(intervalSeconds) || intervalSeconds <= 0) {
+      throw new Error(`Job "${name}" must have a positive interval`);
+    }
+    if (jobs.has(name)) {
+      this.stop(name);
+    }
+
+    jobs.set(name, {
+      name,
+      intervalSeconds,
+      handler,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null,
+    });
+  }
+
+  /**
+   * Start running one job, or every registered job
+   */
+  static start(name = null) {
+    const targets = name ? [jobs.get(name)].filter(Boolean) : [...jobs.values()];
+
+    targets.forEach(job => {
+      if (job.timer) return;
+      job.timer = setInterval(() => this.run(job.name), job.intervalSeconds * 1000);
+      // Background jobs never keep the process alive on their own
+      job.timer.unref();
+    });
+  }
+
+  /**
+   * Stop running one job, or every registered job
+   */
+  static stop(name = null) {
+    const targets = name ? [jobs.get(name)].filter(Boolean) : [...jobs.values()];
+
+    targets.forEach(job => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+  }
+
+  /**
+   * Run a job now
+   * Skipped while a previous run of the same job is still in progress
+   */
+  static async run(name) {
+    const job = jobs.get(name);
+    if (!job) {
+      return { success: false, error: `Job "${name}" is not registered`, code: 'NOT_FOUND' };
+    }
+    if (job.running) {
+      return { success: false, error: `Job "${name}" is already running`, code: 'ALREADY_RUNNING' };
+    }
+
+    job.running = true;
+    try {
+      job.lastResult = await job.handler();
+      job.lastError = null;
+      return { success: true, result: job.lastResult };
+    } catch (error) {
+      console.error(`Error running job ${name}:`, error);
+      job.lastError = error.message;
+      return { success: false, error: error.message };
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  /**
+   * Get the state of every registered job
+   */
+  static getJobs() {
+    return [...jobs.values()].map(job => ({
+      name: job.name,
+      intervalSeconds: job.intervalSeconds,
+      active: Boolean(job.timer),
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastResult: job.lastResult,
+      lastError: job.lastError,
+    }));
+  }
+}
+
+module.exports = JobService;
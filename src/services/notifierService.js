@@ -0,0 +1,201 @@
+/**
+ * Notifier Service
+ * Sends owner notifications through pluggable channels
+ *
+ * A channel is any object with an async send(notification) method. It returns false when it does
+ * not apply to the recipient (e.g. no chat session) and throws when delivery fails.
+ * Notifications look like { event, recipient: { name, phone, email, sessionId }, subject, message, data }
+ * (subject is optional and only used by email). Console and chat channels are registered by default,
+ * a file channel when NOTIFICATION_LOG_FILE is set, an email channel when SMTP_HOST is set and an SMS
+ * channel when SMS_GATEWAY_URL is set; other channels can be added with register().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConversationService = require('./conversationService');
+const RealtimeService = require('./realtimeService');
+const { sendMail } = require('../utils/smtpClient');
+const { getNotificationLogFile, getSmtpConfig, getSmsGatewayConfig } = require('../config/notifications');
+
+const SMS_GATEWAY_TIMEOUT_MS = 10000;
+
+const channels = new Map();
+
+class NotifierService {
+  /**
+   * Add (or replace) a delivery channel
+   */
+  static register(name, channel) {
+    if (!channel || typeof channel.send !== 'function') {
+      throw new Error(`Notifier channel "${name}" must have a send(notification) method`);
+    }
+    channels.set(name, channel);
+  }
+
+  /**
+   * Remove a delivery channel
+   */
+  static unregister(name) {
+    channels.delete(name);
+  }
+
+  /**
+   * Get the names of the registered channels
+   */
+  static getChannels() {
+    return [...channels.keys()];
+  }
+
+  /**
+   * Send a notification through every channel, or only the named ones
+   * Each result has status 'sent', 'skipped' (channel does not apply) or 'failed';
+   * a failing channel is logged and does not stop the others
+   */
+  static async notify(notification, { channels: names = null } = {}) {
+    const targets = names
+      ? names.map(name => [name, channels.get(name)])
+      : [...channels.entries()];
+
+    const results = await Promise.all(targets.map(async ([name, channel]) => {
+      if (!channel) {
+        return { channel: name, status: 'failed', success: false, error: `Channel "${name}" is not registered` };
+      }
+      try {
+        const delivered = await channel.send(notification);
+        return delivered === false
+          ? { channel: name, status: 'skipped', success: false }
+          : { channel: name, status: 'sent', success: true };
+      } catch (error) {
+        console.error(`Error sending notification via ${name}:`, error);
+        return { channel: name, status: 'failed', success: false, error: error.message };
+      }
+    }));
+
+    return { success: results.some(result => result.success), results };
+  }
+
+  /**
+   * Create a channel that appends each notification to a file as one JSON line
+   * Useful for local testing and as an audit trail
+   */
+  static createFileChannel(filePath) {
+    return {
+      async send(notification) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const line = JSON.stringify({ sentAt: new Date().toISOString(), ...notification });
+        await fs.promises.appendFile(filePath, `${line}\n`);
+        return true;
+      },
+    };
+  }
+
+  /**
+   * Create a channel that emails owners who gave an address, through an SMTP server
+   * config: { host, port, secure, user, pass, from }
+   */
+  static createEmailChannel(config) {
+    return {
+      async send(notification) {
+        if (!notification.recipient.email) {
+          return false;
+        }
+        const name = notification.recipient.name ? notification.recipient.name.replace(/["<>]/g, '') : '';
+        await sendMail({
+          ...config,
+          to: name ? `"${name}" <${notification.recipient.email}>` : notification.recipient.email,
+          subject: notification.subject || 'A message from the clinic',
+          text: notification.message,
+        });
+        return true;
+      },
+    };
+  }
+
+  /**
+   * Create a channel that texts owners through an HTTP SMS gateway
+   * Each message is POSTed as JSON { to, from, message, event }; any non-2xx response is a failure
+   * config: { url, apiKey, from }
+   */
+  static createSmsChannel(config) {
+    return {
+      async send(notification) {
+        if (!notification.recipient.phone) {
+          return false;
+        }
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+          headers.Authorization = `Bearer ${config.apiKey}`;
+        }
+        const response = await fetch(config.url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            to: notification.recipient.phone,
+            from: config.from,
+            message: notification.message,
+            event: notification.event,
+          }),
+          signal: AbortSignal.timeout(SMS_GATEWAY_TIMEOUT_MS),
+        });
+        if (!response.ok) {
+          const body = await response.text().catch(() => '');
+          throw new Error(`SMS gateway responded ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+        }
+        return true;
+      },
+    };
+  }
+}
+
+// Logs notifications to the server console (development and auditing)
+NotifierService.register('console', {
+  async send(notification) {
+    console.log(`📣 [${notification.event}] ${notification.recipient.name || 'Owner'}: ${notification.message}`);
+    return true;
+  },
+});
+
+// Posts the message into the owner's chat conversation, when they came through the chatbot,
+// and pushes it to their widget if it is open
+NotifierService.register('chat', {
+  async send(notification) {
+    const { sessionId } = notification.recipient;
+    if (!sessionId) {
+      return false;
+    }
+    const result = await ConversationService.addMessage(sessionId, 'bot', notification.message);
+    if (!result.success) {
+      // A conversation that no longer exists cannot be retried into existence
+      if (result.error === 'Conversation not found') {
+        return false;
+      }
+      throw new Error(result.error || 'Could not post to the conversation');
+    }
+    RealtimeService.publishToSession(sessionId, 'message', {
+      response: notification.message,
+      requestId: null,
+      event: notification.event,
+    });
+    return true;
+  },
+});
+
+// Appends notifications to a JSON-lines file when NOTIFICATION_LOG_FILE is set
+const notificationLogFile = getNotificationLogFile();
+if (notificationLogFile) {
+  NotifierService.register('file', NotifierService.createFileChannel(path.resolve(notificationLogFile)));
+}
+
+// Emails owners when SMTP_HOST is set
+const smtpConfig = getSmtpConfig();
+if (smtpConfig) {
+  NotifierService.register('email', NotifierService.createEmailChannel(smtpConfig));
+}
+
+// Texts owners through an HTTP gateway when SMS_GATEWAY_URL is set
+const smsGatewayConfig = getSmsGatewayConfig();
+if (smsGatewayConfig) {
+  NotifierService.register('sms', NotifierService.createSmsChannel(smsGatewayConfig));
+}
+
+module.exports = NotifierService;
@@ -0,0 +1,649 @@
+/**
+ * Owner Service
+ * Owner and pet profiles: recognising returning owners, linking appointments and merging duplicates
+ *
+ * Owners are matched by SDK userId or by the digits of their phone number. Appointments are linked
+ * to a profile when they are booked; merge and deduplicate() clean up profiles that were created
+ * twice (e.g. the same owner booking under two names, or appointments made before profiles existed).
+ */
+
+const { Owner, Pet, Appointment, Vaccination, VisitRecord } = require('../models');
+const { PET_TYPES, PET_SEX } = require('../config/constants');
+const {
+  validateOwnerName,
+  validatePetName,
+  validatePetType,
+  validatePhone,
+  validateEmail,
+} = require('../utils/appointmentValidator');
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Escape text for use inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether two owner names plausibly belong to the same person (same first name, any case)
+ */
+const namesMatch = (a, b) => {
+  const firstName = (name) => String(name || '').trim().split(/\s+/)[0].toLowerCase();
+  return firstName(a) !== '' && firstName(a) === firstName(b);
+};
+
+class OwnerService {
+  /**
+   * Validate owner fields
+   */
+  static validateOwnerData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      errors.push(...validateOwnerName(data.name).map(error => ({ ...error, field: 'name' })));
+    }
+    if (!partial || data.phone !== undefined) {
+      errors.push(...validatePhone(data.phone));
+    }
+    if (data.email !== undefined) {
+      errors.push(...validateEmail(data.email));
+    }
+    if (data.userId !== undefined && data.userId !== null && typeof data.userId !== 'string') {
+      errors.push({ field: 'userId', message: 'userId must be a string', code: 'INVALID_TYPE' });
+    }
+    if (data.notes !== undefined && typeof data.notes !== 'string') {
+      errors.push({ field: 'notes', message: 'Notes must be a string', code: 'INVALID_TYPE' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate pet fields
+   */
+  static validatePetData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      errors.push(...validatePetName(data.name).map(error => ({ ...error, field: 'name' })));
+    }
+    if (data.species !== undefined) {
+      errors.push(...validatePetType(data.species).map(error => ({ ...error, field: 'species' })));
+    }
+    if (data.breed !== undefined && (typeof data.breed !== 'string' || data.breed.trim().length > 100)) {
+      errors.push({ field: 'breed', message: 'Breed must be text of at most 100 characters', code: 'INVALID_VALUE' });
+    }
+    if (data.birthdate !== undefined && data.birthdate !== null) {
+      const birthdate = new Date(data.birthdate);
+      if (isNaN(birthdate.getTime())) {
+        errors.push({ field: 'birthdate', message: 'Invalid birthdate. Use YYYY-MM-DD format.', code: 'INVALID_FORMAT' });
+      } else if (birthdate > new Date()) {
+        errors.push({ field: 'birthdate', message: 'Birthdate cannot be in the future', code: 'FUTURE_DATE' });
+      }
+    }
+    if (data.weight !== undefined && data.weight !== null && (typeof data.weight !== 'number' || !(data.weight > 0))) {
+      errors.push({ field: 'weight', message: 'Weight must be a positive number of kilograms', code: 'INVALID_VALUE' });
+    }
+    if (data.sex !== undefined && !PET_SEX.includes(data.sex)) {
+      errors.push({ field: 'sex', message: `Sex must be one of: ${PET_SEX.join(', ')}`, code: 'INVALID_VALUE' });
+    }
+    if (data.neutered !== undefined && data.neutered !== null && typeof data.neutered !== 'boolean') {
+      errors.push({ field: 'neutered', message: 'Neutered must be true, false or null', code: 'INVALID_TYPE' });
+    }
+    if (data.allergies !== undefined && (!Array.isArray(data.allergies) || data.allergies.some(allergy => typeof allergy !== 'string'))) {
+      errors.push({ field: 'allergies', message: 'Allergies must be a list of text', code: 'INVALID_TYPE' });
+    }
+    if (data.notes !== undefined && typeof data.notes !== 'string') {
+      errors.push({ field: 'notes', message: 'Notes must be a string', code: 'INVALID_TYPE' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find an owner by ID, SDK userId or phone (first match wins, oldest profile for a shared phone)
+   */
+  static async findOwner({ ownerId = null, userId = null, phone = null } = {}) {
+    if (ownerId && OBJECT_ID_REGEX.test(String(ownerId))) {
+      const owner = await Owner.findById(ownerId);
+      if (owner) return owner;
+    }
+    if (userId) {
+      const owner = await Owner.findOne({ userId }).sort({ createdAt: 1 });
+      if (owner) return owner;
+    }
+    const phoneKey = Owner.toPhoneKey(phone);
+    if (phoneKey.length >= 7) {
+      return Owner.findOne({ phoneKey }).sort({ createdAt: 1 });
+    }
+    return null;
+  }
+
+  /**
+   * Recognise a returning owner in the chat
+   * The userId must be one the website has vouched for (see ConversationService.getVerifiedUserId).
+   * A phone number alone is not enough: the name given must match too, so a stranger
+   * cannot learn someone's pets by typing their number
+   */
+  static async findReturningOwner({ userId = null, phone = null, name = null } = {}) {
+    try {
+      if (userId) {
+        const owner = await this.findOwner({ userId });
+        if (owner) return owner;
+      }
+      if (phone && name) {
+        const owner = await this.findOwner({ phone });
+        if (owner && namesMatch(owner.name, name)) return owner;
+      }
+      return null;
+    } catch (error) {
+      console.error('Error finding returning owner:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get an owner's pets, alphabetically
+   */
+  static getPetsForOwner(ownerId) {
+    if (!ownerId || !OBJECT_ID_REGEX.test(String(ownerId))) {
+      return Promise.resolve([]);
+    }
+    return Pet.find({ owner: ownerId }).sort({ name: 1 });
+  }
+
+  /**
+   * Load one of an owner's pets, or a failure result
+   */
+  static async getOwnedPet(ownerId, petId) {
+    if (!ownerId || !OBJECT_ID_REGEX.test(ownerId) || !petId || !OBJECT_ID_REGEX.test(petId)) {
+      return { success: false, error: 'Invalid owner or pet ID.', code: 'INVALID_ID' };
+    }
+
+    const pet = await Pet.findOne({ _id: petId, owner: ownerId });
+    if (!pet) {
+      return { success: false, error: 'Pet not found', code: 'NOT_FOUND' };
+    }
+    return { success: true, pet };
+  }
+
+  /**
+   * Find or create the owner and pet profiles for booking details
+   * A known petId wins; otherwise the owner is matched by ID, userId or phone and the pet by name.
+   * ownerId, petId and userId must come from staff or a verified chat user; an owner matched by
+   * phone alone is never given the booking's email or userId.
+   */
+  static async resolveProfile({ ownerId = null, petId = null, ownerName, phone, email = null, userId = null, petName, petType = null }) {
+    let pet = petId && OBJECT_ID_REGEX.test(String(petId)) ? await Pet.findById(petId) : null;
+    const trustedOwner = pet
+      ? await Owner.findById(pet.owner)
+      : await this.findOwner({ ownerId, userId });
+    let owner = trustedOwner || await this.findOwner({ phone });
+
+    if (!owner) {
+      owner = new Owner({
+        name: ownerName.trim(),
+        phone: phone.trim(),
+        phoneKey: Owner.toPhoneKey(phone),
+        email: email || null,
+        userId: userId || null,
+      });
+      await owner.save();
+    } else if (trustedOwner && ((email && !owner.email) || (userId && !owner.userId))) {
+      owner.email = owner.email || email;
+      owner.userId = owner.userId || userId;
+      await owner.save();
+    }
+
+    const species = PET_TYPES.includes(petType) ? petType : 'other';
+    if (!pet) {
+      pet = await Pet.findOne({
+        owner: owner._id,
+        name: new RegExp(`^${escapeRegex(petName.trim())}$`, 'i'),
+      });
+    }
+    if (!pet) {
+      pet = new Pet({ owner: owner._id, name: petName.trim(), species });
+      await pet.save();
+    } else if (pet.species === 'other' && species !== 'other') {
+      pet.species = species;
+      await pet.save();
+    }
+
+    return { owner, pet };
+  }
+
+  /**
+   * Point an appointment at its owner and pet profiles (the caller saves it)
+   * Failures are logged so a booking never fails over its profile
+   */
+  static async linkAppointment(appointment, { ownerId = null, petId = null } = {}) {
+    try {
+      const { owner, pet } = await this.resolveProfile({
+        ownerId,
+        petId,
+        ownerName: appointment.ownerName,
+        phone: appointment.phone,
+        email: appointment.email,
+        userId: appointment.context?.userId || null,
+        petName: appointment.petName,
+        petType: appointment.petType,
+      });
+      appointment.owner = owner._id;
+      appointment.pet = pet._id;
+    } catch (error) {
+      console.error('Error linking appointment to owner profile:', error);
+    }
+    return appointment;
+  }
+
+  /**
+   * List owners, optionally searching name, phone or email
+   */
+  static async getOwners({ search = null, page = 1, limit = 20 } = {}) {
+    try {
+      const query = {};
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+        const or = [{ name: pattern }, { email: pattern }];
+        const digits = Owner.toPhoneKey(search);
+        if (digits.length >= 3) {
+          or.push({ phoneKey: new RegExp(digits) });
+        }
+        query.$or = or;
+      }
+
+      const skip = (page - 1) * limit;
+      const [owners, total] = await Promise.all([
+        Owner.find(query)
+          .sort({ name: 1 })
+          .skip(skip)
+          .limit(limit)
+          .populate({ path: 'pets', select: 'name species breed', options: { sort: { name: 1 } } }),
+        Owner.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        owners,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting owners:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get an owner with their pets and recent appointments
+   */
+  static async getOwner(ownerId) {
+    try {
+      if (!ownerId || !OBJECT_ID_REGEX.test(ownerId)) {
+        return { success: false, error: 'Invalid owner ID.', code: 'INVALID_ID' };
+      }
+
+      const owner = await Owner.findById(ownerId)
+        .populate({ path: 'pets', options: { sort: { name: 1 } } });
+      if (!owner) {
+        return { success: false, error: 'Owner not found', code: 'NOT_FOUND' };
+      }
+
+      const appointments = await Appointment.find({ owner: owner._id })
+        .select('pet petName service scheduledDate scheduledTimeSlot status')
+        .sort({ scheduledDate: -1 })
+        .limit(20);
+
+      return { success: true, owner, appointments };
+    } catch (error) {
+      console.error('Error getting owner:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create an owner
+   * Refuses a second owner with the same phone number
+   */
+  static async createOwner(ownerData) {
+    try {
+      const errors = this.validateOwnerData(ownerData);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const phoneKey = Owner.toPhoneKey(ownerData.phone);
+      const existing = await Owner.findOne({ phoneKey });
+      if (existing) {
+        return {
+          success: false,
+          error: 'An owner with this phone number already exists.',
+          code: 'DUPLICATE_OWNER',
+          existingId: existing._id,
+        };
+      }
+
+      const owner = new Owner({
+        name: ownerData.name.trim(),
+        phone: ownerData.phone.trim(),
+        phoneKey,
+        email: ownerData.email ? ownerData.email.trim() : null,
+        userId: ownerData.userId || null,
+        notes: ownerData.notes || '',
+      });
+
+      await owner.save();
+      return { success: true, owner };
+    } catch (error) {
+      console.error('Error creating owner:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update an owner
+   */
+  static async updateOwner(ownerId, updateData) {
+    try {
+      if (!ownerId || !OBJECT_ID_REGEX.test(ownerId)) {
+        return { success: false, error: 'Invalid owner ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validateOwnerData(updateData, { partial: true });
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const owner = await Owner.findById(ownerId);
+      if (!owner) {
+        return { success: false, error: 'Owner not found', code: 'NOT_FOUND' };
+      }
+
+      ['name', 'phone', 'email', 'userId', 'notes'].forEach(field => {
+        if (updateData[field] !== undefined) {
+          owner[field] = typeof updateData[field] === 'string' ? updateData[field].trim() : updateData[field];
+        }
+      });
+      owner.phoneKey = Owner.toPhoneKey(owner.phone);
+
+      await owner.save();
+      return { success: true, owner };
+    } catch (error) {
+      console.error('Error updating owner:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pick the pet fields that can be set through the API
+   */
+  static pickPetFields(data) {
+    const fields = {};
+    ['name', 'species', 'breed', 'birthdate', 'weight', 'sex', 'neutered', 'allergies', 'notes'].forEach(field => {
+      if (data[field] === undefined) return;
+      if (field === 'allergies') {
+        fields.allergies = data.allergies.map(allergy => allergy.trim()).filter(Boolean);
+      } else if (field === 'birthdate') {
+        fields.birthdate = data.birthdate ? new Date(data.birthdate) : null;
+      } else {
+        fields[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Add a pet to an owner
+   */
+  static async addPet(ownerId, petData) {
+    try {
+      if (!ownerId || !OBJECT_ID_REGEX.test(ownerId)) {
+        return { success: false, error: 'Invalid owner ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validatePetData(petData);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const owner = await Owner.findById(ownerId);
+      if (!owner) {
+        return { success: false, error: 'Owner not found', code: 'NOT_FOUND' };
+      }
+
+      const pet = new Pet({ owner: owner._id, ...this.pickPetFields(petData) });
+      await pet.save();
+      return { success: true, pet };
+    } catch (error) {
+      console.error('Error adding pet:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update one of an owner's pets
+   */
+  static async updatePet(ownerId, petId, updateData) {
+    try {
+      if (!ownerId || !OBJECT_ID_REGEX.test(ownerId) || !petId || !OBJECT_ID_REGEX.test(petId)) {
+        return { success: false, error: 'Invalid owner or pet ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validatePetData(updateData, { partial: true });
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const pet = await Pet.findOne({ _id: petId, owner: ownerId });
+      if (!pet) {
+        return { success: false, error: 'Pet not found', code: 'NOT_FOUND' };
+      }
+
+      Object.assign(pet, this.pickPetFields(updateData));
+      await pet.save();
+      return { success: true, pet };
+    } catch (error) {
+      console.error('Error updating pet:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fold source pet records into a target pet
+   * The target keeps its own details and takes any the sources add; appointments, vaccinations and visit records follow
+   */
+  static async mergePetRecords(target, sources) {
+    if (sources.length === 0) {
+      return target;
+    }
+    const sourceIds = sources.map(source => source._id);
+
+    sources.forEach(source => {
+      if (target.species === 'other' && source.species !== 'other') target.species = source.species;
+      if (!target.breed && source.breed) target.breed = source.breed;
+      if (!target.birthdate && source.birthdate) target.birthdate = source.birthdate;
+      if (target.weight === null && source.weight !== null) target.weight = source.weight;
+      if (target.sex === 'unknown' && source.sex !== 'unknown') target.sex = source.sex;
+      if (target.neutered === null && source.neutered !== null) target.neutered = source.neutered;
+      const known = new Set(target.allergies.map(allergy => allergy.toLowerCase()));
+      source.allergies.forEach(allergy => {
+        if (!known.has(allergy.toLowerCase())) {
+          target.allergies.push(allergy);
+          known.add(allergy.toLowerCase());
+        }
+      });
+      if (source.notes && !target.notes.includes(source.notes)) {
+        target.notes = target.notes ? `${target.notes}\n${source.notes}` : source.notes;
+      }
+    });
+
+    await target.save();
+    await Appointment.updateMany({ pet: { $in: sourceIds } }, { $set: { pet: target._id } });
+    await Vaccination.updateMany({ pet: { $in: sourceIds } }, { $set: { pet: target._id } });
+    await VisitRecord.updateMany({ pet: { $in: sourceIds } }, { $set: { pet: target._id } });
+    await Pet.deleteMany({ _id: { $in: sourceIds } });
+    return target;
+  }
+
+  /**
+   * Merge an owner's pets that share a name (any case); the oldest record is kept
+   * Returns the number of pet records merged away
+   */
+  static async mergeSameNamePets(ownerId) {
+    const pets = await Pet.find({ owner: ownerId }).sort({ createdAt: 1 });
+    const byName = new Map();
+    pets.forEach(pet => {
+      const key = pet.name.trim().toLowerCase();
+      byName.set(key, [...(byName.get(key) || []), pet]);
+    });
+
+    let merged = 0;
+    for (const [, group] of byName) {
+      if (group.length > 1) {
+        await this.mergePetRecords(group[0], group.slice(1));
+        merged += group.length - 1;
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Merge duplicate owners into one
+   * Pets and appointments move to the target; pets that end up sharing a name are merged too
+   */
+  static async mergeOwners(targetId, sourceIds) {
+    try {
+      const ids = [...new Set((Array.isArray(sourceIds) ? sourceIds : []).map(String))].filter(id => id !== String(targetId));
+      if (!targetId || !OBJECT_ID_REGEX.test(String(targetId)) || ids.length === 0 || ids.some(id => !OBJECT_ID_REGEX.test(id))) {
+        return { success: false, error: 'Provide a targetId and at least one other owner ID in sourceIds.', code: 'INVALID_ID' };
+      }
+
+      const target = await Owner.findById(targetId);
+      const sources = await Owner.find({ _id: { $in: ids } });
+      if (!target || sources.length !== ids.length) {
+        return { success: false, error: 'Owner not found', code: 'NOT_FOUND' };
+      }
+
+      sources.forEach(source => {
+        if (!target.email && source.email) target.email = source.email;
+        if (!target.userId && source.userId) target.userId = source.userId;
+        if (source.notes && !target.notes.includes(source.notes)) {
+          target.notes = target.notes ? `${target.notes}\n${source.notes}` : source.notes;
+        }
+      });
+      await target.save();
+
+      await Pet.updateMany({ owner: { $in: ids } }, { $set: { owner: target._id } });
+      await Appointment.updateMany({ owner: { $in: ids } }, { $set: { owner: target._id } });
+      await VisitRecord.updateMany({ owner: { $in: ids } }, { $set: { owner: target._id } });
+      await Owner.deleteMany({ _id: { $in: ids } });
+      const mergedPets = await this.mergeSameNamePets(target._id);
+
+      await target.populate({ path: 'pets', options: { sort: { name: 1 } } });
+      return { success: true, owner: target, mergedOwners: ids.length, mergedPets };
+    } catch (error) {
+      console.error('Error merging owners:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Merge duplicate pets of one owner into one
+   */
+  static async mergePets(ownerId, targetId, sourceIds) {
+    try {
+      const ids = [...new Set((Array.isArray(sourceIds) ? sourceIds : []).map(String))].filter(id => id !== String(targetId));
+      if (
+        !ownerId || !OBJECT_ID_REGEX.test(ownerId) ||
+        !targetId || !OBJECT_ID_REGEX.test(String(targetId)) ||
+        ids.length === 0 || ids.some(id => !OBJECT_ID_REGEX.test(id))
+      ) {
+        return { success: false, error: 'Provide a targetId and at least one other pet ID in sourceIds.', code: 'INVALID_ID' };
+      }
+
+      const target = await Pet.findOne({ _id: targetId, owner: ownerId });
+      const sources = await Pet.find({ _id: { $in: ids }, owner: ownerId });
+      if (!target || sources.length !== ids.length) {
+        return { success: false, error: 'Pet not found for this owner', code: 'NOT_FOUND' };
+      }
+
+      const pet = await this.mergePetRecords(target, sources);
+      return { success: true, pet, mergedPets: ids.length };
+    } catch (error) {
+      console.error('Error merging pets:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Clean up profiles left by existing data
+   * Links appointments booked before profiles existed, then merges owners sharing a phone
+   * number and pets of one owner sharing a name (the oldest record is kept each time)
+   */
+  static async deduplicate() {
+    try {
+      let linkedAppointments = 0;
+      const unlinked = Appointment.find({ owner: null }).select('ownerName phone email context petName petType').cursor();
+      for await (const appointment of unlinked) {
+        await this.linkAppointment(appointment);
+        if (appointment.owner) {
+          await Appointment.updateOne({ _id: appointment._id }, { $set: { owner: appointment.owner, pet: appointment.pet } });
+          await VisitRecord.updateMany({ appointment: appointment._id }, { $set: { owner: appointment.owner, pet: appointment.pet } });
+          linkedAppointments++;
+        }
+      }
+
+      let mergedOwners = 0;
+      let mergedPets = 0;
+      const ownerGroups = await Owner.aggregate([
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: '$phoneKey', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+      ]);
+      for (const group of ownerGroups) {
+        const result = await this.mergeOwners(group.ids[0], group.ids.slice(1));
+        if (result.success) {
+          mergedOwners += result.mergedOwners;
+          mergedPets += result.mergedPets;
+        }
+      }
+
+      const petGroups = await Pet.aggregate([
+        { $group: { _id: { owner: '$owner', name: { $toLower: '$name' } }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+      ]);
+      const ownerIds = [...new Set(petGroups.map(group => String(group._id.owner)))];
+      for (const ownerId of ownerIds) {
+        mergedPets += await this.mergeSameNamePets(ownerId);
+      }
+
+      return { success: true, linkedAppointments, mergedOwners, mergedPets };
+    } catch (error) {
+      console.error('Error deduplicating owners:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = OwnerService;
@@ -0,0 +1,319 @@
+/**
+ * Provider Service
+ * Handles clinicians (vets, groomers, techs), their services and working hours
+ */
+
+const { Provider, Appointment } = require('../models');
+const { PROVIDER_ROLES, SERVICES, VALIDATION } = require('../config/constants');
+const ScheduleService = require('./scheduleService');
+const { timeToMinutes, minutesToTime, intersectWindows } = require('../utils/scheduleUtils');
+const { toDateKey, startOfClinicDay, getClinicDayOfWeek } = require('../utils/timezoneUtils');
+
+class ProviderService {
+  /**
+   * Validate provider input
+   */
+  static validateProviderData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (name.length < VALIDATION.NAME_MIN_LENGTH || name.length > VALIDATION.NAME_MAX_LENGTH) {
+        errors.push({ field: 'name', message: `Name must be between ${VALIDATION.NAME_MIN_LENGTH} and ${VALIDATION.NAME_MAX_LENGTH} characters`, code: 'INVALID_LENGTH' });
+      }
+    }
+
+    if (data.role !== undefined && !Object.values(PROVIDER_ROLES).includes(data.role)) {
+      errors.push({ field: 'role', message: `Role must be one of: ${Object.values(PROVIDER_ROLES).join(', ')}`, code: 'INVALID_VALUE' });
+    }
+
+    if (data.services !== undefined) {
+      const validServices = SERVICES.map(s => s.id);
+      if (!Array.isArray(data.services) || data.services.some(s => !validServices.includes(s))) {
+        errors.push({ field: 'services', message: `Services must be a list of: ${validServices.join(', ')}`, code: 'INVALID_VALUE' });
+      }
+    }
+
+    if (data.workingHours !== undefined) {
+      if (!Array.isArray(data.workingHours)) {
+        errors.push({ field: 'workingHours', message: 'Working hours must be a list', code: 'INVALID_FORMAT' });
+      } else {
+        data.workingHours.forEach((hours, index) => {
+          const error = this.validateWorkingHours(hours);
+          if (error) {
+            errors.push({ field: `workingHours[${index}]`, message: error, code: 'INVALID_FORMAT' });
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a single working hours entry, returning an error message or null
+   */
+  static validateWorkingHours(hours) {
+    if (!hours || !Number.isInteger(hours.dayOfWeek) || hours.dayOfWeek < 0 || hours.dayOfWeek > 6) {
+      return 'dayOfWeek must be a number from 0 (Sunday) to 6 (Saturday)';
+    }
+    return ScheduleService.validateHours(hours);
+  }
+
+  /**
+   * Get the windows a provider can see patients on a date (minutes since midnight)
+   * Providers without working hours follow clinic hours; hours are always clipped to the clinic
+   * schedule, so nobody is bookable on a closure
+   */
+  static getWorkingWindows(provider, date) {
+    const clinicWindows = ScheduleService.getOperatingWindows(date);
+    if (!provider.workingHours || provider.workingHours.length === 0) {
+      return clinicWindows;
+    }
+
+    const dayOfWeek = getClinicDayOfWeek(date);
+    const windows = [];
+    provider.workingHours
+      .filter(hours => hours.dayOfWeek === dayOfWeek)
+      .forEach(hours => {
+        const start = timeToMinutes(hours.start);
+        const end = timeToMinutes(hours.end);
+        if (hours.breakStart && hours.breakEnd) {
+          windows.push({ start, end: timeToMinutes(hours.breakStart) });
+          windows.push({ start: timeToMinutes(hours.breakEnd), end });
+        } else {
+          windows.push({ start, end });
+        }
+      });
+
+    return intersectWindows(windows, clinicWindows);
+  }
+
+  /**
+   * Check whether a provider performs a service (no services listed = all services)
+   */
+  static offersService(provider, service) {
+    return !service || !provider.services || provider.services.length === 0 || provider.services.includes(service);
+  }
+
+  /**
+   * Get active providers able to take a service, optionally limited to one provider
+   */
+  static async getBookableProviders({ service = null, providerId = null } = {}) {
+    const providers = await Provider.getActive();
+    return providers.filter(provider =>
+      this.offersService(provider, service) &&
+      (!providerId || provider._id.toString() === providerId.toString())
+    );
+  }
+
+  /**
+   * Check that a requested provider exists, is active and performs the service
+   */
+  static async checkBookableProvider(providerId, service = null) {
+    if (!/^[0-9a-fA-F]{24}$/.test(String(providerId))) {
+      return { success: false, error: 'Invalid provider ID format.', code: 'INVALID_PROVIDER' };
+    }
+
+    const provider = await Provider.findById(providerId);
+    if (!provider || !provider.isActive) {
+      return { success: false, error: 'The requested provider was not found.', code: 'PROVIDER_NOT_FOUND' };
+    }
+
+    if (!this.offersService(provider, service)) {
+      const serviceInfo = SERVICES.find(s => s.id === service);
+      return {
+        success: false,
+        error: `${provider.displayName} does not offer ${serviceInfo ? serviceInfo.name : service}.`,
+        code: 'SERVICE_NOT_OFFERED',
+      };
+    }
+
+    return { success: true, provider };
+  }
+
+  /**
+   * Find a provider mentioned in free text (e.g. "with Dr. Patel", "Anita Patel")
+   */
+  static async findProviderInText(text) {
+    try {
+      if (!text) return null;
+      const lowerText = text.toLowerCase();
+      const providers = await Provider.getActive();
+
+      let bestMatch = null;
+      let bestLength = 0;
+
+      providers.forEach(provider => {
+        const nameParts = provider.name.toLowerCase().split(/\s+/).filter(part => part.length >= 3);
+        const title = provider.title ? provider.title.toLowerCase().replace(/\./g, '') : '';
+        const patterns = [escapeRegex(provider.name.toLowerCase())];
+
+        nameParts.forEach(part => {
+          if (title) patterns.push(`${escapeRegex(title)}\\.?\\s+${escapeRegex(part)}`);
+          patterns.push(`with\\s+${escapeRegex(part)}`);
+        });
+
+        patterns.forEach(pattern => {
+          const match = lowerText.match(new RegExp(`\\b${pattern}\\b`));
+          if (match && match[0].length > bestLength) {
+            bestMatch = provider;
+            bestLength = match[0].length;
+          }
+        });
+      });
+
+      return bestMatch;
+    } catch (error) {
+      console.error('Error finding provider in text:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get active providers, optionally limited to a service
+   */
+  static async getProviders(service = null) {
+    try {
+      const providers = await Provider.getActive(service);
+      return { success: true, providers };
+    } catch (error) {
+      console.error('Error getting providers:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get provider by ID
+   */
+  static async getProvider(providerId) {
+    try {
+      if (!providerId || !/^[0-9a-fA-F]{24}$/.test(providerId)) {
+        return { success: false, error: 'Invalid provider ID.', code: 'INVALID_ID' };
+      }
+
+      const provider = await Provider.findById(providerId);
+      if (!provider) {
+        return { success: false, error: 'Provider not found', code: 'NOT_FOUND' };
+      }
+      return { success: true, provider };
+    } catch (error) {
+      console.error('Error getting provider:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a provider
+   */
+  static async createProvider(providerData) {
+    try {
+      const errors = this.validateProviderData(providerData);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const provider = new Provider({
+        name: providerData.name.trim(),
+        title: providerData.title ? String(providerData.title).trim() : '',
+        role: providerData.role || PROVIDER_ROLES.VET,
+        services: providerData.services || [],
+        workingHours: providerData.workingHours || [],
+        userId: providerData.userId || null,
+      });
+
+      await provider.save();
+      return { success: true, provider };
+    } catch (error) {
+      console.error('Error creating provider:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a provider
+   */
+  static async updateProvider(providerId, updateData) {
+    try {
+      if (!providerId || !/^[0-9a-fA-F]{24}$/.test(providerId)) {
+        return { success: false, error: 'Invalid provider ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validateProviderData(updateData, { partial: true });
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const provider = await Provider.findById(providerId);
+      if (!provider) {
+        return { success: false, error: 'Provider not found', code: 'NOT_FOUND' };
+      }
+
+      ['name', 'title', 'role', 'services', 'workingHours', 'userId', 'isActive'].forEach(field => {
+        if (updateData[field] !== undefined) {
+          provider[field] = typeof updateData[field] === 'string' ? updateData[field].trim() : updateData[field];
+        }
+      });
+
+      await provider.save();
+      return { success: true, provider };
+    } catch (error) {
+      console.error('Error updating provider:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Deactivate a provider
+   * Providers are kept so past appointments still reference them
+   */
+  static async deactivateProvider(providerId) {
+    return this.updateProvider(providerId, { isActive: false });
+  }
+
+  /**
+   * Get a provider's appointments for a date
+   */
+  static async getProviderCalendar(providerId, date = new Date()) {
+    try {
+      const providerResult = await this.getProvider(providerId);
+      if (!providerResult.success) {
+        return providerResult;
+      }
+
+      const { provider } = providerResult;
+      const appointments = await Appointment.getByDate(date, provider._id);
+
+      return {
+        success: true,
+        provider,
+        date: toDateKey(startOfClinicDay(date)),
+        workingWindows: this.getWorkingWindows(provider, date).map(window => ({
+          start: minutesToTime(window.start),
+          end: minutesToTime(window.end),
+        })),
+        appointments,
+      };
+    } catch (error) {
+      console.error('Error getting provider calendar:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = ProviderService;
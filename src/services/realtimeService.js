@@ -0,0 +1,154 @@
+/**
+ * Realtime Service
+ * Server-Sent Events streams for chat sessions and staff dashboards
+ *
+ * Each open stream joins a channel: "session:<sessionId>" for a chat widget or "staff" for
+ * dashboards. Publishing writes the event to every stream on the channel. Streams are held in
+ * memory, so an event only reaches clients connected to the server that published it.
+ */
+
+const { REALTIME } = require('../config/constants');
+
+const STAFF_CHANNEL = 'staff';
+
+// channel -> Set of { res, filter }
+const channels = new Map();
+let clientCount = 0;
+let nextEventId = 1;
+let heartbeat = null;
+
+/**
+ * Format one SSE frame
+ */
+const formatEvent = (id, event, data) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Keep idle streams open while any are connected
+ */
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    channels.forEach(clients => clients.forEach(client => client.res.write(': ping\n\n')));
+  }, REALTIME.HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+};
+
+const stopHeartbeat = () => {
+  if (heartbeat && clientCount === 0) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+class RealtimeService {
+  /**
+   * Get the channel of a chat session
+   */
+  static sessionChannel(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  /**
+   * Check whether a channel has any open streams on this server
+   */
+  static hasSubscribers(channel) {
+    return channels.has(channel) && channels.get(channel).size > 0;
+  }
+
+  /**
+   * Check an event name against subscription patterns ("appointment.*" matches every appointment event)
+   */
+  static matchesEvents(patterns, event) {
+    return patterns.some(pattern => (pattern.endsWith('.*')
+      ? event.startsWith(pattern.slice(0, -1))
+      : pattern === event || pattern === '*'));
+  }
+
+  /**
+   * Turn an HTTP response into an event stream on a channel
+   * filter(event) limits which published events the stream receives. The stream starts with a
+   * "ready" event and is dropped when the client disconnects.
+   */
+  static open(res, channel, { filter = null, ready = {} } = {}) {
+    if (clientCount >= REALTIME.MAX_CLIENTS) {
+      return { success: false, error: 'Too many open streams. Please try again shortly.', code: 'TOO_MANY_STREAMS' };
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx and similar proxies from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${REALTIME.RETRY_MS}\n\n`);
+
+    const client = { res, filter };
+    if (!channels.has(channel)) {
+      channels.set(channel, new Set());
+    }
+    channels.get(channel).add(client);
+    clientCount++;
+    startHeartbeat();
+
+    res.on('close', () => {
+      const clients = channels.get(channel);
+      if (clients && clients.delete(client)) {
+        clientCount--;
+        if (clients.size === 0) channels.delete(channel);
+      }
+      stopHeartbeat();
+    });
+
+    res.write(formatEvent(nextEventId++, 'ready', { channel, ...ready }));
+    return { success: true };
+  }
+
+  /**
+   * Send an event to every stream on a channel; returns how many received it
+   */
+  static publish(channel, event, data) {
+    const clients = channels.get(channel);
+    if (!clients) {
+      return 0;
+    }
+
+    const frame = formatEvent(nextEventId++, event, data);
+    let delivered = 0;
+    clients.forEach((client) => {
+      if (!client.filter || client.filter(event)) {
+        client.res.write(frame);
+        delivered++;
+      }
+    });
+    return delivered;
+  }
+
+  /**
+   * Send an event to a chat session's widget
+   */
+  static publishToSession(sessionId, event, data) {
+    return this.publish(this.sessionChannel(sessionId), event, data);
+  }
+
+  /**
+   * Send an appointment or conversation event to staff dashboards
+   * payload is the webhook payload ({ id, event, createdAt, data })
+   */
+  static publishStaffEvent(payload) {
+    return this.publish(STAFF_CHANNEL, payload.event, payload);
+  }
+
+  /**
+   * Open a staff stream that receives the events matching the given patterns
+   */
+  static openStaffStream(res, patterns = REALTIME.DEFAULT_STAFF_EVENTS) {
+    return this.open(res, STAFF_CHANNEL, {
+      filter: event => this.matchesEvents(patterns, event),
+      ready: { events: patterns },
+    });
+  }
+}
+
+module.exports = RealtimeService;
@@ -0,0 +1,374 @@
+/**
+ * Reminder Service
+ * Sends reminders ahead of confirmed appointments
+ *
+ * Each run creates the reminders that have come due (a lead time before the appointment starts)
+ * and sends them through the notifier. A reminder is unique per appointment, lead time and start
+ * time, and a server claims it before sending, so several servers can run the job without
+ * reminding anyone twice. Channels that fail are retried with backoff; every attempt is recorded.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { Appointment, Reminder } = require('../models');
+const { REMINDERS, REMINDER_STATUS, APPOINTMENT_STATUS, SERVICES } = require('../config/constants');
+const { getReminderLeadMinutes, getReminderChannels } = require('../config/notifications');
+const AppointmentService = require('./appointmentService');
+const NotifierService = require('./notifierService');
+const { renderTemplate } = require('../utils/templateUtils');
+const {
+  toDateKey,
+  startOfClinicDay,
+  addClinicDays,
+  getClinicDateTime,
+  formatClinicDate,
+} = require('../utils/timezoneUtils');
+
+// Identifies this server in claims and delivery attempts
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class ReminderService {
+  /**
+   * Get the ID this server records on claims and attempts
+   */
+  static getInstanceId() {
+    return INSTANCE_ID;
+  }
+
+  /**
+   * Describe how far away an appointment is ("in 2 hours", "in 45 minutes")
+   */
+  static formatTimeUntil(minutes) {
+    if (minutes >= 90) {
+      const hours = Math.round(minutes / 60);
+      return `in ${hours} hours`;
+    }
+    if (minutes >= 60) {
+      return 'in 1 hour';
+    }
+    const rounded = Math.max(Math.round(minutes), 1);
+    return `in ${rounded} minute${rounded === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Describe the appointment day relative to now ("today", "tomorrow", "on Friday")
+   */
+  static formatDay(startsAt, now) {
+    const dayKey = toDateKey(startsAt);
+    if (dayKey === toDateKey(now)) return 'today';
+    if (dayKey === toDateKey(addClinicDays(now, 1))) return 'tomorrow';
+    return `on ${formatClinicDate(startsAt, { weekday: 'long' })}`;
+  }
+
+  /**
+   * Render the reminder text for an appointment
+   * Uses the template for the lead time, or the default template
+   */
+  static renderMessage(appointment, leadMinutes, startsAt, now = new Date()) {
+    const template = REMINDERS.TEMPLATES[leadMinutes] || REMINDERS.TEMPLATES.default;
+    const serviceInfo = SERVICES.find(s => s.id === appointment.service);
+    const [hours, minutes] = appointment.scheduledTimeSlot.split(':').map(Number);
+    const providerName = appointment.provider && appointment.provider.name ? appointment.provider.name : '';
+
+    return renderTemplate(template, {
+      ownerName: appointment.ownerName,
+      petName: appointment.petName,
+      serviceName: serviceInfo ? serviceInfo.name : appointment.service,
+      date: formatClinicDate(startsAt, { weekday: 'long', month: 'long', day: 'numeric' }),
+      time: AppointmentService.formatTimeDisplay(hours, minutes),
+      day: this.formatDay(startsAt, now),
+      timeUntil: this.formatTimeUntil((startsAt - now) / 60000),
+      providerName,
+      providerText: providerName ? ` with ${providerName}` : '',
+    });
+  }
+
+  /**
+   * Pick the lead time to remind at now, or null when none is due
+   * Lead times the appointment was booked inside are skipped, then the nearest due one is used, so
+   * an appointment booked 3 hours ahead gets its 2-hour reminder but never a late 24-hour one
+   */
+  static pickDueLead(leadMinutes, startsAt, bookedAt, now = new Date()) {
+    const minutesLeft = (startsAt - now) / 60000;
+    const bookedAhead = bookedAt ? (startsAt - bookedAt) / 60000 : Infinity;
+    const due = leadMinutes.filter(lead => lead <= bookedAhead && minutesLeft > 0 && minutesLeft <= lead);
+    return due.length > 0 ? Math.min(...due) : null;
+  }
+
+  /**
+   * Create reminders for confirmed appointments that have entered a lead time (see pickDueLead)
+   */
+  static async createDueReminders(now = new Date()) {
+    const leadMinutes = getReminderLeadMinutes();
+    if (leadMinutes.length === 0) {
+      return 0;
+    }
+
+    const horizon = new Date(now.getTime() + leadMinutes[0] * 60000);
+    const appointments = await Appointment.find({
+      status: APPOINTMENT_STATUS.CONFIRMED,
+      scheduledDate: { $gte: startOfClinicDay(now), $lte: startOfClinicDay(horizon) },
+      scheduledTimeSlot: { $ne: null },
+    }).select('scheduledDate scheduledTimeSlot createdAt');
+
+    let created = 0;
+    for (const appointment of appointments) {
+      const startsAt = getClinicDateTime(appointment.scheduledDate, appointment.scheduledTimeSlot);
+      const lead = this.pickDueLead(leadMinutes, startsAt, appointment.createdAt, now);
+      if (lead === null) continue;
+
+      try {
+        const result = await Reminder.updateOne(
+          { appointment: appointment._id, leadMinutes: lead, scheduledFor: startsAt },
+          { $setOnInsert: { status: REMINDER_STATUS.PENDING, nextAttemptAt: now } },
+          { upsert: true }
+        );
+        created += result.upsertedCount || 0;
+      } catch (error) {
+        // Another server created the same reminder at the same moment
+        if (error.code !== DUPLICATE_KEY_ERROR) {
+          throw error;
+        }
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Claim the next pending reminder that is due, or null when there is none
+   * A claim lapses after REMINDERS.CLAIM_MINUTES so a crashed server does not strand it
+   */
+  static claimNextReminder(now = new Date()) {
+    return Reminder.findOneAndUpdate(
+      {
+        status: REMINDER_STATUS.PENDING,
+        nextAttemptAt: { $lte: now },
+        $or: [{ claimedUntil: null }, { claimedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          claimedBy: INSTANCE_ID,
+          claimedUntil: new Date(now.getTime() + REMINDERS.CLAIM_MINUTES * 60000),
+        },
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Send a claimed reminder through the channels that have not delivered it yet
+   * Returns the reminder's new status
+   */
+  static async sendReminder(reminder, now = new Date()) {
+    const appointment = await Appointment.findById(reminder.appointment).populate('provider', 'name');
+    const startsAt = appointment && appointment.scheduledDate && appointment.scheduledTimeSlot
+      ? getClinicDateTime(appointment.scheduledDate, appointment.scheduledTimeSlot)
+      : null;
+
+    // Cancelled, unconfirmed, moved or already started since the reminder was created
+    if (
+      !startsAt ||
+      appointment.status !== APPOINTMENT_STATUS.CONFIRMED ||
+      startsAt.getTime() !== reminder.scheduledFor.getTime() ||
+      startsAt <= now
+    ) {
+      await Reminder.updateOne(
+        { _id: reminder._id, claimedBy: INSTANCE_ID },
+        { $set: { status: REMINDER_STATUS.CANCELLED, claimedBy: null, claimedUntil: null } }
+      );
+      return REMINDER_STATUS.CANCELLED;
+    }
+
+    const message = this.renderMessage(appointment, reminder.leadMinutes, startsAt, now);
+    const channels = (getReminderChannels() || NotifierService.getChannels())
+      .filter(name => !reminder.deliveredChannels.includes(name));
+
+    const { results } = await NotifierService.notify({
+      event: 'appointment.reminder',
+      recipient: {
+        name: appointment.ownerName,
+        phone: appointment.phone,
+        email: appointment.email || null,
+        sessionId: appointment.sessionId || null,
+      },
+      message,
+      data: {
+        appointmentId: appointment._id,
+        leadMinutes: reminder.leadMinutes,
+        startsAt,
+      },
+    }, { channels });
+
+    const deliveredChannels = [
+      ...reminder.deliveredChannels,
+      ...results.filter(result => result.status === 'sent').map(result => result.channel),
+    ];
+    const failed = results.some(result => result.status === 'failed');
+    const attemptCount = reminder.attempts.length + 1;
+
+    let status = REMINDER_STATUS.PENDING;
+    let nextAttemptAt = reminder.nextAttemptAt;
+    if (!failed) {
+      status = deliveredChannels.length > 0 ? REMINDER_STATUS.SENT : REMINDER_STATUS.FAILED;
+    } else if (attemptCount >= REMINDERS.MAX_ATTEMPTS) {
+      status = REMINDER_STATUS.FAILED;
+    } else {
+      const delayMinutes = REMINDERS.RETRY_DELAY_MINUTES * 2 ** (attemptCount - 1);
+      nextAttemptAt = new Date(now.getTime() + delayMinutes * 60000);
+    }
+
+    await Reminder.updateOne(
+      { _id: reminder._id, claimedBy: INSTANCE_ID },
+      {
+        $set: {
+          status,
+          message,
+          deliveredChannels,
+          nextAttemptAt,
+          claimedBy: null,
+          claimedUntil: null,
+          sentAt: status === REMINDER_STATUS.SENT ? now : null,
+        },
+        $push: {
+          attempts: {
+            at: now,
+            instanceId: INSTANCE_ID,
+            results: results.map(({ channel, status: channelStatus, error }) => ({ channel, status: channelStatus, error })),
+          },
+        },
+      }
+    );
+
+    if (deliveredChannels.length > 0 && !appointment.reminderSent) {
+      await Appointment.updateOne({ _id: appointment._id }, { $set: { reminderSent: true } });
+    }
+
+    return status;
+  }
+
+  /**
+   * Create due reminders and send every reminder that is due
+   * Runs periodically as a background job
+   */
+  static async processReminders() {
+    try {
+      const created = await this.createDueReminders();
+      const counts = { sent: 0, retrying: 0, failed: 0, cancelled: 0 };
+
+      let reminder = await this.claimNextReminder();
+      while (reminder) {
+        try {
+          const status = await this.sendReminder(reminder);
+          if (status === REMINDER_STATUS.PENDING) counts.retrying++;
+          else counts[status]++;
+        } catch (error) {
+          // The claim lapses and the reminder is picked up again on a later run
+          console.error(`Error sending reminder ${reminder._id}:`, error);
+        }
+        reminder = await this.claimNextReminder();
+      }
+
+      return { success: true, created, ...counts };
+    } catch (error) {
+      console.error('Error processing reminders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the reminders and delivery attempts for an appointment
+   */
+  static async getReminders(appointmentId) {
+    try {
+      if (!appointmentId || !/^[0-9a-fA-F]{24}$/.test(appointmentId)) {
+        return { success: false, error: 'Invalid appointment ID.', code: 'INVALID_ID' };
+      }
+
+      const reminders = await Reminder.find({ appointment: appointmentId })
+        .select('-claimedBy -claimedUntil -__v')
+        .sort({ scheduledFor: 1, leadMinutes: -1 });
+
+      return { success: true, reminders };
+    } catch (error) {
+      console.error('Error getting reminders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Test examples for choosing the lead time to remind at (24-hour and 2-hour leads)
+   */
+  static runTestExamples() {
+    const leads = [1440, 120];
+    const startsAt = new Date('2026-03-10T15:00:00Z');
+    const hoursBefore = hours => new Date(startsAt.getTime() - hours * 3600000);
+
+    const testCases = [
+      {
+        name: 'Booked a week ahead: 24-hour reminder a day before',
+        actual: this.pickDueLead(leads, startsAt, hoursBefore(168), hoursBefore(23)),
+        expected: 1440,
+      },
+      {
+        name: 'Booked a week ahead: 2-hour reminder two hours before',
+        actual: this.pickDueLead(leads, startsAt, hoursBefore(168), hoursBefore(1.5)),
+        expected: 120,
+      },
+      {
+        name: 'Booked a week ahead: nothing due two days before',
+        actual: this.pickDueLead(leads, startsAt, hoursBefore(168), hoursBefore(48)),
+        expected: null,
+      },
+      {
+        name: 'Booked 3 hours ahead: no 24-hour reminder straight away',
+        actual: this.pickDueLead(leads, startsAt, hoursBefore(3), hoursBefore(2.9)),
+        expected: null,
+      },
+      {
+        name: 'Booked 3 hours ahead: 2-hour reminder two hours before',
+        actual: this.pickDueLead(leads, startsAt, hoursBefore(3), hoursBefore(2)),
+        expected: 120,
+      },
+      {
+        name: 'Booked 1 hour ahead: no reminder at all',
+        actual: this.pickDueLead(leads, startsAt, hoursBefore(1), hoursBefore(0.5)),
+        expected: null,
+      },
+      {
+        name: 'Appointment already started: no reminder',
+        actual: this.pickDueLead(leads, startsAt, hoursBefore(168), new Date(startsAt.getTime() + 60000)),
+        expected: null,
+      },
+    ];
+
+    console.log('Running reminder test cases:\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const testCase of testCases) {
+      const success = testCase.actual === testCase.expected;
+
+      if (success) {
+        passed++;
+      } else {
+        failed++;
+      }
+
+      const status = success ? '✓' : '✗';
+      console.log(`${status} ${testCase.name}`);
+      if (!success) {
+        console.log(`  → Expected: ${testCase.expected}, Got: ${testCase.actual}`);
+      }
+    }
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed out of ${testCases.length} tests`);
+
+    return { passed, failed, total: testCases.length };
+  }
+}
+
+module.exports = ReminderService;
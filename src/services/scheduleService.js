@@ -0,0 +1,655 @@
+/**
+ * Schedule Service
+ * Clinic opening hours: weekly hours per weekday, closures (holidays) and one-off special hours
+ *
+ * The schedule is kept in memory so slot generation and validation can read it synchronously.
+ * It is loaded at startup, reloaded after every change made here, and re-read from the
+ * database at most once a minute by async callers in case another instance changed it.
+ */
+
+const { ClinicHours, ScheduleException, Appointment } = require('../models');
+const { DEFAULT_WEEKLY_HOURS, SCHEDULE_EXCEPTION_TYPES } = require('../config/constants');
+const { timeToMinutes, minutesToTime } = require('../utils/scheduleUtils');
+const { toDateKey, startOfClinicDay, addClinicDays, getClinicDayOfWeek, formatClinicDate } = require('../utils/timezoneUtils');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const CACHE_TTL_MS = 60 * 1000;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Weekdays in the order they are listed to clients
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// In-memory copy of the schedule (defaults until the database has been read)
+const cache = {
+  weeklyHours: toWeeklyMap(DEFAULT_WEEKLY_HOURS),
+  exceptions: new Map(),
+  loadedAt: 0,
+  loading: null,
+};
+
+class ScheduleService {
+  // ======================
+  // Cache
+  // ======================
+
+  /**
+   * Seed missing weekdays with the default hours and load the schedule
+   * Called once at startup
+   */
+  static async initialize() {
+    await ClinicHours.bulkWrite(DEFAULT_WEEKLY_HOURS.map(({ dayOfWeek, ...hours }) => ({
+      updateOne: {
+        filter: { dayOfWeek },
+        update: { $setOnInsert: normalizeHours(hours) },
+        upsert: true,
+      },
+    })));
+    await this.load();
+  }
+
+  /**
+   * Read the weekly hours and upcoming exceptions from the database into the cache
+   */
+  static async load() {
+    const fromKey = toDateKey(addClinicDays(startOfClinicDay(), -1));
+    const [weeklyHours, exceptions] = await Promise.all([
+      ClinicHours.find().lean(),
+      ScheduleException.getInRange(fromKey).lean(),
+    ]);
+
+    // Stored days override the defaults, so a partially seeded collection still covers the week
+    cache.weeklyHours = toWeeklyMap([...DEFAULT_WEEKLY_HOURS, ...weeklyHours]);
+    cache.exceptions = new Map(exceptions.map(exception => [exception.date, exception]));
+    cache.loadedAt = Date.now();
+  }
+
+  /**
+   * Reload the cache when it is older than a minute
+   * Failures are logged and the previous schedule is kept
+   */
+  static async refreshIfStale() {
+    if (Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+      return;
+    }
+    if (!cache.loading) {
+      cache.loading = this.load()
+        .catch(error => console.error('Error refreshing clinic schedule:', error))
+        .finally(() => { cache.loading = null; });
+    }
+    await cache.loading;
+  }
+
+  // ======================
+  // Reading the schedule
+  // ======================
+
+  /**
+   * Get the hours that apply on a date (a closure or special hours replace the weekly hours)
+   */
+  static getDaySchedule(date) {
+    const day = startOfClinicDay(date);
+    const dateKey = toDateKey(day);
+    const dayOfWeek = getClinicDayOfWeek(day);
+    const exception = cache.exceptions.get(dateKey) || null;
+
+    let hours;
+    if (exception) {
+      hours = exception.type === SCHEDULE_EXCEPTION_TYPES.CLOSED
+        ? normalizeHours({ isOpen: false })
+        : normalizeHours({ ...exception, isOpen: true });
+    } else {
+      hours = cache.weeklyHours.get(dayOfWeek) || normalizeHours({ isOpen: false });
+    }
+
+    return {
+      date: dateKey,
+      dayOfWeek,
+      dayName: DAY_NAMES[dayOfWeek],
+      ...hours,
+      exception: exception
+        ? { id: exception._id, type: exception.type, name: exception.name || '' }
+        : null,
+    };
+  }
+
+  /**
+   * Get the bookable windows of a date (opening hours split by the break, minutes since midnight)
+   * Closed days have no windows
+   */
+  static getOperatingWindows(date) {
+    return toWindows(this.getDaySchedule(date));
+  }
+
+  /**
+   * Check if the clinic is open on a date
+   */
+  static isOperatingDay(date) {
+    return this.getOperatingWindows(date).length > 0;
+  }
+
+  /**
+   * Explain why a date cannot be booked
+   */
+  static getClosedMessage(date) {
+    const day = this.getDaySchedule(date);
+
+    if (day.exception) {
+      const label = formatClinicDate(startOfClinicDay(date), { weekday: 'long', month: 'long', day: 'numeric' });
+      return `The clinic is closed on ${label}${day.exception.name ? ` (${day.exception.name})` : ''}. Please choose another day.`;
+    }
+
+    const openDays = WEEK_ORDER.filter(dayOfWeek => cache.weeklyHours.get(dayOfWeek).isOpen);
+    return openDays.length > 0
+      ? `The clinic is closed on ${day.dayName}. We are open ${formatDayRanges(openDays)}.`
+      : `The clinic is closed on ${day.dayName}. Please choose another day.`;
+  }
+
+  /**
+   * Check that an appointment may start at timeSlot on a date
+   * Returns null when the start time is within opening hours, otherwise { code, message }
+   */
+  static checkStartTime(date, timeSlot) {
+    const windows = this.getOperatingWindows(date);
+    if (windows.length === 0) {
+      return { code: 'CLOSED_DAY', message: this.getClosedMessage(date) };
+    }
+
+    const start = timeToMinutes(timeSlot);
+    if (windows.some(window => start >= window.start && start < window.end)) {
+      return null;
+    }
+
+    const day = this.getDaySchedule(date);
+    if (start >= timeToMinutes(day.start) && start < timeToMinutes(day.end)) {
+      return {
+        code: 'BREAK_TIME',
+        message: `This time slot is during our break (${formatTime(day.breakStart)} - ${formatTime(day.breakEnd)}). Please choose another time.`,
+      };
+    }
+
+    const label = day.exception
+      ? `on ${formatClinicDate(startOfClinicDay(date), { month: 'long', day: 'numeric' })}`
+      : `on ${day.dayName}s`;
+    return {
+      code: 'OUTSIDE_HOURS',
+      message: `Appointments ${label} are only available between ${formatTime(day.start)} and ${formatTime(day.end)}.`,
+    };
+  }
+
+  /**
+   * Build the "what are your hours" answer from the weekly hours and upcoming changes
+   */
+  static getHoursAnswer({ days = 30 } = {}) {
+    const weeklyLines = groupWeeklyHours().map(group => `- ${group.label}: ${formatHours(group.hours)}`);
+
+    const todayKey = toDateKey(startOfClinicDay());
+    const untilKey = toDateKey(addClinicDays(startOfClinicDay(), days));
+    const upcomingLines = [...cache.exceptions.values()]
+      .filter(exception => exception.date >= todayKey && exception.date <= untilKey)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(exception => {
+        const hours = exception.type === SCHEDULE_EXCEPTION_TYPES.CLOSED
+          ? 'Closed'
+          : formatHours(normalizeHours({ ...exception, isOpen: true }));
+        const label = formatClinicDate(startOfClinicDay(exception.date), { weekday: 'long', month: 'long', day: 'numeric' });
+        return `- ${label}: ${hours}${exception.name ? ` (${exception.name})` : ''}`;
+      });
+
+    let answer = `🕐 **Our Hours**\n\nWe're here to help your pets!\n\n**Clinic Hours:**\n${weeklyLines.join('\n')}`;
+    if (upcomingLines.length > 0) {
+      answer += `\n\n**Upcoming Changes:**\n${upcomingLines.join('\n')}`;
+    }
+    return `${answer}\n\nWould you like to book an appointment? Just say 'book appointment'!`;
+  }
+
+  // ======================
+  // Validation
+  // ======================
+
+  /**
+   * Validate opening hours (start, end and an optional break), returning an error message or null
+   */
+  static validateHours(hours) {
+    if (!TIME_REGEX.test(hours.start || '') || !TIME_REGEX.test(hours.end || '')) {
+      return 'start and end must use HH:MM format';
+    }
+    if (timeToMinutes(hours.start) >= timeToMinutes(hours.end)) {
+      return 'start must be before end';
+    }
+    if (hours.breakStart || hours.breakEnd) {
+      if (!TIME_REGEX.test(hours.breakStart || '') || !TIME_REGEX.test(hours.breakEnd || '')) {
+        return 'breakStart and breakEnd must both use HH:MM format';
+      }
+      const breakStart = timeToMinutes(hours.breakStart);
+      const breakEnd = timeToMinutes(hours.breakEnd);
+      if (breakStart >= breakEnd || breakStart < timeToMinutes(hours.start) || breakEnd > timeToMinutes(hours.end)) {
+        return 'break must fall within working hours';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate one weekday's hours, returning an error message or null
+   */
+  static validateWeeklyHours(hours) {
+    if (!hours || !Number.isInteger(hours.dayOfWeek) || hours.dayOfWeek < 0 || hours.dayOfWeek > 6) {
+      return 'dayOfWeek must be a number from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (hours.isOpen !== undefined && typeof hours.isOpen !== 'boolean') {
+      return 'isOpen must be true or false';
+    }
+    return hours.isOpen === false ? null : this.validateHours(hours);
+  }
+
+  /**
+   * Validate a closure or special hours entry
+   */
+  static validateException(data, { partial = false } = {}) {
+    const errors = [];
+    const { CLOSED, SPECIAL_HOURS } = SCHEDULE_EXCEPTION_TYPES;
+
+    if (!partial || data.date !== undefined) {
+      if (!isValidDateKey(data.date)) {
+        errors.push({ field: 'date', message: 'Date must be a valid YYYY-MM-DD date', code: 'INVALID_FORMAT' });
+      }
+    }
+
+    if (!partial || data.type !== undefined) {
+      if (![CLOSED, SPECIAL_HOURS].includes(data.type)) {
+        errors.push({ field: 'type', message: `Type must be one of: ${CLOSED}, ${SPECIAL_HOURS}`, code: 'INVALID_VALUE' });
+      }
+    }
+
+    if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim().length > 100)) {
+      errors.push({ field: 'name', message: 'Name must be text of at most 100 characters', code: 'INVALID_LENGTH' });
+    }
+
+    if (data.type === SPECIAL_HOURS) {
+      const error = this.validateHours(data);
+      if (error) {
+        errors.push({ field: 'hours', message: error, code: 'INVALID_FORMAT' });
+      }
+    }
+
+    return errors;
+  }
+
+  // ======================
+  // Admin management
+  // ======================
+
+  /**
+   * Get the weekly hours and the exceptions in a date range (default: from today on)
+   */
+  static async getSchedule({ from = null, to = null } = {}) {
+    try {
+      await this.refreshIfStale();
+      const exceptions = await ScheduleException.getInRange(from || toDateKey(startOfClinicDay()), to);
+
+      return {
+        success: true,
+        weeklyHours: WEEK_ORDER.map(dayOfWeek => ({
+          dayOfWeek,
+          dayName: DAY_NAMES[dayOfWeek],
+          ...cache.weeklyHours.get(dayOfWeek),
+        })),
+        exceptions,
+      };
+    } catch (error) {
+      console.error('Error getting clinic schedule:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the hours that apply on one date
+   */
+  static async getDay(date) {
+    try {
+      await this.refreshIfStale();
+      const day = this.getDaySchedule(date);
+
+      return {
+        success: true,
+        day: {
+          ...day,
+          windows: toWindows(day).map(window => ({
+            start: minutesToTime(window.start),
+            end: minutesToTime(window.end),
+          })),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting day schedule:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Set the hours of one or more weekdays
+   * Each entry is { dayOfWeek, isOpen, start, end, breakStart?, breakEnd? }
+   */
+  static async updateWeeklyHours(entries) {
+    try {
+      if (!Array.isArray(entries) || entries.length === 0) {
+        return { success: false, error: 'weeklyHours must be a non-empty list' };
+      }
+
+      const errors = [];
+      entries.forEach((hours, index) => {
+        const error = this.validateWeeklyHours(hours);
+        if (error) {
+          errors.push({ field: `weeklyHours[${index}]`, message: error, code: 'INVALID_FORMAT' });
+        } else if (entries.findIndex(other => other.dayOfWeek === hours.dayOfWeek) !== index) {
+          errors.push({ field: `weeklyHours[${index}]`, message: `${DAY_NAMES[hours.dayOfWeek]} is listed more than once`, code: 'DUPLICATE_DAY' });
+        }
+      });
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      await ClinicHours.bulkWrite(entries.map(hours => ({
+        updateOne: {
+          filter: { dayOfWeek: hours.dayOfWeek },
+          update: { $set: normalizeHours(hours) },
+          upsert: true,
+        },
+      })));
+      await this.load();
+
+      return this.getSchedule();
+    } catch (error) {
+      console.error('Error updating weekly hours:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get closures and special hours in a date range
+   */
+  static async getExceptions({ from = null, to = null } = {}) {
+    try {
+      const exceptions = await ScheduleException.getInRange(from, to);
+      return { success: true, exceptions };
+    } catch (error) {
+      console.error('Error getting schedule exceptions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add a closure or special hours for a date
+   * The response counts booked appointments that fall outside the new hours so staff can contact owners
+   */
+  static async createException(data) {
+    try {
+      const errors = this.validateException(data);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const existing = await ScheduleException.findOne({ date: data.date });
+      if (existing) {
+        return {
+          success: false,
+          error: `There is already a schedule change for ${data.date}. Update or delete it instead.`,
+          code: 'DUPLICATE_DATE',
+        };
+      }
+
+      const exception = new ScheduleException({
+        date: data.date,
+        type: data.type,
+        name: data.name ? data.name.trim() : '',
+        ...toExceptionHours(data),
+      });
+      await exception.save();
+      await this.load();
+
+      return {
+        success: true,
+        exception,
+        affectedAppointments: await this.countAppointmentsOutsideHours(exception.date),
+      };
+    } catch (error) {
+      console.error('Error creating schedule exception:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a closure or special hours entry
+   */
+  static async updateException(exceptionId, updateData) {
+    try {
+      if (!exceptionId || !/^[0-9a-fA-F]{24}$/.test(exceptionId)) {
+        return { success: false, error: 'Invalid schedule exception ID.', code: 'INVALID_ID' };
+      }
+
+      const exception = await ScheduleException.findById(exceptionId);
+      if (!exception) {
+        return { success: false, error: 'Schedule exception not found', code: 'NOT_FOUND' };
+      }
+
+      // Validate the merged entry so switching to special_hours requires hours
+      const merged = {
+        date: exception.date,
+        type: exception.type,
+        start: exception.start,
+        end: exception.end,
+        breakStart: exception.breakStart,
+        breakEnd: exception.breakEnd,
+        ...Object.fromEntries(Object.entries(updateData).filter(([, value]) => value !== undefined)),
+      };
+      const errors = this.validateException(merged, { partial: true });
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      if (merged.date !== exception.date && await ScheduleException.exists({ date: merged.date })) {
+        return {
+          success: false,
+          error: `There is already a schedule change for ${merged.date}.`,
+          code: 'DUPLICATE_DATE',
+        };
+      }
+
+      exception.date = merged.date;
+      exception.type = merged.type;
+      if (updateData.name !== undefined) {
+        exception.name = updateData.name.trim();
+      }
+      Object.assign(exception, toExceptionHours(merged));
+
+      await exception.save();
+      await this.load();
+
+      return {
+        success: true,
+        exception,
+        affectedAppointments: await this.countAppointmentsOutsideHours(exception.date),
+      };
+    } catch (error) {
+      console.error('Error updating schedule exception:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove a closure or special hours entry (the weekly hours apply again)
+   */
+  static async deleteException(exceptionId) {
+    try {
+      if (!exceptionId || !/^[0-9a-fA-F]{24}$/.test(exceptionId)) {
+        return { success: false, error: 'Invalid schedule exception ID.', code: 'INVALID_ID' };
+      }
+
+      const exception = await ScheduleException.findByIdAndDelete(exceptionId);
+      if (!exception) {
+        return { success: false, error: 'Schedule exception not found', code: 'NOT_FOUND' };
+      }
+
+      await this.load();
+      return { success: true, exception };
+    } catch (error) {
+      console.error('Error deleting schedule exception:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Count active appointments on a date that no longer fit within its opening hours
+   */
+  static async countAppointmentsOutsideHours(dateKey) {
+    const date = startOfClinicDay(dateKey);
+    const windows = this.getOperatingWindows(date);
+    const bookedIntervals = await Appointment.getBookedIntervals(date);
+
+    return bookedIntervals.filter(interval =>
+      !windows.some(window => interval.start >= window.start && interval.end <= window.end)
+    ).length;
+  }
+}
+
+/**
+ * Normalize stored or submitted hours to { isOpen, start, end, breakStart, breakEnd }
+ */
+function normalizeHours(hours) {
+  if (hours.isOpen === false) {
+    return { isOpen: false, start: null, end: null, breakStart: null, breakEnd: null };
+  }
+  const hasBreak = Boolean(hours.breakStart && hours.breakEnd);
+  return {
+    isOpen: true,
+    start: hours.start,
+    end: hours.end,
+    breakStart: hasBreak ? hours.breakStart : null,
+    breakEnd: hasBreak ? hours.breakEnd : null,
+  };
+}
+
+/**
+ * Build a dayOfWeek -> hours map (later entries win)
+ */
+function toWeeklyMap(entries) {
+  const map = new Map();
+  entries.forEach(entry => map.set(entry.dayOfWeek, normalizeHours(entry)));
+  return map;
+}
+
+/**
+ * Split opening hours into bookable windows around the break
+ */
+function toWindows(hours) {
+  if (!hours.isOpen) {
+    return [];
+  }
+  const start = timeToMinutes(hours.start);
+  const end = timeToMinutes(hours.end);
+  if (!hours.breakStart) {
+    return [{ start, end }];
+  }
+  return [
+    { start, end: timeToMinutes(hours.breakStart) },
+    { start: timeToMinutes(hours.breakEnd), end },
+  ].filter(window => window.start < window.end);
+}
+
+/**
+ * Hours stored on an exception (cleared for closures)
+ */
+function toExceptionHours(data) {
+  if (data.type === SCHEDULE_EXCEPTION_TYPES.CLOSED) {
+    return { start: null, end: null, breakStart: null, breakEnd: null };
+  }
+  const { start, end, breakStart, breakEnd } = normalizeHours({ ...data, isOpen: true });
+  return { start, end, breakStart, breakEnd };
+}
+
+/**
+ * Check for a real calendar date in "YYYY-MM-DD" form
+ */
+function isValidDateKey(value) {
+  if (typeof value !== 'string' || !DATE_KEY_REGEX.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Format "HH:MM" as "9:00 AM"
+ */
+function formatTime(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  const period = hour >= 12 ? 'PM' : 'AM';
+  const displayHour = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
+  return `${displayHour}:${String(minute).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Format opening hours for clients (e.g. "9:00 AM - 6:00 PM (break 1:00 PM - 2:00 PM)")
+ */
+function formatHours(hours) {
+  if (!hours.isOpen) {
+    return 'Closed';
+  }
+  const range = `${formatTime(hours.start)} - ${formatTime(hours.end)}`;
+  return hours.breakStart
+    ? `${range} (break ${formatTime(hours.breakStart)} - ${formatTime(hours.breakEnd)})`
+    : range;
+}
+
+/**
+ * Group consecutive weekdays with the same hours (e.g. "Monday - Friday")
+ */
+function groupWeeklyHours() {
+  const groups = [];
+  WEEK_ORDER.forEach(dayOfWeek => {
+    const hours = cache.weeklyHours.get(dayOfWeek);
+    const last = groups[groups.length - 1];
+    if (last && formatHours(last.hours) === formatHours(hours)) {
+      last.days.push(dayOfWeek);
+    } else {
+      groups.push({ days: [dayOfWeek], hours });
+    }
+  });
+  return groups.map(group => ({ ...group, label: formatDayRanges(group.days) }));
+}
+
+/**
+ * Describe weekdays as ranges (e.g. [1, 2, 3, 5] -> "Monday - Wednesday, Friday")
+ */
+function formatDayRanges(days) {
+  const positions = days.map(dayOfWeek => WEEK_ORDER.indexOf(dayOfWeek)).sort((a, b) => a - b);
+  const ranges = [];
+  positions.forEach(position => {
+    const last = ranges[ranges.length - 1];
+    if (last && position === last.to + 1) {
+      last.to = position;
+    } else {
+      ranges.push({ from: position, to: position });
+    }
+  });
+  return ranges
+    .map(({ from, to }) => from === to
+      ? DAY_NAMES[WEEK_ORDER[from]]
+      : `${DAY_NAMES[WEEK_ORDER[from]]} - ${DAY_NAMES[WEEK_ORDER[to]]}`)
+    .join(', ');
+}
+
+module.exports = ScheduleService;
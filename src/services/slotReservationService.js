@@ -0,0 +1,319 @@
+/**
+ * Slot Reservation Service
+ * Atomically reserves calendar blocks so two requests can never book the same time
+ *
+ * Every appointment (and every chat hold) owns one SlotLock per SLOT_DURATION block it
+ * covers. The unique { resource, date, slot } index means only one writer can take a
+ * block; the loser gets a duplicate key error and its partial reservation is rolled back.
+ */
+
+const { SlotLock } = require('../models');
+const { TIME_SLOTS } = require('../config/constants');
+const { timeToMinutes, minutesToTime } = require('../utils/scheduleUtils');
+const { toDateKey, startOfClinicDay } = require('../utils/timezoneUtils');
+
+const CLINIC_RESOURCE = 'clinic';
+
+class SlotReservationService {
+  /**
+   * Get the calendar key for a provider (or the whole clinic)
+   */
+  static getResource(providerId) {
+    return providerId ? providerId.toString() : CLINIC_RESOURCE;
+  }
+
+  /**
+   * Get the clinic-local "YYYY-MM-DD" key for a date
+   */
+  static getDateKey(date) {
+    return toDateKey(startOfClinicDay(date));
+  }
+
+  /**
+   * Get the block start times covered by [timeSlot, timeSlot + duration)
+   */
+  static getBlocks(timeSlot, duration = TIME_SLOTS.SLOT_DURATION) {
+    const { SLOT_DURATION } = TIME_SLOTS;
+    const start = timeToMinutes(timeSlot);
+    const firstBlock = Math.floor(start / SLOT_DURATION) * SLOT_DURATION;
+    const blocks = [];
+    for (let minutes = firstBlock; minutes < start + duration; minutes += SLOT_DURATION) {
+      blocks.push(minutesToTime(minutes));
+    }
+    return blocks;
+  }
+
+  /**
+   * Get the holder key for a chat session's holds
+   */
+  static getSessionHolder(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  /**
+   * Reserve every block of an appointment on one calendar
+   * Pass appointmentId to lock for a saved appointment, or holder + holdMinutes for a temporary hold.
+   * Blocks already held by the same holder, or locked by the same appointment, are taken over.
+   */
+  static async acquire({ date, timeSlot, duration, providerId = null, appointmentId = null, holder = null, holdMinutes = null }) {
+    const now = new Date();
+    const owner = holder || `appointment:${appointmentId}`;
+    const expiresAt = appointmentId ? null : new Date(now.getTime() + (holdMinutes || TIME_SLOTS.HOLD_MINUTES) * 60 * 1000);
+    const base = { resource: this.getResource(providerId), date: this.getDateKey(date) };
+    const taken = [];
+
+    try {
+      for (const slot of this.getBlocks(timeSlot, duration)) {
+        const claimable = [
+          { holder: owner, appointmentId: null },
+          { expiresAt: { $lte: now } },
+        ];
+        if (appointmentId) {
+          claimable.push({ appointmentId });
+        }
+
+        // Matches a free-to-take lock, otherwise upserts; a lock owned by someone else makes the insert fail
+        const previous = await SlotLock.findOneAndUpdate(
+          { ...base, slot, $or: claimable },
+          { $set: { holder: owner, appointmentId, expiresAt } },
+          { upsert: true, new: false }
+        );
+        taken.push({ slot, previous });
+      }
+
+      return { success: true, resource: base.resource, expiresAt };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Roll back blocks this call took, keeping ones the appointment already owned
+      const rollback = taken
+        .filter(({ previous }) => !previous || !appointmentId ||
+          !previous.appointmentId || previous.appointmentId.toString() !== appointmentId.toString())
+        .map(({ slot }) => slot);
+      if (rollback.length > 0) {
+        await SlotLock.deleteMany({ ...base, slot: { $in: rollback }, holder: owner });
+      }
+
+      return {
+        success: false,
+        error: 'This time slot has just been taken. Please choose another time.',
+        code: 'SLOT_TAKEN',
+      };
+    }
+  }
+
+  /**
+   * Reserve the first calendar in providerIds that can be locked
+   * providerIds of [null] reserves the clinic calendar
+   */
+  static async acquireFirst(providerIds, options) {
+    for (const providerId of providerIds) {
+      const result = await this.acquire({ ...options, providerId });
+      if (result.success) {
+        return { ...result, providerId };
+      }
+    }
+    return {
+      success: false,
+      error: 'This time slot has just been taken. Please choose another time.',
+      code: 'SLOT_TAKEN',
+    };
+  }
+
+  /**
+   * Drop an appointment's locks that are not part of its current slot (after a reschedule)
+   */
+  static async pruneAppointmentLocks(appointmentId, { date, timeSlot, duration, providerId = null }) {
+    await SlotLock.deleteMany({
+      appointmentId,
+      $or: [
+        { resource: { $ne: this.getResource(providerId) } },
+        { date: { $ne: this.getDateKey(date) } },
+        { slot: { $nin: this.getBlocks(timeSlot, duration) } },
+      ],
+    });
+  }
+
+  /**
+   * Release every lock held by an appointment (cancelled, no-show or deleted)
+   */
+  static async releaseAppointment(appointmentId) {
+    try {
+      await SlotLock.deleteMany({ appointmentId });
+      return { success: true };
+    } catch (error) {
+      console.error('Error releasing appointment slot locks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Release temporary holds (not appointment locks) of a holder
+   */
+  static async releaseHolds(holder) {
+    try {
+      await SlotLock.deleteMany({ holder, appointmentId: null });
+      return { success: true };
+    } catch (error) {
+      console.error('Error releasing slot holds:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get unexpired holds on a date as booked intervals (minutes since midnight)
+   * Holds of excludeHolder are left out so a session does not block itself
+   */
+  static async getHeldIntervals(date, excludeHolder = null) {
+    const query = {
+      date: this.getDateKey(date),
+      appointmentId: null,
+      expiresAt: { $gt: new Date() },
+    };
+    if (excludeHolder) {
+      query.holder = { $ne: excludeHolder };
+    }
+
+    const holds = await SlotLock.find(query).select('resource slot');
+    return holds.map(hold => {
+      const start = timeToMinutes(hold.slot);
+      return {
+        start,
+        end: start + TIME_SLOTS.SLOT_DURATION,
+        providerId: hold.resource === CLINIC_RESOURCE ? null : hold.resource,
+        isHold: true,
+      };
+    });
+  }
+
+  /**
+   * Test examples firing concurrent bookings at one slot
+   * Needs a MongoDB connection (use a test database): locks and one appointment are written and
+   * removed again. Exactly one request per slot must win and the others must leave no locks behind.
+   */
+  static async runTestExamples({ attempts = 5 } = {}) {
+    const mongoose = require('mongoose');
+    const { Appointment, Owner, Pet } = require('../models');
+    const AppointmentService = require('./appointmentService');
+    const { addClinicDays } = require('../utils/timezoneUtils');
+
+    // The unique index is what makes the race safe; make sure it exists on a fresh database
+    await SlotLock.init();
+
+    const testCases = [];
+    const countWins = results => results.filter(result => result.success).length;
+
+    // Parallel acquire of a two-block slot on a calendar nobody else uses
+    const providerId = new mongoose.Types.ObjectId();
+    const resource = this.getResource(providerId);
+    const lockDate = addClinicDays(startOfClinicDay(), 90);
+    const lockSlot = { date: lockDate, timeSlot: '10:00', duration: TIME_SLOTS.SLOT_DURATION * 2, providerId };
+    try {
+      const appointmentIds = Array.from({ length: attempts }, () => new mongoose.Types.ObjectId());
+      const results = await Promise.all(appointmentIds.map(appointmentId => this.acquire({ ...lockSlot, appointmentId })));
+      const winner = appointmentIds[results.findIndex(result => result.success)];
+      const locks = await SlotLock.find({ resource, date: this.getDateKey(lockDate) });
+
+      testCases.push(
+        { name: `acquire: 1 of ${attempts} parallel requests wins`, actual: countWins(results), expected: 1 },
+        { name: 'acquire: losers get SLOT_TAKEN', actual: results.filter(result => result.code === 'SLOT_TAKEN').length, expected: attempts - 1 },
+        { name: 'acquire: every block is locked once', actual: locks.length, expected: this.getBlocks(lockSlot.timeSlot, lockSlot.duration).length },
+        {
+          name: 'acquire: losers rolled back (all locks belong to the winner)',
+          actual: Boolean(winner) && locks.every(lock => String(lock.appointmentId) === String(winner)),
+          expected: true,
+        }
+      );
+    } finally {
+      await SlotLock.deleteMany({ resource });
+    }
+
+    // Parallel chat/API bookings of the first open slot at least 60 days ahead
+    let opening = null;
+    for (let offset = 60; offset < 90 && !opening; offset++) {
+      const slots = await AppointmentService.getAvailableSlots(addClinicDays(startOfClinicDay(), offset), 'checkup');
+      const slot = slots.success && slots.slots.find(candidate => candidate.available);
+      if (slot) {
+        // One provider (when the clinic has providers) so the slot can only be booked once
+        const [provider] = slot.providers || [];
+        opening = { date: slots.date, timeSlot: slot.time, providerId: provider ? String(provider.id) : null };
+      }
+    }
+
+    if (!opening) {
+      testCases.push({ name: 'createDirectAppointment: an open slot to book', actual: false, expected: true });
+    } else {
+      const results = await Promise.all(Array.from({ length: attempts }, (_, index) => (
+        AppointmentService.createDirectAppointment({
+          ownerName: 'Concurrency Test',
+          petName: `Test Pet ${index + 1}`,
+          petType: 'dog',
+          phone: `+1555000${String(1000 + index)}`,
+          service: 'checkup',
+          scheduledDate: opening.date,
+          scheduledTimeSlot: opening.timeSlot,
+          providerId: opening.providerId,
+          source: 'test',
+        }, { notifyOwner: false })
+      )));
+      const booked = results.filter(result => result.success).map(result => result.appointment);
+
+      try {
+        const locks = await SlotLock.find({
+          resource: this.getResource(opening.providerId),
+          date: this.getDateKey(opening.date),
+          slot: opening.timeSlot,
+        });
+        testCases.push(
+          { name: `createDirectAppointment: 1 of ${attempts} parallel bookings wins`, actual: booked.length, expected: 1 },
+          {
+            name: 'createDirectAppointment: losers are told the slot is taken',
+            actual: results.filter(result => !result.success && result.code === 'SLOT_TAKEN').length,
+            expected: attempts - 1,
+          },
+          {
+            name: 'createDirectAppointment: losers rolled back (only the winner locks the slot)',
+            actual: locks.filter(lock => lock.appointmentId).every(lock => booked.some(appointment => String(appointment._id) === String(lock.appointmentId))),
+            expected: true,
+          }
+        );
+      } finally {
+        for (const appointment of booked) {
+          await this.releaseAppointment(appointment._id);
+          await Appointment.deleteOne({ _id: appointment._id });
+          if (appointment.pet) await Pet.deleteOne({ _id: appointment.pet });
+          if (appointment.owner) await Owner.deleteOne({ _id: appointment.owner });
+        }
+      }
+    }
+
+    console.log('Running slot reservation test cases:\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const testCase of testCases) {
+      const success = testCase.actual === testCase.expected;
+
+      if (success) {
+        passed++;
+      } else {
+        failed++;
+      }
+
+      const status = success ? '✓' : '✗';
+      console.log(`${status} ${testCase.name}`);
+      if (!success) {
+        console.log(`  → Expected: ${testCase.expected}, Got: ${testCase.actual}`);
+      }
+    }
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed out of ${testCases.length} tests`);
+
+    return { passed, failed, total: testCases.length };
+  }
+}
+
+module.exports = SlotReservationService;
@@ -0,0 +1,577 @@
+/**
+ * Vaccination Service
+ * Per-pet vaccination records, due dates from species schedules, and chatbot lookups
+ *
+ * A vaccine's next due date comes from its latest record: the date staff entered, or else the
+ * schedule's booster gap (after the first dose) or interval (after later doses). Core vaccines a
+ * pet has never had here are due from its age, when its birthdate is known.
+ */
+
+const { Vaccination, Owner, Appointment } = require('../models');
+const AppointmentService = require('./appointmentService');
+const OwnerService = require('./ownerService');
+const DialogueService = require('./dialogueService');
+const {
+  BOOKING_STATES,
+  DIALOGUE_FORMS,
+  MESSAGES,
+  VACCINATION_STATUS,
+  VACCINATIONS,
+  VACCINE_SCHEDULES,
+} = require('../config/constants');
+const { startOfClinicDay, addClinicDays, addClinicMonths, formatClinicDate } = require('../utils/timezoneUtils');
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Booking states that belong to the vaccination lookup
+ */
+const VACCINATION_STATES = [
+  BOOKING_STATES.COLLECTING_VACCINATION_OWNER_NAME,
+  BOOKING_STATES.COLLECTING_VACCINATION_PHONE,
+  BOOKING_STATES.SELECTING_VACCINATION_PET,
+  BOOKING_STATES.CONFIRMING_VACCINATION_BOOKING,
+];
+
+// Order statuses are listed in (most urgent first)
+const STATUS_ORDER = [
+  VACCINATION_STATUS.OVERDUE,
+  VACCINATION_STATUS.DUE_SOON,
+  VACCINATION_STATUS.NO_RECORD,
+  VACCINATION_STATUS.UP_TO_DATE,
+];
+
+const YES_REGEX = /^(yes|yeah|yep|sure|ok|okay|please|y)\b/i;
+const NO_REGEX = /^(no|nope|nah|n|not now|no thanks)\b/i;
+const EXIT_REGEX = /^(stop|quit|exit|never mind|nevermind|forget it)\b/i;
+
+/**
+ * Escape text for use inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Format a stored date for chat replies (e.g. "March 3, 2026")
+ */
+const formatDate = (date) => formatClinicDate(date, { year: 'numeric', month: 'long', day: 'numeric' });
+
+class VaccinationService {
+  /**
+   * Check whether a booking state belongs to the vaccination lookup
+   */
+  static isVaccinationState(status) {
+    return VACCINATION_STATES.includes(status);
+  }
+
+  /**
+   * Get the schedule rules for a species (none for species without a schedule)
+   */
+  static getVaccineRules(species) {
+    return VACCINE_SCHEDULES[species] || [];
+  }
+
+  /**
+   * Find the schedule vaccine a piece of text names ("rabies", "parvo shot", "FVRCP")
+   * The longest matching alias wins, so "feline distemper" beats "distemper"
+   */
+  static findVaccineRule(text, species) {
+    const lowerText = String(text || '').toLowerCase();
+    let best = null;
+    let bestLength = 0;
+
+    this.getVaccineRules(species).forEach(rule => {
+      [rule.id, ...rule.aliases].forEach(alias => {
+        if (alias.length > bestLength && new RegExp(`\\b${escapeRegex(alias)}\\b`).test(lowerText)) {
+          best = rule;
+          bestLength = alias.length;
+        }
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Get the display name of a stored vaccine ID
+   */
+  static getVaccineName(vaccine, species) {
+    const rule = this.getVaccineRules(species).find(r => r.id === vaccine);
+    return rule ? rule.name : vaccine.charAt(0).toUpperCase() + vaccine.slice(1);
+  }
+
+  /**
+   * Work out when a vaccine is next due from the schedule
+   * previousDoses is how many doses were given before this one
+   */
+  static computeNextDueDate(rule, dateGiven, previousDoses) {
+    if (!rule) return null;
+    return addClinicMonths(dateGiven, previousDoses === 0 ? rule.boosterMonths : rule.intervalMonths);
+  }
+
+  /**
+   * Classify a due date against today
+   */
+  static getStatus(dueDate, today = startOfClinicDay()) {
+    if (!dueDate) return VACCINATION_STATUS.UP_TO_DATE;
+    if (dueDate < today) return VACCINATION_STATUS.OVERDUE;
+    if (dueDate <= addClinicDays(today, VACCINATIONS.DUE_SOON_DAYS)) return VACCINATION_STATUS.DUE_SOON;
+    return VACCINATION_STATUS.UP_TO_DATE;
+  }
+
+  /**
+   * Work out where each vaccine stands for a pet
+   * Returns core vaccines for the species plus any other vaccine the pet has a record of,
+   * most urgent first
+   */
+  static async getVaccinationStatus(pet, { today = startOfClinicDay() } = {}) {
+    const records = await Vaccination.find({ pet: pet._id }).sort({ dateGiven: 1 });
+    const byVaccine = new Map();
+    records.forEach(record => {
+      byVaccine.set(record.vaccine, [...(byVaccine.get(record.vaccine) || []), record]);
+    });
+
+    const items = [];
+    this.getVaccineRules(pet.species).forEach(rule => {
+      const doses = byVaccine.get(rule.id) || [];
+      byVaccine.delete(rule.id);
+      if (!rule.core && doses.length === 0) return;
+
+      const last = doses[doses.length - 1] || null;
+      let dueDate = last ? last.nextDueDate : null;
+      if (!last && pet.birthdate) {
+        dueDate = addClinicDays(pet.birthdate, rule.firstDoseWeeks * 7);
+      }
+
+      items.push({
+        vaccine: rule.id,
+        name: rule.name,
+        core: rule.core,
+        doses: doses.length,
+        lastGiven: last ? last.dateGiven : null,
+        lotNumber: last ? last.lotNumber : null,
+        dueDate,
+        status: !last && !dueDate ? VACCINATION_STATUS.NO_RECORD : this.getStatus(dueDate, today),
+      });
+    });
+
+    // Vaccines outside the schedule are tracked by the due date staff entered
+    byVaccine.forEach((doses, vaccine) => {
+      const last = doses[doses.length - 1];
+      items.push({
+        vaccine,
+        name: this.getVaccineName(vaccine, pet.species),
+        core: false,
+        doses: doses.length,
+        lastGiven: last.dateGiven,
+        lotNumber: last.lotNumber,
+        dueDate: last.nextDueDate,
+        status: this.getStatus(last.nextDueDate, today),
+      });
+    });
+
+    return items.sort((a, b) =>
+      STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+      (a.dueDate ? a.dueDate.getTime() : Infinity) - (b.dueDate ? b.dueDate.getTime() : Infinity)
+    );
+  }
+
+  /**
+   * Validate vaccination record fields
+   */
+  static validateVaccinationData(data, { partial = false } = {}) {
+    const errors = [];
+    const readDate = (field, label) => {
+      const value = data[field];
+      if (value === undefined || value === null) return null;
+      const date = typeof value === 'string' ? startOfClinicDay(value) : new Date(value);
+      if (isNaN(date.getTime())) {
+        errors.push({ field, message: `Invalid ${label}. Use YYYY-MM-DD format.`, code: 'INVALID_FORMAT' });
+        return null;
+      }
+      return date;
+    };
+
+    if (!partial || data.vaccine !== undefined) {
+      if (typeof data.vaccine !== 'string' || !data.vaccine.trim()) {
+        errors.push({ field: 'vaccine', message: 'Vaccine is required', code: 'REQUIRED' });
+      } else if (data.vaccine.trim().length > 100) {
+        errors.push({ field: 'vaccine', message: 'Vaccine must be at most 100 characters', code: 'INVALID_VALUE' });
+      }
+    }
+
+    if (!partial && (data.dateGiven === undefined || data.dateGiven === null)) {
+      errors.push({ field: 'dateGiven', message: 'Date given is required', code: 'REQUIRED' });
+    }
+    const dateGiven = readDate('dateGiven', 'date given');
+    if (dateGiven && dateGiven > new Date()) {
+      errors.push({ field: 'dateGiven', message: 'Date given cannot be in the future', code: 'FUTURE_DATE' });
+    }
+
+    const nextDueDate = readDate('nextDueDate', 'next due date');
+    if (nextDueDate && dateGiven && nextDueDate <= dateGiven) {
+      errors.push({ field: 'nextDueDate', message: 'Next due date must be after the date given', code: 'INVALID_VALUE' });
+    }
+
+    if (data.lotNumber !== undefined && (typeof data.lotNumber !== 'string' || data.lotNumber.trim().length > 50)) {
+      errors.push({ field: 'lotNumber', message: 'Lot number must be text of at most 50 characters', code: 'INVALID_VALUE' });
+    }
+    if (data.appointmentId !== undefined && data.appointmentId !== null && !OBJECT_ID_REGEX.test(String(data.appointmentId))) {
+      errors.push({ field: 'appointmentId', message: 'Invalid appointment ID', code: 'INVALID_ID' });
+    }
+    if (data.notes !== undefined && typeof data.notes !== 'string') {
+      errors.push({ field: 'notes', message: 'Notes must be a string', code: 'INVALID_TYPE' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build a failure result from validation errors
+   */
+  static validationFailure(errors) {
+    return {
+      success: false,
+      error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+      validationErrors: errors,
+    };
+  }
+
+  /**
+   * Fill in the vaccine ID and, unless staff gave one, the next due date
+   */
+  static async applyRecordFields(record, pet, data) {
+    if (data.vaccine !== undefined) {
+      const rule = this.findVaccineRule(data.vaccine, pet.species);
+      record.vaccine = rule ? rule.id : data.vaccine.trim().toLowerCase();
+    }
+    if (data.dateGiven !== undefined) {
+      record.dateGiven = typeof data.dateGiven === 'string' ? startOfClinicDay(data.dateGiven) : new Date(data.dateGiven);
+    }
+    if (data.lotNumber !== undefined) record.lotNumber = data.lotNumber.trim();
+    if (data.appointmentId !== undefined) record.appointment = data.appointmentId || null;
+    if (data.notes !== undefined) record.notes = data.notes;
+
+    if (data.nextDueDate) {
+      record.nextDueDate = typeof data.nextDueDate === 'string' ? startOfClinicDay(data.nextDueDate) : new Date(data.nextDueDate);
+    } else if (data.nextDueDate === null || record.isNew || data.vaccine !== undefined || data.dateGiven !== undefined) {
+      const rule = this.getVaccineRules(pet.species).find(r => r.id === record.vaccine);
+      const previousDoses = await Vaccination.countDocuments({
+        pet: pet._id,
+        vaccine: record.vaccine,
+        dateGiven: { $lt: record.dateGiven },
+        _id: { $ne: record._id },
+      });
+      record.nextDueDate = this.computeNextDueDate(rule, record.dateGiven, previousDoses);
+    }
+  }
+
+  /**
+   * Get a pet's vaccination records and where each vaccine stands
+   */
+  static async getVaccinations(ownerId, petId) {
+    try {
+      const loaded = await OwnerService.getOwnedPet(ownerId, petId);
+      if (!loaded.success) return loaded;
+
+      const [vaccinations, schedule] = await Promise.all([
+        Vaccination.find({ pet: loaded.pet._id }).sort({ dateGiven: -1 }),
+        this.getVaccinationStatus(loaded.pet),
+      ]);
+
+      return { success: true, pet: loaded.pet, vaccinations, schedule };
+    } catch (error) {
+      console.error('Error getting vaccinations:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Record a vaccine given to a pet
+   */
+  static async addVaccination(ownerId, petId, data) {
+    try {
+      const errors = this.validateVaccinationData(data);
+      if (errors.length > 0) return this.validationFailure(errors);
+
+      const loaded = await OwnerService.getOwnedPet(ownerId, petId);
+      if (!loaded.success) return loaded;
+
+      const vaccination = new Vaccination({ pet: loaded.pet._id });
+      await this.applyRecordFields(vaccination, loaded.pet, data);
+      await vaccination.save();
+
+      return { success: true, vaccination };
+    } catch (error) {
+      console.error('Error adding vaccination:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a vaccination record
+   * Leaving out nextDueDate keeps it, unless the vaccine or date given changed; null works it out again
+   */
+  static async updateVaccination(ownerId, petId, vaccinationId, data) {
+    try {
+      if (!vaccinationId || !OBJECT_ID_REGEX.test(vaccinationId)) {
+        return { success: false, error: 'Invalid vaccination ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validateVaccinationData(data, { partial: true });
+      if (errors.length > 0) return this.validationFailure(errors);
+
+      const loaded = await OwnerService.getOwnedPet(ownerId, petId);
+      if (!loaded.success) return loaded;
+
+      const vaccination = await Vaccination.findOne({ _id: vaccinationId, pet: loaded.pet._id });
+      if (!vaccination) {
+        return { success: false, error: 'Vaccination record not found', code: 'NOT_FOUND' };
+      }
+
+      await this.applyRecordFields(vaccination, loaded.pet, data);
+      if (vaccination.nextDueDate && vaccination.nextDueDate <= vaccination.dateGiven) {
+        return this.validationFailure([
+          { field: 'nextDueDate', message: 'Next due date must be after the date given', code: 'INVALID_VALUE' },
+        ]);
+      }
+      await vaccination.save();
+
+      return { success: true, vaccination };
+    } catch (error) {
+      console.error('Error updating vaccination:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a vaccination record entered by mistake
+   */
+  static async deleteVaccination(ownerId, petId, vaccinationId) {
+    try {
+      if (!vaccinationId || !OBJECT_ID_REGEX.test(vaccinationId)) {
+        return { success: false, error: 'Invalid vaccination ID.', code: 'INVALID_ID' };
+      }
+
+      const loaded = await OwnerService.getOwnedPet(ownerId, petId);
+      if (!loaded.success) return loaded;
+
+      const vaccination = await Vaccination.findOneAndDelete({ _id: vaccinationId, pet: loaded.pet._id });
+      if (!vaccination) {
+        return { success: false, error: 'Vaccination record not found', code: 'NOT_FOUND' };
+      }
+
+      return { success: true, vaccination };
+    } catch (error) {
+      console.error('Error deleting vaccination:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Chatbot lookups ("when is Buddy due for rabies?")
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Find the owner behind a chat without asking: by SDK userId, or by a booking made in this chat
+   */
+  static async findChatOwner(sessionId, context = {}) {
+    if (context.userId) {
+      const owner = await OwnerService.findOwner({ userId: context.userId });
+      if (owner) return owner;
+    }
+
+    const appointment = await Appointment.findOne({ sessionId, owner: { $ne: null } })
+      .sort({ createdAt: -1 })
+      .select('owner');
+    return appointment ? Owner.findById(appointment.owner) : null;
+  }
+
+  /**
+   * Start a lookup from an idle conversation
+   * Owners the chat can't identify are asked for their name and phone, as when booking
+   */
+  static async startStatusLookup(sessionId, userMessage, context = {}) {
+    const owner = await this.findChatOwner(sessionId, context);
+    if (!owner) {
+      return {
+        nextState: BOOKING_STATES.COLLECTING_VACCINATION_OWNER_NAME,
+        response: MESSAGES.VACCINATION_ASK_NAME,
+        tempData: { vaccinationQuery: userMessage },
+      };
+    }
+
+    return this.answerForOwner(owner, userMessage);
+  }
+
+  /**
+   * Answer for the pet the question names, or ask which pet
+   */
+  static async answerForOwner(owner, query) {
+    const pets = await OwnerService.getPetsForOwner(owner._id);
+    if (pets.length === 0) {
+      return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.VACCINATION_NO_PETS, tempData: {} };
+    }
+
+    const pet = AppointmentService.matchPet(query.replace(/\d/g, ''), pets) || (pets.length === 1 ? pets[0] : null);
+    if (!pet) {
+      return {
+        nextState: BOOKING_STATES.SELECTING_VACCINATION_PET,
+        response: MESSAGES.VACCINATION_WHICH_PET(AppointmentService.formatPetChoices(pets)),
+        tempData: { vaccinationQuery: query, ownerId: owner._id.toString() },
+      };
+    }
+
+    return this.answerForPet(owner, pet, query);
+  }
+
+  /**
+   * Describe one vaccine's status in a line
+   */
+  static describeStatus(item) {
+    const last = item.lastGiven ? ` (last given ${formatDate(item.lastGiven)})` : '';
+
+    switch (item.status) {
+      case VACCINATION_STATUS.OVERDUE:
+        return `⚠️ ${item.name}: overdue since ${formatDate(item.dueDate)}${last}`;
+      case VACCINATION_STATUS.DUE_SOON:
+        return `📅 ${item.name}: due ${formatDate(item.dueDate)}${last}`;
+      case VACCINATION_STATUS.NO_RECORD:
+        return `❔ ${item.name}: no record on file`;
+      default:
+        return item.dueDate
+          ? `✅ ${item.name}: up to date, next due ${formatDate(item.dueDate)}${last}`
+          : `✅ ${item.name}: up to date${last}`;
+    }
+  }
+
+  /**
+   * Answer a vaccination question for one pet, offering to book when something is due
+   */
+  static async answerForPet(owner, pet, query) {
+    const items = await this.getVaccinationStatus(pet);
+    const rule = this.findVaccineRule(query, pet.species);
+
+    let lines;
+    let needsVisit;
+    if (rule) {
+      const item = items.find(i => i.vaccine === rule.id);
+      lines = [item ? this.describeStatus(item) : `❔ ${rule.name}: no record on file`];
+      needsVisit = !item || item.status !== VACCINATION_STATUS.UP_TO_DATE;
+    } else if (items.length === 0) {
+      lines = ['No vaccination records on file yet.'];
+      needsVisit = true;
+    } else {
+      lines = items.map(item => this.describeStatus(item));
+      needsVisit = items.some(item => item.status !== VACCINATION_STATUS.UP_TO_DATE);
+    }
+
+    const summary = `🐾 ${pet.name}'s vaccinations:\n\n${lines.join('\n')}`;
+    if (!needsVisit) {
+      return {
+        nextState: BOOKING_STATES.IDLE,
+        response: `${summary}\n\nIs there anything else I can help you with?`,
+        tempData: {},
+      };
+    }
+
+    return {
+      nextState: BOOKING_STATES.CONFIRMING_VACCINATION_BOOKING,
+      response: `${summary}\n\n${MESSAGES.VACCINATION_OFFER_BOOKING(pet.name)}`,
+      tempData: {
+        ownerId: owner._id.toString(),
+        ownerName: owner.name,
+        phone: owner.phone,
+        petId: pet._id.toString(),
+        petName: pet.name,
+        petType: pet.species,
+      },
+    };
+  }
+
+  /**
+   * Process a message while a vaccination lookup is in progress
+   * Saying "yes" to the booking offer starts the booking form at the date/time step (the result
+   * then carries form)
+   */
+  static async processVaccinationFlow(sessionId, userMessage, currentState) {
+    const { status, tempData } = currentState;
+    const trimmedMessage = userMessage.trim();
+
+    if (EXIT_REGEX.test(trimmedMessage)) {
+      return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.VACCINATION_BOOKING_DECLINED, tempData: {} };
+    }
+
+    switch (status) {
+      case BOOKING_STATES.COLLECTING_VACCINATION_OWNER_NAME:
+        if (!AppointmentService.isValidName(trimmedMessage)) {
+          return { nextState: status, response: MESSAGES.INVALID_NAME, tempData };
+        }
+        return {
+          nextState: BOOKING_STATES.COLLECTING_VACCINATION_PHONE,
+          response: MESSAGES.VACCINATION_ASK_PHONE,
+          tempData: { ...tempData, ownerName: trimmedMessage },
+        };
+
+      case BOOKING_STATES.COLLECTING_VACCINATION_PHONE: {
+        if (!AppointmentService.isValidPhone(trimmedMessage)) {
+          return { nextState: status, response: MESSAGES.INVALID_PHONE, tempData };
+        }
+
+        const owner = await OwnerService.findReturningOwner({ phone: trimmedMessage, name: tempData.ownerName });
+        if (!owner) {
+          return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.VACCINATION_OWNER_NOT_FOUND, tempData: {} };
+        }
+        return this.answerForOwner(owner, tempData.vaccinationQuery || '');
+      }
+
+      case BOOKING_STATES.SELECTING_VACCINATION_PET: {
+        const [owner, pets] = await Promise.all([
+          Owner.findById(tempData.ownerId),
+          OwnerService.getPetsForOwner(tempData.ownerId),
+        ]);
+        if (!owner) {
+          return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.VACCINATION_OWNER_NOT_FOUND, tempData: {} };
+        }
+
+        const pet = AppointmentService.matchPet(trimmedMessage, pets);
+        if (!pet) {
+          return {
+            nextState: status,
+            response: MESSAGES.VACCINATION_WHICH_PET(AppointmentService.formatPetChoices(pets)),
+            tempData,
+          };
+        }
+        return this.answerForPet(owner, pet, tempData.vaccinationQuery || '');
+      }
+
+      case BOOKING_STATES.CONFIRMING_VACCINATION_BOOKING:
+        if (YES_REGEX.test(trimmedMessage)) {
+          // The owner and pet are known, so the booking form goes straight to the date and time
+          return DialogueService.startForm(sessionId, DIALOGUE_FORMS.BOOKING, '', {}, {
+            ownerId: tempData.ownerId,
+            ownerName: tempData.ownerName,
+            phone: tempData.phone,
+            petId: tempData.petId,
+            petName: tempData.petName,
+            petType: tempData.petType,
+            service: 'vaccination',
+          });
+        }
+        if (NO_REGEX.test(trimmedMessage)) {
+          return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.VACCINATION_BOOKING_DECLINED, tempData: {} };
+        }
+        return {
+          nextState: status,
+          response: MESSAGES.VACCINATION_OFFER_BOOKING(tempData.petName),
+          tempData,
+        };
+
+      default:
+        return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.DEFAULT_RESPONSE, tempData: {} };
+    }
+  }
+}
+
+VaccinationService.VACCINATION_STATES = VACCINATION_STATES;
+
+module.exports = VaccinationService;
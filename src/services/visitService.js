@@ -0,0 +1,403 @@
+/**
+ * Visit Service
+ * Clinical records for completed appointments and per-pet timelines
+ *
+ * Each completed appointment can have one visit record. Every create, edit and delete is added to
+ * the record's history with who made it and which fields changed; deleted records are hidden,
+ * not removed, so the audit survives.
+ */
+
+const { VisitRecord, Appointment } = require('../models');
+const OwnerService = require('./ownerService');
+const { APPOINTMENT_STATUS } = require('../config/constants');
+const { startOfClinicDay, addClinicDays, getClinicDateTime } = require('../utils/timezoneUtils');
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+// Fields staff can set, in the order they are compared for the audit
+const RECORD_FIELDS = ['visitDate', 'vitals', 'diagnosis', 'treatments', 'prescriptions', 'followUp', 'attachments', 'notes'];
+
+// Accepted vitals and their limits
+const VITALS = {
+  weightKg: { min: 0, label: 'Weight (kg)' },
+  temperatureC: { min: 25, max: 45, label: 'Temperature (°C)' },
+  heartRate: { min: 0, max: 400, label: 'Heart rate' },
+  respiratoryRate: { min: 0, max: 200, label: 'Respiratory rate' },
+  bodyConditionScore: { min: 1, max: 9, label: 'Body condition score' },
+};
+
+/**
+ * Whether a value is a plain object
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Get the instant an appointment starts (its scheduled slot, or when it was booked)
+ */
+const getAppointmentStart = (appointment) => {
+  if (appointment.scheduledDate && appointment.scheduledTimeSlot) {
+    return getClinicDateTime(appointment.scheduledDate, appointment.scheduledTimeSlot);
+  }
+  return appointment.scheduledDate || appointment.createdAt;
+};
+
+/**
+ * Get a stored field as plain JSON for comparison and the audit
+ */
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+class VisitService {
+  /**
+   * Validate a list of objects that each need a text field
+   */
+  static validateList(errors, data, field, requiredKey, label) {
+    if (data[field] === undefined) return;
+    if (!Array.isArray(data[field]) || data[field].some(item => !isObject(item))) {
+      errors.push({ field, message: `${label} must be a list of objects`, code: 'INVALID_TYPE' });
+      return;
+    }
+    data[field].forEach((item, index) => {
+      if (typeof item[requiredKey] !== 'string' || !item[requiredKey].trim()) {
+        errors.push({ field: `${field}[${index}].${requiredKey}`, message: `${label} entries need a ${requiredKey}`, code: 'REQUIRED' });
+      }
+    });
+  }
+
+  /**
+   * Validate visit record fields
+   */
+  static validateVisitData(data) {
+    const errors = [];
+
+    if (data.visitDate !== undefined) {
+      const visitDate = new Date(data.visitDate);
+      if (isNaN(visitDate.getTime())) {
+        errors.push({ field: 'visitDate', message: 'Invalid visit date', code: 'INVALID_FORMAT' });
+      } else if (visitDate > new Date()) {
+        errors.push({ field: 'visitDate', message: 'Visit date cannot be in the future', code: 'FUTURE_DATE' });
+      }
+    }
+
+    if (data.vitals !== undefined) {
+      if (!isObject(data.vitals)) {
+        errors.push({ field: 'vitals', message: 'Vitals must be an object', code: 'INVALID_TYPE' });
+      } else {
+        Object.entries(data.vitals).forEach(([key, value]) => {
+          const limits = VITALS[key];
+          if (!limits) {
+            errors.push({ field: `vitals.${key}`, message: `Unknown vital. Use: ${Object.keys(VITALS).join(', ')}`, code: 'INVALID_VALUE' });
+          } else if (value !== null && (typeof value !== 'number' || !isFinite(value) ||
+            value < limits.min || (limits.max !== undefined && value > limits.max))) {
+            const range = limits.max !== undefined ? `between ${limits.min} and ${limits.max}` : `at least ${limits.min}`;
+            errors.push({ field: `vitals.${key}`, message: `${limits.label} must be a number ${range}`, code: 'INVALID_VALUE' });
+          }
+        });
+      }
+    }
+
+    ['diagnosis', 'notes'].forEach(field => {
+      if (data[field] !== undefined && typeof data[field] !== 'string') {
+        errors.push({ field, message: `${field.charAt(0).toUpperCase() + field.slice(1)} must be a string`, code: 'INVALID_TYPE' });
+      }
+    });
+
+    this.validateList(errors, data, 'treatments', 'name', 'Treatments');
+    this.validateList(errors, data, 'prescriptions', 'medication', 'Prescriptions');
+    this.validateList(errors, data, 'attachments', 'filename', 'Attachments');
+    (Array.isArray(data.prescriptions) ? data.prescriptions : []).forEach((item, index) => {
+      if (isObject(item) && item.durationDays !== undefined && item.durationDays !== null &&
+        (!Number.isInteger(item.durationDays) || item.durationDays < 0)) {
+        errors.push({ field: `prescriptions[${index}].durationDays`, message: 'Duration must be a whole number of days', code: 'INVALID_VALUE' });
+      }
+    });
+
+    if (data.followUp !== undefined) {
+      if (!isObject(data.followUp)) {
+        errors.push({ field: 'followUp', message: 'Follow-up must be an object', code: 'INVALID_TYPE' });
+      } else {
+        if (data.followUp.recommended !== undefined && typeof data.followUp.recommended !== 'boolean') {
+          errors.push({ field: 'followUp.recommended', message: 'Follow-up recommended must be true or false', code: 'INVALID_TYPE' });
+        }
+        if (data.followUp.inDays !== undefined && data.followUp.inDays !== null &&
+          (!Number.isInteger(data.followUp.inDays) || data.followUp.inDays < 0)) {
+          errors.push({ field: 'followUp.inDays', message: 'Follow-up must be a whole number of days', code: 'INVALID_VALUE' });
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build a failure result from validation errors
+   */
+  static validationFailure(errors) {
+    return {
+      success: false,
+      error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+      validationErrors: errors,
+    };
+  }
+
+  /**
+   * Copy the given fields onto a record and list what changed
+   * Vitals and follow-up are merged, so one vital can be corrected without resending the rest
+   */
+  static applyFields(record, data) {
+    const changes = [];
+
+    RECORD_FIELDS.forEach(field => {
+      if (data[field] === undefined) return;
+
+      const before = toPlain(record[field]);
+      if (field === 'vitals' || field === 'followUp') {
+        record[field] = { ...before, ...data[field] };
+      } else if (field === 'visitDate') {
+        record.visitDate = new Date(data.visitDate);
+      } else {
+        record[field] = data[field];
+      }
+
+      const after = toPlain(record[field]);
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ field, from: before, to: after });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Add an entry to a record's audit
+   */
+  static addAuditEntry(record, action, user, changes = []) {
+    record.history.push({
+      action,
+      user: user ? user._id : null,
+      userName: user ? user.name : null,
+      changes,
+    });
+  }
+
+  /**
+   * List visit records, newest first (without their audit)
+   */
+  static async getVisitRecords({ petId = null, ownerId = null, providerId = null, from = null, to = null, page = 1, limit = 20 } = {}) {
+    try {
+      if ([petId, ownerId, providerId].some(id => id && !OBJECT_ID_REGEX.test(id))) {
+        return { success: false, error: 'Invalid pet, owner or provider ID.', code: 'INVALID_ID' };
+      }
+
+      const query = { deleted: false };
+      if (petId) query.pet = petId;
+      if (ownerId) query.owner = ownerId;
+      if (providerId) query.provider = providerId;
+      if (from || to) {
+        query.visitDate = {};
+        if (from) query.visitDate.$gte = startOfClinicDay(from);
+        if (to) query.visitDate.$lt = addClinicDays(to, 1);
+      }
+
+      const skip = (page - 1) * limit;
+      const [records, total] = await Promise.all([
+        VisitRecord.find(query)
+          .sort({ visitDate: -1 })
+          .skip(skip)
+          .limit(limit)
+          .select('-history')
+          .populate('appointment', 'service petName ownerName scheduledDate scheduledTimeSlot')
+          .populate('provider', 'name role'),
+        VisitRecord.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        records,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting visit records:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a visit record with its audit
+   */
+  static async getVisitRecord(recordId) {
+    try {
+      if (!recordId || !OBJECT_ID_REGEX.test(recordId)) {
+        return { success: false, error: 'Invalid visit record ID.', code: 'INVALID_ID' };
+      }
+
+      const record = await VisitRecord.findOne({ _id: recordId, deleted: false })
+        .populate('appointment')
+        .populate('pet', 'name species breed')
+        .populate('provider', 'name role');
+      if (!record) {
+        return { success: false, error: 'Visit record not found', code: 'NOT_FOUND' };
+      }
+
+      return { success: true, record };
+    } catch (error) {
+      console.error('Error getting visit record:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create the visit record for a completed appointment
+   */
+  static async createVisitRecord(appointmentId, data, user = null) {
+    try {
+      if (!appointmentId || !OBJECT_ID_REGEX.test(String(appointmentId))) {
+        return { success: false, error: 'Invalid appointment ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validateVisitData(data);
+      if (errors.length > 0) return this.validationFailure(errors);
+
+      const appointment = await Appointment.findById(appointmentId);
+      if (!appointment) {
+        return { success: false, error: 'Appointment not found', code: 'NOT_FOUND' };
+      }
+      if (appointment.status !== APPOINTMENT_STATUS.COMPLETED) {
+        return {
+          success: false,
+          error: 'Visit records can only be added to completed appointments.',
+          code: 'NOT_COMPLETED',
+        };
+      }
+
+      const existing = await VisitRecord.findOne({ appointment: appointment._id, deleted: false }).select('_id');
+      if (existing) {
+        return {
+          success: false,
+          error: 'This appointment already has a visit record. Update it instead.',
+          code: 'DUPLICATE_RECORD',
+          existingId: existing._id,
+        };
+      }
+
+      const record = new VisitRecord({
+        appointment: appointment._id,
+        pet: appointment.pet,
+        owner: appointment.owner,
+        provider: appointment.provider,
+        visitDate: getAppointmentStart(appointment),
+      });
+      const changes = this.applyFields(record, data);
+      this.addAuditEntry(record, 'created', user, changes);
+      await record.save();
+
+      return { success: true, record };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, error: 'This appointment already has a visit record. Update it instead.', code: 'DUPLICATE_RECORD' };
+      }
+      console.error('Error creating visit record:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a visit record, recording the changed fields in its audit
+   */
+  static async updateVisitRecord(recordId, data, user = null) {
+    try {
+      if (!recordId || !OBJECT_ID_REGEX.test(recordId)) {
+        return { success: false, error: 'Invalid visit record ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validateVisitData(data);
+      if (errors.length > 0) return this.validationFailure(errors);
+
+      const record = await VisitRecord.findOne({ _id: recordId, deleted: false });
+      if (!record) {
+        return { success: false, error: 'Visit record not found', code: 'NOT_FOUND' };
+      }
+
+      const changes = this.applyFields(record, data);
+      if (changes.length > 0) {
+        this.addAuditEntry(record, 'updated', user, changes);
+        await record.save();
+      }
+
+      return { success: true, record, changedFields: changes.map(change => change.field) };
+    } catch (error) {
+      console.error('Error updating visit record:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a visit record (kept with its audit, hidden from lists and timelines)
+   */
+  static async deleteVisitRecord(recordId, user = null) {
+    try {
+      if (!recordId || !OBJECT_ID_REGEX.test(recordId)) {
+        return { success: false, error: 'Invalid visit record ID.', code: 'INVALID_ID' };
+      }
+
+      const record = await VisitRecord.findOne({ _id: recordId, deleted: false });
+      if (!record) {
+        return { success: false, error: 'Visit record not found', code: 'NOT_FOUND' };
+      }
+
+      record.deleted = true;
+      this.addAuditEntry(record, 'deleted', user);
+      await record.save();
+
+      return { success: true, record };
+    } catch (error) {
+      console.error('Error deleting visit record:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a pet's appointments and visit records as one timeline, newest first
+   * A completed appointment's visit record is shown right after it
+   */
+  static async getPetTimeline(ownerId, petId) {
+    try {
+      const loaded = await OwnerService.getOwnedPet(ownerId, petId);
+      if (!loaded.success) return loaded;
+
+      const [appointments, records] = await Promise.all([
+        Appointment.find({ pet: loaded.pet._id }).populate('provider', 'name role'),
+        VisitRecord.find({ pet: loaded.pet._id, deleted: false })
+          .select('-history')
+          .populate('provider', 'name role'),
+      ]);
+
+      const entries = [
+        ...appointments.map(appointment => ({
+          type: 'appointment',
+          date: getAppointmentStart(appointment),
+          appointment,
+        })),
+        ...records.map(record => ({
+          type: 'visit',
+          date: record.visitDate,
+          record,
+        })),
+      ];
+
+      // Newest first; on the same instant the appointment is listed before its visit record
+      entries.sort((a, b) => (b.date - a.date) || (a.type === 'visit') - (b.type === 'visit'));
+
+      return { success: true, pet: loaded.pet, timeline: entries };
+    } catch (error) {
+      console.error('Error getting pet timeline:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = VisitService;
@@ -0,0 +1,610 @@
+/**
+ * Waitlist Service
+ * Lets owners wait for fully booked days and offers them slots that open up
+ *
+ * When an appointment is cancelled or marked no-show, the earliest waiting entry whose
+ * date range covers that day gets the slot held for WAITLIST.OFFER_MINUTES and is notified.
+ * Offers that are declined or lapse are passed on to the next entry in line.
+ */
+
+const crypto = require('crypto');
+const { WaitlistEntry } = require('../models');
+const { WAITLIST, WAITLIST_STATUS, BOOKING_STATES, MESSAGES, SERVICES } = require('../config/constants');
+const AppointmentService = require('./appointmentService');
+const AppointmentManagementService = require('./appointmentManagementService');
+const ConversationService = require('./conversationService');
+const ProviderService = require('./providerService');
+const SlotReservationService = require('./slotReservationService');
+const NotifierService = require('./notifierService');
+const {
+  validateOwnerName,
+  validatePetName,
+  validatePetType,
+  validatePhone,
+  validateEmail,
+  validateService,
+} = require('../utils/appointmentValidator');
+const { timeToMinutes } = require('../utils/scheduleUtils');
+const { toDateKey, startOfClinicDay, addClinicDays, getClinicMinutes, formatClinicDate } = require('../utils/timezoneUtils');
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+// Bookings need 30 minutes' notice, and the owner may accept at the very end of the hold
+const MIN_OFFER_LEAD_MINUTES = 30 + WAITLIST.OFFER_MINUTES;
+
+class WaitlistService {
+  /**
+   * Get the slot lock holder key for an entry's offer
+   */
+  static getHolder(entryId) {
+    return `waitlist:${entryId}`;
+  }
+
+  /**
+   * Validate a request to join the waitlist
+   */
+  static validateEntryData(data) {
+    const errors = [
+      ...validateOwnerName(data.ownerName),
+      ...validatePetName(data.petName),
+      ...validatePhone(data.phone),
+      ...validatePetType(data.petType),
+      ...validateEmail(data.email),
+      ...validateService(data.service),
+    ];
+
+    const dateTo = data.dateTo || data.dateFrom;
+    if (!DATE_KEY_REGEX.test(data.dateFrom || '') || !DATE_KEY_REGEX.test(dateTo || '')) {
+      errors.push({ field: 'dateFrom', message: 'dateFrom and dateTo must use YYYY-MM-DD format', code: 'INVALID_FORMAT' });
+      return errors;
+    }
+
+    const from = startOfClinicDay(data.dateFrom);
+    const to = startOfClinicDay(dateTo);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      errors.push({ field: 'dateFrom', message: 'Invalid date', code: 'INVALID_FORMAT' });
+    } else if (from < startOfClinicDay()) {
+      errors.push({ field: 'dateFrom', message: 'Cannot join the waitlist for past dates', code: 'PAST_DATE' });
+    } else if (to < from) {
+      errors.push({ field: 'dateTo', message: 'dateTo must not be before dateFrom', code: 'INVALID_RANGE' });
+    } else if (to > addClinicDays(from, WAITLIST.MAX_RANGE_DAYS - 1)) {
+      errors.push({ field: 'dateTo', message: `The waitlist can cover at most ${WAITLIST.MAX_RANGE_DAYS} days`, code: 'RANGE_TOO_LONG' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Add an owner to the waitlist for a date range and service
+   * Returns the token the owner needs to view, accept or leave the entry over the API
+   */
+  static async joinWaitlist(data, { sessionId = null } = {}) {
+    try {
+      const errors = this.validateEntryData(data);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+          validationErrors: errors,
+        };
+      }
+
+      const service = data.service || 'checkup';
+      if (data.providerId) {
+        const providerCheck = await ProviderService.checkBookableProvider(data.providerId, service);
+        if (!providerCheck.success) {
+          return providerCheck;
+        }
+      }
+
+      const dateFrom = startOfClinicDay(data.dateFrom);
+      const dateTo = startOfClinicDay(data.dateTo || data.dateFrom);
+      const phone = data.phone.trim();
+
+      const existing = await WaitlistEntry.findOne({
+        phone,
+        service,
+        status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] },
+        dateFrom: { $lte: dateTo },
+        dateTo: { $gte: dateFrom },
+      });
+      if (existing) {
+        return {
+          success: false,
+          error: 'You are already on the waitlist for these dates.',
+          code: 'ALREADY_WAITLISTED',
+        };
+      }
+
+      const token = crypto.randomBytes(24).toString('hex');
+      const entry = new WaitlistEntry({
+        ownerName: data.ownerName.trim(),
+        petName: data.petName.trim(),
+        petType: data.petType || 'other',
+        phone,
+        email: data.email?.trim() || null,
+        service,
+        provider: data.providerId || null,
+        dateFrom,
+        dateTo,
+        sessionId,
+        token,
+      });
+      await entry.save();
+
+      return { success: true, entry, token };
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Load an entry for its owner (API token or the chat session that created it)
+   * Unknown IDs and wrong credentials both report NOT_FOUND
+   */
+  static async getOwnedEntry(entryId, { token = null, sessionId = null } = {}) {
+    if (!entryId || !/^[0-9a-fA-F]{24}$/.test(String(entryId))) {
+      return { success: false, error: 'Invalid waitlist entry ID.', code: 'INVALID_ID' };
+    }
+
+    const entry = await WaitlistEntry.findById(entryId).select('+token');
+    const authorized = entry && (
+      (token && typeof token === 'string' && token === entry.token) ||
+      (sessionId && sessionId === entry.sessionId)
+    );
+    if (!authorized) {
+      return { success: false, error: 'Waitlist entry not found.', code: 'NOT_FOUND' };
+    }
+
+    return { success: true, entry };
+  }
+
+  /**
+   * Get an entry for its owner
+   */
+  static async getEntry(entryId, credentials) {
+    try {
+      return await this.getOwnedEntry(entryId, credentials);
+    } catch (error) {
+      console.error('Error getting waitlist entry:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * List waitlist entries for staff
+   */
+  static async getEntries({ status = null, date = null, page = 1, limit = 20 } = {}) {
+    try {
+      const query = {};
+      if (status) {
+        query.status = status;
+      }
+      if (date) {
+        const day = startOfClinicDay(date);
+        query.dateFrom = { $lte: day };
+        query.dateTo = { $gte: day };
+      }
+
+      const skip = (page - 1) * limit;
+      const [entries, total] = await Promise.all([
+        WaitlistEntry.find(query)
+          .sort({ createdAt: 1 })
+          .skip(skip)
+          .limit(limit)
+          .populate('provider', 'name title')
+          .populate('appointment', 'scheduledDate scheduledTimeSlot status'),
+        WaitlistEntry.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting waitlist entries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pick a start time on a date to offer an entry
+   * Start times inside the freed interval are preferred; slots the owner already passed on are skipped
+   */
+  static async findSlotForEntry(entry, date, freedInterval = null) {
+    const duration = AppointmentService.getServiceDuration(entry.service);
+    const dateKey = toDateKey(date);
+    const passed = new Set(entry.passedOffers
+      .filter(offer => offer.date === dateKey)
+      .map(offer => offer.timeSlot));
+    const isToday = dateKey === toDateKey(startOfClinicDay());
+
+    const slots = (await AppointmentService.getOpenSlots(date, duration, null, {
+      service: entry.service,
+      providerId: entry.provider,
+    })).filter(slot =>
+      !passed.has(slot.time) &&
+      (!isToday || timeToMinutes(slot.time) >= getClinicMinutes() + MIN_OFFER_LEAD_MINUTES)
+    );
+
+    const preferred = freedInterval && slots.find(slot => {
+      const start = timeToMinutes(slot.time);
+      return start >= freedInterval.start && start < freedInterval.end;
+    });
+    return (preferred || slots[0] || {}).time || null;
+  }
+
+  /**
+   * Hold a slot for an entry and notify the owner
+   */
+  static async makeOffer(entry, date, timeSlot) {
+    // Claim the entry first so two servers never make it two offers
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: WAITLIST_STATUS.WAITING },
+      { $set: { status: WAITLIST_STATUS.OFFERED, offer: { date, timeSlot } } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { success: false, error: 'Waitlist entry is no longer waiting.', code: 'ENTRY_UNAVAILABLE' };
+    }
+
+    const reservation = await AppointmentService.reserveSlot(date, timeSlot, AppointmentService.getServiceDuration(entry.service), {
+      service: entry.service,
+      providerId: entry.provider,
+      holder: this.getHolder(entry._id),
+      holdMinutes: WAITLIST.OFFER_MINUTES,
+    });
+    if (!reservation.success) {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, status: WAITLIST_STATUS.OFFERED },
+        { $set: { status: WAITLIST_STATUS.WAITING }, $unset: { offer: 1 } }
+      );
+      return reservation;
+    }
+
+    claimed.offer.provider = reservation.providerId || null;
+    claimed.offer.expiresAt = reservation.expiresAt;
+    await claimed.save();
+
+    await this.notifyOffer(claimed);
+    return { success: true, entry: claimed };
+  }
+
+  /**
+   * Tell the owner about an offer
+   * Chat users with no flow in progress can answer it straight away with "yes" or "no"
+   */
+  static async notifyOffer(entry) {
+    const [hours, minutes] = entry.offer.timeSlot.split(':').map(Number);
+    const serviceInfo = SERVICES.find(s => s.id === entry.service);
+    const message = MESSAGES.WAITLIST_OFFER({
+      petName: entry.petName,
+      serviceName: serviceInfo ? serviceInfo.name : entry.service,
+      dateLabel: formatClinicDate(startOfClinicDay(entry.offer.date), { weekday: 'long', month: 'long', day: 'numeric' }),
+      timeLabel: AppointmentService.formatTimeDisplay(hours, minutes),
+      minutes: WAITLIST.OFFER_MINUTES,
+    });
+
+    if (entry.sessionId) {
+      const stateResult = await ConversationService.getBookingState(entry.sessionId);
+      if (stateResult.success && stateResult.state.status === BOOKING_STATES.IDLE) {
+        await ConversationService.updateBookingState(entry.sessionId, BOOKING_STATES.CONFIRMING_WAITLIST_OFFER, {
+          waitlistEntryId: entry._id.toString(),
+        });
+      }
+    }
+
+    return NotifierService.notify({
+      event: 'waitlist.offer',
+      recipient: this.getRecipient(entry),
+      message,
+      data: {
+        entryId: entry._id,
+        date: toDateKey(entry.offer.date),
+        timeSlot: entry.offer.timeSlot,
+        expiresAt: entry.offer.expiresAt,
+      },
+    });
+  }
+
+  /**
+   * Stop the owner's chat waiting for an answer to an entry's offer, once it is no longer open
+   * Another flow the owner has started since is left alone
+   */
+  static async clearOfferState(entry) {
+    if (!entry.sessionId) return;
+
+    const stateResult = await ConversationService.getBookingState(entry.sessionId);
+    if (stateResult.success
+      && stateResult.state.status === BOOKING_STATES.CONFIRMING_WAITLIST_OFFER
+      && stateResult.state.tempData.waitlistEntryId === entry._id.toString()) {
+      await ConversationService.resetBookingState(entry.sessionId);
+    }
+  }
+
+  /**
+   * Get notification recipient details for an entry
+   */
+  static getRecipient(entry) {
+    return {
+      name: entry.ownerName,
+      phone: entry.phone,
+      email: entry.email || null,
+      sessionId: entry.sessionId || null,
+    };
+  }
+
+  /**
+   * Offer a slot that was just given back to the first waiting entry that can use it
+   * Errors are logged rather than returned to the caller, whose own change already succeeded
+   */
+  static async handleFreedSlot({ date, timeSlot, duration }) {
+    try {
+      const day = startOfClinicDay(date);
+      if (day < startOfClinicDay()) {
+        return { success: true, offered: false };
+      }
+
+      const start = timeToMinutes(timeSlot);
+      const entries = await WaitlistEntry.getWaitingForDate(day);
+
+      for (const entry of entries) {
+        const slot = await this.findSlotForEntry(entry, day, { start, end: start + duration });
+        if (!slot) continue;
+
+        const result = await this.makeOffer(entry, day, slot);
+        if (result.success) {
+          return { success: true, offered: true, entry: result.entry };
+        }
+      }
+
+      return { success: true, offered: false };
+    } catch (error) {
+      console.error('Error offering freed slot to waitlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Book the offered slot
+   */
+  static async acceptOffer(entryId, credentials = {}) {
+    try {
+      const entryResult = await this.getOwnedEntry(entryId, credentials);
+      if (!entryResult.success) {
+        return entryResult;
+      }
+
+      const { entry } = entryResult;
+      if (entry.status !== WAITLIST_STATUS.OFFERED) {
+        return { success: false, error: 'There is no slot on offer for this waitlist entry.', code: 'NO_ACTIVE_OFFER' };
+      }
+      if (entry.offer.expiresAt <= new Date()) {
+        return { success: false, error: 'This offer has expired.', code: 'OFFER_EXPIRED' };
+      }
+
+      const result = await AppointmentService.createDirectAppointment({
+        ownerName: entry.ownerName,
+        petName: entry.petName,
+        petType: entry.petType,
+        phone: entry.phone,
+        email: entry.email || undefined,
+        service: entry.service,
+        scheduledDate: toDateKey(entry.offer.date),
+        scheduledTimeSlot: entry.offer.timeSlot,
+        providerId: entry.offer.provider ? entry.offer.provider.toString() : null,
+        source: 'waitlist',
+      }, {
+        holder: this.getHolder(entry._id),
+        sessionId: entry.sessionId,
+      });
+      if (!result.success) {
+        return result;
+      }
+
+      const booked = await WaitlistEntry.findByIdAndUpdate(
+        entry._id,
+        { $set: { status: WAITLIST_STATUS.BOOKED, appointment: result.appointment._id } },
+        { new: true }
+      );
+      await this.clearOfferState(entry);
+
+      return { success: true, entry: booked, appointment: result.appointment };
+    } catch (error) {
+      console.error('Error accepting waitlist offer:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Turn down the offered slot and stay on the waitlist
+   */
+  static async declineOffer(entryId, credentials = {}) {
+    try {
+      const entryResult = await this.getOwnedEntry(entryId, credentials);
+      if (!entryResult.success) {
+        return entryResult;
+      }
+
+      const { entry } = entryResult;
+      if (entry.status !== WAITLIST_STATUS.OFFERED) {
+        return { success: false, error: 'There is no slot on offer for this waitlist entry.', code: 'NO_ACTIVE_OFFER' };
+      }
+
+      const offer = entry.offer.toObject();
+      const updated = await this.passOffer(entry);
+      if (updated) {
+        await this.handleFreedSlot({ ...offer, duration: AppointmentService.getServiceDuration(entry.service) });
+      }
+
+      return { success: true, entry: updated || entry };
+    } catch (error) {
+      console.error('Error declining waitlist offer:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether a booking state is a slot offer waiting for the owner's answer
+   */
+  static isOfferState(status) {
+    return status === BOOKING_STATES.CONFIRMING_WAITLIST_OFFER;
+  }
+
+  /**
+   * Handle the owner's chat answer to a slot offer
+   */
+  static async processOfferReply(sessionId, userMessage, currentState) {
+    const { tempData } = currentState;
+    const answer = userMessage.trim().toLowerCase();
+
+    if (answer === 'yes' || answer === 'y' || answer === 'confirm') {
+      const result = await this.acceptOffer(tempData.waitlistEntryId, { sessionId });
+      if (!result.success) {
+        return {
+          nextState: BOOKING_STATES.IDLE,
+          response: `Sorry, I couldn't book that slot: ${result.error} Is there anything else I can help you with?`,
+          tempData: {},
+        };
+      }
+      return {
+        nextState: BOOKING_STATES.IDLE,
+        response: MESSAGES.WAITLIST_OFFER_BOOKED(AppointmentManagementService.summarize(result.appointment)),
+        tempData: {},
+      };
+    }
+
+    if (answer === 'no' || answer === 'n' || answer === 'cancel') {
+      const result = await this.declineOffer(tempData.waitlistEntryId, { sessionId });
+      return {
+        nextState: BOOKING_STATES.IDLE,
+        response: result.success ? MESSAGES.WAITLIST_OFFER_DECLINED : this.offerClosedResponse(result),
+        tempData: {},
+      };
+    }
+
+    // Only ask again while the slot is still held for the owner
+    const entryResult = await this.getOwnedEntry(tempData.waitlistEntryId, { sessionId });
+    const entry = entryResult.success ? entryResult.entry : null;
+    if (!entry || entry.status !== WAITLIST_STATUS.OFFERED || entry.offer.expiresAt <= new Date()) {
+      return { nextState: BOOKING_STATES.IDLE, response: MESSAGES.WAITLIST_OFFER_CLOSED, tempData: {} };
+    }
+
+    return {
+      nextState: currentState.status,
+      response: 'Please reply "yes" to book the slot we\'re holding for you or "no" to pass.',
+      tempData,
+    };
+  }
+
+  /**
+   * Reply to a chat answer for an offer that could not be passed on
+   */
+  static offerClosedResponse(result) {
+    if (['NO_ACTIVE_OFFER', 'NOT_FOUND'].includes(result.code)) {
+      return MESSAGES.WAITLIST_OFFER_CLOSED;
+    }
+    return `Sorry, I couldn't pass on that slot: ${result.error} Is there anything else I can help you with?`;
+  }
+
+  /**
+   * Leave the waitlist (any slot on offer is passed on)
+   */
+  static async leaveWaitlist(entryId, credentials = {}) {
+    try {
+      const entryResult = await this.getOwnedEntry(entryId, credentials);
+      if (!entryResult.success) {
+        return entryResult;
+      }
+
+      const { entry } = entryResult;
+      if (![WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED].includes(entry.status)) {
+        return { success: false, error: `This waitlist entry is already ${entry.status}.`, code: 'NOT_ACTIVE' };
+      }
+
+      const offer = entry.status === WAITLIST_STATUS.OFFERED ? entry.offer.toObject() : null;
+      entry.status = WAITLIST_STATUS.CANCELLED;
+      await entry.save();
+
+      if (offer) {
+        await SlotReservationService.releaseHolds(this.getHolder(entry._id));
+        await this.clearOfferState(entry);
+        await this.handleFreedSlot({ ...offer, duration: AppointmentService.getServiceDuration(entry.service) });
+      }
+
+      return { success: true, entry };
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Put an offered entry back to waiting, remembering the slot so it is not offered again
+   * Returns the updated entry, or null when the offer had already changed
+   */
+  static async passOffer(entry) {
+    const updated = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: WAITLIST_STATUS.OFFERED, 'offer.timeSlot': entry.offer.timeSlot },
+      {
+        $set: { status: WAITLIST_STATUS.WAITING },
+        $unset: { offer: 1 },
+        $push: { passedOffers: { date: toDateKey(entry.offer.date), timeSlot: entry.offer.timeSlot } },
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      await SlotReservationService.releaseHolds(this.getHolder(entry._id));
+      await this.clearOfferState(entry);
+    }
+    return updated;
+  }
+
+  /**
+   * Pass on offers that lapsed and expire entries whose last day has gone by
+   * Runs periodically as a background job
+   */
+  static async processExpiredOffers() {
+    try {
+      const lapsed = await WaitlistEntry.find({
+        status: WAITLIST_STATUS.OFFERED,
+        'offer.expiresAt': { $lte: new Date() },
+      });
+
+      let passedOn = 0;
+      for (const entry of lapsed) {
+        const offer = entry.offer.toObject();
+        const updated = await this.passOffer(entry);
+        if (!updated) continue;
+        passedOn++;
+
+        await NotifierService.notify({
+          event: 'waitlist.offer_expired',
+          recipient: this.getRecipient(entry),
+          message: MESSAGES.WAITLIST_OFFER_EXPIRED(AppointmentManagementService.summarizeDateTime(offer.date, offer.timeSlot)),
+          data: { entryId: entry._id, date: toDateKey(offer.date), timeSlot: offer.timeSlot },
+        });
+        await this.handleFreedSlot({ ...offer, duration: AppointmentService.getServiceDuration(entry.service) });
+      }
+
+      const expired = await WaitlistEntry.updateMany(
+        { status: WAITLIST_STATUS.WAITING, dateTo: { $lt: startOfClinicDay() } },
+        { $set: { status: WAITLIST_STATUS.EXPIRED } }
+      );
+
+      return { success: true, passedOn, expired: expired.modifiedCount };
+    } catch (error) {
+      console.error('Error processing expired waitlist offers:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = WaitlistService;
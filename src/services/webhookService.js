@@ -0,0 +1,532 @@
+/**
+ * Webhook Service
+ * Sends signed appointment and conversation events to subscribed URLs
+ *
+ * Emitting an event creates one delivery per matching subscription; a background job POSTs them
+ * and retries failures with exponential backoff. After WEBHOOKS.MAX_ATTEMPTS failed attempts a
+ * delivery is dead-lettered until an admin redelivers it. Each request carries an HMAC-SHA256
+ * signature of "<timestamp>.<body>" made with the subscription's secret. Deliveries are claimed
+ * before sending, so several servers can run the job without sending one twice.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const validator = require('validator');
+const { WebhookSubscription, WebhookDelivery } = require('../models');
+const { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUS, WEBHOOKS } = require('../config/constants');
+const JobService = require('./jobService');
+const RealtimeService = require('./realtimeService');
+const { toDateKey } = require('../utils/timezoneUtils');
+
+// Identifies this server in claims and delivery attempts
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+const DELIVERY_JOB = 'webhook-deliveries';
+const EVENT_NAMES = Object.values(WEBHOOK_EVENTS);
+
+class WebhookService {
+  /**
+   * Get the events subscriptions can receive
+   */
+  static getEvents() {
+    return EVENT_NAMES;
+  }
+
+  /**
+   * Sign a request body: hex HMAC-SHA256 of "<timestamp>.<body>"
+   * Subscribers recompute it from the X-Webhook-Timestamp header and the raw body
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Validate subscription fields (url is only required when creating)
+   */
+  static validateSubscriptionData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (data.url !== undefined || !partial) {
+      if (typeof data.url !== 'string' || !data.url.trim()) {
+        errors.push({ field: 'url', message: 'URL is required', code: 'REQUIRED' });
+      } else if (!validator.isURL(data.url.trim(), { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+        errors.push({ field: 'url', message: 'URL must be a valid http(s) address', code: 'INVALID_FORMAT' });
+      }
+    }
+
+    if (data.events !== undefined) {
+      if (!Array.isArray(data.events) || data.events.some(event => typeof event !== 'string')) {
+        errors.push({ field: 'events', message: 'Events must be a list of event names', code: 'INVALID_TYPE' });
+      } else {
+        const unknown = data.events.filter(event => !EVENT_NAMES.includes(event));
+        if (unknown.length > 0) {
+          errors.push({
+            field: 'events',
+            message: `Unknown event(s): ${unknown.join(', ')}. Must be any of: ${EVENT_NAMES.join(', ')}`,
+            code: 'INVALID_VALUE',
+          });
+        }
+      }
+    }
+
+    if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < WEBHOOKS.MIN_SECRET_LENGTH)) {
+      errors.push({
+        field: 'secret',
+        message: `Secret must be at least ${WEBHOOKS.MIN_SECRET_LENGTH} characters`,
+        code: 'TOO_SHORT',
+      });
+    }
+
+    if (data.description !== undefined && (typeof data.description !== 'string' || data.description.length > 200)) {
+      errors.push({ field: 'description', message: 'Description must be text of at most 200 characters', code: 'INVALID_VALUE' });
+    }
+
+    if (data.active !== undefined && typeof data.active !== 'boolean') {
+      errors.push({ field: 'active', message: 'Active must be true or false', code: 'INVALID_TYPE' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build a validation failure result
+   */
+  static validationFailure(errors) {
+    return {
+      success: false,
+      error: errors.length === 1 ? errors[0].message : 'Multiple validation errors',
+      validationErrors: errors,
+    };
+  }
+
+  /**
+   * List webhook subscriptions (secrets are not included)
+   */
+  static async getSubscriptions() {
+    try {
+      const subscriptions = await WebhookSubscription.find().sort({ createdAt: 1 });
+      return { success: true, subscriptions };
+    } catch (error) {
+      console.error('Error getting webhook subscriptions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a webhook subscription
+   */
+  static async getSubscription(subscriptionId) {
+    try {
+      if (!subscriptionId || !OBJECT_ID_REGEX.test(subscriptionId)) {
+        return { success: false, error: 'Invalid webhook ID.', code: 'INVALID_ID' };
+      }
+
+      const subscription = await WebhookSubscription.findById(subscriptionId);
+      if (!subscription) {
+        return { success: false, error: 'Webhook not found.', code: 'NOT_FOUND' };
+      }
+
+      return { success: true, subscription };
+    } catch (error) {
+      console.error('Error getting webhook subscription:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a webhook subscription
+   * A secret is generated when none is given; it is only returned here and when it is changed
+   */
+  static async createSubscription(data, user = null) {
+    try {
+      const errors = this.validateSubscriptionData(data);
+      if (errors.length > 0) return this.validationFailure(errors);
+
+      const secret = data.secret || crypto.randomBytes(24).toString('hex');
+      const subscription = await WebhookSubscription.create({
+        url: data.url.trim(),
+        secret,
+        events: [...new Set(data.events || [])],
+        description: data.description ? data.description.trim() : '',
+        active: data.active !== undefined ? data.active : true,
+        createdBy: user ? user._id : null,
+      });
+
+      return { success: true, subscription, secret };
+    } catch (error) {
+      console.error('Error creating webhook subscription:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a webhook subscription
+   */
+  static async updateSubscription(subscriptionId, data) {
+    try {
+      if (!subscriptionId || !OBJECT_ID_REGEX.test(subscriptionId)) {
+        return { success: false, error: 'Invalid webhook ID.', code: 'INVALID_ID' };
+      }
+
+      const errors = this.validateSubscriptionData(data, { partial: true });
+      if (errors.length > 0) return this.validationFailure(errors);
+
+      const subscription = await WebhookSubscription.findById(subscriptionId);
+      if (!subscription) {
+        return { success: false, error: 'Webhook not found.', code: 'NOT_FOUND' };
+      }
+
+      if (data.url !== undefined) subscription.url = data.url.trim();
+      if (data.events !== undefined) subscription.events = [...new Set(data.events)];
+      if (data.description !== undefined) subscription.description = data.description.trim();
+      if (data.active !== undefined) subscription.active = data.active;
+      if (data.secret !== undefined) subscription.secret = data.secret;
+      await subscription.save();
+
+      return { success: true, subscription, secretChanged: data.secret !== undefined };
+    } catch (error) {
+      console.error('Error updating webhook subscription:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a webhook subscription and its deliveries
+   */
+  static async deleteSubscription(subscriptionId) {
+    try {
+      if (!subscriptionId || !OBJECT_ID_REGEX.test(subscriptionId)) {
+        return { success: false, error: 'Invalid webhook ID.', code: 'INVALID_ID' };
+      }
+
+      const subscription = await WebhookSubscription.findByIdAndDelete(subscriptionId);
+      if (!subscription) {
+        return { success: false, error: 'Webhook not found.', code: 'NOT_FOUND' };
+      }
+      await WebhookDelivery.deleteMany({ subscription: subscription._id });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting webhook subscription:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Describe an appointment for event payloads
+   */
+  static formatAppointment(appointment) {
+    return {
+      id: appointment._id.toString(),
+      status: appointment.status,
+      service: appointment.service,
+      date: appointment.scheduledDate ? toDateKey(appointment.scheduledDate) : null,
+      timeSlot: appointment.scheduledTimeSlot || null,
+      duration: appointment.duration,
+      preferredDateTime: appointment.preferredDateTime,
+      ownerName: appointment.ownerName,
+      petName: appointment.petName,
+      petType: appointment.petType,
+      phone: appointment.phone,
+      email: appointment.email || null,
+      ownerId: appointment.owner ? appointment.owner.toString() : null,
+      petId: appointment.pet ? appointment.pet.toString() : null,
+      providerId: appointment.provider ? (appointment.provider._id || appointment.provider).toString() : null,
+      sessionId: appointment.sessionId || null,
+      source: appointment.context ? appointment.context.source || null : null,
+      reason: appointment.reason || '',
+    };
+  }
+
+  /**
+   * Queue an event for every active subscription that wants it
+   * Errors are logged rather than returned to the caller, whose own change already succeeded
+   */
+  static async emit(event, data) {
+    try {
+      const eventId = crypto.randomUUID();
+      const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+      // Staff dashboards get the same payload live
+      RealtimeService.publishStaffEvent(payload);
+
+      const subscriptions = await WebhookSubscription.find({
+        active: true,
+        $or: [{ events: event }, { events: { $size: 0 } }],
+      }).select('_id');
+      if (subscriptions.length === 0) {
+        return { success: true, queued: 0 };
+      }
+
+      await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+        subscription: subscription._id,
+        eventId,
+        event,
+        payload,
+      })));
+
+      // Send straight away rather than waiting for the next poll
+      setImmediate(() => JobService.run(DELIVERY_JOB));
+
+      return { success: true, queued: subscriptions.length };
+    } catch (error) {
+      console.error(`Error queueing webhook event ${event}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Claim the next pending delivery that is due, or null when there is none
+   * A claim lapses after WEBHOOKS.CLAIM_SECONDS so a crashed server does not strand it
+   */
+  static claimNextDelivery(now = new Date()) {
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        nextAttemptAt: { $lte: now },
+        $or: [{ claimedUntil: null }, { claimedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          claimedBy: INSTANCE_ID,
+          claimedUntil: new Date(now.getTime() + WEBHOOKS.CLAIM_SECONDS * 1000),
+        },
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * POST a delivery to its subscriber
+   * Returns the attempt: { statusCode, error, durationMs }, with no error when the subscriber answered 2xx
+   */
+  static async post(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'VetChatbot-Webhooks/1.0',
+          'X-Webhook-Id': delivery._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOKS.TIMEOUT_MS),
+      });
+      // The response body is not used
+      await response.arrayBuffer().catch(() => {});
+
+      return {
+        statusCode: response.status,
+        error: response.ok ? undefined : `Subscriber responded ${response.status}`,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      return {
+        statusCode: null,
+        error: error.name === 'TimeoutError' ? `No response within ${WEBHOOKS.TIMEOUT_MS} ms` : error.message,
+        durationMs: Date.now() - startedAt,
+      };
+    }
+  }
+
+  /**
+   * Send a claimed delivery and record the attempt
+   * Returns the delivery's new status
+   */
+  static async sendDelivery(delivery, now = new Date()) {
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+
+    const attempt = subscription && subscription.active
+      ? await this.post(subscription, delivery)
+      : { statusCode: null, error: subscription ? 'Webhook is inactive' : 'Webhook was deleted', durationMs: 0 };
+    const attemptCount = delivery.attemptCount + 1;
+
+    let status = WEBHOOK_DELIVERY_STATUS.PENDING;
+    let nextAttemptAt = delivery.nextAttemptAt;
+    if (!attempt.error) {
+      status = WEBHOOK_DELIVERY_STATUS.DELIVERED;
+    } else if (!subscription || !subscription.active || attemptCount >= WEBHOOKS.MAX_ATTEMPTS) {
+      status = WEBHOOK_DELIVERY_STATUS.DEAD;
+    } else {
+      const delaySeconds = WEBHOOKS.RETRY_DELAY_SECONDS * 2 ** (attemptCount - 1);
+      nextAttemptAt = new Date(now.getTime() + delaySeconds * 1000);
+    }
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id, claimedBy: INSTANCE_ID },
+      {
+        $set: {
+          status,
+          attemptCount,
+          nextAttemptAt,
+          claimedBy: null,
+          claimedUntil: null,
+          deliveredAt: status === WEBHOOK_DELIVERY_STATUS.DELIVERED ? new Date() : null,
+        },
+        $push: {
+          attempts: { at: now, instanceId: INSTANCE_ID, ...attempt },
+        },
+      }
+    );
+
+    return status;
+  }
+
+  /**
+   * Send every delivery that is due
+   * Runs periodically as a background job, and right after an event is queued
+   */
+  static async processDeliveries() {
+    try {
+      const counts = { delivered: 0, retrying: 0, dead: 0 };
+
+      let delivery = await this.claimNextDelivery();
+      while (delivery) {
+        try {
+          const status = await this.sendDelivery(delivery);
+          if (status === WEBHOOK_DELIVERY_STATUS.PENDING) counts.retrying++;
+          else counts[status]++;
+        } catch (error) {
+          // The claim lapses and the delivery is picked up again on a later run
+          console.error(`Error sending webhook delivery ${delivery._id}:`, error);
+        }
+        delivery = await this.claimNextDelivery();
+      }
+
+      return { success: true, ...counts };
+    } catch (error) {
+      console.error('Error processing webhook deliveries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * List deliveries, newest first (status 'dead' gives the dead-letter list)
+   */
+  static async getDeliveries({ subscriptionId = null, status = null, event = null, page = 1, limit = 20 } = {}) {
+    try {
+      if (subscriptionId && !OBJECT_ID_REGEX.test(subscriptionId)) {
+        return { success: false, error: 'Invalid webhook ID.', code: 'INVALID_ID' };
+      }
+      const statuses = Object.values(WEBHOOK_DELIVERY_STATUS);
+      if (status && !statuses.includes(status)) {
+        return { success: false, error: `Invalid status. Must be one of: ${statuses.join(', ')}`, code: 'INVALID_STATUS' };
+      }
+
+      const query = {};
+      if (subscriptionId) query.subscription = subscriptionId;
+      if (status) query.status = status;
+      if (event) query.event = event;
+
+      const skip = (page - 1) * limit;
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .select('-claimedBy -claimedUntil -__v')
+          .populate('subscription', 'url description active'),
+        WebhookDelivery.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a delivery with its attempts
+   */
+  static async getDelivery(deliveryId) {
+    try {
+      if (!deliveryId || !OBJECT_ID_REGEX.test(deliveryId)) {
+        return { success: false, error: 'Invalid delivery ID.', code: 'INVALID_ID' };
+      }
+
+      const delivery = await WebhookDelivery.findById(deliveryId)
+        .select('-claimedBy -claimedUntil -__v')
+        .populate('subscription', 'url description active');
+      if (!delivery) {
+        return { success: false, error: 'Delivery not found.', code: 'NOT_FOUND' };
+      }
+
+      return { success: true, delivery };
+    } catch (error) {
+      console.error('Error getting webhook delivery:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a delivery again (typically a dead letter), with a fresh set of retries
+   * The earlier attempts are kept
+   */
+  static async redeliver(deliveryId) {
+    try {
+      if (!deliveryId || !OBJECT_ID_REGEX.test(deliveryId)) {
+        return { success: false, error: 'Invalid delivery ID.', code: 'INVALID_ID' };
+      }
+
+      const delivery = await WebhookDelivery.findById(deliveryId);
+      if (!delivery) {
+        return { success: false, error: 'Delivery not found.', code: 'NOT_FOUND' };
+      }
+      if (delivery.status === WEBHOOK_DELIVERY_STATUS.PENDING) {
+        return { success: false, error: 'This delivery is already waiting to be sent.', code: 'ALREADY_PENDING' };
+      }
+
+      const subscription = await WebhookSubscription.findById(delivery.subscription);
+      if (!subscription || !subscription.active) {
+        return { success: false, error: 'The webhook for this delivery is inactive. Activate it first.', code: 'WEBHOOK_INACTIVE' };
+      }
+
+      // Only a delivery that is not pending can be reset, so two redeliveries cannot both queue it
+      const updated = await WebhookDelivery.findOneAndUpdate(
+        { _id: delivery._id, status: { $ne: WEBHOOK_DELIVERY_STATUS.PENDING } },
+        {
+          $set: {
+            status: WEBHOOK_DELIVERY_STATUS.PENDING,
+            attemptCount: 0,
+            nextAttemptAt: new Date(),
+            claimedBy: null,
+            claimedUntil: null,
+            deliveredAt: null,
+          },
+        },
+        { new: true }
+      ).select('-claimedBy -claimedUntil -__v');
+      if (!updated) {
+        return { success: false, error: 'This delivery is already waiting to be sent.', code: 'ALREADY_PENDING' };
+      }
+
+      setImmediate(() => JobService.run(DELIVERY_JOB));
+
+      return { success: true, delivery: updated };
+    } catch (error) {
+      console.error('Error redelivering webhook:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = WebhookService;
@@ -3,7 +3,10 @@
  * Comprehensive validation for appointment booking
  */
 
-const { VALIDATION, TIME_SLOTS, OPERATING_DAYS, SERVICES, PET_TYPES, APPOINTMENT_STATUS } = require('../config/constants');
+const { VALIDATION, TIME_SLOTS, SERVICES, PET_TYPES, APPOINTMENT_STATUS } = require('../config/constants');
+const ScheduleService = require('../services/scheduleService');
+const { timeToMinutes, findContainingWindow } = require('./scheduleUtils');
+const { startOfClinicDay, addClinicDays, getClinicMinutes } = require('./timezoneUtils');
 
 /**
  * Validation error class
@@ -224,20 +227,16 @@ function validateScheduledDate(dateString) {
     return errors;
   }
 
-  const date = new Date(dateString);
+  // Start of the clinic day for comparison
+  const inputDate = startOfClinicDay(dateString);
 
   // Check if valid date
-  if (isNaN(date.getTime())) {
+  if (isNaN(inputDate.getTime())) {
     errors.push({ field: 'scheduledDate', message: 'Invalid date format. Use YYYY-MM-DD', code: 'INVALID_FORMAT' });
     return errors;
   }
-
-  // Set to start of day for comparison
-  const inputDate = new Date(date);
-  inputDate.setHours(0, 0, 0, 0);
   
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const today = startOfClinicDay();
 
   // Check if date is in the past
   if (inputDate < today) {
@@ -245,19 +244,16 @@ function validateScheduledDate(dateString) {
   }
 
   // Check if too far in the future (e.g., max 90 days)
-  const maxDate = new Date(today);
-  maxDate.setDate(maxDate.getDate() + 90);
+  const maxDate = addClinicDays(today, 90);
   if (inputDate > maxDate) {
     errors.push({ field: 'scheduledDate', message: 'Cannot book appointments more than 90 days in advance', code: 'TOO_FAR_FUTURE' });
   }
 
-  // Check if it's an operating day
-  const dayOfWeek = inputDate.getDay();
-  if (!OPERATING_DAYS.includes(dayOfWeek)) {
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  // Check if it's an operating day (weekly hours, closures and special hours)
+  if (!ScheduleService.isOperatingDay(inputDate)) {
     errors.push({ 
       field: 'scheduledDate', 
-      message: `The clinic is closed on ${dayNames[dayOfWeek]}. Please choose another day.`, 
+      message: ScheduleService.getClosedMessage(inputDate), 
       code: 'CLOSED_DAY' 
     });
   }
@@ -267,8 +263,10 @@ function validateScheduledDate(dateString) {
 
 /**
  * Validate time slot
+ * Opening hours are checked against the clinic schedule for scheduledDate; without a date only the format is checked
+ * When a duration is given, the whole appointment must end before the break or closing time
  */
-function validateTimeSlot(timeSlot, scheduledDate = null) {
+function validateTimeSlot(timeSlot, scheduledDate = null, duration = null) {
   const errors = [];
   
   if (!timeSlot) {
@@ -283,23 +281,22 @@ function validateTimeSlot(timeSlot, scheduledDate = null) {
   }
 
   const [hours, minutes] = timeSlot.split(':').map(Number);
-  const { START_HOUR, END_HOUR, SLOT_DURATION, BREAK_START, BREAK_END } = TIME_SLOTS;
+  const { SLOT_DURATION } = TIME_SLOTS;
+  const appointmentDate = scheduledDate ? startOfClinicDay(scheduledDate) : null;
+  const hasDate = Boolean(appointmentDate) && !isNaN(appointmentDate.getTime());
 
-  // Check if valid hour
-  if (hours < START_HOUR || hours >= END_HOUR) {
-    errors.push({ 
-      field: 'scheduledTimeSlot', 
-      message: `Time must be between ${START_HOUR}:00 and ${END_HOUR - 1}:30. Clinic hours: 9 AM - 6 PM`, 
-      code: 'OUTSIDE_HOURS' 
-    });
+  if (hours > 23 || minutes > 59) {
+    errors.push({ field: 'scheduledTimeSlot', message: 'Invalid time. Use HH:MM (e.g., 09:00)', code: 'INVALID_FORMAT' });
+    return errors;
   }
 
-  // Check if during lunch break
-  if (hours >= BREAK_START && hours < BREAK_END) {
+  // Check the time is within the day's opening hours (closed days are reported on scheduledDate)
+  const hoursProblem = hasDate ? ScheduleService.checkStartTime(appointmentDate, timeSlot) : null;
+  if (hoursProblem && hoursProblem.code !== 'CLOSED_DAY') {
     errors.push({ 
       field: 'scheduledTimeSlot', 
-      message: 'This time slot is during lunch break (1 PM - 2 PM). Please choose another time.', 
-      code: 'BREAK_TIME' 
+      message: hoursProblem.message, 
+      code: hoursProblem.code 
     });
   }
 
@@ -312,20 +309,22 @@ function validateTimeSlot(timeSlot, scheduledDate = null) {
     });
   }
 
+  // Check the appointment ends before the break or closing time
+  if (duration && hasDate && errors.length === 0 && ScheduleService.isOperatingDay(appointmentDate) &&
+      !findContainingWindow(timeToMinutes(timeSlot), duration, ScheduleService.getOperatingWindows(appointmentDate))) {
+    errors.push({ 
+      field: 'scheduledTimeSlot', 
+      message: `This appointment takes ${duration} minutes and would run past the lunch break or closing time. Please choose an earlier time.`, 
+      code: 'EXCEEDS_HOURS' 
+    });
+  }
+
   // If booking for today, check if time has already passed
-  if (scheduledDate) {
-    const now = new Date();
-    const appointmentDate = new Date(scheduledDate);
-    appointmentDate.setHours(0, 0, 0, 0);
-    
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+  if (hasDate) {
+    const today = startOfClinicDay();
 
     if (appointmentDate.getTime() === today.getTime()) {
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-      
-      if (hours < currentHour || (hours === currentHour && minutes <= currentMinute)) {
+      if (hours * 60 + minutes <= getClinicMinutes()) {
         errors.push({ 
           field: 'scheduledTimeSlot', 
           message: 'Cannot book appointments for a time that has already passed today', 
@@ -336,7 +335,7 @@ function validateTimeSlot(timeSlot, scheduledDate = null) {
       // Also add buffer (e.g., must be at least 30 minutes from now)
       const bufferMinutes = 30;
       const appointmentMinutes = hours * 60 + minutes;
-      const currentTotalMinutes = currentHour * 60 + currentMinute + bufferMinutes;
+      const currentTotalMinutes = getClinicMinutes() + bufferMinutes;
       
       if (appointmentMinutes < currentTotalMinutes) {
         errors.push({ 
@@ -429,7 +428,8 @@ function validateDirectAppointment(data) {
   const dateErrors = validateScheduledDate(data.scheduledDate);
   dateErrors.forEach(e => validationErrors.add(e.field, e.message, e.code));
 
-  const timeErrors = validateTimeSlot(data.scheduledTimeSlot, data.scheduledDate);
+  const service = SERVICES.find(s => s.id === (data.service || 'checkup'));
+  const timeErrors = validateTimeSlot(data.scheduledTimeSlot, data.scheduledDate, service ? service.duration : null);
   timeErrors.forEach(e => validationErrors.add(e.field, e.message, e.code));
 
   // Optional field checks
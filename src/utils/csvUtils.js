@@ -0,0 +1,110 @@
+/**
+ * CSV Utilities
+ * RFC 4180 parsing and a streaming CSV writer
+ */
+
+const { writeChunk } = require('./streamUtils');
+
+// Values a spreadsheet would run as a formula; phone numbers like +1 555 0100 are left alone
+const FORMULA_REGEX = /^[=@\t\r]|^[+-](?![\d\s().-]*$)/;
+
+/**
+ * Quote a value when it holds a separator, quote or newline, and defuse spreadsheet formulas
+ */
+const escapeCsvValue = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_REGEX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build one CSV line (with CRLF)
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Parse CSV text into rows of strings
+ * Handles quoted fields with commas, quotes and line breaks, CRLF or LF endings and a UTF-8 BOM
+ * Blank lines are skipped; each row keeps its 1-based line number in `line`
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Create a CSV writer for a writable stream
+ * The BOM makes Excel read the file as UTF-8
+ */
+const createCsvWriter = (output) => {
+  let started = false;
+
+  return {
+    async writeRow(values) {
+      const chunk = toCsvRow(values);
+      await writeChunk(output, started ? chunk : `\uFEFF${chunk}`);
+      started = true;
+    },
+    async finish() {
+      output.end();
+    },
+  };
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  parseCsv,
+  createCsvWriter,
+};
@@ -7,10 +7,14 @@ const responseHelper = require('./responseHelper');
 const validators = require('./validators');
 const appointmentValidator = require('./appointmentValidator');
 const appointmentIntentMatcher = require('./appointmentIntentMatcher');
+const scheduleUtils = require('./scheduleUtils');
+const templateUtils = require('./templateUtils');
 
 module.exports = {
   ...responseHelper,
   ...validators,
   appointmentValidator,
   appointmentIntentMatcher,
+  scheduleUtils,
+  templateUtils,
 };
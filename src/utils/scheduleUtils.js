@@ -0,0 +1,70 @@
+/**
+ * Schedule Utilities
+ * Time interval helpers for slot availability (times are minutes since midnight)
+ */
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ */
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Check if two half-open intervals [aStart, aEnd) and [bStart, bEnd) overlap
+ */
+const intervalsOverlap = (aStart, aEnd, bStart, bEnd) => {
+  return aStart < bEnd && bStart < aEnd;
+};
+
+/**
+ * Find the window an appointment of the given length fits into, or null
+ * Windows come from the clinic schedule (ScheduleService.getOperatingWindows) or a provider's hours
+ */
+const findContainingWindow = (start, duration, windows) => {
+  return windows.find(window => start >= window.start && start + duration <= window.end) || null;
+};
+
+/**
+ * Check whether [start, start + duration) is free of the booked intervals
+ */
+const isIntervalFree = (start, duration, bookedIntervals) => {
+  const end = start + duration;
+  return !bookedIntervals.some(interval => intervalsOverlap(start, end, interval.start, interval.end));
+};
+
+/**
+ * Intersect two lists of windows (e.g. a provider's hours with clinic hours)
+ */
+const intersectWindows = (windowsA, windowsB) => {
+  const result = [];
+  windowsA.forEach(a => {
+    windowsB.forEach(b => {
+      const start = Math.max(a.start, b.start);
+      const end = Math.min(a.end, b.end);
+      if (start < end) {
+        result.push({ start, end });
+      }
+    });
+  });
+  return result.sort((x, y) => x.start - y.start);
+};
+
+module.exports = {
+  timeToMinutes,
+  minutesToTime,
+  intervalsOverlap,
+  findContainingWindow,
+  isIntervalFree,
+  intersectWindows,
+};
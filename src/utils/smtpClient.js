@@ -0,0 +1,203 @@
+/**
+ * SMTP Client
+ * Minimal SMTP sender for plain-text email (EHLO, optional STARTTLS and AUTH LOGIN, one message per connection)
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Read SMTP replies from a socket, one complete (possibly multi-line) reply at a time
+ */
+const createReplyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index = buffer.indexOf('\n');
+    while (index !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines: lines.map(l => l.slice(4)) });
+        lines = [];
+      }
+      index = buffer.indexOf('\n');
+    }
+    settle();
+  };
+
+  const onError = (error) => {
+    failure = failure || error;
+    settle();
+  };
+
+  const attach = (target) => {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', () => onError(new Error('SMTP connection closed unexpectedly')));
+  };
+
+  attach(socket);
+
+  return {
+    attach,
+    detach(target) {
+      target.removeListener('data', onData);
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    },
+  };
+};
+
+/**
+ * Open a plain or TLS connection
+ */
+const connect = ({ host, port, secure, timeoutMs }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`)));
+  socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+  socket.once('error', reject);
+});
+
+/**
+ * Encode a header value that is not plain ASCII
+ */
+const encodeHeader = (value) => {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+};
+
+/**
+ * Encode the display name of an address header ('"Name" <address>')
+ */
+const encodeAddressHeader = (value) => {
+  const match = String(value).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (!match || !match[1]) {
+    return value;
+  }
+  const name = encodeHeader(match[1]);
+  return name === match[1] ? `"${name}" <${match[2]}>` : `${name} <${match[2]}>`;
+};
+
+/**
+ * Build the message: headers, a blank line, then the body with CRLF line endings and dot-stuffing
+ */
+const buildMessage = ({ from, to, subject, text }) => {
+  const headers = [
+    `From: ${encodeAddressHeader(from)}`,
+    `To: ${encodeAddressHeader(to)}`,
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  const body = String(text || '')
+    .split(/\r?\n/)
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+};
+
+/**
+ * Get the bare address from "Name <address>" or "address"
+ */
+const getAddress = (value) => {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+};
+
+/**
+ * Send one plain-text email
+ * Throws with the server's reply when a command is rejected
+ */
+const sendMail = async ({
+  host,
+  port = 25,
+  secure = false,
+  user = null,
+  pass = null,
+  from,
+  to,
+  subject,
+  text,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) => {
+  let socket = await connect({ host, port, secure, timeoutMs });
+  const reader = createReplyReader(socket);
+
+  const expect = async (expected, command) => {
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${command || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+  const command = async (line, expected, label = line.split(' ')[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(expected, label);
+  };
+
+  try {
+    await expect([220]);
+    const ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+    // Upgrade to TLS when the server offers it
+    if (!secure && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      reader.detach(socket);
+      socket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+        upgraded.once('error', reject);
+      });
+      reader.attach(socket);
+      await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (user) {
+      await command('AUTH LOGIN', [334]);
+      await command(Buffer.from(user).toString('base64'), [334], 'AUTH username');
+      await command(Buffer.from(pass || '').toString('base64'), [235], 'AUTH password');
+    }
+
+    await command(`MAIL FROM:<${getAddress(from)}>`, [250]);
+    await command(`RCPT TO:<${getAddress(to)}>`, [250, 251]);
+    await command('DATA', [354]);
+    await command(buildMessage({ from, to, subject, text }), [250], 'message');
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+
+  return true;
+};
+
+module.exports = {
+  sendMail,
+  buildMessage,
+};
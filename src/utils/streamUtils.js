@@ -0,0 +1,31 @@
+/**
+ * Stream Utilities
+ * Backpressure-aware writes for streamed downloads
+ */
+
+/**
+ * Write a chunk and wait for the stream to drain when its buffer is full
+ * Resolves straight away once the stream is closed (e.g. the client went away)
+ */
+const writeChunk = (output, chunk) => {
+  if (output.destroyed || output.writableEnded) {
+    return Promise.resolve(false);
+  }
+  if (output.write(chunk)) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve(!output.destroyed);
+    };
+    output.once('drain', done);
+    output.once('close', done);
+  });
+};
+
+module.exports = {
+  writeChunk,
+};
@@ -0,0 +1,20 @@
+/**
+ * Template Utilities
+ * Fill {{placeholder}} message templates
+ */
+
+const PLACEHOLDER_REGEX = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Replace each {{name}} in a template with values[name] (missing values become empty)
+ */
+const renderTemplate = (template, values = {}) => {
+  return template.replace(PLACEHOLDER_REGEX, (match, key) => {
+    const value = values[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+module.exports = {
+  renderTemplate,
+};
@@ -0,0 +1,216 @@
+/**
+ * Text Search
+ * Tokenizing, stemming and BM25 ranking for short documents such as FAQs
+ *
+ * Documents have named fields (e.g. keywords, title, body) that are scored separately with
+ * BM25 and added up by field weight, so a word in a keyword list counts for more than the same
+ * word somewhere in an answer. Fields given as lists (keywords) are not length-normalized, so a
+ * long keyword list does not make each keyword count for less. Words only match whole words:
+ * "ill" does not match "will".
+ */
+
+// BM25 term-frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Words that carry no meaning for search ("when", "my", "is", ...)
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'for', 'from', 'get', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'hers', 'him', 'his',
+  'how', 'i', 'if', 'im', 'in', 'into', 'is', 'it', 'its', 'just', 'let', 'me', 'might', 'more',
+  'most', 'much', 'my', 'of', 'off', 'on', 'or', 'our', 'out', 'please', 'she', 'should', 'so',
+  'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'to', 'too', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours',
+]);
+
+const VOWEL_REGEX = /[aeiouy]/;
+
+/**
+ * Reduce a word to its stem so that forms of the same word match
+ * ("vaccines", "vaccinated", "vaccination" -> "vaccin"; "vomiting" -> "vomit")
+ * A small suffix stripper in the spirit of Porter's algorithm, not a full implementation
+ */
+function stem(word) {
+  if (word.length <= 3) return word;
+  let stemmed = word;
+
+  // Plurals
+  if (stemmed.endsWith('sses')) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.endsWith('ies') && stemmed.length > 4) {
+    stemmed = `${stemmed.slice(0, -3)}y`;
+  } else if (/(ches|shes|xes|zes)$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.endsWith('s') && !/(ss|us|is)$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  // Past tense and -ing ("spayed", "brushing"), only when a real stem is left ("shed", "feed" stay)
+  const inflection = stemmed.match(/(ed|ing)$/);
+  if (inflection && !stemmed.endsWith('eed')) {
+    const base = stemmed.slice(0, -inflection[0].length);
+    if (base.length >= 3 && VOWEL_REGEX.test(base)) {
+      stemmed = base;
+      if (/[^aeiou](at|iz|bl)$/.test(stemmed)) {
+        stemmed = `${stemmed}e`;
+      } else if (/([^aeioulsz])\1$/.test(stemmed)) {
+        stemmed = stemmed.slice(0, -1);
+      } else if (stemmed.length <= 4 && /[^aeiou][aeiou][^aeiouwxy]$/.test(stemmed)) {
+        // Short words lose their "e" before -ing/-ed ("caring" -> "care", not "car")
+        stemmed = `${stemmed}e`;
+      }
+    }
+  }
+
+  // Derived forms ("vaccination" -> "vaccinate", "sterilization" -> "sterilize")
+  stemmed = stemmed
+    .replace(/ational$/, 'ate')
+    .replace(/ization$/, 'ize')
+    .replace(/isation$/, 'ise')
+    .replace(/ation$/, 'ate')
+    .replace(/(?:ness|ment)$/, (suffix, offset) => (offset >= 3 ? '' : suffix));
+
+  // Endings the forms above share ("vaccinate", "vaccine" -> "vaccin")
+  stemmed = stemmed.replace(/(?:ate|ize|ise)$/, (suffix, offset) => (offset >= 4 ? '' : suffix));
+  if (stemmed.endsWith('e') && stemmed.length > 4) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  return stemmed;
+}
+
+/**
+ * Split text into stemmed search terms, dropping stop words and possessives
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return text
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Build a search index
+ * @param {Array} documents - [{ id, fields: { name: text or [phrases] } }]
+ * @param {Object} fieldWeights - { name: weight }; fields without a weight are not indexed
+ * @returns {Object} Index for search()
+ */
+function buildIndex(documents, fieldWeights) {
+  const fields = Object.keys(fieldWeights);
+  const totalLengths = Object.fromEntries(fields.map(field => [field, 0]));
+  const documentFrequency = Object.fromEntries(fields.map(field => [field, new Map()]));
+
+  const indexed = documents.map((document) => {
+    const entry = { id: document.id, fields: {}, phrases: [] };
+
+    fields.forEach((field) => {
+      const value = document.fields[field];
+      const parts = Array.isArray(value) ? value : [value];
+      const terms = parts.flatMap(part => tokenize(part));
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+      // Multi-word keywords ("not eating") score extra when they appear as a whole
+      if (Array.isArray(value)) {
+        value.map(part => tokenize(part))
+          .filter(phrase => phrase.length > 1)
+          .forEach(phrase => entry.phrases.push({ field, terms: phrase }));
+      }
+
+      entry.fields[field] = { length: terms.length, frequencies, isList: Array.isArray(value) };
+      totalLengths[field] += terms.length;
+      frequencies.forEach((count, term) => {
+        documentFrequency[field].set(term, (documentFrequency[field].get(term) || 0) + 1);
+      });
+    });
+
+    return entry;
+  });
+
+  const averageLengths = Object.fromEntries(fields.map(field => [
+    field,
+    indexed.length > 0 ? totalLengths[field] / indexed.length : 0,
+  ]));
+
+  return { documents: indexed, fieldWeights, averageLengths, documentFrequency };
+}
+
+/**
+ * Inverse document frequency of a term in one field (BM25, always positive)
+ */
+function inverseDocumentFrequency(index, field, term) {
+  const total = index.documents.length;
+  const frequency = index.documentFrequency[field].get(term) || 0;
+  return Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5));
+}
+
+/**
+ * Check whether a phrase appears in a list of terms as consecutive words
+ */
+function containsPhrase(terms, phrase) {
+  for (let start = 0; start + phrase.length <= terms.length; start++) {
+    if (phrase.every((term, offset) => terms[start + offset] === term)) return true;
+  }
+  return false;
+}
+
+/**
+ * Rank indexed documents against a query
+ * @param {Object} index - From buildIndex()
+ * @param {string} query - Text to search for
+ * @param {Object} options - { phraseBoost: extra weight for a whole multi-word keyword }
+ * @returns {Array} [{ id, score, matchedTerms }] with a score above 0, best first
+ */
+function search(index, query, { phraseBoost = 1 } = {}) {
+  const queryTerms = tokenize(query);
+  if (queryTerms.length === 0) return [];
+  const uniqueTerms = [...new Set(queryTerms)];
+
+  return index.documents
+    .map((document) => {
+      let score = 0;
+      const matchedTerms = new Set();
+
+      Object.entries(index.fieldWeights).forEach(([field, weight]) => {
+        const { length, frequencies, isList } = document.fields[field];
+        const averageLength = index.averageLengths[field] || 1;
+        const lengthNormalization = isList ? 0 : B;
+
+        uniqueTerms.forEach((term) => {
+          const frequency = frequencies.get(term);
+          if (!frequency) return;
+          const saturation = (frequency * (K1 + 1)) / (frequency + K1 * (1 - lengthNormalization + lengthNormalization * (length / averageLength)));
+          score += weight * inverseDocumentFrequency(index, field, term) * saturation;
+          matchedTerms.add(term);
+        });
+      });
+
+      document.phrases
+        .filter(phrase => containsPhrase(queryTerms, phrase.terms))
+        .forEach((phrase) => {
+          score += phraseBoost * index.fieldWeights[phrase.field] * phrase.terms
+            .reduce((sum, term) => sum + inverseDocumentFrequency(index, phrase.field, term), 0);
+        });
+
+      return { id: document.id, score, matchedTerms: [...matchedTerms] };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  stem,
+  tokenize,
+  buildIndex,
+  search,
+  STOP_WORDS,
+};
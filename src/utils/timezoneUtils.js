@@ -0,0 +1,297 @@
+/**
+ * Timezone Utilities
+ * Clinic-local calendar helpers; a clinic day is stored as the instant of its local midnight
+ */
+
+const { getClinicTimezone } = require('../config/clinic');
+
+const DATE_KEY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that splits an instant into wall-clock parts for a timezone
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ */
+const getZonedParts = (date, timeZone = getClinicTimezone()) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
+
+/**
+ * Get a timezone's UTC offset in minutes at an instant (e.g. 330 for IST, -420 for PDT)
+ */
+const getOffsetMinutes = (date, timeZone = getClinicTimezone()) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * Times repeated by a DST change resolve to the first occurrence; times skipped by one
+ * resolve to the same clock time shifted past the change (02:30 -> 03:30)
+ */
+const zonedTimeToUtc = (year, month, day, hour = 0, minute = 0, timeZone = getClinicTimezone()) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  // The offsets in force a day either side cover any transition on this date
+  const candidates = [...new Set([
+    getOffsetMinutes(asUtc - dayMs, timeZone),
+    getOffsetMinutes(asUtc + dayMs, timeZone),
+  ])].map(offset => asUtc - offset * 60000);
+
+  const matching = candidates.filter(candidate => {
+    const parts = getZonedParts(candidate, timeZone);
+    return parts.year === year && parts.month === month && parts.day === day &&
+      parts.hour === hour && parts.minute === minute;
+  });
+
+  return new Date(matching.length > 0 ? Math.min(...matching) : Math.max(...candidates));
+};
+
+/**
+ * Get the clinic-local "YYYY-MM-DD" of an instant
+ */
+const toDateKey = (date, timeZone = getClinicTimezone()) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the start (local midnight) of the clinic day containing the input
+ * A "YYYY-MM-DD" string is read as a clinic calendar date, not as UTC midnight
+ */
+const startOfClinicDay = (input = new Date(), timeZone = getClinicTimezone()) => {
+  if (typeof input === 'string') {
+    const match = input.match(DATE_KEY_REGEX);
+    if (match) {
+      return zonedTimeToUtc(Number(match[1]), Number(match[2]), Number(match[3]), 0, 0, timeZone);
+    }
+  }
+
+  const date = new Date(input);
+  if (isNaN(date.getTime())) {
+    return date;
+  }
+
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+};
+
+/**
+ * Move a clinic day forward or back by whole days (DST days are 23 or 25 hours long)
+ */
+const addClinicDays = (input, days, timeZone = getClinicTimezone()) => {
+  const { year, month, day } = getZonedParts(startOfClinicDay(input, timeZone), timeZone);
+  const target = new Date(Date.UTC(year, month - 1, day + days));
+  return zonedTimeToUtc(target.getUTCFullYear(), target.getUTCMonth() + 1, target.getUTCDate(), 0, 0, timeZone);
+};
+
+/**
+ * Move a clinic day forward or back by whole months (Jan 31 + 1 month = Feb 28/29)
+ */
+const addClinicMonths = (input, months, timeZone = getClinicTimezone()) => {
+  const { year, month, day } = getZonedParts(startOfClinicDay(input, timeZone), timeZone);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  const target = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)));
+  return zonedTimeToUtc(target.getUTCFullYear(), target.getUTCMonth() + 1, target.getUTCDate(), 0, 0, timeZone);
+};
+
+/**
+ * Get the [start, end) instants of the clinic day containing the input
+ */
+const getClinicDayRange = (input = new Date(), timeZone = getClinicTimezone()) => {
+  const start = startOfClinicDay(input, timeZone);
+  return { start, end: addClinicDays(start, 1, timeZone) };
+};
+
+/**
+ * Get the clinic-local day of week (0 = Sunday)
+ */
+const getClinicDayOfWeek = (input, timeZone = getClinicTimezone()) => {
+  return getZonedParts(startOfClinicDay(input, timeZone), timeZone).dayOfWeek;
+};
+
+/**
+ * Get the clinic-local minutes since midnight of an instant (defaults to now)
+ */
+const getClinicMinutes = (date = new Date(), timeZone = getClinicTimezone()) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+};
+
+/**
+ * Get the instant a clinic-local time ("HH:MM") starts on the clinic day containing the input
+ */
+const getClinicDateTime = (input, timeSlot, timeZone = getClinicTimezone()) => {
+  const { year, month, day } = getZonedParts(startOfClinicDay(input, timeZone), timeZone);
+  const [hour, minute] = timeSlot.split(':').map(Number);
+  return zonedTimeToUtc(year, month, day, hour, minute, timeZone);
+};
+
+/**
+ * Get a Date whose local calendar fields are the clinic's current date
+ * Use for calendar arithmetic only (setDate/getDay); it is set to local noon to stay clear of DST edges
+ */
+const getClinicCalendarToday = (now = new Date(), timeZone = getClinicTimezone()) => {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  return new Date(year, month - 1, day, 12);
+};
+
+/**
+ * Format an instant as a clinic-local date string (e.g. "Monday, March 9, 2026")
+ */
+const formatClinicDate = (date, options = {}, timeZone = getClinicTimezone()) => {
+  return new Date(date).toLocaleDateString('en-US', { ...options, timeZone });
+};
+
+/**
+ * Test examples covering DST transitions
+ */
+function runTestExamples() {
+  const testCases = [
+    // US spring forward: 2026-03-08 is 23 hours long in Los Angeles
+    {
+      name: 'LA midnight before spring forward is PST',
+      actual: startOfClinicDay('2026-03-08', 'America/Los_Angeles').toISOString(),
+      expected: '2026-03-08T08:00:00.000Z',
+    },
+    {
+      name: 'LA day after spring forward starts 23h later',
+      actual: addClinicDays('2026-03-08', 1, 'America/Los_Angeles').toISOString(),
+      expected: '2026-03-09T07:00:00.000Z',
+    },
+    {
+      name: '02:30 does not exist in LA on spring forward and resolves to 03:30',
+      actual: zonedTimeToUtc(2026, 3, 8, 2, 30, 'America/Los_Angeles').toISOString(),
+      expected: '2026-03-08T10:30:00.000Z',
+    },
+    // US fall back: 2026-11-01 is 25 hours long in Los Angeles
+    {
+      name: 'LA day after fall back starts 25h later',
+      actual: getClinicDayRange('2026-11-01', 'America/Los_Angeles').end.toISOString(),
+      expected: '2026-11-02T08:00:00.000Z',
+    },
+    {
+      name: '01:30 happens twice in LA on fall back and resolves to the first (PDT)',
+      actual: zonedTimeToUtc(2026, 11, 1, 1, 30, 'America/Los_Angeles').toISOString(),
+      expected: '2026-11-01T08:30:00.000Z',
+    },
+    {
+      name: '10:00 after fall back is PST',
+      actual: zonedTimeToUtc(2026, 11, 1, 10, 0, 'America/Los_Angeles').toISOString(),
+      expected: '2026-11-01T18:00:00.000Z',
+    },
+    // EU spring forward at 01:00 UTC
+    {
+      name: 'London 09:00 on the spring forward day is BST',
+      actual: zonedTimeToUtc(2026, 3, 29, 9, 0, 'Europe/London').toISOString(),
+      expected: '2026-03-29T08:00:00.000Z',
+    },
+    // Zones without DST and large offsets
+    {
+      name: 'IST midnight is the previous UTC evening',
+      actual: startOfClinicDay('2026-01-30', 'Asia/Kolkata').toISOString(),
+      expected: '2026-01-29T18:30:00.000Z',
+    },
+    {
+      name: '23:00 UTC is already tomorrow in IST',
+      actual: toDateKey('2026-01-30T23:00:00Z', 'Asia/Kolkata'),
+      expected: '2026-01-31',
+    },
+    {
+      name: '03:00 UTC is still yesterday in LA',
+      actual: toDateKey('2026-01-30T03:00:00Z', 'America/Los_Angeles'),
+      expected: '2026-01-29',
+    },
+    {
+      name: 'Day of week uses the clinic calendar (Sunday in LA)',
+      actual: getClinicDayOfWeek(new Date('2026-03-09T03:00:00Z'), 'America/Los_Angeles'),
+      expected: 0,
+    },
+    {
+      name: 'Clinic minutes on the fall back day in LA',
+      actual: getClinicMinutes(new Date('2026-11-01T17:30:00Z'), 'America/Los_Angeles'),
+      expected: 9 * 60 + 30,
+    },
+  ];
+
+  console.log('Running timezone test cases:\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    const success = testCase.actual === testCase.expected;
+
+    if (success) {
+      passed++;
+    } else {
+      failed++;
+    }
+
+    const status = success ? '✓' : '✗';
+    console.log(`${status} ${testCase.name}`);
+    if (!success) {
+      console.log(`  → Expected: ${testCase.expected}, Got: ${testCase.actual}`);
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed out of ${testCases.length} tests`);
+
+  return { passed, failed, total: testCases.length };
+}
+
+module.exports = {
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  toDateKey,
+  startOfClinicDay,
+  addClinicDays,
+  addClinicMonths,
+  getClinicDayRange,
+  getClinicDayOfWeek,
+  getClinicMinutes,
+  getClinicDateTime,
+  getClinicCalendarToday,
+  formatClinicDate,
+
+  // Testing
+  runTestExamples,
+};
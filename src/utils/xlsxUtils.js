@@ -0,0 +1,296 @@
+/**
+ * XLSX Utilities
+ * Streaming writer for single-sheet Excel workbooks (Office Open XML in a zip)
+ *
+ * The worksheet is deflated as rows arrive and written as a zip entry with a trailing
+ * data descriptor, so a workbook of any length is sent without being held in memory.
+ */
+
+const zlib = require('zlib');
+const { finished } = require('stream/promises');
+const { writeChunk } = require('./streamUtils');
+
+// Rows are deflated in batches of about this many bytes of XML
+const BATCH_BYTES = 64 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Update a CRC-32 with more bytes
+ */
+const crc32 = (buffer, crc = 0) => {
+  let c = crc ^ 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Escape text for XML, dropping characters XML cannot hold
+ */
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Get the column letters for a 0-based index (0 -> A, 26 -> AA)
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Build a <row> element; numbers become numeric cells, everything else inline text
+ */
+const buildRowXml = (rowNumber, values, style = 0) => {
+  const cells = values.map((value, index) => {
+    if (value === undefined || value === null || value === '') {
+      return '';
+    }
+    const ref = `${columnName(index)}${rowNumber}`;
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+};
+
+/**
+ * The fixed parts of the workbook
+ */
+const buildPackageFiles = (sheetName) => [
+  {
+    name: '[Content_Types].xml',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>',
+  },
+  {
+    name: '_rels/.rels',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+  },
+  {
+    name: 'xl/workbook.xml',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>',
+  },
+  {
+    name: 'xl/_rels/workbook.xml.rels',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>',
+  },
+  {
+    // Style 1 is the bold header row
+    name: 'xl/styles.xml',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>',
+  },
+];
+
+/**
+ * Get the DOS date and time zip headers use
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a zip local file header
+ * Streamed entries set flag bit 3 and leave the sizes and CRC to the data descriptor
+ */
+const localHeader = (entry, stamp) => {
+  const name = Buffer.from(entry.name);
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034B50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(entry.streamed ? 0x0008 : 0, 6);
+  header.writeUInt16LE(8, 8);
+  header.writeUInt16LE(stamp.time, 10);
+  header.writeUInt16LE(stamp.date, 12);
+  header.writeUInt32LE(entry.streamed ? 0 : entry.crc, 14);
+  header.writeUInt32LE(entry.streamed ? 0 : entry.compressedSize, 18);
+  header.writeUInt32LE(entry.streamed ? 0 : entry.size, 22);
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, name]);
+};
+
+/**
+ * Build a zip data descriptor
+ */
+const dataDescriptor = (entry) => {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074B50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  descriptor.writeUInt32LE(entry.compressedSize, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+};
+
+/**
+ * Build the central directory and end record
+ */
+const centralDirectory = (entries, stamp, offset) => {
+  const records = entries.map((entry) => {
+    const name = Buffer.from(entry.name);
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014B50, 0);
+    record.writeUInt16LE(20, 4);
+    record.writeUInt16LE(20, 6);
+    record.writeUInt16LE(entry.streamed ? 0x0008 : 0, 8);
+    record.writeUInt16LE(8, 10);
+    record.writeUInt16LE(stamp.time, 12);
+    record.writeUInt16LE(stamp.date, 14);
+    record.writeUInt32LE(entry.crc, 16);
+    record.writeUInt32LE(entry.compressedSize, 20);
+    record.writeUInt32LE(entry.size, 24);
+    record.writeUInt16LE(name.length, 28);
+    record.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([record, name]);
+  });
+
+  const directory = Buffer.concat(records);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([directory, end]);
+};
+
+/**
+ * Create an XLSX writer for a writable stream
+ * Rows are arrays of cell values; the first row written is styled as the header
+ */
+const createXlsxWriter = (output, { sheetName = 'Sheet1' } = {}) => {
+  const stamp = toDosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+  let sheet = null;
+  let deflate = null;
+  let batch = '';
+  let rowNumber = 0;
+
+  const send = async (buffer) => {
+    offset += buffer.length;
+    await writeChunk(output, buffer);
+  };
+
+  // Feed worksheet XML to the compressor, keeping the CRC and size of the uncompressed bytes
+  const writeSheetXml = async (xml) => {
+    const buffer = Buffer.from(xml);
+    sheet.crc = crc32(buffer, sheet.crc);
+    sheet.size += buffer.length;
+    await writeChunk(deflate, buffer);
+  };
+
+  const start = async () => {
+    for (const file of buildPackageFiles(sheetName)) {
+      const content = Buffer.from(file.content);
+      const compressed = zlib.deflateRawSync(content);
+      const entry = {
+        name: file.name,
+        crc: crc32(content),
+        size: content.length,
+        compressedSize: compressed.length,
+        offset,
+      };
+      entries.push(entry);
+      await send(localHeader(entry, stamp));
+      await send(compressed);
+    }
+
+    sheet = { name: 'xl/worksheets/sheet1.xml', streamed: true, crc: 0, size: 0, compressedSize: 0, offset };
+    entries.push(sheet);
+    await send(localHeader(sheet, stamp));
+
+    deflate = zlib.createDeflateRaw();
+    deflate.on('data', (chunk) => {
+      sheet.compressedSize += chunk.length;
+      offset += chunk.length;
+      if (!output.write(chunk)) {
+        deflate.pause();
+        output.once('drain', () => deflate.resume());
+      }
+    });
+    output.once('close', () => deflate.destroy());
+
+    await writeSheetXml('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+  };
+
+  return {
+    async writeRow(values) {
+      if (!deflate) {
+        await start();
+      }
+      rowNumber++;
+      batch += buildRowXml(rowNumber, values, rowNumber === 1 ? 1 : 0);
+      if (batch.length >= BATCH_BYTES) {
+        const xml = batch;
+        batch = '';
+        await writeSheetXml(xml);
+      }
+    },
+    async finish() {
+      if (!deflate) {
+        await start();
+      }
+      await writeSheetXml(`${batch}</sheetData></worksheet>`);
+      batch = '';
+      deflate.end();
+      await finished(deflate);
+
+      await send(dataDescriptor(sheet));
+      await writeChunk(output, centralDirectory(entries, stamp, offset));
+      output.end();
+    },
+  };
+};
+
+module.exports = {
+  crc32,
+  escapeXml,
+  columnName,
+  createXlsxWriter,
+};